@@ -8,15 +8,140 @@
 class PDFWatermarkApp {
     constructor() {
         this.currentSessionId = null;
-        this.uploadInProgress = false;
-        this.progressCheckInterval = null;
-        this.maxFileSize = 50 * 1024 * 1024; // 50MB
+        this.currentSection = 'upload';
+        this.appStateKey = 'pdfWatermarkAppState';
+        this.statusSubscription = null;
+        this.maxStreamReconnectAttempts = 5;
+        this.maxFileSize = 200 * 1024 * 1024; // 200MB
         this.allowedTypes = ['application/pdf'];
         
+        // Workflow state; each state lists the states it may move to
+        this.workflowState = 'idle';
+        this.workflowTransitions = {
+            idle: ['uploading'],
+            uploading: ['uploaded', 'failed', 'idle'],
+            uploaded: ['configuring', 'uploading', 'idle'],
+            configuring: ['processing', 'uploading', 'idle'],
+            processing: ['ready', 'failed', 'uploading', 'idle'],
+            ready: ['processing', 'configuring', 'uploading', 'idle'],
+            failed: ['processing', 'configuring', 'uploading', 'idle']
+        };
+        
+        // Last progress step read out per screen reader live region
+        this.announcedProgress = new Map();
+        
+        // Locale state; translations come from the message catalogs in i18n.js
+        this.localeKey = 'pdfWatermarkLocale';
+        this.locales = {
+            en: { name: 'English', dir: 'ltr', messages: {} },
+            ...(window.MESSAGE_CATALOGS || {})
+        };
+        this.locale = this.getPreferredLocale();
+        this.translatedTexts = new WeakMap();
+        this.translatedAttributes = new WeakMap();
+        
+        // Client-side PDF inspection state
+        this.documentInfo = null;
+        this.maxInspectionSize = 25 * 1024 * 1024; // Larger files only get header and trailer checks
+        this.paperSizes = [
+            { name: 'A3', width: 842, height: 1191 },
+            { name: 'A4', width: 595, height: 842 },
+            { name: 'A5', width: 420, height: 595 },
+            { name: 'Letter', width: 612, height: 792 },
+            { name: 'Legal', width: 612, height: 1008 }
+        ];
+        
+        // Tokens allowed in the watermark text, resolved per page by the server
+        this.textTokens = ['date', 'datetime', 'filename', 'page', 'pages', 'sessionId', 'recipient'];
+        
+        // Watermark image state
+        this.watermarkImage = null; // { imageId, name, width, height, previewUrl }
+        this.maxWatermarkImageSize = 5 * 1024 * 1024; // 5MB
+        this.watermarkImageTypes = ['image/png', 'image/jpeg'];
+        
+        // Chunked upload state
+        this.currentUpload = null;
+        this.uploadRetryLimit = 5;
+        this.resumableUploadsKey = 'pdfWatermarkResumableUploads';
+        
+        // Batch upload state
+        this.batchFiles = [];
+        this.currentBatchId = null;
+        this.maxBatchFiles = 50;
+        
+        // Watermark preview state
+        this.previewActive = false;
+        this.previewPage = 1;
+        this.previewPageCount = 1;
+        this.previewDebounceTimer = null;
+        this.previewRequestId = 0;
+        this.previewObjectUrl = null;
+        this.fontSizeResolveTimer = null;
+        this.fontSizeResolveRequestId = 0;
+        
+        // Download state
+        this.currentDownload = null; // { sessionId, controller, chunks, receivedBytes, totalBytes, filename }
+        this.downloadRetryLimit = 5;
+        this.downloadOptionsKey = 'pdfWatermarkDownloadOptions';
+        this.filesRemovedTimer = null;
+        
+        // Before/after comparison viewer state
+        this.comparisonPage = 1;
+        this.comparisonPageCount = 1;
+        this.comparisonMode = 'split'; // split or toggle
+        this.comparisonShowing = 'watermarked'; // Version shown in toggle mode
+        this.comparisonZoomLevels = [0.5, 0.75, 1, 1.5, 2, 3, 4]; // Multiples of the fitted page width
+        this.comparisonZoom = 1;
+        this.comparisonRevision = 0; // Changes per completed job so old page images are not reused
+        this.thumbnailDpi = 18;
+        this.maxPageImageDpi = 288;
+        
+        // Placement canvas state
+        this.placementDrag = null;
+        this.placementGuides = [0.25, 0.5, 0.75]; // Fractions of the page width and height
+        this.placementSnapDistance = 8; // Screen pixels
+        this.placementSnapAngle = 15;
+        this.defaultPageSize = { width: 595, height: 842 }; // A4, used until the real size is known
+        this.orientationPresetAngles = {
+            horizontal: 0, diagonalUp: 45, vertical: 90, diagonalDown: 135,
+            upsideDown: 180, diagonalUpReverse: 225, verticalReverse: 270, diagonalDownReverse: 315
+        };
+        
+        // Notification state
+        this.notifications = [];
+        this.notificationCounter = 0;
+        this.maxNotificationHistory = 50;
+        this.maxVisibleToasts = 4;
+        
+        // Watermark layer state; the selected layer is edited in the form and stored on switching
+        this.layers = [{ config: null, image: null }];
+        this.activeLayerIndex = 0;
+        this.maxLayers = 10;
+        
+        // Saved preset state
+        this.presets = [];
+        this.presetsKey = 'pdfWatermarkPresets';
+        this.pendingPresetDeletes = new Map(); // preset id -> { preset, index, timer }
+        this.presetUndoWindow = 10000;
+        this.installIdKey = 'pdfWatermarkInstallId';
+        
+        // Job history state; the server keeps the jobs per install id
+        this.jobHistory = [];
+        this.pendingRerun = null; // Job whose settings are applied to the next uploaded document
+        this.jobHistoryTimer = null; // Shows the next output as expired once its expiry passes
+        
         this.initializeElements();
+        this.initializeLocaleSwitcher();
+        this.applyLocale();
         this.bindEvents();
         this.initializeDragAndDrop();
         
+        // New layers start from the form's initial settings
+        if (this.watermarkForm) {
+            this.defaultLayerConfig = this.getWatermarkConfig();
+            this.renderLayerList();
+        }
+        
         console.log('PDF Watermarking Application initialized');
     }
     
@@ -27,7 +152,9 @@ class PDFWatermarkApp {
         // Upload elements
         this.uploadArea = document.getElementById('upload-area');
         this.fileInput = document.getElementById('file-input');
+        this.folderInput = document.getElementById('folder-input');
         this.uploadButton = document.getElementById('upload-button');
+        this.uploadFolderButton = document.getElementById('upload-folder-button');
         this.dragOverlay = document.getElementById('drag-overlay');
         
         // Progress elements
@@ -35,34 +162,108 @@ class PDFWatermarkApp {
         this.progressFilename = document.getElementById('progress-filename');
         this.progressPercentage = document.getElementById('progress-percentage');
         this.progressBar = document.getElementById('progress-bar');
+        this.progressBarContainer = document.getElementById('progress-bar-container');
         this.progressStatus = document.getElementById('progress-status');
+        this.uploadAnnouncer = document.getElementById('upload-announcer');
+        this.cancelUploadBtn = document.getElementById('cancel-upload-btn');
         
         // Success elements
         this.successContainer = document.getElementById('upload-success');
         this.successMessage = document.getElementById('success-message');
+        this.documentInfoText = document.getElementById('document-info');
         this.configureWatermarkBtn = document.getElementById('configure-watermark-btn');
         this.uploadAnotherBtn = document.getElementById('upload-another-btn');
         
         // Error elements
         this.errorContainer = document.getElementById('upload-error');
-        this.errorMessage = document.getElementById('error-message');
+        this.errorMessage = document.getElementById('upload-error-message');
         this.retryUploadBtn = document.getElementById('retry-upload-btn');
         
+        // Batch queue elements
+        this.batchQueue = document.getElementById('batch-queue');
+        this.batchQueueSummary = document.getElementById('batch-queue-summary');
+        this.batchQueueList = document.getElementById('batch-queue-list');
+        this.batchConfigureBtn = document.getElementById('batch-configure-btn');
+        this.batchClearBtn = document.getElementById('batch-clear-btn');
+        
+        // Job history elements
+        this.jobHistoryList = document.getElementById('job-history-list');
+        this.jobHistoryEmpty = document.getElementById('job-history-empty');
+        this.jobHistoryRefreshBtn = document.getElementById('job-history-refresh-btn');
+        this.rerunNotice = document.getElementById('job-history-rerun');
+        this.rerunMessage = document.getElementById('job-history-rerun-message');
+        this.cancelRerunBtn = document.getElementById('cancel-rerun-btn');
+        
         // Loading overlay
         this.loadingOverlay = document.getElementById('loading-overlay');
         this.loadingMessage = document.getElementById('loading-message');
         
+        // Notification elements
+        this.toastContainer = document.getElementById('toast-container');
+        this.notificationsToggle = document.getElementById('notifications-toggle');
+        this.notificationCount = document.getElementById('notification-count');
+        this.notificationDrawer = document.getElementById('notification-drawer');
+        this.notificationHistory = document.getElementById('notification-history');
+        this.notificationEmpty = document.getElementById('notification-empty');
+        this.clearNotificationsBtn = document.getElementById('clear-notifications-btn');
+        this.closeNotificationsBtn = document.getElementById('close-notifications-btn');
+        
         // Navigation
+        this.localeSelect = document.getElementById('locale-select');
         this.navLinks = document.querySelectorAll('.nav-link');
         this.sections = document.querySelectorAll('.section');
         
         // Watermark Configuration Form
         this.watermarkForm = document.getElementById('watermark-config-form');
+        
+        // Saved preset elements
+        this.presetSelect = document.getElementById('preset-select');
+        this.layerList = document.getElementById('layer-list');
+        this.addLayerBtn = document.getElementById('add-layer-btn');
+        this.presetNameInput = document.getElementById('preset-name');
+        this.applyPresetBtn = document.getElementById('apply-preset-btn');
+        this.deletePresetBtn = document.getElementById('delete-preset-btn');
+        this.savePresetBtn = document.getElementById('save-preset-btn');
+        this.renamePresetBtn = document.getElementById('rename-preset-btn');
+        this.exportPresetsBtn = document.getElementById('export-presets-btn');
+        this.importPresetsBtn = document.getElementById('import-presets-btn');
+        this.presetImportInput = document.getElementById('preset-import-input');
+        this.presetStatus = document.getElementById('preset-status');
         this.watermarkText = document.getElementById('watermark-text');
+        this.tokenButtons = document.querySelectorAll('.token-button');
+        this.recipientGroup = document.getElementById('token-recipient-group');
+        this.recipientInput = document.getElementById('watermark-recipient');
+        this.tokenPreview = document.getElementById('token-preview');
+        this.tokenPreviewValue = document.getElementById('token-preview-value');
+        this.contentRadios = document.querySelectorAll('input[name="content"]');
+        this.watermarkTextGroup = document.getElementById('watermark-text-group');
+        this.watermarkImageGroup = document.getElementById('watermark-image-group');
+        this.watermarkImageInput = document.getElementById('watermark-image');
+        this.watermarkImageThumb = document.getElementById('watermark-image-thumb');
+        this.watermarkImageInfo = document.getElementById('watermark-image-info');
+        this.imageScaleSlider = document.getElementById('image-scale');
+        this.imageScaleValue = document.getElementById('image-scale-value');
+        this.imageOpacitySlider = document.getElementById('image-opacity');
+        this.imageOpacityValue = document.getElementById('image-opacity-value');
         this.positionRadios = document.querySelectorAll('input[name="position"]');
         this.positionCoordinates = document.getElementById('position-coordinates');
         this.positionX = document.getElementById('position-x');
         this.positionY = document.getElementById('position-y');
+        this.placementCanvas = document.getElementById('placement-canvas');
+        this.placementMarker = document.getElementById('placement-marker');
+        this.placementText = document.getElementById('placement-text');
+        this.placementImage = document.getElementById('placement-image');
+        this.placementRotateHandle = document.getElementById('placement-rotate-handle');
+        this.placementSnap = document.getElementById('placement-snap');
+        this.placementPageInfo = document.getElementById('placement-page-info');
+        
+        // Position Template Configuration
+        this.positionTemplates = document.getElementById('position-templates');
+        this.templateRadios = document.querySelectorAll('input[name="positionTemplate"]');
+        this.gridTemplateControl = document.getElementById('grid-template-control');
+        this.gridRows = document.getElementById('grid-rows');
+        this.gridCols = document.getElementById('grid-cols');
+        this.templateHint = document.getElementById('template-hint');
         
         // Font Size Configuration
         this.fontSizeTypeRadios = document.querySelectorAll('input[name="fontSizeType"]');
@@ -72,41 +273,115 @@ class PDFWatermarkApp {
         this.fontSizeValue = document.getElementById('font-size-value');
         this.fontSizeMin = document.getElementById('font-size-min');
         this.fontSizeMax = document.getElementById('font-size-max');
+        this.dynamicFontSizeControl = document.getElementById('dynamic-font-size-control');
+        this.recommendedFontSizeControl = document.getElementById('recommended-font-size-control');
+        this.fontBaseSize = document.getElementById('font-base-size');
+        this.fontScaleFactor = document.getElementById('font-scale-factor');
+        this.fontDocumentType = document.getElementById('font-document-type');
+        this.resolvedFontSize = document.getElementById('resolved-font-size');
+        // Field limits until the server's watermark schema has loaded
+        this.watermarkSchema = null;
+        this.minFontSize = 8;
+        this.maxFontSize = 144;
+        this.minFontScaleFactor = 0.1;
+        this.maxFontScaleFactor = 5;
+        this.maxTextLength = 100;
         
         // Color Configuration
         this.colorTypeRadios = document.querySelectorAll('input[name="colorType"]');
         this.fixedColorPicker = document.getElementById('fixed-color-picker');
         this.colorPicker = document.getElementById('watermark-color');
         this.colorPreview = document.getElementById('color-preview');
+        this.colorContrastWarning = document.getElementById('color-contrast-warning');
+        
+        // Color Palette Configuration
+        this.palettePicker = document.getElementById('palette-picker');
+        this.paletteRadios = document.querySelectorAll('input[name="colorPalette"]');
+        this.customPaletteEditor = document.getElementById('custom-palette-editor');
+        this.customPaletteColors = document.getElementById('custom-palette-colors');
+        this.customPaletteSwatches = document.getElementById('custom-palette-swatches');
+        this.addPaletteColorBtn = document.getElementById('add-palette-color');
+        this.maxCustomPaletteColors = 10;
+        this.minContrastRatio = 4.5;
         
         // Orientation Configuration
         this.orientationTypeRadios = document.querySelectorAll('input[name="orientationType"]');
         this.fixedOrientationControl = document.getElementById('fixed-orientation-control');
         this.orientationSlider = document.getElementById('orientation-angle');
         this.orientationValue = document.getElementById('orientation-value');
+        this.orientationPresets = document.getElementById('orientation-presets');
+        this.orientationPresetRadios = document.querySelectorAll('input[name="orientationPreset"]');
+        this.opacitySlider = document.getElementById('watermark-opacity');
+        this.opacityValue = document.getElementById('opacity-value');
+        this.blendModeSelect = document.getElementById('blend-mode');
         
         // Quantity Configuration
         this.quantityInput = document.getElementById('watermark-quantity');
+        this.quantityHint = document.getElementById('quantity-hint');
+        this.pageSelection = document.getElementById('page-selection');
+        this.pageRanges = document.getElementById('page-ranges');
+        this.pageSelectionSummary = document.getElementById('page-selection-summary');
         
         this.previewButton = document.getElementById('preview-watermark');
         this.applyButton = document.getElementById('apply-watermark');
         this.formErrors = document.getElementById('form-errors');
         this.errorList = document.getElementById('error-list');
         
+        // Watermark preview elements
+        this.previewPanel = document.getElementById('preview-panel');
+        this.previewImage = document.getElementById('preview-image');
+        this.previewLoading = document.getElementById('preview-loading');
+        this.previewStatus = document.getElementById('preview-status');
+        this.previewPageInfo = document.getElementById('preview-page-info');
+        this.previewPrevPage = document.getElementById('preview-prev-page');
+        this.previewNextPage = document.getElementById('preview-next-page');
+        
         // Download section elements
         this.processingStatus = document.getElementById('processing-status');
         this.downloadReady = document.getElementById('download-ready');
         this.processingError = document.getElementById('processing-error');
         this.statusMessage = document.getElementById('status-message');
         this.processingProgressBar = document.getElementById('processing-progress-bar');
+        this.processingProgressContainer = document.getElementById('processing-progress-container');
+        this.processingAnnouncer = document.getElementById('processing-announcer');
         this.downloadMessage = document.getElementById('download-message');
         this.resultFilename = document.getElementById('result-filename');
         this.resultFilesize = document.getElementById('result-filesize');
+        this.singleFileInfo = document.getElementById('single-file-info');
         this.downloadBtn = document.getElementById('download-btn');
+        this.downloadZipBtn = document.getElementById('download-zip-btn');
+        this.downloadOptions = document.getElementById('download-options');
+        this.filenamePatternInput = document.getElementById('filename-pattern');
+        this.downloadRetentionGroup = document.getElementById('download-retention-group');
+        this.downloadRetentionSelect = document.getElementById('download-retention');
+        this.downloadProgress = document.getElementById('download-progress');
+        this.downloadProgressContainer = document.getElementById('download-progress-container');
+        this.downloadProgressBar = document.getElementById('download-progress-bar');
+        this.downloadProgressStatus = document.getElementById('download-progress-status');
+        this.batchResults = document.getElementById('batch-results');
         this.processAnotherBtn = document.getElementById('process-another-btn');
         this.retryProcessingBtn = document.getElementById('retry-processing-btn');
         this.startOverBtn = document.getElementById('start-over-btn');
         this.processingErrorMessage = document.getElementById('processing-error-message');
+        
+        // Comparison viewer elements
+        this.comparisonViewer = document.getElementById('comparison-viewer');
+        this.comparisonModeButtons = document.querySelectorAll('.comparison-mode-button');
+        this.comparisonToggleBtn = document.getElementById('comparison-toggle-btn');
+        this.comparisonZoomOut = document.getElementById('comparison-zoom-out');
+        this.comparisonZoomIn = document.getElementById('comparison-zoom-in');
+        this.comparisonZoomLevel = document.getElementById('comparison-zoom-level');
+        this.comparisonPrevPage = document.getElementById('comparison-prev-page');
+        this.comparisonNextPage = document.getElementById('comparison-next-page');
+        this.comparisonPageInfo = document.getElementById('comparison-page-info');
+        this.comparisonThumbnails = document.getElementById('comparison-thumbnails');
+        this.comparisonPages = document.getElementById('comparison-pages');
+        this.comparisonOriginalFrame = document.getElementById('comparison-original-frame');
+        this.comparisonWatermarkedFrame = document.getElementById('comparison-watermarked-frame');
+        this.comparisonOriginalImage = document.getElementById('comparison-original-image');
+        this.comparisonWatermarkedImage = document.getElementById('comparison-watermarked-image');
+        this.comparisonStatus = document.getElementById('comparison-status');
+        this.backToConfigureBtn = document.getElementById('back-to-configure-btn');
     }
     
     /**
@@ -115,22 +390,42 @@ class PDFWatermarkApp {
     bindEvents() {
         // File input events
         this.fileInput.addEventListener('change', (e) => this.handleFileSelection(e));
-        this.uploadButton.addEventListener('click', () => this.fileInput.click());
+        this.folderInput.addEventListener('change', (e) => this.handleFileSelection(e));
+        this.uploadButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.fileInput.click();
+        });
+        this.uploadFolderButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.folderInput.click();
+        });
         this.uploadArea.addEventListener('click', () => this.fileInput.click());
+        this.uploadArea.addEventListener('keydown', (e) => this.handleUploadAreaKey(e));
         
         // Action buttons
         this.uploadAnotherBtn.addEventListener('click', () => this.resetUploadArea());
         this.retryUploadBtn.addEventListener('click', () => this.resetUploadArea());
+        this.cancelUploadBtn.addEventListener('click', () => this.cancelUpload());
         this.configureWatermarkBtn.addEventListener('click', () => this.navigateToSection('configure'));
+        this.batchConfigureBtn.addEventListener('click', () => this.navigateToSection('configure'));
+        this.batchClearBtn.addEventListener('click', () => this.resetUploadArea());
+        this.jobHistoryRefreshBtn.addEventListener('click', () => this.loadJobHistory());
+        this.cancelRerunBtn.addEventListener('click', () => this.cancelRerun());
         
-        // Navigation
+        // Navigation - links change the URL hash, which the router follows
         this.navLinks.forEach(link => {
             link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const section = link.getAttribute('href').substring(1);
-                this.navigateToSection(section);
+                if (link.classList.contains('disabled')) {
+                    e.preventDefault();
+                }
             });
         });
+        window.addEventListener('hashchange', () => this.handleRouteChange());
+        
+        // Notification center
+        this.notificationsToggle.addEventListener('click', () => this.toggleNotificationDrawer());
+        this.closeNotificationsBtn.addEventListener('click', () => this.toggleNotificationDrawer(false));
+        this.clearNotificationsBtn.addEventListener('click', () => this.clearNotificationHistory());
         
         // Prevent default drag behaviors
         document.addEventListener('dragover', (e) => e.preventDefault());
@@ -167,11 +462,26 @@ class PDFWatermarkApp {
         });
     }
     
+    /**
+     * Open the file chooser when Enter or Space is pressed on the focused drop zone.
+     * The buttons inside the drop zone handle their own keys.
+     */
+    handleUploadAreaKey(e) {
+        if (e.target !== this.uploadArea || (e.key !== 'Enter' && e.key !== ' ')) return;
+        
+        e.preventDefault();
+        if (this.workflowState === 'uploading') {
+            this.showNotification(this.t('Upload already in progress'), 'warning');
+            return;
+        }
+        this.fileInput.click();
+    }
+    
     /**
      * Handle drag enter event
      */
     handleDragEnter() {
-        if (this.uploadInProgress) return;
+        if (this.workflowState === 'uploading') return;
         this.uploadArea.classList.add('drag-over');
     }
     
@@ -179,7 +489,7 @@ class PDFWatermarkApp {
      * Handle drag over event
      */
     handleDragOver() {
-        if (this.uploadInProgress) return;
+        if (this.workflowState === 'uploading') return;
         this.uploadArea.classList.add('drag-over');
     }
     
@@ -196,967 +506,5179 @@ class PDFWatermarkApp {
     /**
      * Handle file drop event
      */
-    handleDrop(e) {
+    async handleDrop(e) {
         this.uploadArea.classList.remove('drag-over');
         
-        if (this.uploadInProgress) {
-            this.showNotification('Upload already in progress', 'warning');
+        if (this.workflowState === 'uploading') {
+            this.showNotification(this.t('Upload already in progress'), 'warning');
             return;
         }
         
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            this.processFile(files[0]);
+        const files = await this.collectDroppedFiles(e.dataTransfer);
+        this.handleFiles(files);
+    }
+    
+    /**
+     * Collect dropped files, including PDFs inside dropped folders
+     */
+    async collectDroppedFiles(dataTransfer) {
+        // Entries must be read before the first await, while the drop data is still available
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+        
+        if (!entries.some(entry => entry.isDirectory)) {
+            return Array.from(dataTransfer.files);
+        }
+        
+        const files = [];
+        const visit = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                // Skip non-PDF files found while walking folders
+                if (!entry.fullPath.includes('/', 1) || this.isPdfFile(file)) {
+                    files.push(file);
+                }
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await visit(child);
+                    }
+                } while (batch.length > 0);
+            }
+        };
+        
+        for (const entry of entries) {
+            await visit(entry);
         }
+        return files;
     }
     
     /**
      * Handle file selection from input
      */
     handleFileSelection(e) {
-        const file = e.target.files[0];
-        if (file) {
-            this.processFile(file);
+        const files = Array.from(e.target.files);
+        
+        // Folder selections contain every file in the folder; keep only PDFs
+        this.handleFiles(e.target === this.folderInput ? files.filter(file => this.isPdfFile(file)) : files);
+    }
+    
+    /**
+     * Upload a single file directly, or several files as a batch
+     */
+    handleFiles(files) {
+        if (files.length === 0) {
+            this.showError(this.t('No PDF files were found in the selection.'));
+        } else if (files.length === 1) {
+            this.processFile(files[0]);
+        } else {
+            this.startBatchUpload(files);
         }
     }
     
     /**
-     * Process selected file with validation
+     * Check whether a file looks like a PDF
      */
-    processFile(file) {
-        console.log('Processing file:', file.name, file.type, file.size);
-        
+    isPdfFile(file) {
+        return this.allowedTypes.includes(file.type) || file.name.toLowerCase().endsWith('.pdf');
+    }
+    
+    /**
+     * Validate a file before upload, returning an error message or null
+     */
+    getFileValidationError(file) {
         // Validate file type
-        if (!this.allowedTypes.includes(file.type) && !file.name.toLowerCase().endsWith('.pdf')) {
-            this.showError('Please select a valid PDF file.');
-            return;
+        if (!this.isPdfFile(file)) {
+            return this.t('Please select a valid PDF file.');
         }
         
         // Validate file size
         if (file.size > this.maxFileSize) {
-            const maxSizeMB = Math.round(this.maxFileSize / (1024 * 1024));
-            this.showError(`File size exceeds ${maxSizeMB}MB limit.`);
-            return;
+            return this.t('File size exceeds the %{size} limit.', { size: this.formatFileSize(this.maxFileSize) });
         }
         
         // Validate file is not empty
         if (file.size === 0) {
-            this.showError('Selected file is empty.');
-            return;
+            return this.t('Selected file is empty.');
         }
         
-        // Start upload process
-        this.startUpload(file);
+        return null;
     }
     
     /**
-     * Start file upload process
+     * Look inside a PDF before uploading it: check the header and trailer,
+     * detect encryption and collect the page count and page sizes
      */
-    async startUpload(file) {
+    async inspectPdf(file) {
+        const info = { version: null, encrypted: false, pageCount: null, pageSizes: [], error: null };
+        
         try {
-            this.uploadInProgress = true;
-            this.hideAllStates();
-            this.showProgress(file.name);
-            
-            // Create form data
-            const formData = new FormData();
-            formData.append('file', file);
+            const head = await this.readFileRange(file, 0, 1024);
+            const header = head.match(/%PDF-(\d\.\d)/);
+            if (!header) {
+                info.error = this.t('This file is not a PDF document. It may be a different file type renamed to .pdf.');
+                return info;
+            }
+            info.version = header[1];
             
-            // Upload file with progress tracking
-            const response = await this.uploadWithProgress(formData, file.name);
+            const tail = await this.readFileRange(file, Math.max(0, file.size - 64 * 1024), file.size);
+            if (!tail.includes('%%EOF') || !tail.includes('startxref')) {
+                info.error = this.t('This PDF is damaged or incomplete: its end-of-file trailer is missing.');
+                return info;
+            }
             
-            if (response.success) {
-                this.currentSessionId = response.sessionId;
-                this.showSuccess(response.message);
-                this.startProgressTracking();
-            } else {
-                this.showError(response.message || 'Upload failed');
+            let content = tail;
+            if (file.size <= this.maxInspectionSize) {
+                content = await this.readFileRange(file, 0, file.size);
+                const objects = await this.collectPdfObjects(file, content);
+                Object.assign(info, this.getPageInfo(objects));
             }
             
+            info.encrypted = /\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(content);
+            if (info.encrypted) {
+                info.error = this.t('This PDF is password-protected. Remove the password and upload it again.');
+            } else if (info.pageCount === 0) {
+                info.error = this.t('This PDF does not contain any pages.');
+            }
         } catch (error) {
-            console.error('Upload error:', error);
-            this.showError('Upload failed. Please try again.');
+            // Leave the final word to the server when the browser cannot read the file
+            console.error('PDF inspection failed:', error);
         }
+        
+        return info;
     }
     
     /**
-     * Upload file with progress tracking
+     * Read a byte range of a file as a string with one character per byte
      */
-    uploadWithProgress(formData, filename) {
-        return new Promise((resolve, reject) => {
-            const xhr = new XMLHttpRequest();
-            
-            // Track upload progress
-            xhr.upload.addEventListener('progress', (e) => {
-                if (e.lengthComputable) {
-                    const percentage = Math.round((e.loaded / e.total) * 100);
-                    this.updateProgress(percentage, 'Uploading...');
-                }
-            });
-            
-            // Handle response
-            xhr.addEventListener('load', () => {
-                try {
-                    const response = JSON.parse(xhr.responseText);
-                    resolve(response);
-                } catch (error) {
-                    reject(new Error('Invalid response format'));
-                }
-            });
-            
-            // Handle errors
-            xhr.addEventListener('error', () => {
-                reject(new Error('Network error occurred'));
-            });
-            
-            xhr.addEventListener('abort', () => {
-                reject(new Error('Upload was cancelled'));
-            });
-            
-            // Start upload
-            xhr.open('POST', '/api/upload');
-            xhr.send(formData);
-        });
+    async readFileRange(file, start, end) {
+        const buffer = await file.slice(start, end).arrayBuffer();
+        return new TextDecoder('latin1').decode(buffer);
     }
     
     /**
-     * Start tracking upload progress via API
+     * Collect the body of every numbered object, including the ones packed
+     * into compressed object streams (PDF 1.5+)
      */
-    startProgressTracking() {
-        if (!this.currentSessionId) return;
+    async collectPdfObjects(file, content) {
+        const objects = new Map();
+        const objectStreams = [];
+        const objectPattern = /(\d+)\s+\d+\s+obj\b([\s\S]*?)endobj/g;
+        let match;
+        
+        while ((match = objectPattern.exec(content)) !== null) {
+            objects.set(match[1], match[2]);
+            if (/\/Type\s*\/ObjStm\b/.test(match[2])) {
+                objectStreams.push({ body: match[2], offset: match.index + match[0].length - 'endobj'.length - match[2].length });
+            }
+        }
         
-        this.progressCheckInterval = setInterval(async () => {
+        if (typeof DecompressionStream === 'undefined') return objects;
+        
+        for (const { body, offset } of objectStreams) {
+            const streamStart = body.match(/>>\s*stream\r?\n/);
+            const streamEnd = body.lastIndexOf('endstream');
+            const count = parseInt((body.match(/\/N\s+(\d+)/) || [])[1]);
+            const first = parseInt((body.match(/\/First\s+(\d+)/) || [])[1]);
+            if (!streamStart || streamEnd < 0 || !/\/FlateDecode/.test(body) || !count || isNaN(first)) continue;
+            
+            const dataStart = offset + streamStart.index + streamStart[0].length;
+            const length = body.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+            const dataEnd = length
+                ? dataStart + parseInt(length[1])
+                : offset + body.slice(0, streamEnd).replace(/\r?\n$/, '').length;
+            
             try {
-                const response = await fetch(`/api/upload/progress/${this.currentSessionId}`);
-                const data = await response.json();
-                
-                console.log('Progress update:', data);
-                
-                if (data.status === 'completed') {
-                    this.updateProgress(100, data.message);
-                    this.stopProgressTracking();
-                    setTimeout(() => {
-                        this.showFinalSuccess(data.message);
-                    }, 500);
-                } else if (data.status === 'failed' || data.status === 'error') {
-                    this.stopProgressTracking();
-                    this.showError(data.message);
-                } else if (data.status === 'processing') {
-                    this.updateProgress(data.progress, data.message);
+                const data = await this.inflatePdfStream(file.slice(dataStart, dataEnd));
+                const offsets = data.slice(0, first).trim().split(/\s+/).map(Number);
+                for (let i = 0; i < count; i++) {
+                    const from = first + offsets[i * 2 + 1];
+                    const to = i + 1 < count ? first + offsets[i * 2 + 3] : data.length;
+                    objects.set(String(offsets[i * 2]), data.slice(from, to));
                 }
-                
             } catch (error) {
-                console.error('Progress tracking error:', error);
-                this.stopProgressTracking();
-                this.showError('Failed to track upload progress');
+                console.warn('Skipping unreadable object stream:', error);
             }
-        }, 1000); // Check every second
-    }
-    
-    /**
-     * Stop progress tracking
-     */
-    stopProgressTracking() {
-        if (this.progressCheckInterval) {
-            clearInterval(this.progressCheckInterval);
-            this.progressCheckInterval = null;
         }
+        
+        return objects;
     }
     
     /**
-     * Show progress state (Task 45)
-     */
-    showProgress(filename) {
-        this.hideAllStates();
-        this.progressFilename.textContent = filename;
-        this.progressContainer.classList.add('active');
-        this.updateProgress(0, 'Preparing upload...');
-    }
-    
-    /**
-     * Update progress indicators (Task 45)
-     */
-    updateProgress(percentage, status) {
-        this.progressPercentage.textContent = `${percentage}%`;
-        this.progressBar.style.width = `${percentage}%`;
-        this.progressStatus.textContent = status;
-    }
-    
-    /**
-     * Show success state
+     * Inflate a FlateDecode stream into a string with one character per byte
      */
-    showSuccess(message) {
-        this.hideAllStates();
-        this.successMessage.textContent = message;
-        this.successContainer.classList.add('active');
+    async inflatePdfStream(blob) {
+        const stream = blob.stream().pipeThrough(new DecompressionStream('deflate'));
+        return new TextDecoder('latin1').decode(await new Response(stream).arrayBuffer());
     }
     
     /**
-     * Show final success state after processing
+     * Work out the page count and page sizes from the page tree objects
      */
-    showFinalSuccess(message) {
-        this.showSuccess(message || 'Your PDF has been uploaded and is ready for watermarking!');
-        this.uploadInProgress = false;
+    getPageInfo(objects) {
+        const pages = [];
+        let pageTreeCount = null;
+        let inheritedBox = null;
+        
+        for (const body of objects.values()) {
+            const dictionary = body.split(/\bstream\r?\n/)[0];
+            if (/\/Type\s*\/Pages\b/.test(dictionary)) {
+                // The root of the page tree carries the largest count
+                const count = dictionary.match(/\/Count\s+(\d+)/);
+                if (count) pageTreeCount = Math.max(pageTreeCount ?? 0, parseInt(count[1]));
+                inheritedBox = inheritedBox || this.parseMediaBox(dictionary);
+            } else if (/\/Type\s*\/Page(?![A-Za-z])/.test(dictionary)) {
+                pages.push(dictionary);
+            }
+        }
+        
+        const pageCount = pageTreeCount ?? (pages.length > 0 ? pages.length : null);
+        const pageSizes = pages.slice(0, pageCount ?? pages.length).map(page => {
+            const box = this.parseMediaBox(page) || inheritedBox;
+            if (!box) return null;
+            return /\/Rotate\s+-?(?:90|270)\b/.test(page) ? { width: box.height, height: box.width } : box;
+        }).filter(Boolean);
+        
+        if (pageSizes.length === 0 && inheritedBox) {
+            pageSizes.push(inheritedBox);
+        }
+        
+        return { pageCount, pageSizes };
     }
     
     /**
-     * Show error state
+     * Parse a direct /MediaBox array into a page size in points
      */
-    showError(message) {
-        this.hideAllStates();
-        this.errorMessage.textContent = message;
-        this.errorContainer.classList.add('active');
-        this.uploadInProgress = false;
-        this.stopProgressTracking();
+    parseMediaBox(dictionary) {
+        const match = dictionary.match(/\/MediaBox\s*\[\s*(-?[\d.]+)\s+(-?[\d.]+)\s+(-?[\d.]+)\s+(-?[\d.]+)\s*\]/);
+        if (!match) return null;
+        
+        const [x1, y1, x2, y2] = match.slice(1).map(Number);
+        return { width: Math.round(Math.abs(x2 - x1)), height: Math.round(Math.abs(y2 - y1)) };
     }
     
     /**
-     * Hide all upload states
+     * Get the largest area that fits on every page, or null when the sizes are unknown
      */
-    hideAllStates() {
-        this.progressContainer.classList.remove('active');
-        this.successContainer.classList.remove('active');
-        this.errorContainer.classList.remove('active');
-        this.uploadArea.classList.remove('drag-over');
+    getPageBounds() {
+        const sizes = this.documentInfo ? this.documentInfo.pageSizes : [];
+        if (sizes.length === 0) return null;
+        
+        return {
+            width: Math.min(...sizes.map(size => size.width)),
+            height: Math.min(...sizes.map(size => size.height))
+        };
     }
     
     /**
-     * Reset upload area to initial state
+     * Format a page size, naming common paper formats
      */
-    resetUploadArea() {
-        this.hideAllStates();
-        this.fileInput.value = '';
-        this.uploadInProgress = false;
-        this.currentSessionId = null;
-        this.stopProgressTracking();
-        console.log('Upload area reset');
+    formatPageSize(size) {
+        const paper = this.paperSizes.find(candidate =>
+            Math.abs(Math.min(size.width, size.height) - candidate.width) <= 3 &&
+            Math.abs(Math.max(size.width, size.height) - candidate.height) <= 3);
+        const dimensions = this.t('%{width} × %{height} pt', { width: size.width, height: size.height });
+        
+        if (!paper) return dimensions;
+        return size.width > size.height
+            ? this.t('%{paper} landscape (%{dimensions})', { paper: paper.name, dimensions })
+            : this.t('%{paper} portrait (%{dimensions})', { paper: paper.name, dimensions });
     }
     
     /**
-     * Show loading overlay
+     * Describe the inspected document in one line
      */
-    showLoading(message = 'Processing...') {
-        this.loadingMessage.textContent = message;
-        this.loadingOverlay.classList.add('active');
+    describeDocument(info) {
+        const parts = [];
+        const sizes = [...new Set(info.pageSizes.map(size => this.formatPageSize(size)))];
+        
+        if (info.pageCount) {
+            parts.push(this.tp(info.pageCount, '%{count} page', '%{count} pages'));
+        }
+        if (sizes.length === 1) {
+            parts.push(sizes[0]);
+        } else if (sizes.length > 1) {
+            parts.push(this.t('%{count} different page sizes', { count: sizes.length }));
+        }
+        if (info.version) {
+            parts.push(this.t('PDF %{version}', { version: info.version }));
+        }
+        
+        return parts.join(' · ');
     }
     
     /**
-     * Hide loading overlay
+     * Show the inspected document details and limit position inputs to the page area
      */
-    hideLoading() {
-        this.loadingOverlay.classList.remove('active');
+    renderDocumentInfo() {
+        const description = this.documentInfo ? this.describeDocument(this.documentInfo) : '';
+        this.documentInfoText.textContent = description;
+        this.documentInfoText.style.display = description ? 'block' : 'none';
+        
+        const bounds = this.getPageBounds();
+        if (bounds) {
+            this.positionX.max = bounds.width;
+            this.positionY.max = bounds.height;
+        } else {
+            this.positionX.removeAttribute('max');
+            this.positionY.removeAttribute('max');
+        }
+        this.updatePlacementCanvas();
+        this.handlePageSelectionChange();
     }
     
     /**
-     * Navigate to different sections
+     * Process selected file with validation
      */
-    navigateToSection(sectionName) {
-        // Update navigation
-        this.navLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('href') === `#${sectionName}`) {
-                link.classList.add('active');
-            }
-        });
+    async processFile(file) {
+        console.log('Processing file:', file.name, file.type, file.size);
         
-        // Update sections
-        this.sections.forEach(section => {
-            section.classList.remove('active');
-            if (section.id === `${sectionName}-section`) {
-                section.classList.add('active');
-            }
-        });
+        const validationError = this.getFileValidationError(file);
+        if (validationError) {
+            this.showError(validationError);
+            return;
+        }
+        
+        this.transitionTo('uploading');
+        this.showProgress(file.name);
+        this.updateProgress(0, this.t('Checking PDF...'));
+        
+        const inspection = await this.inspectPdf(file);
+        if (inspection.error) {
+            this.showError(inspection.error);
+            return;
+        }
+        this.documentInfo = { ...inspection, fileName: file.name };
         
-        console.log(`Navigated to section: ${sectionName}`);
+        // Start upload process
+        this.startUpload(file);
     }
     
     /**
-     * Show notification (utility function)
+     * Upload several files one after another and group them into a server-side batch
      */
-    showNotification(message, type = 'info') {
-        // Simple console logging for now - can be enhanced with toast notifications
-        console.log(`${type.toUpperCase()}: ${message}`);
+    async startBatchUpload(files) {
+        if (files.length > this.maxBatchFiles) {
+            this.showError(this.t('A batch can contain at most %{count} files.', { count: this.maxBatchFiles }));
+            return;
+        }
+        
+        this.transitionTo('uploading');
+        this.hideAllStates();
+        
+        const items = files.map(file => ({ file, sessionId: null, status: 'queued', message: this.t('Waiting...'), progress: 0 }));
+        this.batchFiles = items;
+        this.renderBatchQueue();
+        this.batchQueue.classList.add('active');
         
-        // Could implement toast notifications here in the future
-        if (type === 'error') {
-            this.showError(message);
+        for (const item of items) {
+            const validationError = this.getFileValidationError(item.file);
+            if (validationError) {
+                this.updateBatchItem(item, 'invalid', validationError, 0);
+                continue;
+            }
+            
+            const inspection = await this.inspectPdf(item.file);
+            if (inspection.error) {
+                this.updateBatchItem(item, 'invalid', inspection.error, 0);
+                continue;
+            }
+            
+            this.updateBatchItem(item, 'uploading', this.t('Uploading...'), 0);
+            
+            try {
+                const response = await this.uploadWithProgress(item.file, (percentage, status) => {
+                    this.updateBatchItem(item, 'uploading', `${status} ${this.formatPercent(percentage)}`, percentage);
+                });
+                
+                if (response.success) {
+                    item.sessionId = response.sessionId;
+                    this.updateBatchItem(item, 'uploaded', this.t('Uploaded'), 100);
+                } else {
+                    this.updateBatchItem(item, 'failed', response.message || this.t('Upload failed'), 0);
+                }
+            } catch (error) {
+                console.error('Batch upload error:', error);
+                this.updateBatchItem(item, 'failed', this.t('Upload failed'), 0);
+            }
+            
+            // Stop if the queue was cleared while this file was uploading
+            if (this.batchFiles !== items) return;
         }
+        
+        await this.createBatch(items);
     }
     
     /**
-     * Validate session and check if upload is complete
+     * Create the server-side batch from the successfully uploaded files
      */
-    async validateSession() {
-        if (!this.currentSessionId) return false;
+    async createBatch(items) {
+        const sessionIds = items.filter(item => item.sessionId).map(item => item.sessionId);
+        if (sessionIds.length === 0) {
+            this.batchQueueSummary.textContent = this.t('None of the files could be uploaded');
+            this.transitionTo('failed');
+            return;
+        }
         
         try {
-            const response = await fetch(`/api/upload/progress/${this.currentSessionId}`);
-            const data = await response.json();
-            return data.status === 'completed';
-        } catch (error) {
-            console.error('Session validation error:', error);
-            return false;
+            const response = await fetch('/api/batch', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ sessionIds })
+            });
+            const result = await response.json();
+            
+            if (this.batchFiles !== items) return;
+            
+            if (result.success) {
+                this.currentBatchId = result.batchId;
+                // The first file stands in for the batch in the preview and font size hints
+                this.currentSessionId = sessionIds[0];
+                this.transitionTo('uploaded');
+                this.scheduleFontSizeResolve();
+                this.batchConfigureBtn.disabled = false;
+                this.runPendingRerun();
+            } else {
+                this.batchQueueSummary.textContent = result.message || this.t('Failed to create batch');
+                this.transitionTo('failed');
+            }
+        } catch (error) {
+            console.error('Batch creation error:', error);
+            if (this.batchFiles !== items) return;
+            this.batchQueueSummary.textContent = this.t('Failed to create batch');
+            this.transitionTo('failed');
         }
     }
     
     /**
-     * Handle browser navigation and refresh
+     * Render the batch queue list
      */
-    handlePageVisibility() {
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                // Page is hidden, pause progress tracking if needed
-                console.log('Page visibility changed: hidden');
+    renderBatchQueue() {
+        this.batchQueueList.innerHTML = '';
+        
+        this.batchFiles.forEach(item => {
+            const element = document.createElement('li');
+            element.className = 'batch-item';
+            element.innerHTML = `
+                <span class="batch-item-name"></span>
+                <span class="batch-item-status"></span>
+                <span class="batch-item-meta"></span>
+                <div class="progress-bar-container">
+                    <div class="progress-bar"></div>
+                </div>
+            `;
+            element.querySelector('.batch-item-name').textContent = item.file.name;
+            element.querySelector('.batch-item-meta').textContent = this.formatFileSize(item.file.size);
+            
+            item.element = element;
+            this.batchQueueList.appendChild(element);
+            this.updateBatchItem(item, item.status, item.message, item.progress);
+        });
+    }
+    
+    /**
+     * Update a batch queue entry and the queue summary
+     */
+    updateBatchItem(item, status, message, progress) {
+        item.status = status;
+        item.message = message;
+        item.progress = progress;
+        
+        item.element.classList.toggle('completed', status === 'uploaded');
+        item.element.classList.toggle('failed', status === 'failed' || status === 'invalid');
+        item.element.querySelector('.batch-item-status').textContent = message;
+        item.element.querySelector('.progress-bar').style.width = `${progress}%`;
+        
+        const uploaded = this.batchFiles.filter(file => file.status === 'uploaded').length;
+        const skipped = this.batchFiles.filter(file => file.status === 'failed' || file.status === 'invalid').length;
+        this.batchQueueSummary.textContent = skipped > 0
+            ? this.t('%{uploaded} of %{total} uploaded, %{skipped} skipped', { uploaded, total: this.batchFiles.length, skipped })
+            : this.t('%{uploaded} of %{total} uploaded', { uploaded, total: this.batchFiles.length });
+    }
+    
+    /**
+     * Clear the batch queue and forget the server-side batch
+     */
+    resetBatch() {
+        this.batchFiles = [];
+        this.currentBatchId = null;
+        this.batchQueue.classList.remove('active');
+        this.batchQueueList.innerHTML = '';
+        this.batchConfigureBtn.disabled = true;
+        this.folderInput.value = '';
+    }
+    
+    /**
+     * Start file upload process
+     */
+    async startUpload(file) {
+        try {
+            this.hideAllStates();
+            this.showProgress(file.name);
+            
+            // Upload file with progress tracking
+            const response = await this.uploadWithProgress(file);
+            
+            if (response.success) {
+                this.currentSessionId = response.sessionId;
+                this.transitionTo('uploaded');
+                this.resetPreview();
+                this.scheduleFontSizeResolve();
+                this.showSuccess(response.message);
+                this.renderDocumentInfo();
+                this.startProgressTracking();
+                this.runPendingRerun();
             } else {
-                // Page is visible, resume operations if needed
-                console.log('Page visibility changed: visible');
-                if (this.currentSessionId && this.uploadInProgress) {
-                    this.startProgressTracking();
-                }
+                this.showNotification(response.message || this.t('Upload failed'), 'error', { context: 'upload' });
             }
-        });
+            
+        } catch (error) {
+            if (error.cancelled) return;
+            console.error('Upload error:', error);
+            this.showNotification(error.message || this.t('Upload failed. Please try again.'), 'error', { context: 'upload' });
+        }
     }
     
     /**
-     * Handle keyboard shortcuts
+     * Upload file in chunks with progress tracking, resuming an earlier
+     * interrupted upload of the same file and retrying after network drops
      */
-    initializeKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Escape key to cancel/reset
-            if (e.key === 'Escape' && this.uploadInProgress) {
-                this.resetUploadArea();
+    async uploadWithProgress(file, onProgress = (percentage, status) => this.updateProgress(percentage, status)) {
+        const upload = { uploadId: null, xhr: null, cancelled: false, fingerprint: this.getUploadFingerprint(file) };
+        this.currentUpload = upload;
+        
+        try {
+            const started = await this.resumeOrStartUpload(file, upload.fingerprint);
+            upload.uploadId = started.uploadId;
+            let receivedBytes = started.receivedBytes;
+            let failures = 0;
+            
+            if (receivedBytes > 0) {
+                onProgress(Math.round((receivedBytes / file.size) * 100), this.t('Resuming upload...'));
+            }
+            
+            while (receivedBytes < file.size) {
+                this.throwIfCancelled(upload);
+                const offset = receivedBytes;
+                const chunk = file.slice(offset, offset + started.chunkSize);
+                
+                try {
+                    const result = await this.sendChunk(upload, offset, chunk, (loaded) => {
+                        onProgress(Math.round(((offset + loaded) / file.size) * 100), this.t('Uploading...'));
+                    });
+                    receivedBytes = result.receivedBytes;
+                    failures = 0;
+                } catch (error) {
+                    if (upload.cancelled || !error.retryable || ++failures > this.uploadRetryLimit) throw error;
+                    
+                    onProgress(Math.round((offset / file.size) * 100), this.t('Connection lost, retrying (%{attempt}/%{limit})...', { attempt: failures, limit: this.uploadRetryLimit }));
+                    await new Promise(resolve => setTimeout(resolve, 1000 * failures));
+                    
+                    // Continue from whatever the server received before the connection dropped
+                    receivedBytes = await this.getReceivedBytes(upload.uploadId);
+                }
             }
             
-            // Enter key on upload area to trigger file selection
-            if (e.key === 'Enter' && e.target === this.uploadArea) {
-                this.fileInput.click();
+            this.throwIfCancelled(upload);
+            onProgress(100, this.t('Finalizing upload...'));
+            
+            const response = await fetch(`/api/upload/chunked/${upload.uploadId}/complete`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ filename: file.name, size: file.size })
+            });
+            const result = await response.json();
+            
+            this.forgetResumableUpload(upload.fingerprint);
+            return result;
+        } catch (error) {
+            if (upload.cancelled) {
+                this.discardUpload(upload);
+                error.cancelled = true;
             }
-        });
+            throw error;
+        } finally {
+            if (this.currentUpload === upload) {
+                this.currentUpload = null;
+            }
+        }
     }
     
     /**
-     * Bind watermark configuration form events (Tasks 47-51)
+     * Resume a saved upload of the same file if the server still has it, otherwise start a new one
      */
-    bindWatermarkFormEvents() {
-        // Position radio button events
-        this.positionRadios.forEach(radio => {
-            radio.addEventListener('change', () => this.handlePositionChange());
-        });
+    async resumeOrStartUpload(file, fingerprint) {
+        const savedUploadId = this.getResumableUploads()[fingerprint];
         
-        // Font size configuration events
-        this.fontSizeTypeRadios.forEach(radio => {
-            radio.addEventListener('change', () => this.handleFontSizeTypeChange());
-        });
-        this.fontSizeSlider.addEventListener('input', () => this.handleFontSizeChange());
-        this.fontSizeMin.addEventListener('input', () => this.handleFontSizeRangeChange());
-        this.fontSizeMax.addEventListener('input', () => this.handleFontSizeRangeChange());
+        if (savedUploadId) {
+            try {
+                const response = await fetch(`/api/upload/chunked/${savedUploadId}`);
+                if (response.ok) {
+                    return await response.json();
+                }
+            } catch (error) {
+                console.warn('Could not resume upload:', error);
+            }
+            this.forgetResumableUpload(fingerprint);
+        }
         
-        // Color configuration events
-        this.colorTypeRadios.forEach(radio => {
-            radio.addEventListener('change', () => this.handleColorTypeChange());
+        const response = await fetch('/api/upload/chunked', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ filename: file.name, size: file.size })
         });
-        this.colorPicker.addEventListener('change', () => this.handleColorChange());
+        const result = await response.json();
         
-        // Orientation configuration events
-        this.orientationTypeRadios.forEach(radio => {
-            radio.addEventListener('change', () => this.handleOrientationTypeChange());
+        if (!result.success) {
+            throw new Error(result.message || this.t('Upload failed'));
+        }
+        
+        this.rememberResumableUpload(fingerprint, result.uploadId);
+        return result;
+    }
+    
+    /**
+     * Send one chunk at the given offset. Network failures are retryable; an offset
+     * conflict resolves with the server's byte count so the upload can realign.
+     */
+    sendChunk(upload, offset, chunk, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            upload.xhr = xhr;
+            
+            // Track upload progress
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    onProgress(e.loaded);
+                }
+            });
+            
+            // Handle response
+            xhr.addEventListener('load', () => {
+                let response;
+                try {
+                    response = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    reject(Object.assign(new Error(this.t('Invalid response format')), { retryable: true }));
+                    return;
+                }
+                
+                if (xhr.status === 200 || xhr.status === 409) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.message || this.t('Upload failed')));
+                }
+            });
+            
+            // Handle errors
+            xhr.addEventListener('error', () => {
+                reject(Object.assign(new Error(this.t('Network error occurred')), { retryable: true }));
+            });
+            
+            xhr.addEventListener('abort', () => {
+                reject(new Error(this.t('Upload was cancelled')));
+            });
+            
+            // Start upload
+            xhr.open('PUT', `/api/upload/chunked/${upload.uploadId}/${offset}`);
+            xhr.send(chunk);
         });
-        this.orientationSlider.addEventListener('input', () => this.handleOrientationChange());
+    }
+    
+    /**
+     * Ask the server how many bytes of an upload it has received
+     */
+    async getReceivedBytes(uploadId) {
+        const response = await fetch(`/api/upload/chunked/${uploadId}`);
+        const result = await response.json();
         
-        // Quantity events
-        this.quantityInput.addEventListener('input', () => this.handleQuantityChange());
+        if (!response.ok) {
+            throw new Error(result.message || this.t('Upload expired'));
+        }
+        return result.receivedBytes;
+    }
+    
+    /**
+     * Stop an upload that was cancelled by the user
+     */
+    throwIfCancelled(upload) {
+        if (upload.cancelled) {
+            throw new Error(this.t('Upload was cancelled'));
+        }
+    }
+    
+    /**
+     * Cancel the upload in progress and return to the initial upload state
+     */
+    cancelUpload() {
+        this.resetUploadArea();
+        this.showNotification(this.t('Upload cancelled'), 'info');
+    }
+    
+    /**
+     * Abort the transfer in progress; the upload loop then discards the partial data
+     */
+    abortCurrentUpload() {
+        if (!this.currentUpload) return;
         
-        // Form validation on input
-        this.watermarkText.addEventListener('input', () => this.validateField('text'));
-        this.positionX.addEventListener('input', () => this.validateField('position'));
-        this.positionY.addEventListener('input', () => this.validateField('position'));
+        this.currentUpload.cancelled = true;
+        this.currentUpload.xhr?.abort();
+        this.currentUpload = null;
+    }
+    
+    /**
+     * Tell the server to discard a cancelled upload
+     */
+    discardUpload(upload) {
+        this.forgetResumableUpload(upload.fingerprint);
+        if (upload.uploadId) {
+            fetch(`/api/upload/chunked/${upload.uploadId}`, { method: 'DELETE' })
+                .catch(error => console.warn('Failed to discard upload:', error));
+        }
+    }
+    
+    /**
+     * Identify a file across page reloads so its upload can be resumed
+     */
+    getUploadFingerprint(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+    
+    /**
+     * Get uploads that can be resumed, keyed by file fingerprint
+     */
+    getResumableUploads() {
+        try {
+            return JSON.parse(localStorage.getItem(this.resumableUploadsKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Remember an upload id so the upload can resume after a page refresh
+     */
+    rememberResumableUpload(fingerprint, uploadId) {
+        const uploads = this.getResumableUploads();
+        uploads[fingerprint] = uploadId;
+        localStorage.setItem(this.resumableUploadsKey, JSON.stringify(uploads));
+    }
+    
+    /**
+     * Forget a finished or cancelled upload
+     */
+    forgetResumableUpload(fingerprint) {
+        const uploads = this.getResumableUploads();
+        delete uploads[fingerprint];
+        localStorage.setItem(this.resumableUploadsKey, JSON.stringify(uploads));
+    }
+    
+    /**
+     * Receive status updates pushed over Server-Sent Events. The browser reconnects
+     * dropped streams by itself; when streaming is unavailable, fall back to polling.
+     * Polling stops with an error update once the server refuses the request, e.g.
+     * after the session has expired.
+     */
+    subscribeToStatus({ streamUrl, eventType, pollUrl, pollInterval, onUpdate }) {
+        this.stopStatusUpdates();
         
-        // Form submission
-        this.watermarkForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        const subscription = { source: null, timer: null };
+        this.statusSubscription = subscription;
+        const isActive = () => this.statusSubscription === subscription;
         
-        // Preview button
-        this.previewButton.addEventListener('click', () => this.handlePreview());
+        const poll = async () => {
+            try {
+                const response = await fetch(pollUrl);
+                if (response.status >= 400 && response.status < 500) {
+                    const data = await response.json().catch(() => ({}));
+                    if (isActive()) {
+                        this.stopStatusUpdates();
+                        onUpdate({
+                            status: 'error',
+                            message: response.status === 404
+                                ? this.t('This session has expired. Please upload your document again.')
+                                : data.message || this.t('Failed to check status')
+                        });
+                    }
+                    return;
+                }
+                const data = await response.json();
+                if (isActive()) onUpdate(data);
+            } catch (error) {
+                console.error('Status polling error:', error);
+            }
+            if (isActive()) {
+                subscription.timer = setTimeout(poll, pollInterval);
+            }
+        };
         
-        // Download section events
-        this.downloadBtn?.addEventListener('click', () => this.handleDownload());
-        this.processAnotherBtn?.addEventListener('click', () => this.handleProcessAnother());
-        this.retryProcessingBtn?.addEventListener('click', () => this.handleRetryProcessing());
-        this.startOverBtn?.addEventListener('click', () => this.handleStartOver());
+        const fallBackToPolling = () => {
+            subscription.source?.close();
+            subscription.source = null;
+            console.warn('Status streaming unavailable, falling back to polling');
+            poll();
+        };
         
-        // Initialize default values
-        this.handlePositionChange();
-        this.handleFontSizeTypeChange();
-        this.handleFontSizeChange();
-        this.handleColorTypeChange();
-        this.handleColorChange();
-        this.handleOrientationTypeChange();
-        this.handleOrientationChange();
-        this.handleQuantityChange();
+        if (!window.EventSource) {
+            fallBackToPolling();
+            return;
+        }
+        
+        const source = new EventSource(streamUrl);
+        subscription.source = source;
+        let connected = false;
+        let reconnectAttempts = 0;
+        
+        source.addEventListener('open', () => {
+            connected = true;
+            reconnectAttempts = 0;
+        });
+        
+        source.addEventListener(eventType, (e) => {
+            if (isActive()) onUpdate(JSON.parse(e.data));
+        });
+        
+        source.addEventListener('error', () => {
+            if (!isActive()) return;
+            
+            // A stream that never connected or was refused on reconnect is treated as unsupported
+            if (!connected || source.readyState === EventSource.CLOSED || ++reconnectAttempts > this.maxStreamReconnectAttempts) {
+                fallBackToPolling();
+            }
+        });
+    }
+    
+    /**
+     * Stop receiving status updates
+     */
+    stopStatusUpdates() {
+        const subscription = this.statusSubscription;
+        if (!subscription) return;
+        
+        subscription.source?.close();
+        clearTimeout(subscription.timer);
+        this.statusSubscription = null;
+    }
+    
+    /**
+     * Start tracking upload progress via pushed status events
+     */
+    startProgressTracking() {
+        if (!this.currentSessionId) return;
+        
+        this.subscribeToStatus({
+            streamUrl: `/api/events/${this.currentSessionId}`,
+            eventType: 'upload',
+            pollUrl: `/api/upload/progress/${this.currentSessionId}`,
+            pollInterval: 1000,
+            onUpdate: (data) => {
+                console.log('Progress update:', data);
+                
+                if (data.status === 'completed') {
+                    this.updateProgress(100, data.message);
+                    this.stopProgressTracking();
+                    setTimeout(() => {
+                        this.showFinalSuccess(data.message);
+                    }, 500);
+                } else if (data.status === 'failed' || data.status === 'error') {
+                    this.transitionTo('failed');
+                    this.showError(data.message);
+                } else if (data.status === 'processing') {
+                    this.updateProgress(data.progress, data.message);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Stop progress tracking
+     */
+    stopProgressTracking() {
+        this.stopStatusUpdates();
+    }
+    
+    /**
+     * Show progress state (Task 45)
+     */
+    showProgress(filename) {
+        this.hideAllStates();
+        this.progressFilename.textContent = filename;
+        this.progressContainer.classList.add('active');
+        this.announcedProgress.delete(this.uploadAnnouncer);
+        this.updateProgress(0, this.t('Preparing upload...'));
+    }
+    
+    /**
+     * Update progress indicators (Task 45)
+     */
+    updateProgress(percentage, status) {
+        this.progressPercentage.textContent = this.formatPercent(percentage);
+        this.progressBar.style.width = `${percentage}%`;
+        this.progressBarContainer.setAttribute('aria-valuenow', Math.round(percentage));
+        this.progressStatus.textContent = status;
+        this.announceProgress(this.uploadAnnouncer, percentage, status);
+    }
+    
+    /**
+     * Read a message out to screen reader users through a live region
+     */
+    announce(region, message) {
+        region.textContent = '';
+        // Setting the text in a later frame makes screen readers repeat an unchanged message
+        requestAnimationFrame(() => {
+            region.textContent = message;
+        });
+    }
+    
+    /**
+     * Announce progress when its status changes or it passes another quarter,
+     * rather than on every update
+     */
+    announceProgress(region, percentage, status) {
+        const quarter = Math.floor(percentage / 25);
+        const last = this.announcedProgress.get(region);
+        if (last && last.status === status && last.quarter === quarter) return;
+        
+        this.announcedProgress.set(region, { status, quarter });
+        this.announce(region, `${status} ${this.formatPercent(percentage)}`);
+    }
+    
+    /**
+     * Show success state
+     */
+    showSuccess(message) {
+        this.hideAllStates();
+        this.successMessage.textContent = message;
+        this.successContainer.classList.add('active');
+        this.announce(this.uploadAnnouncer, message);
+    }
+    
+    /**
+     * Show final success state after processing
+     */
+    showFinalSuccess(message) {
+        this.showSuccess(message || this.t('Your PDF has been uploaded and is ready for watermarking!'));
+    }
+    
+    /**
+     * Show error state, failing the upload in progress; errors raised as notifications
+     * are already read out by their toast
+     */
+    showError(message, announce = true) {
+        this.hideAllStates();
+        this.errorMessage.textContent = message;
+        this.errorContainer.classList.add('active');
+        if (announce) {
+            this.announce(this.uploadAnnouncer, message);
+        }
+        if (this.workflowState === 'uploading') {
+            this.transitionTo('failed');
+        }
+    }
+    
+    /**
+     * Hide all upload states
+     */
+    hideAllStates() {
+        this.progressContainer.classList.remove('active');
+        this.successContainer.classList.remove('active');
+        this.errorContainer.classList.remove('active');
+        this.uploadArea.classList.remove('drag-over');
+    }
+    
+    /**
+     * Reset upload area to initial state, abandoning the current document
+     */
+    resetUploadArea() {
+        this.transitionTo('idle');
+        // Also clears error panels shown while no document was uploaded
+        this.hideAllStates();
+        this.fileInput.value = '';
+        console.log('Upload area reset');
+    }
+    
+    /**
+     * Move the workflow to another state and run the cleanup that belongs to the move.
+     * Moves the transition table does not list are refused; moving to the current state
+     * does nothing. Returning to idle keeps the watermark settings unless resetSettings is set.
+     */
+    transitionTo(state, { resetSettings = false } = {}) {
+        const previous = this.workflowState;
+        if (state === previous) return true;
+        if (!this.workflowTransitions[previous].includes(state)) {
+            console.warn(`Refused workflow transition from ${previous} to ${state}`);
+            return false;
+        }
+        this.workflowState = state;
+        
+        switch (state) {
+            case 'idle':
+            case 'uploading':
+                // The current document is replaced or abandoned. A job still being processed
+                // keeps its session on the server until it expires.
+                this.abortCurrentUpload();
+                this.stopStatusUpdates();
+                if (previous !== 'processing') {
+                    this.releaseSessions();
+                }
+                this.currentSessionId = null;
+                this.documentInfo = null;
+                this.resetBatch();
+                this.resetPreview();
+                this.hideComparison();
+                this.resetDownload();
+                this.renderDocumentInfo();
+                break;
+            case 'ready':
+            case 'failed':
+                this.stopStatusUpdates();
+                break;
+        }
+        
+        if (state === 'idle') {
+            this.hideAllStates();
+            this.fileInput.value = '';
+            if (resetSettings) {
+                this.resetWatermarkSettings();
+            }
+        }
+        
+        this.updateNavigationState();
+        this.saveAppState();
+        console.log(`Workflow: ${previous} -> ${state}`);
+        return true;
+    }
+    
+    /**
+     * Whether a watermarking job was started for the current document or batch
+     */
+    hasStartedProcessing() {
+        return ['processing', 'ready', 'failed'].includes(this.workflowState);
+    }
+    
+    /**
+     * Let the server delete the files of the current document or batch. Processed files
+     * stay for the job history until the server's retention rules purge them. Sessions
+     * that are not released expire on their own, so failures are only logged.
+     */
+    releaseSessions() {
+        const sessionIds = new Set(this.batchFiles.map(item => item.sessionId).filter(Boolean));
+        if (this.currentSessionId) {
+            sessionIds.add(this.currentSessionId);
+        }
+        
+        sessionIds.forEach(sessionId => {
+            fetch(`/api/session/${sessionId}?keepOutput=true`, { method: 'DELETE', keepalive: true })
+                .catch(error => console.warn('Could not release session:', error));
+        });
+    }
+    
+    /**
+     * Show loading overlay
+     */
+    showLoading(message = this.t('Processing...')) {
+        this.loadingMessage.textContent = message;
+        this.loadingOverlay.classList.add('active');
+    }
+    
+    /**
+     * Hide loading overlay
+     */
+    hideLoading() {
+        this.loadingOverlay.classList.remove('active');
+    }
+    
+    /**
+     * Navigate to different sections
+     */
+    navigateToSection(sectionName, replaceHistory = false) {
+        const targetSection = this.guardSection(sectionName);
+        const previousSection = this.currentSection;
+        const hash = `#${targetSection}`;
+        
+        // Record the step in the URL; redirects replace the entry they were redirected from
+        if (window.location.hash !== hash) {
+            if (replaceHistory || targetSection !== sectionName) {
+                history.replaceState(null, '', hash);
+            } else {
+                history.pushState(null, '', hash);
+            }
+        }
+        
+        // Update sections
+        this.sections.forEach(section => {
+            section.classList.remove('active');
+            if (section.id === `${targetSection}-section`) {
+                section.classList.add('active');
+            }
+        });
+        
+        this.currentSection = targetSection;
+        if (targetSection === 'configure' && this.workflowState === 'uploaded') {
+            this.transitionTo('configuring');
+        }
+        this.updateNavigationState();
+        this.saveAppState();
+        
+        // Move focus to the new step's heading so keyboard and screen reader users start there
+        if (targetSection !== previousSection) {
+            document.getElementById(`${targetSection}-heading`)?.focus();
+        }
+        
+        console.log(`Navigated to section: ${targetSection}`);
+        return targetSection;
+    }
+    
+    /**
+     * Follow URL hash changes from Back/Forward, nav links and typed URLs
+     */
+    handleRouteChange() {
+        const sectionName = this.getRequestedSection() || 'upload';
+        if (sectionName !== this.currentSection) {
+            this.navigateToSection(sectionName, true);
+        }
+    }
+    
+    /**
+     * Get the section named in the URL hash, if it exists
+     */
+    getRequestedSection() {
+        const sectionName = window.location.hash.substring(1);
+        return this.sectionExists(sectionName) ? sectionName : null;
+    }
+    
+    /**
+     * Check whether a section with the given name exists
+     */
+    sectionExists(sectionName) {
+        return Array.from(this.sections).some(section => section.id === `${sectionName}-section`);
+    }
+    
+    /**
+     * Redirect steps that are not reachable yet: Configure needs an uploaded
+     * document and Download needs a watermarking job
+     */
+    guardSection(sectionName) {
+        const hasSession = Boolean(this.currentSessionId || this.currentBatchId);
+        
+        if (sectionName === 'configure' && !hasSession) return 'upload';
+        if (sectionName === 'download') {
+            if (!hasSession) return 'upload';
+            if (!this.hasStartedProcessing()) return 'configure';
+        }
+        return this.sectionExists(sectionName) ? sectionName : 'upload';
+    }
+    
+    /**
+     * Mark nav links as active, completed or disabled for the current workflow state
+     */
+    updateNavigationState() {
+        const completed = {
+            upload: Boolean(this.currentSessionId || this.currentBatchId),
+            configure: this.hasStartedProcessing(),
+            download: false
+        };
+        
+        this.navLinks.forEach(link => {
+            const sectionName = link.getAttribute('href').substring(1);
+            const disabled = this.guardSection(sectionName) !== sectionName;
+            const active = sectionName === this.currentSection;
+            
+            link.classList.toggle('active', active);
+            link.classList.toggle('completed', Boolean(completed[sectionName]) && !active);
+            link.classList.toggle('disabled', disabled);
+            link.setAttribute('aria-disabled', disabled ? 'true' : 'false');
+            if (active) {
+                link.setAttribute('aria-current', 'step');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+    
+    /**
+     * Show a toast notification and record it in the notification history.
+     * Type is info, success, warning or error. Actions are { label, handler } buttons;
+     * details are shown in the history drawer. Errors raised in the upload step also
+     * update the upload error panel; errors from other steps only produce a toast.
+     */
+    showNotification(message, type = 'info', { actions = [], details = null, context = this.currentSection, duration = null } = {}) {
+        console.log(`${type.toUpperCase()}: ${message}`);
+        
+        const notification = {
+            id: ++this.notificationCounter,
+            message: message,
+            type: type,
+            details: details,
+            context: context,
+            timestamp: new Date(),
+            read: false
+        };
+        this.notifications.unshift(notification);
+        this.notifications.length = Math.min(this.notifications.length, this.maxNotificationHistory);
+        
+        if (type === 'error' && context === 'upload') {
+            this.showError(message, false);
+        }
+        
+        if (details) {
+            actions = [...actions, { label: this.t('View details'), handler: () => this.toggleNotificationDrawer(true) }];
+        }
+        this.showToast(notification, actions, duration ?? (type === 'error' ? 0 : actions.length > 0 ? 10000 : 5000));
+        this.renderNotificationHistory();
+        
+        return notification.id;
+    }
+    
+    /**
+     * Add a toast to the stack; a duration of 0 keeps it until it is dismissed
+     */
+    showToast(notification, actions, duration) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${notification.type}`;
+        toast.setAttribute('role', notification.type === 'error' ? 'alert' : 'status');
+        toast.dataset.notificationId = notification.id;
+        
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = { success: '✓', warning: '!', error: '✕' }[notification.type] || 'i';
+        
+        const body = document.createElement('div');
+        body.className = 'toast-body';
+        
+        const message = document.createElement('div');
+        message.className = 'toast-message';
+        message.textContent = notification.message;
+        body.appendChild(message);
+        
+        if (actions.length > 0) {
+            const actionBar = document.createElement('div');
+            actionBar.className = 'toast-actions';
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    this.dismissToast(toast);
+                    action.handler();
+                });
+                actionBar.appendChild(button);
+            });
+            body.appendChild(actionBar);
+        }
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'toast-close';
+        closeButton.setAttribute('aria-label', this.t('Dismiss notification'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.dismissToast(toast));
+        
+        toast.appendChild(icon);
+        toast.appendChild(body);
+        toast.appendChild(closeButton);
+        this.toastContainer.appendChild(toast);
+        
+        // Keep the stack short; older toasts stay available in the history
+        while (this.toastContainer.children.length > this.maxVisibleToasts) {
+            this.dismissToast(this.toastContainer.firstElementChild);
+        }
+        
+        if (duration > 0) {
+            toast.dismissTimer = setTimeout(() => this.dismissToast(toast), duration);
+        }
+    }
+    
+    /**
+     * Remove a toast from the stack
+     */
+    dismissToast(toast) {
+        clearTimeout(toast.dismissTimer);
+        toast.remove();
+    }
+    
+    /**
+     * Open or close the notification history drawer
+     */
+    toggleNotificationDrawer(open = this.notificationDrawer.hidden) {
+        this.notificationDrawer.hidden = !open;
+        this.notificationsToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+        
+        if (open) {
+            this.notifications.forEach(notification => {
+                notification.read = true;
+            });
+            this.renderNotificationHistory();
+        }
+    }
+    
+    /**
+     * Forget all recorded notifications
+     */
+    clearNotificationHistory() {
+        this.notifications = [];
+        this.renderNotificationHistory();
+    }
+    
+    /**
+     * Render the notification history and the unread count
+     */
+    renderNotificationHistory() {
+        const contextLabels = { upload: this.t('Upload'), configure: this.t('Configure'), download: this.t('Download') };
+        
+        this.notificationHistory.innerHTML = '';
+        this.notifications.forEach(notification => {
+            const entry = document.createElement('li');
+            entry.className = `notification-entry ${notification.type}`;
+            
+            const meta = document.createElement('div');
+            meta.className = 'notification-entry-meta';
+            meta.textContent = [
+                notification.timestamp.toLocaleTimeString(this.locale),
+                contextLabels[notification.context]
+            ].filter(Boolean).join(' · ');
+            
+            const message = document.createElement('div');
+            message.className = 'notification-entry-message';
+            message.textContent = notification.message;
+            
+            entry.appendChild(meta);
+            entry.appendChild(message);
+            
+            if (notification.details) {
+                const details = document.createElement('div');
+                details.className = 'notification-entry-details';
+                details.textContent = notification.details;
+                entry.appendChild(details);
+            }
+            
+            this.notificationHistory.appendChild(entry);
+        });
+        
+        this.notificationEmpty.style.display = this.notifications.length === 0 ? 'block' : 'none';
+        
+        const unread = this.notifications.filter(notification => !notification.read).length;
+        this.notificationCount.hidden = unread === 0;
+        this.notificationCount.textContent = unread > 99 ? '99+' : String(unread);
+    }
+    
+    /**
+     * Check with the server that a session and its uploaded document still exist.
+     * Returns the session state, or null when the server cannot be reached.
+     */
+    async validateSession(sessionId = this.currentSessionId) {
+        if (!sessionId) return null;
+        
+        try {
+            const response = await fetch(`/api/session/${encodeURIComponent(sessionId)}`);
+            const state = await response.json();
+            return state.status === 'error' ? null : state;
+        } catch (error) {
+            console.error('Session validation error:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Persist the active session, wizard step and form values so a page reload can restore them.
+     * Batches are not restored, so only single-file sessions are kept.
+     */
+    saveAppState() {
+        const state = {
+            sessionId: this.currentBatchId ? null : this.currentSessionId,
+            documentInfo: this.currentBatchId ? null : this.documentInfo,
+            section: this.currentSection,
+            config: this.watermarkForm ? this.getWatermarkConfig() : null,
+            layers: this.watermarkForm ? this.getWatermarkLayers() : null,
+            activeLayer: this.activeLayerIndex,
+            savedAt: new Date().toISOString()
+        };
+        
+        try {
+            localStorage.setItem(this.appStateKey, JSON.stringify(state));
+        } catch (error) {
+            console.error('Failed to save application state:', error);
+        }
+    }
+    
+    /**
+     * Get the state saved before the last page reload
+     */
+    getSavedAppState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.appStateKey));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Restore form values and, when the server still has the uploaded document,
+     * return the user to the step they were on before the page reloaded
+     */
+    async restoreAppState() {
+        const state = this.getSavedAppState();
+        
+        if (state?.layers?.length && this.watermarkForm) {
+            // Image previews do not survive a reload; the server still knows the images by id
+            this.layers = state.layers.map(config => ({
+                config,
+                image: config.image ? { imageId: config.image.imageId, name: this.t('Saved image') } : null
+            }));
+            this.loadLayer(Math.min(state.activeLayer || 0, this.layers.length - 1));
+        } else if (state?.config && this.watermarkForm) {
+            this.applyWatermarkConfig(state.config);
+        }
+        
+        // A step in the URL wins over the step saved before the reload
+        const requestedSection = this.getRequestedSection() || state?.section || 'upload';
+        
+        if (!state?.sessionId) {
+            this.navigateToSection(requestedSection, true);
+            return;
+        }
+        
+        this.showLoading(this.t('Restoring your previous session...'));
+        const session = await this.validateSession(state.sessionId);
+        this.hideLoading();
+        
+        if (!session) {
+            this.navigateToSection('upload', true);
+            this.showNotification(this.t('Could not reach the server to restore your previous upload'), 'warning', {
+                actions: [{ label: this.t('Retry'), handler: () => this.restoreAppState() }]
+            });
+            // Keep the saved state so the next reload can try again
+            localStorage.setItem(this.appStateKey, JSON.stringify(state));
+            return;
+        }
+        
+        if (!session.valid) {
+            this.navigateToSection('upload', true);
+            if (session.status === 'expired') {
+                this.showError(session.message);
+            }
+            return;
+        }
+        
+        this.currentSessionId = state.sessionId;
+        this.documentInfo = state.documentInfo || null;
+        // Resume in the state the server reports; there is nothing to clean up after a reload
+        this.workflowState = { processing: 'processing', completed: 'ready', failed: 'failed' }[session.status] || 'uploaded';
+        this.showSuccess(session.message);
+        this.renderDocumentInfo();
+        this.scheduleFontSizeResolve();
+        
+        if (this.navigateToSection(requestedSection, true) === 'download') {
+            this.showProcessingStatus();
+            this.trackProcessingStatus(state.sessionId);
+        }
+        
+        console.log(`Restored session ${state.sessionId} (${session.status})`);
+    }
+    
+    /**
+     * Handle browser navigation and refresh
+     */
+    handlePageVisibility() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                // Page is hidden, pause progress tracking if needed
+                console.log('Page visibility changed: hidden');
+            } else {
+                // Status streams reconnect by themselves, so there is nothing to resume
+                console.log('Page visibility changed: visible');
+            }
+        });
+    }
+    
+    /**
+     * Handle keyboard shortcuts
+     */
+    initializeKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // Escape key closes the notification history, otherwise cancels/resets
+            if (e.key === 'Escape' && !this.notificationDrawer.hidden) {
+                this.toggleNotificationDrawer(false);
+            } else if (e.key === 'Escape' && this.workflowState === 'uploading') {
+                this.resetUploadArea();
+            }
+        });
+    }
+    
+    /**
+     * Bind watermark configuration form events (Tasks 47-51)
+     */
+    bindWatermarkFormEvents() {
+        // Saved preset events
+        this.presetSelect.addEventListener('change', () => this.handlePresetSelection());
+        this.applyPresetBtn.addEventListener('click', () => this.applySelectedPreset());
+        this.deletePresetBtn.addEventListener('click', () => this.deleteSelectedPreset());
+        this.savePresetBtn.addEventListener('click', () => this.saveCurrentPreset());
+        this.renamePresetBtn.addEventListener('click', () => this.renameSelectedPreset());
+        this.exportPresetsBtn.addEventListener('click', () => this.exportPresets());
+        this.importPresetsBtn.addEventListener('click', () => this.presetImportInput.click());
+        this.presetImportInput.addEventListener('change', (e) => this.importPresets(e.target.files[0]));
+        
+        // Layer events
+        this.addLayerBtn.addEventListener('click', () => this.addLayer());
+        
+        // Position radio button events
+        this.positionRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handlePositionChange());
+        });
+        this.templateRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handleTemplateChange());
+        });
+        this.gridRows.addEventListener('input', () => this.validateField('position'));
+        this.gridCols.addEventListener('input', () => this.validateField('position'));
+        
+        // Font size configuration events
+        this.fontSizeTypeRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handleFontSizeTypeChange());
+        });
+        this.fontSizeSlider.addEventListener('input', () => this.handleFontSizeChange());
+        this.fontSizeMin.addEventListener('input', () => this.handleFontSizeRangeChange());
+        this.fontSizeMax.addEventListener('input', () => this.handleFontSizeRangeChange());
+        this.fontBaseSize.addEventListener('input', () => this.scheduleFontSizeResolve());
+        this.fontScaleFactor.addEventListener('input', () => this.scheduleFontSizeResolve());
+        this.fontDocumentType.addEventListener('change', () => this.scheduleFontSizeResolve());
+        
+        // Color configuration events
+        this.colorTypeRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handleColorTypeChange());
+        });
+        this.colorPicker.addEventListener('change', () => this.handleColorChange());
+        this.paletteRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handlePaletteChange());
+        });
+        this.addPaletteColorBtn.addEventListener('click', () => this.addCustomPaletteColor());
+        this.customPaletteColors.addEventListener('input', () => this.handleCustomPaletteChange());
+        this.customPaletteColors.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.custom-palette-remove');
+            if (removeButton) {
+                this.removeCustomPaletteColor(removeButton.parentElement);
+            }
+        });
+        
+        // Orientation configuration events
+        this.orientationTypeRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handleOrientationTypeChange());
+        });
+        this.orientationSlider.addEventListener('input', () => this.handleOrientationChange());
+        this.orientationPresetRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.clearFieldError('orientation'));
+        });
+        
+        // Opacity events
+        this.opacitySlider.addEventListener('input', () => this.handleOpacityChange());
+        
+        // Quantity events
+        this.quantityInput.addEventListener('input', () => this.handleQuantityChange());
+        
+        // Watermark content events
+        this.contentRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.handleContentTypeChange());
+        });
+        this.watermarkImageInput.addEventListener('change', () => this.handleWatermarkImageSelect());
+        this.imageScaleSlider.addEventListener('input', () => this.handleImageSliderChange());
+        this.imageOpacitySlider.addEventListener('input', () => this.handleImageSliderChange());
+        
+        // Page selection events
+        this.pageSelection.addEventListener('change', () => this.handlePageSelectionChange());
+        this.pageRanges.addEventListener('input', () => this.validateField('pages'));
+        
+        // Form validation on input
+        this.watermarkText.addEventListener('input', () => {
+            this.updateTextTokens();
+            this.validateField('text');
+            this.renderLayerList();
+        });
+        this.recipientInput.addEventListener('input', () => {
+            this.updateTextTokens();
+            this.validateField('text');
+        });
+        this.tokenButtons.forEach(button => {
+            button.addEventListener('click', () => this.insertTextToken(button.dataset.token));
+        });
+        this.positionX.addEventListener('input', () => this.validateField('position'));
+        this.positionY.addEventListener('input', () => this.validateField('position'));
+        
+        // Placement canvas events
+        this.placementMarker.addEventListener('pointerdown', (e) => this.startPlacementDrag(e, 'move'));
+        this.placementRotateHandle.addEventListener('pointerdown', (e) => this.startPlacementDrag(e, 'rotate'));
+        this.placementCanvas.addEventListener('pointermove', (e) => this.handlePlacementDrag(e));
+        this.placementCanvas.addEventListener('pointerup', () => this.endPlacementDrag());
+        this.placementCanvas.addEventListener('pointercancel', () => this.endPlacementDrag());
+        this.placementMarker.addEventListener('keydown', (e) => this.handlePlacementKey(e));
+        this.placementSnap.addEventListener('change', () => this.updatePlacementCanvas());
+        this.watermarkForm.addEventListener('input', () => this.updatePlacementMarker());
+        this.watermarkForm.addEventListener('change', () => this.updatePlacementMarker());
+        // The marker font scales with the canvas, which has no size while its section is hidden
+        new ResizeObserver(() => this.updatePlacementMarker()).observe(this.placementCanvas);
+        
+        // Form submission
+        this.watermarkForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        
+        // Preview button
+        this.previewButton.addEventListener('click', () => this.handlePreview());
+        
+        // Live preview updates and page navigation
+        this.watermarkForm.addEventListener('input', () => this.schedulePreviewUpdate());
+        this.watermarkForm.addEventListener('change', () => this.schedulePreviewUpdate());
+        
+        // Keep form values across page reloads
+        this.watermarkForm.addEventListener('input', () => this.saveAppState());
+        this.watermarkForm.addEventListener('change', () => this.saveAppState());
+        this.previewPrevPage?.addEventListener('click', () => this.changePreviewPage(-1));
+        this.previewNextPage?.addEventListener('click', () => this.changePreviewPage(1));
+        
+        // Download section events
+        this.downloadBtn?.addEventListener('click', () => this.handleDownload());
+        this.downloadZipBtn?.addEventListener('click', () => this.handleBatchDownload());
+        this.processAnotherBtn?.addEventListener('click', () => this.handleProcessAnother());
+        this.retryProcessingBtn?.addEventListener('click', () => this.handleRetryProcessing());
+        this.startOverBtn?.addEventListener('click', () => this.handleStartOver());
+        this.filenamePatternInput?.addEventListener('change', () => this.saveDownloadOptions());
+        this.downloadRetentionSelect?.addEventListener('change', () => this.saveDownloadOptions());
+        
+        // Comparison viewer events
+        this.comparisonModeButtons.forEach(button => {
+            button.addEventListener('click', () => this.setComparisonMode(button.dataset.mode));
+        });
+        this.comparisonToggleBtn?.addEventListener('click', () => this.toggleComparisonVersion());
+        this.comparisonZoomOut?.addEventListener('click', () => this.changeComparisonZoom(-1));
+        this.comparisonZoomIn?.addEventListener('click', () => this.changeComparisonZoom(1));
+        this.comparisonPrevPage?.addEventListener('click', () => this.showComparisonPage(this.comparisonPage - 1));
+        this.comparisonNextPage?.addEventListener('click', () => this.showComparisonPage(this.comparisonPage + 1));
+        this.backToConfigureBtn?.addEventListener('click', () => this.handleBackToConfigure());
+        [this.comparisonOriginalImage, this.comparisonWatermarkedImage].forEach(image => {
+            image?.addEventListener('load', () => image.parentElement.classList.remove('loading'));
+            image?.addEventListener('error', () => {
+                if (!image.getAttribute('src')) return;
+                image.parentElement.classList.remove('loading');
+                this.setComparisonStatus(this.t('The page could not be shown. Please try again.'), true);
+            });
+        });
+        
+        // Scroll both pages together when comparing zoomed pages side by side
+        this.comparisonOriginalFrame?.addEventListener('scroll', () => this.syncComparisonScroll(this.comparisonOriginalFrame, this.comparisonWatermarkedFrame));
+        this.comparisonWatermarkedFrame?.addEventListener('scroll', () => this.syncComparisonScroll(this.comparisonWatermarkedFrame, this.comparisonOriginalFrame));
+        
+        // Initialize default values
+        this.handlePositionChange();
+        this.handleFontSizeTypeChange();
+        this.handleFontSizeChange();
+        this.handleColorTypeChange();
+        this.handleColorChange();
+        this.handlePaletteChange();
+        this.handleOrientationTypeChange();
+        this.handleOrientationChange();
+        this.handleQuantityChange();
+        
+        this.loadWatermarkSchema();
+        this.loadPresets();
+        this.loadDownloadOptions();
+    }
+    
+    /**
+     * Handle position selection change (Task 48)
+     */
+    handlePositionChange() {
+        const selectedPosition = document.querySelector('input[name="position"]:checked').value;
+        
+        if (selectedPosition === 'fixed') {
+            this.positionCoordinates.style.display = 'block';
+            this.positionX.required = true;
+            this.positionY.required = true;
+            
+            // Start the canvas marker in the middle of the page
+            if (this.positionX.value === '' && this.positionY.value === '') {
+                const page = this.getPlacementPage();
+                this.positionX.value = page.width / 2;
+                this.positionY.value = page.height / 2;
+            }
+            this.updatePlacementCanvas();
+        } else {
+            this.positionCoordinates.style.display = 'none';
+            this.positionX.required = false;
+            this.positionY.required = false;
+            this.positionX.value = '';
+            this.positionY.value = '';
+        }
+        
+        this.positionTemplates.style.display = selectedPosition === 'template' ? 'block' : 'none';
+        this.handleTemplateChange();
+        
+        this.clearFieldError('position');
+    }
+    
+    /**
+     * Handle layout template selection change
+     */
+    handleTemplateChange() {
+        const usesTemplate = document.querySelector('input[name="position"]:checked').value === 'template';
+        const template = document.querySelector('input[name="positionTemplate"]:checked').value;
+        
+        this.gridTemplateControl.style.display = template === 'grid' ? 'grid' : 'none';
+        this.gridRows.required = usesTemplate && template === 'grid';
+        this.gridCols.required = usesTemplate && template === 'grid';
+        
+        // Templates place their own number of watermarks, except Diagonal which spreads the quantity
+        this.quantityInput.disabled = usesTemplate && template !== 'diagonal';
+        
+        if (template === 'grid') {
+            this.templateHint.textContent = this.t('Places one watermark in the center of each grid cell.');
+        } else if (template === 'diagonal') {
+            this.templateHint.textContent = this.t('Spreads the number of watermarks below from the bottom-left to the top-right corner.');
+        } else if (template === 'fourCorners' || template === 'border') {
+            this.templateHint.textContent = this.t('Places watermarks along the page edges; the number of watermarks is determined by the layout.');
+        } else {
+            this.templateHint.textContent = this.t('Places a single watermark centered on the selected spot.');
+        }
+        
+        this.clearFieldError('position');
+    }
+    
+    /**
+     * Handle font size type selection change
+     */
+    handleFontSizeTypeChange() {
+        const selectedType = document.querySelector('input[name="fontSizeType"]:checked').value;
+        
+        this.fixedFontSizeControl.style.display = selectedType === 'fixed' ? 'block' : 'none';
+        this.randomFontSizeControl.style.display = selectedType === 'random' ? 'block' : 'none';
+        this.dynamicFontSizeControl.style.display = selectedType === 'dynamicScale' ? 'block' : 'none';
+        this.recommendedFontSizeControl.style.display = selectedType === 'recommended' ? 'block' : 'none';
+        
+        this.fontSizeMin.required = selectedType === 'random';
+        this.fontSizeMax.required = selectedType === 'random';
+        this.fontBaseSize.required = selectedType === 'dynamicScale';
+        this.fontScaleFactor.required = selectedType === 'dynamicScale';
+        
+        this.clearFieldError('fontSize');
+        this.scheduleFontSizeResolve();
+    }
+    
+    /**
+     * Resolve document-aware font sizes shortly after their settings stop changing
+     */
+    scheduleFontSizeResolve() {
+        clearTimeout(this.fontSizeResolveTimer);
+        this.fontSizeResolveTimer = setTimeout(() => this.updateResolvedFontSize(), 300);
+    }
+    
+    /**
+     * Show the point size the selected font size mode produces for the uploaded document
+     */
+    async updateResolvedFontSize() {
+        const selectedType = document.querySelector('input[name="fontSizeType"]:checked').value;
+        const requestId = ++this.fontSizeResolveRequestId;
+        
+        if (selectedType !== 'dynamicScale' && selectedType !== 'recommended') {
+            this.resolvedFontSize.style.display = 'none';
+            return;
+        }
+        
+        this.resolvedFontSize.style.display = 'block';
+        
+        if (!this.currentSessionId) {
+            this.resolvedFontSize.textContent = this.t('Upload a PDF to see the resolved size for your document.');
+            return;
+        }
+        
+        if (!this.validateField('fontSize')) {
+            this.resolvedFontSize.textContent = '';
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/watermark/font-size', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    sessionId: this.currentSessionId,
+                    fontSize: this.getWatermarkConfig().fontSize
+                })
+            });
+            const result = await response.json();
+            
+            if (requestId !== this.fontSizeResolveRequestId) return;
+            
+            if (result.success && result.fontSize) {
+                const pageSize = this.t('%{width} × %{height} pt', { width: Math.round(result.pageWidth), height: Math.round(result.pageHeight) });
+                const fontSize = this.t('%{size} pt', { size: this.formatNumber(result.fontSize, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+                this.resolvedFontSize.innerHTML =
+                    this.t('Resolves to %{size} on the first page (%{page})', { size: `<strong>${fontSize}</strong>`, page: pageSize });
+            } else {
+                this.resolvedFontSize.textContent = result.message || this.t('Could not resolve the font size');
+            }
+            
+        } catch (error) {
+            console.error('Font size resolution error:', error);
+            if (requestId === this.fontSizeResolveRequestId) {
+                this.resolvedFontSize.textContent = this.t('Could not resolve the font size');
+            }
+        }
+    }
+
+    /**
+     * Handle font size slider change (Task 49)
+     */
+    handleFontSizeChange() {
+        const fontSize = this.fontSizeSlider.value;
+        this.fontSizeValue.textContent = this.t('%{size}px', { size: Number(fontSize) });
+        this.clearFieldError('fontSize');
+    }
+
+    /**
+     * Handle font size range inputs change
+     */
+    handleFontSizeRangeChange() {
+        const min = parseInt(this.fontSizeMin.value);
+        const max = parseInt(this.fontSizeMax.value);
+        
+        // Ensure max is greater than min
+        if (min >= max) {
+            this.fontSizeMax.value = min + 1;
+        }
+        
+        this.clearFieldError('fontSize');
+    }
+    
+    /**
+     * Handle color type selection change
+     */
+    handleColorTypeChange() {
+        const selectedType = document.querySelector('input[name="colorType"]:checked').value;
+        
+        if (selectedType === 'fixed') {
+            this.fixedColorPicker.style.display = 'block';
+            this.colorPicker.required = true;
+        } else {
+            this.fixedColorPicker.style.display = 'none';
+            this.colorPicker.required = false;
+        }
+        
+        this.palettePicker.style.display = selectedType === 'palette' ? 'block' : 'none';
+        
+        this.clearFieldError('color');
+        this.updateContrastWarning();
+    }
+    
+    /**
+     * Handle color palette selection change
+     */
+    handlePaletteChange() {
+        const selectedPalette = document.querySelector('input[name="colorPalette"]:checked').value;
+        
+        if (selectedPalette === 'custom') {
+            this.customPaletteEditor.style.display = 'flex';
+            
+            // Start a new custom palette from the fixed color and a neutral gray
+            if (this.getCustomPaletteColors().length === 0) {
+                this.addCustomPaletteColor(this.colorPicker.value);
+                this.addCustomPaletteColor('#999999');
+            }
+        } else {
+            this.customPaletteEditor.style.display = 'none';
+        }
+        
+        this.clearFieldError('color');
+        this.updateContrastWarning();
+    }
+    
+    /**
+     * Add a color input to the custom palette editor
+     */
+    addCustomPaletteColor(color = '#666666') {
+        if (this.getCustomPaletteColors().length >= this.maxCustomPaletteColors) {
+            this.showFieldError('color', this.t('A custom palette can have at most %{count} colors', { count: this.maxCustomPaletteColors }));
+            return;
+        }
+        
+        const entry = document.createElement('div');
+        entry.className = 'custom-palette-color';
+        
+        // Eight-digit colors (#RRGGBBAA) carry the color's own opacity
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.className = 'color-picker';
+        input.value = color.slice(0, 7);
+        input.setAttribute('aria-label', this.t('Palette color'));
+        input.setAttribute('aria-describedby', 'color-contrast-warning');
+        
+        const opacityInput = document.createElement('input');
+        opacityInput.type = 'number';
+        opacityInput.className = 'form-input custom-palette-opacity';
+        opacityInput.min = '0';
+        opacityInput.max = '100';
+        opacityInput.step = '5';
+        opacityInput.value = color.length === 9 ? Math.round(parseInt(color.slice(7), 16) / 2.55) : 100;
+        opacityInput.title = this.t('Opacity of this color (%)');
+        opacityInput.setAttribute('aria-label', this.t('Palette color opacity in percent'));
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'custom-palette-remove';
+        removeButton.setAttribute('aria-label', this.t('Remove color'));
+        removeButton.textContent = '×';
+        
+        entry.appendChild(input);
+        entry.appendChild(opacityInput);
+        entry.appendChild(removeButton);
+        this.customPaletteColors.appendChild(entry);
+        
+        this.handleCustomPaletteChange();
+    }
+    
+    /**
+     * Remove a color entry from the custom palette editor
+     */
+    removeCustomPaletteColor(entry) {
+        entry.remove();
+        this.handleCustomPaletteChange();
+    }
+    
+    /**
+     * Refresh custom palette swatches after its colors change
+     */
+    handleCustomPaletteChange() {
+        const colors = this.getCustomPaletteColors();
+        
+        this.customPaletteSwatches.innerHTML = '';
+        colors.forEach(color => {
+            const swatch = document.createElement('span');
+            swatch.className = 'palette-swatch';
+            swatch.style.background = color;
+            this.customPaletteSwatches.appendChild(swatch);
+        });
+        
+        this.addPaletteColorBtn.disabled = colors.length >= this.maxCustomPaletteColors;
+        this.clearFieldError('color');
+        this.updateContrastWarning();
+        this.schedulePreviewUpdate();
+    }
+    
+    /**
+     * Get the colors of the custom palette editor
+     */
+    getCustomPaletteColors() {
+        return Array.from(this.customPaletteColors.querySelectorAll('.custom-palette-color')).map(entry => {
+            const color = entry.querySelector('input[type="color"]').value;
+            const opacity = Math.min(Math.max(parseInt(entry.querySelector('.custom-palette-opacity').value) || 0, 0), 100);
+            // Fully opaque colors keep the plain six-digit form
+            return opacity >= 100 ? color : color + Math.round(opacity * 2.55).toString(16).padStart(2, '0');
+        });
+    }
+
+    /**
+     * Handle color picker change (Task 50)
+     */
+    handleColorChange() {
+        const color = this.colorPicker.value;
+        this.colorPreview.textContent = color.toUpperCase();
+        this.clearFieldError('color');
+        this.updateContrastWarning();
+    }
+    
+    /**
+     * Warn when a chosen color is hard to read on a white page. Follows the server's
+     * ColorContrast rules: WCAG relative luminance, the minimum ratio published in the
+     * watermark schema and, for a fixed color, its darker suggestion.
+     */
+    updateContrastWarning() {
+        const colorType = document.querySelector('input[name="colorType"]:checked').value;
+        const palette = document.querySelector('input[name="colorPalette"]:checked')?.value;
+        let colors = [];
+        if (colorType === 'fixed') {
+            colors = [this.colorPicker.value];
+        } else if (colorType === 'palette' && palette === 'custom') {
+            colors = this.getCustomPaletteColors().map(color => color.slice(0, 7));
+        }
+        
+        const minimum = this.formatNumber(this.minContrastRatio);
+        const lowContrast = [...new Set(colors.map(color => color.toUpperCase()))]
+            .filter(color => this.getContrastRatio(color, '#FFFFFF') < this.minContrastRatio);
+        
+        this.colorContrastWarning.innerHTML = '';
+        this.colorContrastWarning.hidden = lowContrast.length === 0;
+        if (lowContrast.length === 0) return;
+        
+        const message = document.createElement('span');
+        this.colorContrastWarning.appendChild(message);
+        
+        if (colorType !== 'fixed') {
+            message.textContent = this.tp(lowContrast.length,
+                'Palette color %{colors} is hard to read on a white page: it is below the %{minimum}:1 contrast ratio WCAG AA asks for.',
+                'Palette colors %{colors} are hard to read on a white page: they are below the %{minimum}:1 contrast ratio WCAG AA asks for.',
+                { colors: this.formatList(lowContrast), minimum });
+            return;
+        }
+        
+        const suggestion = this.suggestAccessibleColor(lowContrast[0], '#FFFFFF');
+        message.textContent = this.t('This color is hard to read on a white page: its contrast ratio is %{ratio}:1, below the %{minimum}:1 WCAG AA asks for.', {
+            ratio: this.formatNumber(this.getContrastRatio(lowContrast[0], '#FFFFFF'), { maximumFractionDigits: 1 }),
+            minimum
+        });
+        
+        const useSuggestion = document.createElement('button');
+        useSuggestion.type = 'button';
+        useSuggestion.className = 'contrast-suggestion';
+        useSuggestion.textContent = this.t('Use %{color}', { color: suggestion });
+        useSuggestion.addEventListener('click', () => {
+            this.colorPicker.value = suggestion.toLowerCase();
+            this.colorPicker.dispatchEvent(new Event('change', { bubbles: true }));
+            this.colorPicker.focus();
+        });
+        this.colorContrastWarning.appendChild(useSuggestion);
+    }
+    
+    /**
+     * Get the WCAG relative luminance of a #RRGGBB color
+     */
+    getRelativeLuminance(color) {
+        const [r, g, b] = [1, 3, 5].map(start => {
+            const channel = parseInt(color.slice(start, start + 2), 16) / 255;
+            return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+    
+    /**
+     * Get the contrast ratio of two #RRGGBB colors, from 1 to 21
+     */
+    getContrastRatio(color, background) {
+        const [darker, lighter] = [this.getRelativeLuminance(color), this.getRelativeLuminance(background)].sort((a, b) => a - b);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+    
+    /**
+     * Suggest a darker color on light backgrounds and a lighter one on dark backgrounds
+     */
+    suggestAccessibleColor(color, background) {
+        const shift = this.getRelativeLuminance(background) > 0.5 ? -100 : 100;
+        return '#' + [1, 3, 5]
+            .map(start => Math.min(Math.max(parseInt(color.slice(start, start + 2), 16) + shift, 0), 255))
+            .map(channel => channel.toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+    }
+
+    /**
+     * Handle orientation type selection change
+     */
+    handleOrientationTypeChange() {
+        const selectedType = document.querySelector('input[name="orientationType"]:checked').value;
+        
+        if (selectedType === 'fixed') {
+            this.fixedOrientationControl.style.display = 'block';
+            this.orientationSlider.required = true;
+        } else {
+            this.fixedOrientationControl.style.display = 'none';
+            this.orientationSlider.required = false;
+        }
+        
+        this.orientationPresets.style.display = selectedType === 'preset' ? 'grid' : 'none';
+        
+        this.clearFieldError('orientation');
+        this.updatePlacementMarker();
+    }
+
+    /**
+     * Handle orientation slider change
+     */
+    handleOrientationChange() {
+        const angle = this.orientationSlider.value;
+        this.orientationValue.textContent = this.t('%{angle}°', { angle: Number(angle) });
+        this.clearFieldError('orientation');
+    }
+    
+    /**
+     * Get the page the placement canvas represents, in PDF points
+     */
+    getPlacementPage() {
+        return this.getPageBounds() || this.defaultPageSize;
+    }
+    
+    /**
+     * Get the angle the watermark will be drawn at, as far as it is known before processing
+     */
+    getPlacementAngle() {
+        const orientationType = document.querySelector('input[name="orientationType"]:checked').value;
+        
+        if (orientationType === 'fixed') {
+            return parseFloat(this.orientationSlider.value) || 0;
+        }
+        if (orientationType === 'preset') {
+            const preset = document.querySelector('input[name="orientationPreset"]:checked');
+            return preset ? this.orientationPresetAngles[preset.value] || 0 : 0;
+        }
+        return 0;
+    }
+    
+    /**
+     * Size the canvas to the page, draw the snap guides and place the marker
+     */
+    updatePlacementCanvas() {
+        const page = this.getPlacementPage();
+        this.placementCanvas.style.aspectRatio = `${page.width} / ${page.height}`;
+        this.placementCanvas.classList.toggle('snapping', this.placementSnap.checked);
+        this.placementPageInfo.textContent = this.getPageBounds()
+            ? this.t('Page: %{size}', { size: this.formatPageSize(page) })
+            : this.t('Page size unknown, showing %{size}', { size: this.formatPageSize(page) });
+        
+        if (!this.placementCanvas.querySelector('.placement-guide')) {
+            this.placementGuides.forEach(fraction => {
+                ['vertical', 'horizontal'].forEach(direction => {
+                    const guide = document.createElement('div');
+                    guide.className = `placement-guide ${direction}`;
+                    guide.dataset.fraction = fraction;
+                    guide.style[direction === 'vertical' ? 'left' : 'top'] = `${fraction * 100}%`;
+                    this.placementCanvas.insertBefore(guide, this.placementMarker);
+                });
+            });
+        }
+        
+        this.updatePlacementMarker();
+    }
+    
+    /**
+     * Draw the marker at the typed coordinates, with the current text, size, color and angle
+     */
+    updatePlacementMarker() {
+        const page = this.getPlacementPage();
+        const x = parseFloat(this.positionX.value);
+        const y = parseFloat(this.positionY.value);
+        
+        if (isNaN(x) || isNaN(y)) {
+            this.placementMarker.style.display = 'none';
+            return;
+        }
+        
+        const scale = this.placementCanvas.clientWidth / page.width;
+        const colorType = document.querySelector('input[name="colorType"]:checked');
+        
+        this.placementMarker.style.display = '';
+        this.placementMarker.style.left = `${(x / page.width) * 100}%`;
+        this.placementMarker.style.top = `${(1 - y / page.height) * 100}%`;
+        this.placementMarker.style.fontSize = `${Math.max((parseFloat(this.fontSizeSlider.value) || 24) * scale, 6)}px`;
+        this.placementMarker.style.color = colorType && colorType.value === 'fixed' ? this.colorPicker.value : '';
+        this.placementMarker.style.opacity = this.opacitySlider.value / 100;
+        this.placementMarker.style.mixBlendMode = this.blendModeSelect.value;
+        // PDF angles turn counter-clockwise around the start of the baseline
+        this.placementMarker.style.transform = `translateY(-100%) rotate(${-this.getPlacementAngle()}deg)`;
+        this.placementMarker.classList.toggle('out-of-bounds', x > page.width || y > page.height);
+        this.placementMarker.setAttribute('aria-label', this.t('Watermark position: %{x} by %{y} points. Use arrow keys to move it.', { x, y }));
+        this.placementText.textContent = this.resolveTextTokens(this.watermarkText.value.trim(), 1) || this.t('Watermark');
+        
+        // Image stamps draw the image above the text, sized relative to the page width
+        const contentType = this.getContentType();
+        const showImage = contentType !== 'text' && Boolean(this.watermarkImage?.previewUrl);
+        this.placementImage.hidden = !showImage;
+        this.placementText.hidden = contentType === 'image' && showImage;
+        if (showImage) {
+            this.placementImage.src = this.watermarkImage.previewUrl;
+            this.placementImage.style.width = `${page.width * (this.imageScaleSlider.value / 100) * scale}px`;
+        }
+    }
+    
+    /**
+     * Convert a pointer position on the canvas into PDF points (origin bottom-left)
+     */
+    screenToPdfPoint(clientX, clientY) {
+        const page = this.getPlacementPage();
+        const rect = this.placementCanvas.getBoundingClientRect();
+        const scale = rect.width / page.width;
+        const clamp = (value, max) => Math.round(Math.min(Math.max(value, 0), max) * 10) / 10;
+        
+        return {
+            x: clamp((clientX - rect.left) / scale, page.width),
+            y: clamp(page.height - (clientY - rect.top) / scale, page.height),
+            scale
+        };
+    }
+    
+    /**
+     * Start moving or rotating the marker with the pointer
+     */
+    startPlacementDrag(e, mode) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const point = this.screenToPdfPoint(e.clientX, e.clientY);
+        this.placementDrag = {
+            mode,
+            offsetX: point.x - (parseFloat(this.positionX.value) || 0),
+            offsetY: point.y - (parseFloat(this.positionY.value) || 0)
+        };
+        this.placementCanvas.setPointerCapture(e.pointerId);
+        this.placementCanvas.classList.add('dragging');
+        this.placementMarker.focus();
+    }
+    
+    /**
+     * Follow the pointer while dragging, snapping to guides when enabled
+     */
+    handlePlacementDrag(e) {
+        if (!this.placementDrag) return;
+        
+        const point = this.screenToPdfPoint(e.clientX, e.clientY);
+        if (this.placementDrag.mode === 'rotate') {
+            this.rotatePlacementTowards(point);
+            return;
+        }
+        
+        const page = this.getPlacementPage();
+        let x = Math.min(Math.max(point.x - this.placementDrag.offsetX, 0), page.width);
+        let y = Math.min(Math.max(point.y - this.placementDrag.offsetY, 0), page.height);
+        
+        this.placementCanvas.querySelectorAll('.placement-guide').forEach(guide => guide.classList.remove('active'));
+        if (this.placementSnap.checked) {
+            x = this.snapToGuide(x, page.width, point.scale, 'vertical');
+            y = this.snapToGuide(page.height - y, page.height, point.scale, 'horizontal');
+            y = page.height - y;
+        }
+        
+        this.positionX.value = Math.round(x * 10) / 10;
+        this.positionY.value = Math.round(y * 10) / 10;
+        this.updatePlacementMarker();
+    }
+    
+    /**
+     * Snap a coordinate measured from the left or top edge to the nearest guide within reach
+     */
+    snapToGuide(value, length, scale, direction) {
+        for (const fraction of this.placementGuides) {
+            const guideValue = fraction * length;
+            if (Math.abs(value - guideValue) * scale <= this.placementSnapDistance) {
+                this.placementCanvas
+                    .querySelector(`.placement-guide.${direction}[data-fraction="${fraction}"]`)
+                    .classList.add('active');
+                return guideValue;
+            }
+        }
+        return value;
+    }
+    
+    /**
+     * Point the watermark baseline at the pointer by driving the orientation slider
+     */
+    rotatePlacementTowards(point) {
+        const anchorX = parseFloat(this.positionX.value) || 0;
+        const anchorY = parseFloat(this.positionY.value) || 0;
+        let angle = Math.atan2(point.y - anchorY, point.x - anchorX) * 180 / Math.PI;
+        
+        if (this.placementSnap.checked) {
+            angle = Math.round(angle / this.placementSnapAngle) * this.placementSnapAngle;
+        }
+        angle = (Math.round(angle) + 360) % 360;
+        
+        this.setRadioValue('orientationType', 'fixed');
+        this.handleOrientationTypeChange();
+        this.orientationSlider.value = angle;
+        this.handleOrientationChange();
+        this.updatePlacementMarker();
+    }
+    
+    /**
+     * Finish a drag and let validation, preview and saved state catch up
+     */
+    endPlacementDrag() {
+        if (!this.placementDrag) return;
+        
+        const changedInput = this.placementDrag.mode === 'rotate' ? this.orientationSlider : this.positionX;
+        this.placementDrag = null;
+        this.placementCanvas.classList.remove('dragging');
+        this.placementCanvas.querySelectorAll('.placement-guide').forEach(guide => guide.classList.remove('active'));
+        changedInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    /**
+     * Move the focused marker with the arrow keys, 10 points at a time with Shift
+     */
+    handlePlacementKey(e) {
+        const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+        if (!steps[e.key]) return;
+        
+        e.preventDefault();
+        const page = this.getPlacementPage();
+        const distance = e.shiftKey ? 10 : 1;
+        const [dx, dy] = steps[e.key];
+        const x = (parseFloat(this.positionX.value) || 0) + dx * distance;
+        const y = (parseFloat(this.positionY.value) || 0) + dy * distance;
+        
+        this.positionX.value = Math.round(Math.min(Math.max(x, 0), page.width) * 10) / 10;
+        this.positionY.value = Math.round(Math.min(Math.max(y, 0), page.height) * 10) / 10;
+        this.positionX.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Insert a token at the cursor of the watermark text
+     */
+    insertTextToken(token) {
+        const input = this.watermarkText;
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? input.value.length;
+        input.setRangeText(token, start, end, 'end');
+        input.focus();
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    /**
+     * Split a token body such as "datetime:yyyy-MM-dd" into its name and pattern
+     */
+    splitTextToken(body) {
+        const colon = body.indexOf(':');
+        return colon === -1
+            ? [body.trim(), null]
+            : [body.slice(0, colon).trim(), body.slice(colon + 1)];
+    }
+    
+    /**
+     * Check the tokens of the watermark text, mirroring the server's validation
+     */
+    getTextTokenErrors(text) {
+        const errors = [];
+        for (const [, body] of text.matchAll(/\{([^{}]*)\}/g)) {
+            const [name, pattern] = this.splitTextToken(body);
+            if (!this.textTokens.includes(name)) {
+                errors.push(this.t('Unknown token %{token}. Available tokens: %{tokens}', {
+                    token: `{${body}}`,
+                    tokens: this.formatList(this.textTokens.map(token => `{${token}}`))
+                }));
+            } else if (pattern !== null && name !== 'date' && name !== 'datetime') {
+                errors.push(this.t('The %{token} token does not take a format', { token: `{${name}}` }));
+            } else if (name === 'recipient' && !this.recipientInput.value.trim()) {
+                errors.push(this.t('The {recipient} token needs a recipient'));
+            }
+        }
+        return [...new Set(errors)];
+    }
+    
+    /**
+     * Resolve the tokens of the watermark text for a page, as the server will when rendering
+     */
+    resolveTextTokens(text, page) {
+        const now = new Date();
+        const pageCount = this.documentInfo ? this.documentInfo.pageCount : null;
+        
+        return text.replace(/\{([^{}]*)\}/g, (token, body) => {
+            const [name, pattern] = this.splitTextToken(body);
+            switch (name) {
+                case 'date': return this.formatTokenDate(now, pattern ?? 'yyyy-MM-dd');
+                case 'datetime': return this.formatTokenDate(now, pattern ?? 'yyyy-MM-dd HH:mm');
+                case 'filename': return (this.documentInfo && this.documentInfo.fileName) || 'document.pdf';
+                case 'page': return String(page);
+                case 'pages': return pageCount ? String(pageCount) : '?';
+                case 'sessionId': return this.currentSessionId || '';
+                case 'recipient': return this.recipientInput.value.trim();
+                default: return token;
+            }
+        });
+    }
+    
+    /**
+     * Format a date with the common letters of a Java date pattern, for the token preview
+     */
+    formatTokenDate(date, pattern) {
+        const pad = (value, length) => String(value).padStart(length, '0');
+        
+        return pattern.replace(/'([^']*)'|y+|M+|d+|E+|H+|h+|m+|s+|a/g, (field, literal) => {
+            if (literal !== undefined) return literal;
+            switch (field[0]) {
+                case 'y': return field.length === 2 ? pad(date.getFullYear() % 100, 2) : String(date.getFullYear());
+                case 'M':
+                    if (field.length >= 4) return date.toLocaleString('en-US', { month: 'long' });
+                    if (field.length === 3) return date.toLocaleString('en-US', { month: 'short' });
+                    return pad(date.getMonth() + 1, field.length);
+                case 'd': return pad(date.getDate(), field.length);
+                case 'E': return date.toLocaleString('en-US', { weekday: field.length >= 4 ? 'long' : 'short' });
+                case 'H': return pad(date.getHours(), field.length);
+                case 'h': return pad(date.getHours() % 12 || 12, field.length);
+                case 'm': return pad(date.getMinutes(), field.length);
+                case 's': return pad(date.getSeconds(), field.length);
+                default: return date.getHours() < 12 ? 'AM' : 'PM';
+            }
+        });
+    }
+    
+    /**
+     * Show the recipient field when the text uses it, and the text resolved for page 1
+     */
+    updateTextTokens() {
+        const text = this.watermarkText.value.trim();
+        const tokenNames = Array.from(text.matchAll(/\{([^{}]*)\}/g), ([, body]) => this.splitTextToken(body)[0]);
+        
+        this.recipientGroup.style.display = tokenNames.includes('recipient') || this.recipientInput.value ? 'grid' : 'none';
+        this.tokenPreview.style.display = tokenNames.length > 0 ? 'block' : 'none';
+        this.tokenPreviewValue.textContent = this.resolveTextTokens(text, 1);
+    }
+    
+    /**
+     * Update the opacity label and check the value
+     */
+    handleOpacityChange() {
+        this.opacityValue.textContent = this.formatPercent(this.opacitySlider.value);
+        this.validateField('opacity');
+    }
+    
+    /**
+     * Get the selected watermark content: text, image or imageText
+     */
+    getContentType() {
+        const selected = document.querySelector('input[name="content"]:checked');
+        return selected ? selected.value : 'text';
+    }
+    
+    /**
+     * Show the text and image controls the selected content type uses
+     */
+    handleContentTypeChange() {
+        const contentType = this.getContentType();
+        this.watermarkTextGroup.style.display = contentType === 'image' ? 'none' : 'block';
+        this.watermarkImageGroup.style.display = contentType === 'text' ? 'none' : 'block';
+        this.watermarkText.required = contentType !== 'image';
+        
+        this.clearFieldError('text');
+        this.clearFieldError('image');
+        this.handleImageSliderChange();
+    }
+    
+    /**
+     * Update the image size and opacity labels
+     */
+    handleImageSliderChange() {
+        this.imageScaleValue.textContent = this.t('%{scale} of page width', { scale: this.formatPercent(this.imageScaleSlider.value) });
+        this.imageOpacityValue.textContent = this.formatPercent(this.imageOpacitySlider.value);
+        this.updatePlacementMarker();
+    }
+    
+    /**
+     * Upload the chosen watermark image so configurations can reference it by id
+     */
+    async handleWatermarkImageSelect() {
+        const file = this.watermarkImageInput.files[0];
+        if (!file) return;
+        
+        if (!this.watermarkImageTypes.includes(file.type)) {
+            this.showFieldError('image', this.t('Choose a PNG or JPEG image'));
+            return;
+        }
+        if (file.size > this.maxWatermarkImageSize) {
+            this.showFieldError('image', this.t('Image is larger than %{size}', { size: this.formatFileSize(this.maxWatermarkImageSize) }));
+            return;
+        }
+        
+        this.clearFieldError('image');
+        this.watermarkImageInfo.textContent = this.t('Uploading %{name}...', { name: file.name });
+        
+        try {
+            const formData = new FormData();
+            formData.append('image', file);
+            const response = await fetch('/api/watermark/image', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || this.t('Image upload failed'));
+            }
+            
+            // Duplicated layers share their image, so it is only released once no other layer uses it
+            const sharedImage = this.layers.some((layer, index) => index !== this.activeLayerIndex && layer.image === this.watermarkImage);
+            if (this.watermarkImage?.previewUrl && !sharedImage) {
+                URL.revokeObjectURL(this.watermarkImage.previewUrl);
+            }
+            this.watermarkImage = {
+                imageId: result.imageId,
+                name: file.name,
+                width: result.width,
+                height: result.height,
+                previewUrl: URL.createObjectURL(file)
+            };
+            this.renderWatermarkImage();
+            this.schedulePreviewUpdate();
+        } catch (error) {
+            console.error('Watermark image upload error:', error);
+            this.showFieldError('image', error.message);
+            this.renderWatermarkImage();
+        } finally {
+            this.watermarkImageInput.value = '';
+        }
+    }
+    
+    /**
+     * Show the thumbnail and details of the current watermark image
+     */
+    renderWatermarkImage() {
+        const image = this.watermarkImage;
+        this.watermarkImageThumb.hidden = !image?.previewUrl;
+        if (image?.previewUrl) {
+            this.watermarkImageThumb.src = image.previewUrl;
+        }
+        
+        if (!image) {
+            this.watermarkImageInfo.textContent = this.t('PNG or JPEG up to %{size}. Transparent PNGs keep their transparency.', {
+                size: this.formatFileSize(this.maxWatermarkImageSize)
+            });
+        } else if (image.width && image.height) {
+            this.watermarkImageInfo.textContent = this.t('%{name} · %{width} × %{height} px', { name: image.name, width: image.width, height: image.height });
+        } else {
+            this.watermarkImageInfo.textContent = this.t('%{name}. Choose the file again to replace it.', { name: image.name });
+        }
+        this.updatePlacementMarker();
+    }
+    
+    /**
+     * Show the range input for custom page selections
+     */
+    handlePageSelectionChange() {
+        const isCustom = this.pageSelection.value === 'custom';
+        this.pageRanges.style.display = isCustom ? 'block' : 'none';
+        this.pageRanges.required = isCustom;
+        
+        if (isCustom && !this.pageRanges.value) {
+            this.clearFieldError('pages');
+            this.updatePageSelectionSummary(null, null);
+        } else {
+            this.validateField('pages');
+        }
+    }
+    
+    /**
+     * Get the page selection in the syntax the server accepts
+     */
+    getPageSelectionSpec() {
+        return this.pageSelection.value === 'custom' ? this.pageRanges.value.trim() : this.pageSelection.value;
+    }
+    
+    /**
+     * Resolve a page selection the same way the server does. Returns the selected
+     * page numbers (null while the page count is unknown) or an error message.
+     */
+    resolvePageSelection(spec, pageCount) {
+        const keyword = spec.trim().toLowerCase().split(/[\s_-]+/).join('-');
+        const allPages = Array.from({ length: pageCount || 0 }, (_, index) => index + 1);
+        const keywords = {
+            '': () => allPages,
+            all: () => allPages,
+            odd: () => allPages.filter(page => page % 2 === 1),
+            even: () => allPages.filter(page => page % 2 === 0),
+            'all-but-first': () => allPages.slice(1),
+            last: () => allPages.slice(-1),
+            'last-page-only': () => allPages.slice(-1)
+        };
+        let pages;
+        
+        if (keywords[keyword]) {
+            if (!pageCount) return { pages: null, error: null };
+            pages = keywords[keyword]();
+        } else {
+            const ranges = [];
+            for (const part of spec.replace(/\s+/g, '').split(',')) {
+                const match = part.match(/^(\d+)(?:(-)(\d*))?$/);
+                if (!match) {
+                    return { pages: null, error: this.t("Invalid page selection '%{part}'. Use pages and ranges like 1-3,7,10- or odd, even, all-but-first, last", { part }) };
+                }
+                
+                const start = parseInt(match[1]);
+                const end = match[2] ? (match[3] ? parseInt(match[3]) : null) : start;
+                if (start < 1 || end === 0) {
+                    return { pages: null, error: this.t("Invalid page number '%{page}'. Page numbers start at 1", { page: start < 1 ? match[1] : match[3] }) };
+                }
+                if (end !== null && start > end) {
+                    return { pages: null, error: this.t("Invalid page range '%{part}'. The first page must not come after the last", { part }) };
+                }
+                ranges.push({ start, end });
+            }
+            
+            if (!pageCount) return { pages: null, error: null };
+            
+            for (const { start, end } of ranges) {
+                if (start > pageCount) {
+                    return { pages: null, error: this.t('Page %{page} is beyond the last page of the document (%{count})', { page: start, count: pageCount }) };
+                }
+                if (end !== null && end > pageCount) {
+                    return { pages: null, error: this.t('Page range %{start}-%{end} goes beyond the last page of the document (%{count})', { start, end, count: pageCount }) };
+                }
+            }
+            pages = allPages.filter(page => ranges.some(({ start, end }) => page >= start && page <= (end ?? pageCount)));
+        }
+        
+        if (pages.length === 0) {
+            return { pages, error: this.tp(pageCount, "Page selection '%{spec}' matches no pages in a %{count}-page document", "Page selection '%{spec}' matches no pages in a %{count}-page document", { spec: spec.trim() || 'all' }) };
+        }
+        return { pages, error: null };
+    }
+    
+    /**
+     * Summarise how many pages of the uploaded document will be watermarked
+     */
+    updatePageSelectionSummary(selection, pageCount) {
+        this.pageSelectionSummary.textContent = selection && selection.pages && !selection.error
+            ? this.tp(pageCount, 'Watermarks %{selected} of %{count} page', 'Watermarks %{selected} of %{count} pages', { selected: selection.pages.length })
+            : '';
+    }
+    
+    /**
+     * Handle quantity input change
+     */
+    handleQuantityChange() {
+        const quantity = parseInt(this.quantityInput.value);
+        const { min, max } = this.getControlRange(this.quantityInput);
+        
+        // Ensure quantity is within valid range
+        if (quantity < min) {
+            this.quantityInput.value = min;
+        } else if (quantity > max) {
+            this.quantityInput.value = max;
+        }
+        
+        this.clearFieldError('quantity');
+    }
+    
+    /**
+     * Load the watermark schema, so the form checks the limits the server enforces
+     */
+    async loadWatermarkSchema() {
+        try {
+            const response = await fetch('/api/watermark/schema');
+            if (!response.ok) {
+                throw new Error(`Schema request failed with status ${response.status}`);
+            }
+            this.applyWatermarkSchema(await response.json());
+        } catch (error) {
+            console.error('Failed to load the watermark schema:', error);
+        }
+    }
+    
+    /**
+     * Show the largest number of watermarks the server accepts
+     */
+    updateQuantityHint() {
+        this.quantityHint.textContent = this.t('Maximum %{count} watermarks per document', { count: Number(this.quantityInput.max) });
+    }
+    
+    /**
+     * Set the form's limits and untouched defaults from the watermark schema
+     */
+    applyWatermarkSchema(schema) {
+        this.watermarkSchema = schema;
+        const ranges = (name) => (schema.fields.find(field => field.name === name) || {}).ranges || {};
+        const text = schema.fields.find(field => field.name === 'text');
+        const fontSize = ranges('fontSize');
+        const position = ranges('position');
+        const orientation = ranges('orientation');
+        const quantity = ranges('quantity');
+        const opacity = ranges('opacity');
+        const image = ranges('image');
+        const color = ranges('color');
+        
+        // Percentages in the form are fractions in the schema
+        [
+            [this.fontSizeSlider, fontSize.size],
+            [this.fontSizeMin, fontSize.min],
+            [this.fontSizeMax, fontSize.max],
+            [this.fontBaseSize, fontSize.baseSize],
+            [this.fontScaleFactor, fontSize.scaleFactor],
+            [this.gridRows, position.rows],
+            [this.gridCols, position.cols],
+            [this.orientationSlider, orientation.angle],
+            [this.quantityInput, quantity.quantity],
+            [this.opacitySlider, opacity.opacity, 100],
+            [this.imageScaleSlider, image.scale, 100],
+            [this.imageOpacitySlider, image.opacity, 100]
+        ].forEach(([control, range, factor]) => this.setControlRange(control, range, factor));
+        
+        if (fontSize.size) {
+            this.minFontSize = fontSize.size.min;
+            this.maxFontSize = fontSize.size.max;
+        }
+        if (fontSize.scaleFactor) {
+            this.minFontScaleFactor = fontSize.scaleFactor.min;
+            this.maxFontScaleFactor = fontSize.scaleFactor.max;
+        }
+        if (color.colors) {
+            this.maxCustomPaletteColors = color.colors.max;
+        }
+        if (schema.minContrastRatio) {
+            this.minContrastRatio = schema.minContrastRatio;
+        }
+        if (text && text.maxLength) {
+            this.maxTextLength = text.maxLength;
+        }
+        this.maxLayers = schema.maxLayers || this.maxLayers;
+        this.updateQuantityHint();
+        
+        this.updateContrastWarning();
+        this.handleFontSizeChange();
+        this.handleOrientationChange();
+        this.opacityValue.textContent = this.formatPercent(this.opacitySlider.value);
+        this.handleImageSliderChange();
+        this.renderLayerList();
+    }
+    
+    /**
+     * Apply a schema range to a slider or number input; the default only replaces values the user has not changed
+     */
+    setControlRange(control, range, factor = 1) {
+        if (!control || !range) return;
+        
+        const scale = (value) => factor === 1 ? value : Math.round(value * factor);
+        control.min = scale(range.min);
+        control.max = scale(range.max);
+        control.step = scale(range.step);
+        control.defaultValue = scale(range.default);
+    }
+    
+    /**
+     * Get the numeric limits of a slider or number input
+     */
+    getControlRange(control) {
+        return { min: Number(control.min), max: Number(control.max) };
+    }
+    
+    /**
+     * Validate individual form field (Task 51)
+     */
+    validateField(fieldName) {
+        let isValid = true;
+        let errorMessage = '';
+        
+        switch (fieldName) {
+            case 'text':
+                const text = this.watermarkText.value.trim();
+                if (this.getContentType() === 'image') {
+                    break;
+                } else if (!text) {
+                    errorMessage = this.t('Watermark text is required');
+                    isValid = false;
+                } else if (this.getTextTokenErrors(text).length > 0) {
+                    errorMessage = this.getTextTokenErrors(text)[0];
+                    isValid = false;
+                } else if (text.replace(/\{[^{}]*\}/g, '').length > this.maxTextLength) {
+                    errorMessage = this.t('Watermark text must be at most %{count} characters, not counting tokens', { count: this.maxTextLength });
+                    isValid = false;
+                }
+                break;
+                
+            case 'position':
+                const selectedPosition = document.querySelector('input[name="position"]:checked').value;
+                if (selectedPosition === 'fixed') {
+                    const x = parseFloat(this.positionX.value);
+                    const y = parseFloat(this.positionY.value);
+                    const bounds = this.getPageBounds();
+                    
+                    if (isNaN(x) || x < 0) {
+                        errorMessage = this.t('X position must be a positive number');
+                        isValid = false;
+                    } else if (isNaN(y) || y < 0) {
+                        errorMessage = this.t('Y position must be a positive number');
+                        isValid = false;
+                    } else if (bounds && x > bounds.width) {
+                        errorMessage = this.t('X position must be within the page width (%{width} pt)', { width: bounds.width });
+                        isValid = false;
+                    } else if (bounds && y > bounds.height) {
+                        errorMessage = this.t('Y position must be within the page height (%{height} pt)', { height: bounds.height });
+                        isValid = false;
+                    }
+                } else if (selectedPosition === 'template') {
+                    const template = document.querySelector('input[name="positionTemplate"]:checked');
+                    
+                    if (!template) {
+                        errorMessage = this.t('Please select a layout template');
+                        isValid = false;
+                    } else if (template.value === 'grid') {
+                        const rows = Number(this.gridRows.value);
+                        const cols = Number(this.gridCols.value);
+                        const { min, max } = this.getControlRange(this.gridRows);
+                        
+                        if (!Number.isInteger(rows) || rows < min || rows > max) {
+                            errorMessage = this.t('Grid rows must be a whole number between %{min} and %{max}', { min, max });
+                            isValid = false;
+                        } else if (!Number.isInteger(cols) || cols < min || cols > max) {
+                            errorMessage = this.t('Grid columns must be a whole number between %{min} and %{max}', { min, max });
+                            isValid = false;
+                        }
+                    }
+                }
+                break;
+                
+            case 'fontSize':
+                const fontSizeType = document.querySelector('input[name="fontSizeType"]:checked').value;
+                const sizeRange = { min: this.minFontSize, max: this.maxFontSize };
+                const isValidSize = (size) => !isNaN(size) && size >= this.minFontSize && size <= this.maxFontSize;
+                if (fontSizeType === 'fixed') {
+                    const fontSize = parseInt(this.fontSizeSlider.value);
+                    if (!isValidSize(fontSize)) {
+                        errorMessage = this.t('Font size must be between %{min} and %{max} pixels', sizeRange);
+                        isValid = false;
+                    }
+                } else if (fontSizeType === 'random') {
+                    const minSize = parseInt(this.fontSizeMin.value);
+                    const maxSize = parseInt(this.fontSizeMax.value);
+                    if (!isValidSize(minSize)) {
+                        errorMessage = this.t('Minimum font size must be between %{min} and %{max} pixels', sizeRange);
+                        isValid = false;
+                    } else if (!isValidSize(maxSize)) {
+                        errorMessage = this.t('Maximum font size must be between %{min} and %{max} pixels', sizeRange);
+                        isValid = false;
+                    } else if (minSize >= maxSize) {
+                        errorMessage = this.t('Maximum font size must be greater than minimum');
+                        isValid = false;
+                    }
+                } else if (fontSizeType === 'dynamicScale') {
+                    const baseSize = parseFloat(this.fontBaseSize.value);
+                    const scaleFactor = parseFloat(this.fontScaleFactor.value);
+                    if (!isValidSize(baseSize)) {
+                        errorMessage = this.t('Base font size must be between %{min} and %{max} points', sizeRange);
+                        isValid = false;
+                    } else if (isNaN(scaleFactor) || scaleFactor < this.minFontScaleFactor || scaleFactor > this.maxFontScaleFactor) {
+                        errorMessage = this.t('Scale factor must be between %{min} and %{max}', { min: this.minFontScaleFactor, max: this.maxFontScaleFactor });
+                        isValid = false;
+                    }
+                } else if (fontSizeType === 'recommended') {
+                    if (!this.fontDocumentType.value) {
+                        errorMessage = this.t('Please select a document type');
+                        isValid = false;
+                    }
+                }
+                break;
+                
+            case 'color':
+                const colorType = document.querySelector('input[name="colorType"]:checked').value;
+                if (colorType === 'fixed') {
+                    const color = this.colorPicker.value;
+                    if (!color || !color.match(/^#[0-9A-Fa-f]{6}$/)) {
+                        errorMessage = this.t('Please select a valid color');
+                        isValid = false;
+                    }
+                } else if (colorType === 'palette') {
+                    const palette = document.querySelector('input[name="colorPalette"]:checked');
+                    if (!palette) {
+                        errorMessage = this.t('Please select a color palette');
+                        isValid = false;
+                    } else if (palette.value === 'custom') {
+                        const colors = this.getCustomPaletteColors();
+                        if (colors.length === 0 || colors.length > this.maxCustomPaletteColors) {
+                            errorMessage = this.t('A custom palette needs between 1 and %{count} colors', { count: this.maxCustomPaletteColors });
+                            isValid = false;
+                        } else if (!colors.every(color => /^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/.test(color))) {
+                            errorMessage = this.t('Custom palette contains an invalid color');
+                            isValid = false;
+                        }
+                    }
+                }
+                // RandomPerLetter doesn't need additional validation
+                break;
+                
+            case 'orientation':
+                const orientationType = document.querySelector('input[name="orientationType"]:checked').value;
+                if (orientationType === 'fixed') {
+                    const angle = parseInt(this.orientationSlider.value);
+                    const { min, max } = this.getControlRange(this.orientationSlider);
+                    if (isNaN(angle) || angle < min || angle > max) {
+                        errorMessage = this.t('Orientation angle must be between %{min} and %{max} degrees', { min, max });
+                        isValid = false;
+                    }
+                } else if (orientationType === 'preset') {
+                    if (!document.querySelector('input[name="orientationPreset"]:checked')) {
+                        errorMessage = this.t('Please select an orientation preset');
+                        isValid = false;
+                    }
+                }
+                // Random orientation doesn't need additional validation
+                break;
+                
+            case 'quantity':
+                const quantity = parseInt(this.quantityInput.value);
+                const quantityRange = this.getControlRange(this.quantityInput);
+                if (isNaN(quantity) || quantity < quantityRange.min || quantity > quantityRange.max) {
+                    errorMessage = this.t('Number of watermarks must be between %{min} and %{max}', quantityRange);
+                    isValid = false;
+                }
+                break;
+                
+            case 'opacity':
+                const opacity = parseInt(this.opacitySlider.value);
+                const opacityRange = this.getControlRange(this.opacitySlider);
+                if (isNaN(opacity) || opacity < opacityRange.min || opacity > opacityRange.max) {
+                    errorMessage = this.t('Opacity must be between %{min} and %{max}', {
+                        min: this.formatPercent(opacityRange.min),
+                        max: this.formatPercent(opacityRange.max)
+                    });
+                    isValid = false;
+                } else if (opacity === 0) {
+                    errorMessage = this.t('An opacity of 0% makes the watermark invisible');
+                    isValid = false;
+                }
+                break;
+                
+            case 'image':
+                if (this.getContentType() !== 'text' && !this.watermarkImage) {
+                    errorMessage = this.t('Choose an image to stamp');
+                    isValid = false;
+                }
+                break;
+                
+            case 'pages':
+                const pageCount = this.documentInfo ? this.documentInfo.pageCount : null;
+                const selection = this.resolvePageSelection(this.getPageSelectionSpec(), pageCount);
+                if (this.pageSelection.value === 'custom' && !this.pageRanges.value.trim()) {
+                    errorMessage = this.t('Enter the pages or ranges to watermark');
+                    isValid = false;
+                } else if (selection.error) {
+                    errorMessage = selection.error;
+                    isValid = false;
+                }
+                this.updatePageSelectionSummary(selection, pageCount);
+                break;
+        }
+        
+        if (!isValid) {
+            this.showFieldError(fieldName, errorMessage);
+        } else {
+            this.clearFieldError(fieldName);
+        }
+        
+        return isValid;
+    }
+    
+    /**
+     * Validate entire form (Task 51)
+     */
+    validateForm() {
+        const fields = ['text', 'image', 'position', 'fontSize', 'color', 'opacity', 'orientation', 'quantity', 'pages'];
+        let allValid = true;
+        const errors = [];
+        
+        fields.forEach(field => {
+            if (!this.validateField(field)) {
+                allValid = false;
+            }
+        });
+        
+        // Additional form-level validations
+        if (!this.currentSessionId) {
+            errors.push(this.t('Please upload a PDF file first'));
+            allValid = false;
+        }
+        
+        if (!allValid) {
+            this.showFormErrors(errors);
+            this.focusFirstError();
+        } else {
+            this.hideFormErrors();
+        }
+        
+        return allValid;
+    }
+    
+    /**
+     * Show field error (Task 51)
+     */
+    showFieldError(fieldName, message) {
+        const errorElement = document.getElementById(`${fieldName}-error`);
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.add('show');
+            this.getFieldControls(errorElement).forEach(control => {
+                control.setAttribute('aria-invalid', 'true');
+                const describedBy = (control.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+                if (!describedBy.includes(errorElement.id)) {
+                    control.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+                }
+            });
+        }
+    }
+    
+    /**
+     * Get the visible inputs of the field an error element belongs to. Fields made
+     * of radio buttons only are represented by their radio groups.
+     */
+    getFieldControls(errorElement) {
+        const group = errorElement.closest('.form-group');
+        if (!group) return [];
+        
+        const visible = (element) => element.offsetParent !== null;
+        const inputs = Array.from(group.querySelectorAll('input:not([type="radio"]):not([type="checkbox"]), select, textarea')).filter(visible);
+        return inputs.length > 0 ? inputs : Array.from(group.querySelectorAll('[role="radiogroup"]')).filter(visible);
+    }
+    
+    /**
+     * Move focus to the first field with an error, or to the error summary
+     */
+    focusFirstError() {
+        const invalid = Array.from(this.watermarkForm.querySelectorAll('[aria-invalid="true"]'))
+            .find(control => control.offsetParent !== null);
+        
+        if (invalid) {
+            // Radio groups take focus on their selected or first radio button
+            const target = invalid.matches('[role="radiogroup"]')
+                ? invalid.querySelector('input:checked') || invalid.querySelector('input')
+                : invalid;
+            target.focus();
+        } else if (this.formErrors.style.display !== 'none') {
+            this.formErrors.focus();
+        }
+    }
+    
+    /**
+     * Clear field error (Task 51)
+     */
+    clearFieldError(fieldName) {
+        const errorElement = document.getElementById(`${fieldName}-error`);
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.classList.remove('show');
+            errorElement.closest('.form-group')?.querySelectorAll('[aria-invalid]').forEach(control => {
+                control.removeAttribute('aria-invalid');
+            });
+        }
+    }
+    
+    /**
+     * Show the errors the server reported per field, optionally switching to the first layer with an error.
+     * Errors without a matching field, or in other layers, go to the form error list.
+     */
+    showServerFieldErrors(fieldErrors = [], switchLayer = true) {
+        if (fieldErrors.length === 0) return false;
+        
+        const firstLayerIndex = Math.min(fieldErrors[0].layer || 1, this.layers.length) - 1;
+        if (switchLayer && firstLayerIndex !== this.activeLayerIndex) {
+            this.selectLayer(firstLayerIndex);
+        }
+        const layerIndex = this.activeLayerIndex;
+        
+        const shownFields = new Set();
+        const formErrors = [];
+        fieldErrors.forEach(({ field, message, layer = 1 }) => {
+            if (layer - 1 !== layerIndex) {
+                formErrors.push(this.t('Layer %{layer}: %{message}', { layer, message }));
+            } else if (document.getElementById(`${field}-error`)) {
+                if (!shownFields.has(field)) this.showFieldError(field, message);
+                shownFields.add(field);
+            } else {
+                formErrors.push(message);
+            }
+        });
+        
+        if (formErrors.length > 0) {
+            this.showFormErrors(formErrors);
+        }
+        return true;
+    }
+    
+    /**
+     * Show form errors (Task 51)
+     */
+    showFormErrors(errors) {
+        if (errors.length === 0) return;
+        
+        this.errorList.innerHTML = '';
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            li.textContent = error;
+            this.errorList.appendChild(li);
+        });
+        
+        this.formErrors.style.display = 'block';
+    }
+    
+    /**
+     * Hide form errors (Task 51)
+     */
+    hideFormErrors() {
+        this.formErrors.style.display = 'none';
+    }
+    
+    /**
+     * Get watermark configuration from form
+     */
+    getWatermarkConfig() {
+        // Position configuration
+        const selectedPosition = document.querySelector('input[name="position"]:checked').value;
+        let positionConfig;
+        if (selectedPosition === 'template') {
+            const template = document.querySelector('input[name="positionTemplate"]:checked').value;
+            positionConfig = template === 'grid'
+                ? { type: 'template', template: template, rows: parseInt(this.gridRows.value), cols: parseInt(this.gridCols.value) }
+                : { type: 'template', template: template };
+        } else if (selectedPosition === 'fixed') {
+            positionConfig = { 
+                type: 'fixed', 
+                x: parseFloat(this.positionX.value), 
+                y: parseFloat(this.positionY.value) 
+            };
+        } else {
+            positionConfig = { type: 'random' };
+        }
+        
+        // Font size configuration
+        const selectedFontSizeType = document.querySelector('input[name="fontSizeType"]:checked').value;
+        let fontSizeConfig;
+        if (selectedFontSizeType === 'dynamicScale') {
+            fontSizeConfig = {
+                type: 'dynamicScale',
+                baseSize: parseFloat(this.fontBaseSize.value),
+                scaleFactor: parseFloat(this.fontScaleFactor.value)
+            };
+        } else if (selectedFontSizeType === 'recommended') {
+            fontSizeConfig = { type: 'recommended', documentType: this.fontDocumentType.value };
+        } else if (selectedFontSizeType === 'fixed') {
+            fontSizeConfig = { type: 'fixed', size: parseInt(this.fontSizeSlider.value) };
+        } else {
+            fontSizeConfig = { type: 'random', min: parseInt(this.fontSizeMin.value), max: parseInt(this.fontSizeMax.value) };
+        }
+        
+        // Color configuration
+        const selectedColorType = document.querySelector('input[name="colorType"]:checked').value;
+        let colorConfig;
+        if (selectedColorType === 'palette') {
+            const palette = document.querySelector('input[name="colorPalette"]:checked').value;
+            colorConfig = palette === 'custom'
+                ? { type: 'palette', palette: palette, colors: this.getCustomPaletteColors() }
+                : { type: 'palette', palette: palette };
+        } else if (selectedColorType === 'fixed') {
+            colorConfig = { type: 'fixed', color: this.colorPicker.value };
+        } else {
+            colorConfig = { type: 'randomPerLetter' };
+        }
+        
+        // Orientation configuration
+        const selectedOrientationType = document.querySelector('input[name="orientationType"]:checked').value;
+        let orientationConfig;
+        if (selectedOrientationType === 'preset') {
+            orientationConfig = { type: 'preset', preset: document.querySelector('input[name="orientationPreset"]:checked').value };
+        } else if (selectedOrientationType === 'fixed') {
+            orientationConfig = { type: 'fixed', angle: parseInt(this.orientationSlider.value) };
+        } else {
+            orientationConfig = { type: 'random' };
+        }
+        
+        // Quantity
+        const quantity = parseInt(this.quantityInput.value);
+        
+        const contentType = this.getContentType();
+        const config = {
+            text: contentType === 'image' ? '' : this.watermarkText.value.trim(),
+            position: positionConfig,
+            orientation: orientationConfig,
+            fontSize: fontSizeConfig,
+            color: colorConfig,
+            quantity: quantity,
+            pages: this.getPageSelectionSpec(),
+            opacity: parseInt(this.opacitySlider.value) / 100,
+            blendMode: this.blendModeSelect.value,
+            recipient: this.recipientInput.value.trim() || null
+        };
+        
+        // Images are referenced by the id the server returned when they were uploaded
+        if (contentType !== 'text' && this.watermarkImage) {
+            config.image = {
+                imageId: this.watermarkImage.imageId,
+                scale: parseInt(this.imageScaleSlider.value) / 100,
+                opacity: parseInt(this.imageOpacitySlider.value) / 100
+            };
+        }
+        
+        return config;
+    }
+    
+    /**
+     * Get the id that keys this browser's presets on the server
+     */
+    getInstallId() {
+        let installId = localStorage.getItem(this.installIdKey);
+        if (!installId) {
+            installId = window.crypto?.randomUUID
+                ? window.crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            localStorage.setItem(this.installIdKey, installId);
+        }
+        return installId;
+    }
+    
+    /**
+     * Call a preset endpoint. Requests the server rejects throw errors marked as
+     * rejected; any other failure means presets fall back to local storage.
+     */
+    async presetRequest(path = '', options = {}) {
+        const response = await fetch(`/api/presets/${encodeURIComponent(this.getInstallId())}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+        const result = await response.json().catch(() => ({}));
+        
+        if (response.status >= 400 && response.status < 500 && result.message) {
+            const error = new Error(result.message);
+            error.rejected = true;
+            throw error;
+        }
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `Preset request failed with status ${response.status}`);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Load saved presets from the server, or from local storage when it is unreachable
+     */
+    async loadPresets() {
+        const cachedPresets = this.getLocalPresets();
+        
+        try {
+            const result = await this.presetRequest();
+            this.presets = result.presets.filter(preset => !this.pendingPresetDeletes.has(preset.id));
+            
+            // Presets saved while the server was unreachable are uploaded now
+            const serverNames = new Set(this.presets.map(preset => preset.name.toLowerCase()));
+            const pending = cachedPresets.filter(preset => !serverNames.has(preset.name.toLowerCase()));
+            for (const preset of pending) {
+                try {
+                    await this.storePreset(preset.name, preset.config);
+                } catch (error) {
+                    console.error(`Failed to upload preset "${preset.name}":`, error);
+                    this.upsertPreset(preset);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+            this.presets = cachedPresets;
+            this.setPresetStatus(this.t('Presets are saved in this browser until the server is reachable.'), false);
+        }
+        
+        this.storeLocalPresets();
+        this.renderPresetList();
+    }
+    
+    /**
+     * Get presets cached in local storage
+     */
+    getLocalPresets() {
+        try {
+            const presets = JSON.parse(localStorage.getItem(this.presetsKey));
+            return Array.isArray(presets) ? presets : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    /**
+     * Cache the preset list in local storage
+     */
+    storeLocalPresets() {
+        // Presets waiting for their Undo window to pass are not deleted yet
+        const pending = [...this.pendingPresetDeletes.values()].map(({ preset }) => preset);
+        localStorage.setItem(this.presetsKey, JSON.stringify([...this.presets, ...pending]));
+    }
+    
+    /**
+     * Check whether a preset exists only in this browser
+     */
+    isLocalPreset(preset) {
+        return preset.id.startsWith('local-');
+    }
+    
+    /**
+     * Save a configuration under a name, on the server when possible
+     */
+    async storePreset(name, config) {
+        // A preset waiting to be deleted under the same name is deleted first, so it cannot delete the new one
+        const replaced = [...this.pendingPresetDeletes.values()]
+            .find(({ preset }) => preset.name.toLowerCase() === name.toLowerCase());
+        if (replaced) await this.commitPresetDelete(replaced.preset.id);
+        
+        try {
+            const result = await this.presetRequest('', {
+                method: 'POST',
+                body: JSON.stringify({ name, config })
+            });
+            return this.upsertPreset(result.preset);
+        } catch (error) {
+            if (error.rejected) throw error;
+            
+            console.error('Saving preset on the server failed, keeping it locally:', error);
+            const existing = this.findPresetByName(name);
+            return this.upsertPreset({
+                id: existing ? existing.id : `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                name: name,
+                config: config,
+                updatedAt: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Add or replace a preset in the list, matching presets by id or name
+     */
+    upsertPreset(preset) {
+        this.presets = this.presets.filter(existing =>
+            existing.id !== preset.id && existing.name.toLowerCase() !== preset.name.toLowerCase()
+        );
+        this.presets.push(preset);
+        this.presets.sort((a, b) => a.name.localeCompare(b.name, this.locale, { sensitivity: 'base' }));
+        this.storeLocalPresets();
+        this.renderPresetList(preset.id);
+        return preset;
+    }
+    
+    /**
+     * Find a preset by its case-insensitive name
+     */
+    findPresetByName(name) {
+        return this.presets.find(preset => preset.name.toLowerCase() === name.toLowerCase());
+    }
+    
+    /**
+     * Get the preset chosen in the preset list
+     */
+    getSelectedPreset() {
+        return this.presets.find(preset => preset.id === this.presetSelect.value) || null;
+    }
+    
+    /**
+     * Rebuild the preset list, keeping or changing the selection
+     */
+    renderPresetList(selectedId = this.presetSelect.value) {
+        this.presetSelect.innerHTML = '';
+        
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.presets.length > 0 ? this.t('Choose a preset') : this.t('No saved presets');
+        this.presetSelect.appendChild(placeholder);
+        
+        this.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = this.isLocalPreset(preset) ? this.t('%{name} (this browser only)', { name: preset.name }) : preset.name;
+            this.presetSelect.appendChild(option);
+        });
+        
+        this.presetSelect.value = this.presets.some(preset => preset.id === selectedId) ? selectedId : '';
+        this.updatePresetButtons();
+    }
+    
+    /**
+     * Enable the preset actions that apply to the current selection
+     */
+    updatePresetButtons() {
+        const hasSelection = this.getSelectedPreset() !== null;
+        
+        this.applyPresetBtn.disabled = !hasSelection;
+        this.deletePresetBtn.disabled = !hasSelection;
+        this.renamePresetBtn.disabled = !hasSelection;
+        this.exportPresetsBtn.disabled = this.presets.length === 0;
+    }
+    
+    /**
+     * Handle preset list selection change
+     */
+    handlePresetSelection() {
+        const preset = this.getSelectedPreset();
+        if (preset) {
+            this.presetNameInput.value = preset.name;
+        }
+        this.updatePresetButtons();
+    }
+    
+    /**
+     * Show a message below the preset controls
+     */
+    setPresetStatus(message, isError) {
+        this.presetStatus.textContent = message;
+        this.presetStatus.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Save the current form settings as a named preset
+     */
+    async saveCurrentPreset() {
+        const name = this.presetNameInput.value.trim();
+        if (!name) {
+            this.setPresetStatus(this.t('Enter a name for the preset.'), true);
+            this.presetNameInput.focus();
+            return;
+        }
+        if (!this.validateForm()) {
+            this.setPresetStatus(this.t('Correct the watermark settings before saving them as a preset.'), true);
+            return;
+        }
+        
+        try {
+            const preset = await this.storePreset(name, this.getWatermarkConfig());
+            this.setPresetStatus(this.isLocalPreset(preset)
+                ? this.t('Preset "%{name}" saved in this browser.', { name: preset.name })
+                : this.t('Preset "%{name}" saved.', { name: preset.name }), false);
+        } catch (error) {
+            this.setPresetStatus(error.message, true);
+        }
+    }
+    
+    /**
+     * Rename the selected preset to the name in the preset name field
+     */
+    async renameSelectedPreset() {
+        const preset = this.getSelectedPreset();
+        const name = this.presetNameInput.value.trim();
+        if (!preset) return;
+        
+        if (!name) {
+            this.setPresetStatus(this.t('Enter the new name for the preset.'), true);
+            this.presetNameInput.focus();
+            return;
+        }
+        const conflict = this.findPresetByName(name);
+        if (conflict && conflict.id !== preset.id) {
+            this.setPresetStatus(this.t('A preset named "%{name}" already exists.', { name }), true);
+            return;
+        }
+        
+        try {
+            if (this.isLocalPreset(preset)) {
+                this.upsertPreset({ ...preset, name: name, updatedAt: new Date().toISOString() });
+            } else {
+                const result = await this.presetRequest(`/${encodeURIComponent(preset.id)}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ name })
+                });
+                this.upsertPreset(result.preset);
+            }
+            this.setPresetStatus(this.t('Preset renamed to "%{name}".', { name }), false);
+        } catch (error) {
+            console.error('Preset rename error:', error);
+            this.setPresetStatus(error.rejected ? error.message : this.t('Could not rename the preset. Please try again.'), true);
+        }
+    }
+    
+    /**
+     * Delete the selected preset. It leaves the list at once, but is only deleted
+     * when the Undo window of its notification has passed
+     */
+    deleteSelectedPreset() {
+        const preset = this.getSelectedPreset();
+        if (!preset) return;
+        
+        const index = this.presets.indexOf(preset);
+        this.presets.splice(index, 1);
+        this.pendingPresetDeletes.set(preset.id, {
+            preset,
+            index,
+            timer: setTimeout(() => this.commitPresetDelete(preset.id), this.presetUndoWindow)
+        });
+        
+        this.renderPresetList('');
+        this.presetNameInput.value = '';
+        this.setPresetStatus(this.t('Preset "%{name}" deleted.', { name: preset.name }), false);
+        this.showNotification(this.t('Preset "%{name}" deleted', { name: preset.name }), 'info', {
+            actions: [{ label: this.t('Undo'), handler: () => this.undoPresetDelete(preset.id) }],
+            duration: this.presetUndoWindow
+        });
+    }
+    
+    /**
+     * Delete a preset whose Undo window has passed
+     */
+    async commitPresetDelete(presetId) {
+        const pending = this.pendingPresetDeletes.get(presetId);
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.pendingPresetDeletes.delete(presetId);
+        
+        try {
+            if (!this.isLocalPreset(pending.preset)) {
+                await this.presetRequest(`/${encodeURIComponent(presetId)}`, { method: 'DELETE', keepalive: true });
+            }
+        } catch (error) {
+            // A preset the server no longer knows is removed locally as well
+            if (!error.rejected) {
+                console.error('Preset delete error:', error);
+                this.restorePreset(pending);
+                this.showNotification(this.t('Could not delete the preset. Please try again.'), 'error');
+                return;
+            }
+        }
+        
+        this.storeLocalPresets();
+    }
+    
+    /**
+     * Delete every preset still waiting for its Undo window, e.g. when the page closes
+     */
+    flushPresetDeletes() {
+        [...this.pendingPresetDeletes.keys()].forEach(presetId => this.commitPresetDelete(presetId));
+    }
+    
+    /**
+     * Keep a preset whose deletion was undone
+     */
+    undoPresetDelete(presetId) {
+        const pending = this.pendingPresetDeletes.get(presetId);
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.pendingPresetDeletes.delete(presetId);
+        this.restorePreset(pending);
+        this.setPresetStatus(this.t('Preset "%{name}" restored.', { name: pending.preset.name }), false);
+    }
+    
+    /**
+     * Put a preset back at its place in the list
+     */
+    restorePreset({ preset, index }) {
+        this.presets.splice(Math.min(index, this.presets.length), 0, preset);
+        this.storeLocalPresets();
+        this.renderPresetList(preset.id);
+    }
+    
+    /**
+     * Apply the selected preset to the form
+     */
+    applySelectedPreset() {
+        const preset = this.getSelectedPreset();
+        if (!preset) return;
+        
+        this.applyWatermarkConfig(preset.config);
+        this.setPresetStatus(this.layers.length > 1
+            ? this.t('Preset "%{name}" applied to layer %{layer}.', { name: preset.name, layer: this.activeLayerIndex + 1 })
+            : this.t('Preset "%{name}" applied.', { name: preset.name }), false);
+    }
+    
+    /**
+     * Store the form's settings in the selected layer
+     */
+    storeActiveLayer() {
+        this.layers[this.activeLayerIndex] = { config: this.getWatermarkConfig(), image: this.watermarkImage };
+    }
+    
+    /**
+     * Show a stored layer in the form
+     */
+    loadLayer(index) {
+        const layer = this.layers[index];
+        this.activeLayerIndex = index;
+        this.watermarkImage = layer.image;
+        this.applyWatermarkConfig(layer.config);
+        this.renderLayerList();
+    }
+    
+    /**
+     * Put the form back to its initial settings with a single layer
+     */
+    resetWatermarkSettings() {
+        if (!this.watermarkForm) return;
+        this.setLayers([{ config: { ...this.defaultLayerConfig }, image: null }]);
+    }
+    
+    /**
+     * Replace every layer, showing the first one in the form without errors or a selected preset
+     */
+    setLayers(layers) {
+        this.layers = layers;
+        this.loadLayer(0);
+        this.watermarkForm.querySelectorAll('.form-error.show').forEach(errorElement => {
+            this.clearFieldError(errorElement.id.replace(/-error$/, ''));
+        });
+        this.hideFormErrors();
+        this.presetSelect.value = '';
+        this.handlePresetSelection();
+    }
+    
+    /**
+     * Switch the form to another layer, keeping the edits made to the current one
+     */
+    selectLayer(index) {
+        if (index === this.activeLayerIndex) return;
+        this.storeActiveLayer();
+        this.loadLayer(index);
+    }
+    
+    /**
+     * Add a layer with the initial settings on top of the others
+     */
+    addLayer() {
+        if (this.layers.length >= this.maxLayers) {
+            this.showNotification(this.t('A watermark can have at most %{count} layers', { count: this.maxLayers }), 'warning');
+            return;
+        }
+        
+        this.storeActiveLayer();
+        this.layers.push({ config: { ...this.defaultLayerConfig }, image: null });
+        this.loadLayer(this.layers.length - 1);
+        this.watermarkText.focus();
+    }
+    
+    /**
+     * Insert a copy of a layer directly above it
+     */
+    duplicateLayer(index) {
+        if (this.layers.length >= this.maxLayers) {
+            this.showNotification(this.t('A watermark can have at most %{count} layers', { count: this.maxLayers }), 'warning');
+            return;
+        }
+        
+        this.storeActiveLayer();
+        const layer = this.layers[index];
+        this.layers.splice(index + 1, 0, { config: JSON.parse(JSON.stringify(layer.config)), image: layer.image });
+        this.loadLayer(index + 1);
+    }
+    
+    /**
+     * Delete a layer; the last remaining layer cannot be deleted
+     */
+    deleteLayer(index) {
+        if (this.layers.length === 1) return;
+        
+        this.storeActiveLayer();
+        const [removed] = this.layers.splice(index, 1);
+        if (removed.image?.previewUrl && !this.layers.some(layer => layer.image === removed.image)) {
+            URL.revokeObjectURL(removed.image.previewUrl);
+        }
+        
+        const nextIndex = index < this.activeLayerIndex
+            ? this.activeLayerIndex - 1
+            : Math.min(this.activeLayerIndex, this.layers.length - 1);
+        this.loadLayer(nextIndex);
+    }
+    
+    /**
+     * Move a layer up or down the drawing order
+     */
+    moveLayer(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.layers.length) return;
+        
+        this.storeActiveLayer();
+        [this.layers[index], this.layers[target]] = [this.layers[target], this.layers[index]];
+        if (this.activeLayerIndex === index) {
+            this.activeLayerIndex = target;
+        } else if (this.activeLayerIndex === target) {
+            this.activeLayerIndex = index;
+        }
+        
+        this.renderLayerList();
+        this.schedulePreviewUpdate();
+    }
+    
+    /**
+     * Get the configuration of every layer, bottom layer first
+     */
+    getWatermarkLayers() {
+        this.storeActiveLayer();
+        return this.layers.map(layer => layer.config);
+    }
+    
+    /**
+     * Validate every layer, leaving the form on the first layer with an error
+     */
+    validateLayers() {
+        const activeIndex = this.activeLayerIndex;
+        if (!this.validateForm()) return false;
+        if (this.layers.length === 1) return true;
+        
+        this.storeActiveLayer();
+        for (let index = 0; index < this.layers.length; index++) {
+            if (index === activeIndex) continue;
+            this.loadLayer(index);
+            if (!this.validateForm()) {
+                this.showNotification(this.t('Layer %{layer} needs attention before the watermark can be applied', { layer: index + 1 }), 'warning');
+                return false;
+            }
+        }
+        
+        this.loadLayer(activeIndex);
+        return true;
+    }
+    
+    /**
+     * Render the layer list with its select, reorder, duplicate and delete controls
+     */
+    renderLayerList() {
+        this.layerList.innerHTML = '';
+        
+        this.layers.forEach((layer, index) => {
+            const isActive = index === this.activeLayerIndex;
+            const text = isActive ? this.watermarkText.value.trim() : layer.config?.text;
+            const image = isActive ? this.watermarkImage : layer.image;
+            const label = text || (image ? this.t('Image: %{name}', { name: image.name }) : this.t('Untitled layer'));
+            
+            const item = document.createElement('li');
+            item.className = `layer-item${isActive ? ' active' : ''}`;
+            
+            const selectButton = document.createElement('button');
+            selectButton.type = 'button';
+            selectButton.className = 'layer-select';
+            selectButton.textContent = `${this.formatNumber(index + 1)}. ${label}`;
+            selectButton.title = label;
+            selectButton.setAttribute('aria-pressed', String(isActive));
+            selectButton.addEventListener('click', () => this.selectLayer(index));
+            item.appendChild(selectButton);
+            
+            const actions = [
+                { symbol: '↑', title: this.t('Move down the drawing order'), handler: () => this.moveLayer(index, -1), disabled: index === 0 },
+                { symbol: '↓', title: this.t('Move up the drawing order'), handler: () => this.moveLayer(index, 1), disabled: index === this.layers.length - 1 },
+                { symbol: '⧉', title: this.t('Duplicate layer'), handler: () => this.duplicateLayer(index), disabled: this.layers.length >= this.maxLayers },
+                { symbol: '×', title: this.t('Delete layer'), handler: () => this.deleteLayer(index), disabled: this.layers.length === 1 }
+            ];
+            actions.forEach(({ symbol, title, handler, disabled }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'layer-action';
+                button.textContent = symbol;
+                button.title = title;
+                button.setAttribute('aria-label', this.t('%{action} (layer %{layer})', { action: title, layer: index + 1 }));
+                button.disabled = disabled;
+                button.addEventListener('click', handler);
+                item.appendChild(button);
+            });
+            
+            this.layerList.appendChild(item);
+        });
+        
+        this.addLayerBtn.disabled = this.layers.length >= this.maxLayers;
+    }
+    
+    /**
+     * Populate every form control from a watermark configuration
+     */
+    applyWatermarkConfig(config) {
+        const { position = {}, orientation = {}, fontSize = {}, color = {} } = config;
+        
+        this.watermarkText.value = config.text || '';
+        this.recipientInput.value = config.recipient || '';
+        
+        // Content and image
+        if (config.image) {
+            this.setRadioValue('content', config.text ? 'imageText' : 'image');
+            this.imageScaleSlider.value = Math.round((config.image.scale ?? 0.3) * 100);
+            this.imageOpacitySlider.value = Math.round((config.image.opacity ?? 0.5) * 100);
+            if (this.watermarkImage?.imageId !== config.image.imageId) {
+                this.watermarkImage = { imageId: config.image.imageId, name: this.t('Saved image') };
+            }
+        } else {
+            this.setRadioValue('content', 'text');
+        }
+        
+        // Position
+        this.setRadioValue('position', position.type);
+        if (position.type === 'fixed') {
+            this.positionX.value = position.x ?? '';
+            this.positionY.value = position.y ?? '';
+        } else if (position.type === 'template') {
+            this.setRadioValue('positionTemplate', position.template);
+            if (position.template === 'grid') {
+                this.gridRows.value = position.rows ?? this.gridRows.value;
+                this.gridCols.value = position.cols ?? this.gridCols.value;
+            }
+        }
+        
+        // Font size
+        this.setRadioValue('fontSizeType', fontSize.type);
+        if (fontSize.type === 'fixed') {
+            this.fontSizeSlider.value = fontSize.size ?? this.fontSizeSlider.value;
+        } else if (fontSize.type === 'random') {
+            this.fontSizeMin.value = fontSize.min ?? this.fontSizeMin.value;
+            this.fontSizeMax.value = fontSize.max ?? this.fontSizeMax.value;
+        } else if (fontSize.type === 'dynamicScale') {
+            this.fontBaseSize.value = fontSize.baseSize ?? this.fontBaseSize.value;
+            this.fontScaleFactor.value = fontSize.scaleFactor ?? this.fontScaleFactor.value;
+        } else if (fontSize.type === 'recommended' && fontSize.documentType) {
+            this.fontDocumentType.value = fontSize.documentType;
+        }
+        
+        // Color
+        this.setRadioValue('colorType', color.type);
+        if (color.type === 'fixed' && color.color) {
+            this.colorPicker.value = color.color;
+        } else if (color.type === 'palette') {
+            this.setRadioValue('colorPalette', color.palette);
+            if (color.palette === 'custom') {
+                this.customPaletteColors.innerHTML = '';
+                (color.colors || []).forEach(paletteColor => this.addCustomPaletteColor(paletteColor));
+                this.handleCustomPaletteChange();
+            }
+        }
+        
+        // Orientation
+        this.setRadioValue('orientationType', orientation.type);
+        if (orientation.type === 'fixed') {
+            this.orientationSlider.value = orientation.angle ?? this.orientationSlider.value;
+        } else if (orientation.type === 'preset') {
+            this.setRadioValue('orientationPreset', orientation.preset);
+        }
+        
+        this.quantityInput.value = config.quantity ?? 1;
+        
+        // Opacity and blending
+        this.opacitySlider.value = Math.round((config.opacity ?? 0.5) * 100);
+        this.blendModeSelect.value = config.blendMode === 'multiply' ? 'multiply' : 'normal';
+        
+        // Page selection
+        const pages = config.pages || 'all';
+        const isKeyword = Array.from(this.pageSelection.options).some(option => option.value === pages && pages !== 'custom');
+        this.pageSelection.value = isKeyword ? pages : 'custom';
+        this.pageRanges.value = isKeyword ? '' : pages;
+        
+        // Refresh dependent controls the same way user input does
+        this.handleContentTypeChange();
+        this.renderWatermarkImage();
+        this.handlePositionChange();
+        this.handleFontSizeTypeChange();
+        this.handleFontSizeChange();
+        this.handleFontSizeRangeChange();
+        this.handleColorTypeChange();
+        this.handleColorChange();
+        this.handlePaletteChange();
+        this.handleOrientationTypeChange();
+        this.handleOrientationChange();
+        this.updateTextTokens();
+        this.handleOpacityChange();
+        this.handleQuantityChange();
+        this.handlePageSelectionChange();
+        
+        this.hideFormErrors();
+        this.schedulePreviewUpdate();
+    }
+    
+    /**
+     * Check the radio button with the given name and value, if it exists
+     */
+    setRadioValue(name, value) {
+        const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
+        if (radio) {
+            radio.checked = true;
+        }
+    }
+    
+    /**
+     * Download all saved presets as a JSON file
+     */
+    exportPresets() {
+        const data = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            presets: this.presets.map(preset => ({ name: preset.name, config: preset.config }))
+        };
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'watermark-presets.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        this.setPresetStatus(this.tp(this.presets.length, 'Exported %{count} preset.', 'Exported %{count} presets.'), false);
+    }
+    
+    /**
+     * Import presets from an exported JSON file. Presets with an existing name are replaced.
+     */
+    async importPresets(file) {
+        this.presetImportInput.value = '';
+        if (!file) return;
+        
+        let presets;
+        try {
+            const data = JSON.parse(await file.text());
+            presets = Array.isArray(data) ? data : data.presets;
+            if (!Array.isArray(presets)) throw new Error('No presets found');
+        } catch (error) {
+            this.setPresetStatus(this.t('The selected file is not a preset export.'), true);
+            return;
+        }
+        
+        const valid = presets.filter(preset =>
+            preset && typeof preset.name === 'string' && preset.name.trim() &&
+            preset.config && typeof preset.config === 'object'
+        );
+        const failed = [];
+        
+        for (const preset of valid) {
+            try {
+                await this.storePreset(preset.name.trim(), preset.config);
+            } catch (error) {
+                failed.push(`${preset.name}: ${error.message}`);
+            }
+        }
+        
+        const imported = valid.length - failed.length;
+        const skipped = presets.length - imported;
+        if (skipped > 0) {
+            console.warn('Skipped presets:', failed);
+            this.setPresetStatus(this.tp(imported, 'Imported %{count} preset, skipped %{skipped} invalid.', 'Imported %{count} presets, skipped %{skipped} invalid.', { skipped }), true);
+        } else {
+            this.setPresetStatus(this.tp(imported, 'Imported %{count} preset.', 'Imported %{count} presets.'), false);
+        }
+    }
+    
+    /**
+     * Handle form preview (Tasks 47-51)
+     */
+    async handlePreview() {
+        if (!this.validateLayers()) return;
+        
+        this.previewActive = true;
+        this.previewPanel.style.display = 'block';
+        await this.renderPreview();
+        this.previewPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+    
+    /**
+     * Re-render the preview shortly after the configuration stops changing
+     */
+    schedulePreviewUpdate() {
+        if (!this.previewActive) return;
+        
+        clearTimeout(this.previewDebounceTimer);
+        this.previewDebounceTimer = setTimeout(() => this.renderPreview(), 400);
+    }
+    
+    /**
+     * Render the current preview page on the server with the form configuration
+     */
+    async renderPreview() {
+        const fields = ['text', 'image', 'position', 'fontSize', 'color', 'opacity', 'orientation', 'quantity', 'pages'];
+        if (!fields.every(field => this.validateField(field))) {
+            this.setPreviewStatus(this.t('Correct the highlighted settings to update the preview.'), true);
+            return;
+        }
+        
+        if (!this.currentSessionId) {
+            this.setPreviewStatus(this.t('Please upload a PDF file first.'), true);
+            return;
+        }
+        
+        // Ignore responses that arrive after a newer preview was requested
+        const requestId = ++this.previewRequestId;
+        this.previewLoading.classList.add('active');
+        const [config, ...layers] = this.getWatermarkLayers();
+        
+        try {
+            const response = await fetch('/api/watermark/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    sessionId: this.currentSessionId,
+                    config,
+                    layers,
+                    page: this.previewPage
+                })
+            });
+            
+            if (requestId !== this.previewRequestId) return;
+            
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                this.showServerFieldErrors(result.fieldErrors, false);
+                this.setPreviewStatus(result.message || this.t('Failed to render preview'), true);
+                return;
+            }
+            
+            const image = await response.blob();
+            if (requestId !== this.previewRequestId) return;
+            
+            if (this.previewObjectUrl) {
+                URL.revokeObjectURL(this.previewObjectUrl);
+            }
+            this.previewObjectUrl = URL.createObjectURL(image);
+            this.previewImage.src = this.previewObjectUrl;
+            
+            this.previewPageCount = parseInt(response.headers.get('X-Page-Count')) || 1;
+            this.updatePreviewPagination();
+            this.setPreviewStatus(this.t('The preview updates automatically as you change the settings.'), false);
+            
+        } catch (error) {
+            console.error('Preview error:', error);
+            if (requestId === this.previewRequestId) {
+                this.setPreviewStatus(this.t('Failed to render preview. Please try again.'), true);
+            }
+        } finally {
+            if (requestId === this.previewRequestId) {
+                this.previewLoading.classList.remove('active');
+            }
+        }
+    }
+    
+    /**
+     * Move the preview to another page of the document
+     */
+    changePreviewPage(delta) {
+        const page = this.previewPage + delta;
+        if (page < 1 || page > this.previewPageCount) return;
+        
+        this.previewPage = page;
+        this.updatePreviewPagination();
+        this.renderPreview();
+    }
+    
+    /**
+     * Update preview page indicator and navigation buttons
+     */
+    updatePreviewPagination() {
+        this.previewPageInfo.textContent = this.t('Page %{page} of %{count}', { page: this.previewPage, count: this.previewPageCount });
+        this.previewPrevPage.disabled = this.previewPage <= 1;
+        this.previewNextPage.disabled = this.previewPage >= this.previewPageCount;
+    }
+    
+    /**
+     * Show a status or error message below the preview
+     */
+    setPreviewStatus(message, isError) {
+        this.previewStatus.textContent = message;
+        this.previewStatus.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Hide the preview and forget the rendered page
+     */
+    resetPreview() {
+        clearTimeout(this.previewDebounceTimer);
+        this.previewRequestId++;
+        this.previewActive = false;
+        this.previewPage = 1;
+        this.previewPageCount = (this.documentInfo && this.documentInfo.pageCount) || 1;
+        
+        if (this.previewObjectUrl) {
+            URL.revokeObjectURL(this.previewObjectUrl);
+            this.previewObjectUrl = null;
+        }
+        
+        if (this.previewPanel) {
+            this.previewImage.removeAttribute('src');
+            this.previewLoading.classList.remove('active');
+            this.previewPanel.style.display = 'none';
+            this.updatePreviewPagination();
+        }
+    }
+    
+    /**
+     * Handle form submission (Tasks 47-51)
+     */
+    async handleFormSubmit(e) {
+        e.preventDefault();
+        
+        if (this.workflowState === 'processing') {
+            this.showNotification(this.t('Watermarks are still being applied. Please wait until they are done.'), 'warning');
+            return;
+        }
+        if (!this.validateLayers()) return;
+        
+        try {
+            this.showLoading(this.t('Applying watermark...'));
+            
+            const [config, ...layers] = this.getWatermarkLayers();
+            console.log('Applying watermark layers:', [config, ...layers]);
+            
+            // Batches apply one set of layers to every uploaded file
+            const response = this.currentBatchId
+                ? await fetch(`/api/batch/${this.currentBatchId}/apply`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ config, layers, ownerId: this.getInstallId() })
+                })
+                : await fetch('/api/watermark/apply', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        sessionId: this.currentSessionId,
+                        config,
+                        layers,
+                        ownerId: this.getInstallId()
+                    })
+                });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.hideLoading();
+                this.transitionTo('processing');
+                this.navigateToSection('download');
+                this.showProcessingStatus();
+                this.loadJobHistory();
+                if (this.currentBatchId) {
+                    this.statusMessage.textContent = this.tp(result.fileCount, 'Applying watermarks to %{count} document...', 'Applying watermarks to %{count} documents...');
+                    this.trackBatchStatus(this.currentBatchId);
+                } else {
+                    this.trackProcessingStatus(result.sessionId);
+                }
+            } else {
+                this.hideLoading();
+                this.showServerFieldErrors(result.fieldErrors);
+                this.showNotification(result.message || this.t('Failed to apply watermark'), 'error', {
+                    actions: [{ label: this.t('Retry'), handler: () => this.watermarkForm.requestSubmit() }]
+                });
+            }
+            
+        } catch (error) {
+            console.error('Watermark application error:', error);
+            this.hideLoading();
+            this.showNotification(this.t('Failed to apply watermark. Please try again.'), 'error', {
+                actions: [{ label: this.t('Retry'), handler: () => this.watermarkForm.requestSubmit() }],
+                details: error.message
+            });
+        }
+    }
+    
+    /**
+     * Show processing status in download section
+     */
+    showProcessingStatus() {
+        this.processingStatus.style.display = 'block';
+        this.downloadReady.style.display = 'none';
+        this.processingError.style.display = 'none';
+        
+        this.statusMessage.textContent = this.t('Applying watermarks to your document...');
+        this.hideComparison();
+        this.processingProgressBar.style.width = '0%';
+        this.processingProgressContainer.setAttribute('aria-valuenow', 0);
+        this.announcedProgress.delete(this.processingAnnouncer);
+    }
+    
+    /**
+     * Track processing status until completion. Large documents may take a while,
+     * so there is no client-side timeout; the server reports failures.
+     */
+    trackProcessingStatus(sessionId) {
+        this.subscribeToStatus({
+            streamUrl: `/api/events/${sessionId}`,
+            eventType: 'processing',
+            pollUrl: `/api/watermark/status/${sessionId}`,
+            pollInterval: 500,
+            onUpdate: (status) => {
+                this.updateProcessingProgress(status);
+                
+                if (status.status === 'completed') {
+                    this.showDownloadReady(status);
+                } else if (status.status === 'failed' || status.status === 'error') {
+                    this.showProcessingError(status.message);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Track batch status until every file has finished processing
+     */
+    trackBatchStatus(batchId) {
+        this.subscribeToStatus({
+            streamUrl: `/api/batch/${batchId}/events`,
+            eventType: 'processing',
+            pollUrl: `/api/batch/${batchId}/status`,
+            pollInterval: 1000,
+            onUpdate: (status) => {
+                this.updateProcessingProgress(status);
+                
+                if (status.status === 'completed' || status.status === 'completed_with_errors') {
+                    this.showBatchDownloadReady(status);
+                } else if (status.status === 'failed' || status.status === 'error') {
+                    this.showProcessingError(status.message);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Show per-file downloads and the ZIP download for a processed batch
+     */
+    showBatchDownloadReady(status) {
+        this.transitionTo('ready');
+        this.processingStatus.style.display = 'none';
+        this.downloadReady.style.display = 'block';
+        this.processingError.style.display = 'none';
+        
+        this.downloadMessage.textContent = status.message;
+        this.announce(this.processingAnnouncer, status.message);
+        this.singleFileInfo.style.display = 'none';
+        this.downloadBtn.style.display = 'none';
+        this.downloadZipBtn.style.display = 'inline-block';
+        this.downloadZipBtn.setAttribute('data-download-url', status.downloadUrl);
+        this.downloadOptions.style.display = '';
+        this.downloadRetentionGroup.style.display = 'none';
+        this.hideComparison();
+        
+        this.batchResults.innerHTML = '';
+        status.files.forEach(file => {
+            const element = document.createElement('li');
+            element.className = `batch-item ${file.status === 'completed' ? 'completed' : 'failed'}`;
+            
+            const name = document.createElement('span');
+            name.className = 'batch-item-name';
+            name.textContent = file.filename;
+            element.appendChild(name);
+            
+            if (file.downloadUrl) {
+                const link = document.createElement('a');
+                link.className = 'batch-item-download';
+                link.href = this.withFilenamePattern(file.downloadUrl);
+                link.addEventListener('click', () => { link.href = this.withFilenamePattern(file.downloadUrl); });
+                link.download = file.filename;
+                link.textContent = this.t('Download');
+                element.appendChild(link);
+            } else {
+                const message = document.createElement('span');
+                message.className = 'batch-item-status';
+                message.textContent = file.message;
+                element.appendChild(message);
+            }
+            
+            this.batchResults.appendChild(element);
+        });
+        this.batchResults.style.display = 'block';
+        this.loadJobHistory();
+    }
+    
+    /**
+     * Handle ZIP download of all processed batch files
+     */
+    handleBatchDownload() {
+        const link = document.createElement('a');
+        link.href = this.withFilenamePattern(this.downloadZipBtn.getAttribute('data-download-url') || `/api/batch/${this.currentBatchId}/download`);
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        this.showNotification(this.t('Download started successfully!'), 'success');
+    }
+    
+    /**
+     * Update processing progress bar
+     */
+    updateProcessingProgress(status) {
+        const progress = status.progress || 0;
+        this.processingProgressBar.style.width = `${progress}%`;
+        this.processingProgressContainer.setAttribute('aria-valuenow', Math.round(progress));
+        this.statusMessage.textContent = status.message || this.t('Processing...');
+        this.announceProgress(this.processingAnnouncer, progress, this.statusMessage.textContent);
     }
     
     /**
-     * Handle position selection change (Task 48)
+     * Show download ready state
      */
-    handlePositionChange() {
-        const selectedPosition = document.querySelector('input[name="position"]:checked').value;
+    showDownloadReady(status) {
+        this.transitionTo('ready');
+        this.processingStatus.style.display = 'none';
+        this.downloadReady.style.display = 'block';
+        this.processingError.style.display = 'none';
         
-        if (selectedPosition === 'fixed') {
-            this.positionCoordinates.style.display = 'block';
-            this.positionX.required = true;
-            this.positionY.required = true;
-        } else {
-            this.positionCoordinates.style.display = 'none';
-            this.positionX.required = false;
-            this.positionY.required = false;
-            this.positionX.value = '';
-            this.positionY.value = '';
+        this.downloadMessage.textContent = this.t('Your watermarked PDF is ready for download.');
+        this.announce(this.processingAnnouncer, this.downloadMessage.textContent);
+        this.singleFileInfo.style.display = '';
+        this.downloadBtn.style.display = '';
+        this.downloadZipBtn.style.display = 'none';
+        this.downloadOptions.style.display = '';
+        this.downloadRetentionGroup.style.display = '';
+        this.batchResults.style.display = 'none';
+        
+        if (status.downloadUrl) {
+            this.downloadBtn.setAttribute('data-download-url', status.downloadUrl);
         }
         
-        this.clearFieldError('position');
+        // Update file info if available
+        if (status.filename) {
+            this.resultFilename.textContent = status.filename;
+        }
+        if (status.filesize) {
+            this.resultFilesize.textContent = this.formatFileSize(status.filesize);
+        }
+        
+        this.showComparison(status.pageCount || this.documentInfo?.pageCount || 1);
+        this.loadJobHistory();
     }
     
     /**
-     * Handle font size type selection change
+     * Show the original and watermarked pages of the processed document, starting at the first page
      */
-    handleFontSizeTypeChange() {
-        const selectedType = document.querySelector('input[name="fontSizeType"]:checked').value;
+    showComparison(pageCount) {
+        if (!this.comparisonViewer || !this.currentSessionId) return;
         
-        if (selectedType === 'fixed') {
-            this.fixedFontSizeControl.style.display = 'block';
-            this.randomFontSizeControl.style.display = 'none';
-            this.fontSizeMin.required = false;
-            this.fontSizeMax.required = false;
-        } else {
-            this.fixedFontSizeControl.style.display = 'none';
-            this.randomFontSizeControl.style.display = 'block';
-            this.fontSizeMin.required = true;
-            this.fontSizeMax.required = true;
-        }
+        this.comparisonRevision = Date.now();
+        this.comparisonPageCount = pageCount;
+        this.comparisonPage = 1;
+        this.comparisonViewer.style.display = 'block';
+        this.renderComparisonThumbnails();
+        this.showComparisonPage(1);
+    }
+    
+    /**
+     * Hide the comparison viewer and stop loading its page images
+     */
+    hideComparison() {
+        if (!this.comparisonViewer) return;
         
-        this.clearFieldError('fontSize');
+        this.comparisonViewer.style.display = 'none';
+        this.comparisonThumbnails.innerHTML = '';
+        this.comparisonOriginalImage.removeAttribute('src');
+        this.comparisonWatermarkedImage.removeAttribute('src');
+        this.setComparisonStatus('', false);
     }
-
+    
     /**
-     * Handle font size slider change (Task 49)
+     * URL of a page image of the current document. Watermarked images carry the job
+     * revision, since reprocessing replaces them under the same address.
      */
-    handleFontSizeChange() {
-        const fontSize = this.fontSizeSlider.value;
-        this.fontSizeValue.textContent = `${fontSize}px`;
-        this.clearFieldError('fontSize');
+    getPageImageUrl(page, version, dpi) {
+        const url = `/api/session/${this.currentSessionId}/pages/${page}?version=${version}&dpi=${dpi}`;
+        return version === 'watermarked' ? `${url}&rev=${this.comparisonRevision}` : url;
     }
-
+    
     /**
-     * Handle font size range inputs change
+     * List a thumbnail of every watermarked page; thumbnails load as they scroll into view
      */
-    handleFontSizeRangeChange() {
-        const min = parseInt(this.fontSizeMin.value);
-        const max = parseInt(this.fontSizeMax.value);
+    renderComparisonThumbnails() {
+        this.comparisonThumbnails.innerHTML = '';
         
-        // Ensure max is greater than min
-        if (min >= max) {
-            this.fontSizeMax.value = min + 1;
+        for (let page = 1; page <= this.comparisonPageCount; page++) {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'comparison-thumbnail';
+            button.setAttribute('aria-label', this.t('Page %{page}', { page }));
+            button.addEventListener('click', () => this.showComparisonPage(page));
+            
+            const image = document.createElement('img');
+            image.loading = 'lazy';
+            image.alt = '';
+            image.src = this.getPageImageUrl(page, 'watermarked', this.thumbnailDpi);
+            
+            const number = document.createElement('span');
+            number.className = 'comparison-thumbnail-number';
+            number.textContent = this.formatNumber(page);
+            
+            button.append(image, number);
+            item.appendChild(button);
+            this.comparisonThumbnails.appendChild(item);
         }
-        
-        this.clearFieldError('fontSize');
     }
     
     /**
-     * Handle color type selection change
+     * Show one page in both versions at the current zoom
      */
-    handleColorTypeChange() {
-        const selectedType = document.querySelector('input[name="colorType"]:checked').value;
+    showComparisonPage(page) {
+        if (page < 1 || page > this.comparisonPageCount) return;
         
-        if (selectedType === 'fixed') {
-            this.fixedColorPicker.style.display = 'block';
-            this.colorPicker.required = true;
-        } else {
-            this.fixedColorPicker.style.display = 'none';
-            this.colorPicker.required = false;
-        }
+        this.comparisonPage = page;
+        this.setComparisonStatus('', false);
+        this.loadComparisonImages();
+        this.updateComparisonControls();
         
-        this.clearFieldError('color');
+        Array.from(this.comparisonThumbnails.querySelectorAll('.comparison-thumbnail')).forEach((thumbnail, index) => {
+            const current = index + 1 === page;
+            thumbnail.classList.toggle('active', current);
+            if (current) {
+                thumbnail.setAttribute('aria-current', 'page');
+                thumbnail.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            } else {
+                thumbnail.removeAttribute('aria-current');
+            }
+        });
     }
-
+    
     /**
-     * Handle color picker change (Task 50)
+     * Request the page images at a resolution that stays sharp at the current zoom
      */
-    handleColorChange() {
-        const color = this.colorPicker.value;
-        this.colorPreview.textContent = color.toUpperCase();
-        this.clearFieldError('color');
+    loadComparisonImages() {
+        const dpi = Math.min(Math.round(72 * this.comparisonZoom * Math.min(window.devicePixelRatio || 1, 2)), this.maxPageImageDpi);
+        
+        [[this.comparisonOriginalImage, 'original'], [this.comparisonWatermarkedImage, 'watermarked']].forEach(([image, version]) => {
+            const url = this.getPageImageUrl(this.comparisonPage, version, dpi);
+            if (image.getAttribute('src') === url) return;
+            image.parentElement.classList.add('loading');
+            image.src = url;
+        });
     }
-
+    
     /**
-     * Handle orientation type selection change
+     * Update the page indicator, navigation and zoom buttons and the version toggle label
      */
-    handleOrientationTypeChange() {
-        const selectedType = document.querySelector('input[name="orientationType"]:checked').value;
+    updateComparisonControls() {
+        if (!this.comparisonViewer) return;
         
-        if (selectedType === 'fixed') {
-            this.fixedOrientationControl.style.display = 'block';
-            this.orientationSlider.required = true;
-        } else {
-            this.fixedOrientationControl.style.display = 'none';
-            this.orientationSlider.required = false;
-        }
+        this.comparisonPageInfo.textContent = this.t('Page %{page} of %{count}', { page: this.comparisonPage, count: this.comparisonPageCount });
+        this.comparisonPrevPage.disabled = this.comparisonPage <= 1;
+        this.comparisonNextPage.disabled = this.comparisonPage >= this.comparisonPageCount;
         
-        this.clearFieldError('orientation');
+        const zoomIndex = this.comparisonZoomLevels.indexOf(this.comparisonZoom);
+        this.comparisonZoomLevel.textContent = this.formatPercent(this.comparisonZoom * 100);
+        this.comparisonZoomOut.disabled = zoomIndex <= 0;
+        this.comparisonZoomIn.disabled = zoomIndex >= this.comparisonZoomLevels.length - 1;
+        
+        this.comparisonToggleBtn.textContent = this.comparisonShowing === 'watermarked'
+            ? this.t('Show Original')
+            : this.t('Show Watermarked');
     }
-
+    
     /**
-     * Handle orientation slider change
+     * Zoom both pages in or out by one step
      */
-    handleOrientationChange() {
-        const angle = this.orientationSlider.value;
-        this.orientationValue.textContent = `${angle}°`;
-        this.clearFieldError('orientation');
+    changeComparisonZoom(direction) {
+        const index = this.comparisonZoomLevels.indexOf(this.comparisonZoom) + direction;
+        if (index < 0 || index >= this.comparisonZoomLevels.length) return;
+        
+        this.comparisonZoom = this.comparisonZoomLevels[index];
+        this.comparisonPages.style.setProperty('--comparison-zoom', this.comparisonZoom);
+        this.loadComparisonImages();
+        this.updateComparisonControls();
     }
-
+    
     /**
-     * Handle quantity input change
+     * Compare side by side, or in one frame toggled between the two versions
      */
-    handleQuantityChange() {
-        const quantity = parseInt(this.quantityInput.value);
+    setComparisonMode(mode) {
+        this.comparisonMode = mode;
+        this.comparisonPages.dataset.mode = mode;
+        this.comparisonModeButtons.forEach(button => {
+            const active = button.dataset.mode === mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+        this.comparisonToggleBtn.style.display = mode === 'toggle' ? '' : 'none';
+    }
+    
+    /**
+     * Switch the toggle view between the original and the watermarked page
+     */
+    toggleComparisonVersion() {
+        this.comparisonShowing = this.comparisonShowing === 'watermarked' ? 'original' : 'watermarked';
+        this.comparisonPages.dataset.showing = this.comparisonShowing;
+        this.updateComparisonControls();
+    }
+    
+    /**
+     * Keep the other page at the same scroll position while comparing side by side
+     */
+    syncComparisonScroll(source, target) {
+        if (this.comparisonMode !== 'split') return;
+        target.scrollTop = source.scrollTop;
+        target.scrollLeft = source.scrollLeft;
+    }
+    
+    /**
+     * Show a status or error message below the compared pages
+     */
+    setComparisonStatus(message, isError) {
+        this.comparisonStatus.textContent = message;
+        this.comparisonStatus.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Return to the settings of the finished document to adjust them, keeping the upload
+     */
+    handleBackToConfigure() {
+        if (!this.currentSessionId || !this.transitionTo('configuring')) return;
+        this.navigateToSection('configure');
+    }
+    
+    /**
+     * Show processing error state
+     */
+    showProcessingError(message) {
+        this.transitionTo('failed');
+        this.processingStatus.style.display = 'none';
+        this.downloadReady.style.display = 'none';
+        this.processingError.style.display = 'block';
         
-        // Ensure quantity is within valid range
-        if (quantity < 1) {
-            this.quantityInput.value = 1;
-        } else if (quantity > 20) {
-            this.quantityInput.value = 20;
-        }
+        this.processingErrorMessage.textContent = message || this.t('An error occurred while processing your PDF.');
+        this.loadJobHistory();
+        this.showNotification(this.t('Watermark processing failed'), 'error', {
+            context: 'download',
+            actions: [{ label: this.t('Retry'), handler: () => this.handleRetryProcessing() }],
+            details: this.processingErrorMessage.textContent
+        });
+    }
+    
+    /**
+     * Download the watermarked PDF with byte progress, then have the server remove
+     * or keep the files as chosen and confirm what happened to them
+     */
+    async handleDownload() {
+        if (!this.currentSessionId || this.currentDownload) return;
         
-        this.clearFieldError('quantity');
+        const download = {
+            sessionId: this.currentSessionId,
+            controller: new AbortController(),
+            chunks: [],
+            receivedBytes: 0,
+            totalBytes: 0,
+            filename: null
+        };
+        this.currentDownload = download;
+        this.downloadBtn.disabled = true;
+        this.updateDownloadProgress(download, this.t('Starting download...'));
+        this.downloadProgress.style.display = '';
+        
+        try {
+            await this.streamDownload(download, this.withFilenamePattern(`/api/download/${download.sessionId}`));
+            this.saveFile(new Blob(download.chunks, { type: 'application/pdf' }), download.filename || this.resultFilename.textContent || 'watermarked.pdf');
+            this.updateDownloadProgress(download, this.t('Download completed'));
+            await this.confirmDownloadCleanup(download.sessionId);
+        } catch (error) {
+            if (download.controller.signal.aborted) return;
+            
+            console.error('Download error:', error);
+            this.downloadProgress.style.display = 'none';
+            this.showNotification(this.t('Download did not complete'), 'error', {
+                context: 'download',
+                actions: [{ label: this.t('Retry'), handler: () => this.handleDownload() }],
+                details: error.message
+            });
+        } finally {
+            if (this.currentDownload === download) {
+                this.currentDownload = null;
+                this.downloadBtn.disabled = false;
+            }
+        }
     }
     
     /**
-     * Validate individual form field (Task 51)
+     * Fetch a file as a stream, collecting its chunks and reporting the bytes received.
+     * After a dropped connection the download resumes where it stopped with a Range request.
      */
-    validateField(fieldName) {
-        let isValid = true;
-        let errorMessage = '';
+    async streamDownload(download, url) {
+        let failures = 0;
         
-        switch (fieldName) {
-            case 'text':
-                const text = this.watermarkText.value.trim();
-                if (!text) {
-                    errorMessage = 'Watermark text is required';
-                    isValid = false;
-                } else if (text.length > 100) {
-                    errorMessage = 'Watermark text must be less than 100 characters';
-                    isValid = false;
-                }
-                break;
-                
-            case 'position':
-                const selectedPosition = document.querySelector('input[name="position"]:checked').value;
-                if (selectedPosition === 'fixed') {
-                    const x = parseFloat(this.positionX.value);
-                    const y = parseFloat(this.positionY.value);
-                    
-                    if (isNaN(x) || x < 0) {
-                        errorMessage = 'X position must be a positive number';
-                        isValid = false;
-                    } else if (isNaN(y) || y < 0) {
-                        errorMessage = 'Y position must be a positive number';
-                        isValid = false;
-                    }
+        for (;;) {
+            try {
+                const headers = download.receivedBytes > 0 ? { Range: `bytes=${download.receivedBytes}-` } : {};
+                const response = await fetch(url, { headers, signal: download.controller.signal });
+                if (!response.ok) {
+                    const message = await response.text();
+                    throw Object.assign(new Error(message || this.t('Download failed')), { retryable: response.status >= 500 });
                 }
-                break;
                 
-            case 'fontSize':
-                const fontSizeType = document.querySelector('input[name="fontSizeType"]:checked').value;
-                if (fontSizeType === 'fixed') {
-                    const fontSize = parseInt(this.fontSizeSlider.value);
-                    if (fontSize < 8 || fontSize > 72) {
-                        errorMessage = 'Font size must be between 8 and 72 pixels';
-                        isValid = false;
-                    }
-                } else {
-                    const minSize = parseInt(this.fontSizeMin.value);
-                    const maxSize = parseInt(this.fontSizeMax.value);
-                    if (isNaN(minSize) || minSize < 8 || minSize > 72) {
-                        errorMessage = 'Minimum font size must be between 8 and 72 pixels';
-                        isValid = false;
-                    } else if (isNaN(maxSize) || maxSize < 8 || maxSize > 72) {
-                        errorMessage = 'Maximum font size must be between 8 and 72 pixels';
-                        isValid = false;
-                    } else if (minSize >= maxSize) {
-                        errorMessage = 'Maximum font size must be greater than minimum';
-                        isValid = false;
-                    }
+                // A server that ignores the range sends the whole file again
+                if (response.status !== 206) {
+                    download.chunks = [];
+                    download.receivedBytes = 0;
                 }
-                break;
+                download.filename = download.filename || this.getAttachmentFilename(response);
+                download.totalBytes = download.receivedBytes + (Number(response.headers.get('Content-Length')) || 0);
                 
-            case 'color':
-                const colorType = document.querySelector('input[name="colorType"]:checked').value;
-                if (colorType === 'fixed') {
-                    const color = this.colorPicker.value;
-                    if (!color || !color.match(/^#[0-9A-Fa-f]{6}$/)) {
-                        errorMessage = 'Please select a valid color';
-                        isValid = false;
-                    }
+                const reader = response.body.getReader();
+                for (;;) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    
+                    download.chunks.push(value);
+                    download.receivedBytes += value.length;
+                    failures = 0;
+                    this.updateDownloadProgress(download, this.t('%{received} of %{total}', {
+                        received: this.formatFileSize(download.receivedBytes),
+                        total: this.formatFileSize(download.totalBytes)
+                    }));
                 }
-                // RandomPerLetter doesn't need additional validation
-                break;
                 
-            case 'orientation':
-                const orientationType = document.querySelector('input[name="orientationType"]:checked').value;
-                if (orientationType === 'fixed') {
-                    const angle = parseInt(this.orientationSlider.value);
-                    if (isNaN(angle) || angle < 0 || angle > 360) {
-                        errorMessage = 'Orientation angle must be between 0 and 360 degrees';
-                        isValid = false;
-                    }
+                if (download.receivedBytes < download.totalBytes) {
+                    throw new Error(this.t('The connection closed before the download finished'));
                 }
-                // Random orientation doesn't need additional validation
-                break;
+                return;
+            } catch (error) {
+                if (download.controller.signal.aborted || error.retryable === false || ++failures > this.downloadRetryLimit) throw error;
                 
-            case 'quantity':
-                const quantity = parseInt(this.quantityInput.value);
-                if (isNaN(quantity) || quantity < 1 || quantity > 20) {
-                    errorMessage = 'Number of watermarks must be between 1 and 20';
-                    isValid = false;
-                }
-                break;
-        }
-        
-        if (!isValid) {
-            this.showFieldError(fieldName, errorMessage);
-        } else {
-            this.clearFieldError(fieldName);
+                this.updateDownloadProgress(download, this.t('Connection lost, retrying (%{attempt}/%{limit})...', { attempt: failures, limit: this.downloadRetryLimit }));
+                await new Promise(resolve => setTimeout(resolve, 1000 * failures));
+            }
         }
-        
-        return isValid;
     }
     
     /**
-     * Validate entire form (Task 51)
+     * Show the share of the download received so far
      */
-    validateForm() {
-        const fields = ['text', 'position', 'fontSize', 'color', 'orientation', 'quantity'];
-        let allValid = true;
-        const errors = [];
-        
-        fields.forEach(field => {
-            if (!this.validateField(field)) {
-                allValid = false;
-            }
-        });
-        
-        // Additional form-level validations
-        if (!this.currentSessionId) {
-            errors.push('Please upload a PDF file first');
-            allValid = false;
-        }
-        
-        if (!allValid) {
-            this.showFormErrors(errors);
-        } else {
-            this.hideFormErrors();
+    updateDownloadProgress(download, status) {
+        const percentage = download.totalBytes > 0 ? (download.receivedBytes / download.totalBytes) * 100 : 0;
+        this.downloadProgressBar.style.width = `${percentage}%`;
+        this.downloadProgressContainer.setAttribute('aria-valuenow', Math.round(percentage));
+        this.downloadProgressStatus.textContent = status;
+        this.announceProgress(this.processingAnnouncer, percentage, status);
+    }
+    
+    /**
+     * File name the server gave a download, preferring the encoded form that keeps non-ASCII names
+     */
+    getAttachmentFilename(response) {
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+        if (encoded) {
+            try {
+                return decodeURIComponent(encoded[1]);
+            } catch (error) {
+                // Fall back to the plain name
+            }
         }
-        
-        return allValid;
+        return disposition.match(/filename="([^"]*)"/i)?.[1] || null;
     }
     
     /**
-     * Show field error (Task 51)
+     * Hand a downloaded file to the browser to save
      */
-    showFieldError(fieldName, message) {
-        const errorElement = document.getElementById(`${fieldName}-error`);
-        if (errorElement) {
-            errorElement.textContent = message;
-            errorElement.classList.add('show');
-        }
+    saveFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
     
     /**
-     * Clear field error (Task 51)
+     * Report the finished download so the server removes the files, now or after the
+     * minutes they are kept, and confirm to the user which of the two happened
      */
-    clearFieldError(fieldName) {
-        const errorElement = document.getElementById(`${fieldName}-error`);
-        if (errorElement) {
-            errorElement.textContent = '';
-            errorElement.classList.remove('show');
+    async confirmDownloadCleanup(sessionId) {
+        const keepMinutes = Number(this.downloadRetentionSelect.value) || 0;
+        
+        try {
+            const response = await fetch(`/api/download/progress/${sessionId}?keepMinutes=${keepMinutes}`);
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+            const progress = await response.json();
+            this.loadJobHistory();
+            
+            if (progress.cleanup === 'scheduled' && progress.availableUntil) {
+                const availableUntil = new Date(progress.availableUntil);
+                const time = availableUntil.toLocaleTimeString(this.locale, { hour: '2-digit', minute: '2-digit' });
+                this.downloadProgressStatus.textContent = this.t('Download complete. Your files stay on the server until %{time}.', { time });
+                this.showNotification(this.downloadProgressStatus.textContent, 'success', { context: 'download' });
+                
+                clearTimeout(this.filesRemovedTimer);
+                this.filesRemovedTimer = setTimeout(() => this.handleFilesRemoved(), availableUntil - Date.now());
+            } else {
+                this.downloadProgressStatus.textContent = this.t('Download complete. Your files were deleted from the server.');
+                this.showNotification(this.downloadProgressStatus.textContent, 'success', { context: 'download' });
+                this.handleFilesRemoved();
+            }
+        } catch (error) {
+            console.error('Download cleanup error:', error);
+            this.showNotification(this.t('Download complete, but the server did not confirm what happens to your files.'), 'warning', {
+                context: 'download',
+                details: error.message
+            });
         }
     }
     
     /**
-     * Show form errors (Task 51)
+     * The server removed the files of the current document, so it can no longer be
+     * downloaded, compared or processed again
      */
-    showFormErrors(errors) {
-        if (errors.length === 0) return;
+    handleFilesRemoved() {
+        clearTimeout(this.filesRemovedTimer);
+        this.filesRemovedTimer = null;
+        if (this.workflowState !== 'ready') return;
         
-        this.errorList.innerHTML = '';
-        errors.forEach(error => {
-            const li = document.createElement('li');
-            li.textContent = error;
-            this.errorList.appendChild(li);
-        });
+        this.downloadMessage.textContent = this.t('Your files were deleted from the server. Upload the PDF again to make further changes.');
+        this.downloadBtn.style.display = 'none';
+        this.downloadOptions.style.display = 'none';
+        this.hideComparison();
+    }
+    
+    /**
+     * Stop a running download and forget the files' removal time when the document is left
+     */
+    resetDownload() {
+        this.currentDownload?.controller.abort();
+        this.currentDownload = null;
+        clearTimeout(this.filesRemovedTimer);
+        this.filesRemovedTimer = null;
         
-        this.formErrors.style.display = 'block';
+        if (this.downloadProgress) {
+            this.downloadProgress.style.display = 'none';
+            this.downloadBtn.disabled = false;
+        }
     }
     
     /**
-     * Hide form errors (Task 51)
+     * Add the file name pattern to a download URL, unless it is the server default
      */
-    hideFormErrors() {
-        this.formErrors.style.display = 'none';
+    withFilenamePattern(url) {
+        const pattern = this.filenamePatternInput?.value.trim();
+        if (!pattern || pattern === this.filenamePatternInput.defaultValue) return url;
+        return `${url}${url.includes('?') ? '&' : '?'}pattern=${encodeURIComponent(pattern)}`;
     }
     
     /**
-     * Get watermark configuration from form
+     * Restore the file name pattern and retention chosen in an earlier visit
      */
-    getWatermarkConfig() {
-        // Position configuration
-        const selectedPosition = document.querySelector('input[name="position"]:checked').value;
-        const positionConfig = selectedPosition === 'random' 
-            ? { type: 'random' }
-            : { 
-                type: 'fixed', 
-                x: parseFloat(this.positionX.value), 
-                y: parseFloat(this.positionY.value) 
-              };
-        
-        // Font size configuration
-        const selectedFontSizeType = document.querySelector('input[name="fontSizeType"]:checked').value;
-        const fontSizeConfig = selectedFontSizeType === 'fixed'
-            ? { type: 'fixed', size: parseInt(this.fontSizeSlider.value) }
-            : { type: 'random', min: parseInt(this.fontSizeMin.value), max: parseInt(this.fontSizeMax.value) };
-        
-        // Color configuration
-        const selectedColorType = document.querySelector('input[name="colorType"]:checked').value;
-        const colorConfig = selectedColorType === 'fixed'
-            ? { type: 'fixed', color: this.colorPicker.value }
-            : { type: 'randomPerLetter' };
-        
-        // Orientation configuration
-        const selectedOrientationType = document.querySelector('input[name="orientationType"]:checked').value;
-        const orientationConfig = selectedOrientationType === 'fixed'
-            ? { type: 'fixed', angle: parseInt(this.orientationSlider.value) }
-            : { type: 'random' };
-        
-        // Quantity
-        const quantity = parseInt(this.quantityInput.value);
-        
-        return {
-            text: this.watermarkText.value.trim(),
-            position: positionConfig,
-            orientation: orientationConfig,
-            fontSize: fontSizeConfig,
-            color: colorConfig,
-            quantity: quantity
-        };
+    loadDownloadOptions() {
+        try {
+            const options = JSON.parse(localStorage.getItem(this.downloadOptionsKey)) || {};
+            if (options.filenamePattern) {
+                this.filenamePatternInput.value = options.filenamePattern;
+            }
+            if (options.keepMinutes !== undefined) {
+                this.downloadRetentionSelect.value = String(options.keepMinutes);
+            }
+        } catch (error) {
+            console.error('Failed to load download options:', error);
+        }
     }
     
     /**
-     * Handle form preview (Tasks 47-51)
+     * Remember the file name pattern and retention for the next visit
      */
-    async handlePreview() {
-        if (!this.validateForm()) return;
-        
-        const config = this.getWatermarkConfig();
-        console.log('Preview watermark config:', config);
-        
-        // For now, show a notification - preview functionality can be enhanced later
-        this.showNotification('Preview functionality will be available in a future update', 'info');
+    saveDownloadOptions() {
+        try {
+            localStorage.setItem(this.downloadOptionsKey, JSON.stringify({
+                filenamePattern: this.filenamePatternInput.value.trim(),
+                keepMinutes: Number(this.downloadRetentionSelect.value) || 0
+            }));
+        } catch (error) {
+            console.error('Failed to save download options:', error);
+        }
     }
     
     /**
-     * Handle form submission (Tasks 47-51)
+     * Load the jobs this browser ran from the server. The list stays as it was when the
+     * server is unreachable.
      */
-    async handleFormSubmit(e) {
-        e.preventDefault();
+    async loadJobHistory() {
+        try {
+            const response = await fetch(`/api/history/${encodeURIComponent(this.getInstallId())}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || `Job history request failed with status ${response.status}`);
+            }
+            this.jobHistory = result.jobs;
+        } catch (error) {
+            console.error('Failed to load job history:', error);
+        }
+        this.renderJobHistory();
+    }
+    
+    /**
+     * Render the job history list with each job's status, output and actions
+     */
+    renderJobHistory() {
+        if (!this.jobHistoryList) return;
+        clearTimeout(this.jobHistoryTimer);
+        this.jobHistoryList.innerHTML = '';
+        this.jobHistoryEmpty.style.display = this.jobHistory.length === 0 ? '' : 'none';
         
-        if (!this.validateForm()) return;
+        const now = Date.now();
+        const expiries = [];
         
-        try {
-            this.showLoading('Applying watermark...');
+        this.jobHistory.forEach(job => {
+            const expiresAt = job.expiresAt ? new Date(job.expiresAt) : null;
+            const available = Boolean(job.downloadUrl && expiresAt > now);
+            if (available) expiries.push(expiresAt);
             
-            const config = this.getWatermarkConfig();
-            console.log('Applying watermark config:', config);
-            
-            const response = await fetch('/api/watermark/apply', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    sessionId: this.currentSessionId,
-                    config: config
-                })
-            });
+            const element = document.createElement('li');
+            element.className = `job-item ${job.status}`;
+            element.classList.toggle('expired', job.status === 'completed' && !available);
+            element.innerHTML = `
+                <span class="job-item-name"></span>
+                <span class="job-item-status"></span>
+                <span class="job-item-meta"></span>
+                <span class="job-item-expiry"></span>
+                <div class="job-item-actions"></div>
+            `;
+            element.querySelector('.job-item-name').textContent = job.filename;
+            element.querySelector('.job-item-status').textContent = this.getJobStatusText(job);
+            if (job.message) {
+                element.querySelector('.job-item-status').title = job.message;
+            }
             
-            const result = await response.json();
+            const started = this.formatDateTime(new Date(job.createdAt));
+            const layerCount = this.tp(job.layers.length, '%{count} layer', '%{count} layers');
+            element.querySelector('.job-item-meta').textContent = job.outputSize != null
+                ? this.t('Started %{time}, %{layers}, %{size}', { time: started, layers: layerCount, size: this.formatFileSize(job.outputSize) })
+                : this.t('Started %{time}, %{layers}', { time: started, layers: layerCount });
             
-            if (result.success) {
-                this.hideLoading();
-                this.navigateToSection('download');
-                this.showProcessingStatus();
-                this.pollProcessingStatus(result.sessionId);
+            const expiry = element.querySelector('.job-item-expiry');
+            if (available) {
+                expiry.textContent = this.t('Available until %{time}, then removed from the server', { time: this.formatDateTime(expiresAt) });
+            } else if (job.status === 'completed') {
+                expiry.textContent = this.t('Output removed from the server');
             } else {
-                this.hideLoading();
-                this.showNotification(result.message || 'Failed to apply watermark', 'error');
+                expiry.remove();
             }
             
-        } catch (error) {
-            console.error('Watermark application error:', error);
-            this.hideLoading();
-            this.showNotification('Failed to apply watermark. Please try again.', 'error');
+            const actions = element.querySelector('.job-item-actions');
+            if (available) {
+                const link = document.createElement('a');
+                link.href = this.withFilenamePattern(job.downloadUrl);
+                link.addEventListener('click', () => { link.href = this.withFilenamePattern(job.downloadUrl); });
+                link.download = '';
+                link.textContent = this.t('Download');
+                link.setAttribute('aria-label', this.t('Download the result for %{name}', { name: job.filename }));
+                actions.appendChild(link);
+            }
+            [
+                { label: this.t('Re-run'), description: this.t('Re-run the job for %{name} on a new file', { name: job.filename }), handler: () => this.rerunJob(job) },
+                { label: this.t('Use Settings'), description: this.t('Load the settings of the job for %{name} into the form', { name: job.filename }), handler: () => this.useJobSettings(job) }
+            ].forEach(({ label, description, handler }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.setAttribute('aria-label', description);
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            });
+            
+            this.jobHistoryList.appendChild(element);
+        });
+        
+        // Outputs can expire while the page is open
+        if (expiries.length > 0) {
+            const nextExpiry = Math.min(...expiries.map(expiresAt => expiresAt.getTime()));
+            this.jobHistoryTimer = setTimeout(() => this.renderJobHistory(), Math.min(nextExpiry - now + 1000, 2147483647));
         }
     }
     
     /**
-     * Show processing status in download section
+     * Describe a job's status for the job history
      */
-    showProcessingStatus() {
-        this.processingStatus.style.display = 'block';
-        this.downloadReady.style.display = 'none';
-        this.processingError.style.display = 'none';
-        
-        this.statusMessage.textContent = 'Applying watermarks to your document...';
-        this.processingProgressBar.style.width = '0%';
+    getJobStatusText(job) {
+        switch (job.status) {
+            case 'completed': return this.t('Completed');
+            case 'failed': return this.t('Failed');
+            default: return this.t('Processing...');
+        }
     }
     
     /**
-     * Poll processing status until completion
+     * Format a date and time in the current locale
      */
-    async pollProcessingStatus(sessionId) {
-        const maxAttempts = 60; // 60 attempts = 30 seconds with 0.5s intervals
-        let attempts = 0;
-        
-        const poll = async () => {
-            try {
-                const response = await fetch(`/api/watermark/status/${sessionId}`);
-                const status = await response.json();
-                
-                this.updateProcessingProgress(status);
-                
-                if (status.status === 'completed') {
-                    this.showDownloadReady(status);
-                } else if (status.status === 'failed' || status.status === 'error') {
-                    this.showProcessingError(status.message);
-                } else if (attempts < maxAttempts) {
-                    attempts++;
-                    setTimeout(poll, 500); // Poll every 0.5 seconds
-                } else {
-                    this.showProcessingError('Processing timeout - please try again');
-                }
-            } catch (error) {
-                console.error('Status polling error:', error);
-                this.showProcessingError('Failed to check processing status');
-            }
-        };
-        
-        poll();
+    formatDateTime(date) {
+        return date.toLocaleString(this.locale, { dateStyle: 'medium', timeStyle: 'short' });
     }
     
     /**
-     * Update processing progress bar
+     * Show the layers a job ran with in the form
      */
-    updateProcessingProgress(status) {
-        this.processingProgressBar.style.width = `${status.progress || 0}%`;
-        this.statusMessage.textContent = status.message || 'Processing...';
+    applyJobLayers(job) {
+        this.setLayers(job.layers.map(config => ({
+            config: JSON.parse(JSON.stringify(config)),
+            image: config.image ? { imageId: config.image.imageId, name: this.t('Saved image') } : null
+        })));
     }
     
     /**
-     * Show download ready state
+     * Load a job's settings into the form to adjust them before the next run
      */
-    showDownloadReady(status) {
-        this.processingStatus.style.display = 'none';
-        this.downloadReady.style.display = 'block';
-        this.processingError.style.display = 'none';
-        
-        this.downloadMessage.textContent = 'Your watermarked PDF is ready for download.';
-        
-        if (status.downloadUrl) {
-            this.downloadBtn.setAttribute('data-download-url', status.downloadUrl);
+    useJobSettings(job) {
+        this.applyJobLayers(job);
+        if (this.currentSessionId && ['uploaded', 'configuring'].includes(this.workflowState)) {
+            this.navigateToSection('configure');
+        }
+        this.showNotification(this.t('Settings of the job for %{name} loaded into the form.', { name: job.filename }), 'success');
+    }
+    
+    /**
+     * Re-run a job with its exact settings. A document that is uploaded but not processed
+     * yet is watermarked right away; otherwise the job runs on the next upload.
+     */
+    rerunJob(job) {
+        if (this.workflowState === 'processing') {
+            this.showNotification(this.t('Watermarks are still being applied. Please wait until they are done.'), 'warning');
+            return;
         }
         
-        // Update file info if available
-        if (status.filename) {
-            this.resultFilename.textContent = status.filename;
+        this.pendingRerun = job;
+        if (this.currentSessionId && ['uploaded', 'configuring'].includes(this.workflowState)) {
+            this.runPendingRerun();
+            return;
         }
-        if (status.filesize) {
-            this.resultFilesize.textContent = this.formatFileSize(status.filesize);
+        
+        // An upload in progress gets the job's settings once it completes
+        if (this.workflowState !== 'uploading') {
+            this.transitionTo('idle');
         }
+        this.navigateToSection('upload');
+        this.updateRerunNotice();
+        this.uploadArea.focus();
     }
     
     /**
-     * Show processing error state
+     * Apply the settings of the job waiting to be re-run to the uploaded document or batch
      */
-    showProcessingError(message) {
-        this.processingStatus.style.display = 'none';
-        this.downloadReady.style.display = 'none';
-        this.processingError.style.display = 'block';
+    runPendingRerun() {
+        const job = this.pendingRerun;
+        if (!job || !this.watermarkForm) return;
         
-        this.processingErrorMessage.textContent = message || 'An error occurred while processing your PDF.';
+        this.pendingRerun = null;
+        this.updateRerunNotice();
+        this.applyJobLayers(job);
+        this.navigateToSection('configure');
+        this.watermarkForm.requestSubmit();
     }
     
     /**
-     * Handle download button click
+     * Keep the uploaded document from being processed with a job's settings
      */
-    async handleDownload() {
-        try {
-            const downloadUrl = this.downloadBtn.getAttribute('data-download-url') || `/api/download/${this.currentSessionId}`;
-            
-            // Create a temporary link to trigger download
-            const link = document.createElement('a');
-            link.href = downloadUrl;
-            link.download = this.resultFilename.textContent || 'watermarked.pdf';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            this.showNotification('Download started successfully!', 'success');
-        } catch (error) {
-            console.error('Download error:', error);
-            this.showNotification('Failed to start download. Please try again.', 'error');
-        }
+    cancelRerun() {
+        this.pendingRerun = null;
+        this.updateRerunNotice();
+    }
+    
+    /**
+     * Show which job runs on the next upload
+     */
+    updateRerunNotice() {
+        if (!this.rerunNotice) return;
+        this.rerunNotice.hidden = !this.pendingRerun;
+        this.rerunMessage.textContent = this.pendingRerun
+            ? this.t('Upload a PDF to re-run the job for %{name} with the same settings.', { name: this.pendingRerun.filename })
+            : '';
     }
     
     /**
-     * Handle process another file
+     * Release the finished document and upload another one with the same settings
      */
     handleProcessAnother() {
-        // Reset to upload section
+        this.transitionTo('idle');
         this.navigateToSection('upload');
-        this.resetUploadSection();
-        this.resetConfigureSection();
     }
     
     /**
-     * Handle retry processing
+     * Return to the settings of the document whose processing failed
      */
     async handleRetryProcessing() {
-        if (!this.currentSessionId) {
-            this.showNotification('No session available for retry', 'error');
+        if (!this.currentSessionId || !this.transitionTo('configuring')) {
+            this.showNotification(this.t('No session available for retry'), 'error');
             return;
         }
         
-        // Go back to configure section
         this.navigateToSection('configure');
     }
     
     /**
-     * Handle start over
+     * Release the document and return to the first step with the initial settings
      */
     handleStartOver() {
-        // Reset everything and go to upload
-        this.currentSessionId = null;
+        this.transitionTo('idle', { resetSettings: true });
         this.navigateToSection('upload');
-        this.resetUploadSection();
-        this.resetConfigureSection();
     }
     
     /**
-     * Format file size for display
+     * Format file size for display in the current locale
      */
     formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1) : 0;
+        return new Intl.NumberFormat(this.locale, {
+            style: 'unit',
+            unit: units[i],
+            unitDisplay: i === 0 ? 'long' : 'short',
+            maximumFractionDigits: 2
+        }).format(bytes / Math.pow(1024, i));
+    }
+    
+    /**
+     * Format a number in the current locale
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+    
+    /**
+     * Format a value between 0 and 100 as a percentage in the current locale
+     */
+    formatPercent(value) {
+        return this.formatNumber(Number(value) / 100, { style: 'percent', maximumFractionDigits: 1 });
+    }
+    
+    /**
+     * Join items into a comma-separated list in the current locale
+     */
+    formatList(items) {
+        return new Intl.ListFormat(this.locale, { style: 'short', type: 'unit' }).format(items);
+    }
+    
+    /**
+     * Translate a message into the current locale. Messages are keyed by their English
+     * text; %{name} placeholders are replaced by the params, numbers formatted for the locale.
+     */
+    t(message, params = {}) {
+        const translation = this.locales[this.locale].messages[message];
+        return this.interpolate(typeof translation === 'string' ? translation : message, params);
+    }
+    
+    /**
+     * Translate a message that depends on a count. Translations are keyed by the English
+     * plural and may give a form per plural category of the locale (one, two, few, many, other).
+     */
+    tp(count, singular, plural, params = {}) {
+        const translation = this.locales[this.locale].messages[plural];
+        let message = count === 1 ? singular : plural;
+        
+        if (typeof translation === 'string') {
+            message = translation;
+        } else if (translation) {
+            const category = new Intl.PluralRules(this.locale).select(count);
+            message = translation[category] ?? translation.other;
+        }
+        return this.interpolate(message, { ...params, count });
+    }
+    
+    /**
+     * Replace the %{name} placeholders of a message
+     */
+    interpolate(message, params) {
+        return message.replace(/%\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+    
+    /**
+     * Pick the saved locale, else the first supported browser language, else English
+     */
+    getPreferredLocale() {
+        const saved = localStorage.getItem(this.localeKey);
+        if (saved && this.locales[saved]) return saved;
+        
+        for (const language of navigator.languages || [navigator.language]) {
+            const base = (language || '').toLowerCase().split('-')[0];
+            if (this.locales[base]) return base;
+        }
+        return 'en';
+    }
+    
+    /**
+     * Fill the language switcher with every locale, named in its own language
+     */
+    initializeLocaleSwitcher() {
+        if (!this.localeSelect) return;
+        
+        Object.entries(this.locales).forEach(([code, locale]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = locale.name;
+            this.localeSelect.appendChild(option);
+        });
+        this.localeSelect.addEventListener('change', () => this.setLocale(this.localeSelect.value));
+    }
+    
+    /**
+     * Switch the interface to another locale and remember the choice
+     */
+    setLocale(locale) {
+        if (!this.locales[locale] || locale === this.locale) return;
+        
+        this.locale = locale;
+        localStorage.setItem(this.localeKey, locale);
+        this.applyLocale();
+        this.refreshLocalizedText();
+    }
+    
+    /**
+     * Set the document language and text direction and translate the static page text
+     */
+    applyLocale() {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.locales[this.locale].dir;
+        if (this.localeSelect) {
+            this.localeSelect.value = this.locale;
+        }
+        this.translatePage();
+    }
+    
+    /**
+     * Translate the text and labelling attributes of the page. The English source of
+     * each node is remembered, so the page can be translated again into another locale.
+     * Elements marked translate="no" are skipped.
+     */
+    translatePage() {
+        const messages = this.locales[this.locale].messages;
+        const translate = (source) => {
+            const [, lead, text, trail] = source.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            const translation = messages[text.replace(/\s+/g, ' ')];
+            return typeof translation === 'string' ? lead + translation + trail : source;
+        };
+        // Text changed by the application since the last translation is its new source
+        const sourceOf = (remembered, current) =>
+            remembered && remembered.rendered === current ? remembered.source : current;
+        
+        const walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.nodeValue.trim() && !node.parentElement.closest('script, style, [translate="no"]')
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT
+        });
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const source = sourceOf(this.translatedTexts.get(node), node.nodeValue);
+            const rendered = translate(source);
+            if (rendered !== node.nodeValue) node.nodeValue = rendered;
+            this.translatedTexts.set(node, { source, rendered });
+        }
+        
+        const attributes = ['placeholder', 'title', 'aria-label', 'alt', 'content'];
+        document.querySelectorAll('[placeholder], [title], [aria-label], [alt], meta[name="description"]').forEach(element => {
+            if (element.closest('[translate="no"]')) return;
+            
+            const remembered = this.translatedAttributes.get(element) || {};
+            attributes.filter(name => element.hasAttribute(name)).forEach(name => {
+                const source = sourceOf(remembered[name], element.getAttribute(name));
+                const rendered = translate(source);
+                if (rendered !== element.getAttribute(name)) element.setAttribute(name, rendered);
+                remembered[name] = { source, rendered };
+            });
+            this.translatedAttributes.set(element, remembered);
+        });
+    }
+    
+    /**
+     * Render the text the application generates again in the new locale
+     */
+    refreshLocalizedText() {
+        // Field errors are shown again in the new locale once the labels are updated
+        const fieldsWithErrors = Array.from(document.querySelectorAll('.form-error.show'))
+            .map(element => element.id.replace(/-error$/, ''));
+        
+        this.renderNotificationHistory();
+        this.renderDocumentInfo();
+        this.renderJobHistory();
+        this.updateRerunNotice();
+        
+        if (this.watermarkForm) {
+            this.handleTemplateChange();
+            this.handleFontSizeChange();
+            this.handleOrientationChange();
+            this.opacityValue.textContent = this.formatPercent(this.opacitySlider.value);
+            this.handleImageSliderChange();
+            this.renderWatermarkImage();
+            this.updateContrastWarning();
+            this.updateQuantityHint();
+            this.renderPresetList();
+            this.renderLayerList();
+            this.updatePreviewPagination();
+            this.updateComparisonControls();
+            this.scheduleFontSizeResolve();
+            this.schedulePreviewUpdate();
+            fieldsWithErrors.forEach(field => this.validateField(field));
+        }
     }
     
     /**
@@ -1165,6 +5687,8 @@ class PDFWatermarkApp {
     init() {
         this.handlePageVisibility();
         this.initializeKeyboardShortcuts();
+        this.restoreAppState();
+        this.loadJobHistory();
         console.log('Application fully initialized');
     }
 }
@@ -1182,5 +5706,6 @@ document.addEventListener('DOMContentLoaded', () => {
 window.addEventListener('beforeunload', () => {
     if (window.pdfApp) {
         window.pdfApp.stopProgressTracking();
+        window.pdfApp.flushPresetDeletes();
     }
 });
\ No newline at end of file
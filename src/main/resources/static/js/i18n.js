@@ -0,0 +1,781 @@
+/**
+ * PDF Watermarking Application - Message Catalogs
+ *
+ * Translations of the interface text, keyed by the English source text.
+ * Messages missing from a catalog are shown in English. Plural messages are
+ * keyed by their English plural and give a form per plural category of the
+ * locale, as returned by Intl.PluralRules.
+ */
+
+window.MESSAGE_CATALOGS = {
+    de: {
+        name: 'Deutsch',
+        dir: 'ltr',
+        messages: {
+            'PDF Watermarking Application - Add watermarks to your PDF documents': 'PDF-Wasserzeichen-Anwendung – Wasserzeichen zu Ihren PDF-Dokumenten hinzufügen',
+            'PDF Watermarking Application': 'PDF-Wasserzeichen-Anwendung',
+            'PDF Watermarking': 'PDF-Wasserzeichen',
+            'Upload': 'Hochladen',
+            'Configure': 'Konfigurieren',
+            'Download': 'Herunterladen',
+            'Language': 'Sprache',
+            'Notifications': 'Benachrichtigungen',
+            'Upload Your PDF': 'PDF hochladen',
+            'Select or drag and drop a PDF file to add watermarks, or several files or a folder to watermark them in one batch': 'Wählen Sie eine PDF-Datei aus oder ziehen Sie sie hierher, um Wasserzeichen hinzuzufügen, oder mehrere Dateien bzw. einen Ordner für eine Stapelverarbeitung',
+            'Drop your PDF files here': 'PDF-Dateien hier ablegen',
+            'or click to browse your files': 'oder klicken, um Dateien auszuwählen',
+            'Choose PDF Files': 'PDF-Dateien auswählen',
+            'Choose Folder': 'Ordner auswählen',
+            'Preparing upload...': 'Hochladen wird vorbereitet...',
+            'Cancel Upload': 'Hochladen abbrechen',
+            'Upload Successful!': 'Hochladen erfolgreich!',
+            'Your PDF has been uploaded successfully.': 'Ihre PDF-Datei wurde erfolgreich hochgeladen.',
+            'Configure Watermark': 'Wasserzeichen konfigurieren',
+            'Upload Another File': 'Weitere Datei hochladen',
+            'Upload Failed': 'Hochladen fehlgeschlagen',
+            'Please try again or contact support if the problem persists.': 'Bitte versuchen Sie es erneut oder wenden Sie sich an den Support, falls das Problem weiterhin besteht.',
+            'Try Again': 'Erneut versuchen',
+            'Batch Upload': 'Stapel-Upload',
+            'Start Over': 'Neu beginnen',
+            'Recent Jobs': 'Letzte Aufträge',
+            'Refresh': 'Aktualisieren',
+            'Cancel Re-run': 'Erneute Ausführung abbrechen',
+            'Jobs you run are listed here, so you can download their results again or reuse their settings.': 'Ihre Aufträge werden hier aufgeführt, damit Sie die Ergebnisse erneut herunterladen oder die Einstellungen wiederverwenden können.',
+            'Customize your watermark settings': 'Passen Sie die Einstellungen Ihres Wasserzeichens an',
+            'Saved Presets': 'Gespeicherte Vorlagen',
+            'No saved presets': 'Keine gespeicherten Vorlagen',
+            'Apply': 'Anwenden',
+            'Delete': 'Löschen',
+            'Preset name': 'Name der Vorlage',
+            'Save Current': 'Aktuelle speichern',
+            'Rename': 'Umbenennen',
+            'Export': 'Exportieren',
+            'Import': 'Importieren',
+            'Save the current settings under a name to reuse them later.': 'Speichern Sie die aktuellen Einstellungen unter einem Namen, um sie später wiederzuverwenden.',
+            'Layers': 'Ebenen',
+            'Add Layer': 'Ebene hinzufügen',
+            'Layers are drawn in order, so later layers sit on top. The settings below edit the selected layer.': 'Ebenen werden der Reihe nach gezeichnet, spätere Ebenen liegen also oben. Die Einstellungen unten bearbeiten die ausgewählte Ebene.',
+            'Watermark Content': 'Inhalt des Wasserzeichens',
+            'Text': 'Text',
+            'Image': 'Bild',
+            'Image and Text': 'Bild und Text',
+            'Watermark Image': 'Wasserzeichenbild',
+            'Selected watermark image': 'Ausgewähltes Wasserzeichenbild',
+            'Size': 'Größe',
+            'Opacity': 'Deckkraft',
+            'Watermark Text': 'Wasserzeichentext',
+            'Enter your watermark text': 'Geben Sie den Wasserzeichentext ein',
+            'Insert a text token': 'Platzhalter einfügen',
+            'Insert:': 'Einfügen:',
+            'Current date': 'Aktuelles Datum',
+            'Current date and time; edit the pattern after the colon': 'Aktuelles Datum und Uhrzeit; das Muster nach dem Doppelpunkt ist anpassbar',
+            'Name of the PDF file': 'Name der PDF-Datei',
+            'Number of the watermarked page': 'Nummer der Seite mit dem Wasserzeichen',
+            'Number of pages in the document': 'Anzahl der Seiten im Dokument',
+            'Upload session id': 'Kennung der Upload-Sitzung',
+            'Recipient entered below': 'Unten eingegebener Empfänger',
+            'Recipient': 'Empfänger',
+            'Name used for {recipient}': 'Name für {recipient}',
+            'Resolved for page 1:': 'Ergebnis für Seite 1:',
+            'Position': 'Position',
+            'Random Position': 'Zufällige Position',
+            'Fixed Position': 'Feste Position',
+            'Layout Template': 'Layoutvorlage',
+            'Snap to guides': 'An Hilfslinien ausrichten',
+            'Watermark': 'Wasserzeichen',
+            'Drag to rotate': 'Zum Drehen ziehen',
+            'Drag the watermark to place it and drag the round handle to rotate it. Coordinates are PDF points measured from the bottom-left corner of the page.': 'Ziehen Sie das Wasserzeichen, um es zu platzieren, und den runden Griff, um es zu drehen. Koordinaten sind PDF-Punkte ab der linken unteren Ecke der Seite.',
+            'X Position': 'X-Position',
+            'Y Position': 'Y-Position',
+            'Layout template': 'Layoutvorlage',
+            'Center': 'Mitte',
+            'Top Left': 'Oben links',
+            'Top Center': 'Oben Mitte',
+            'Top Right': 'Oben rechts',
+            'Left Center': 'Links Mitte',
+            'Right Center': 'Rechts Mitte',
+            'Bottom Left': 'Unten links',
+            'Bottom Center': 'Unten Mitte',
+            'Bottom Right': 'Unten rechts',
+            'Four Corners': 'Vier Ecken',
+            'Diagonal': 'Diagonal',
+            'Grid': 'Raster',
+            'Border': 'Rand',
+            'Rows': 'Zeilen',
+            'Columns': 'Spalten',
+            'Font Size Configuration': 'Schriftgröße',
+            'Fixed Size': 'Feste Größe',
+            'Random Range': 'Zufälliger Bereich',
+            'Scale with Page Size': 'Mit Seitengröße skalieren',
+            'Recommended': 'Empfohlen',
+            'Min Size': 'Mindestgröße',
+            'Max Size': 'Höchstgröße',
+            'Base Size (US Letter)': 'Basisgröße (US Letter)',
+            'Scale Factor': 'Skalierungsfaktor',
+            'Recommended For': 'Empfohlen für',
+            'Legal': 'Rechtsdokument',
+            'Academic': 'Wissenschaft',
+            'Business': 'Geschäftlich',
+            'Certificate': 'Urkunde',
+            'Marketing': 'Marketing',
+            'Technical': 'Technisch',
+            'Creative': 'Kreativ',
+            'Color Configuration': 'Farbe',
+            'Fixed Color': 'Feste Farbe',
+            'Random Color Per Letter': 'Zufällige Farbe je Buchstabe',
+            'Color Palette': 'Farbpalette',
+            'Color palette': 'Farbpalette',
+            'Professional': 'Professionell',
+            'Vibrant': 'Kräftig',
+            'Pastel': 'Pastell',
+            'Monochrome': 'Einfarbig',
+            'Warm': 'Warm',
+            'Cool': 'Kühl',
+            'Earth': 'Erdtöne',
+            'Custom': 'Eigene',
+            'Add Color': 'Farbe hinzufügen',
+            "Watermarks cycle through the palette colors in order (up to 10 colors). Each color's opacity is applied on top of the overall opacity.": 'Wasserzeichen durchlaufen die Palettenfarben der Reihe nach (bis zu 10 Farben). Die Deckkraft jeder Farbe wird zusätzlich zur Gesamtdeckkraft angewendet.',
+            'Blend Mode': 'Mischmodus',
+            'Normal': 'Normal',
+            'Multiply (keeps dark text readable)': 'Multiplizieren (dunkler Text bleibt lesbar)',
+            'Orientation Configuration': 'Ausrichtung',
+            'Fixed Angle': 'Fester Winkel',
+            'Random Rotation': 'Zufällige Drehung',
+            'Preset Angle': 'Vordefinierter Winkel',
+            'Orientation preset': 'Vordefinierte Ausrichtung',
+            'Horizontal': 'Waagerecht',
+            'Diagonal Up': 'Diagonal aufwärts',
+            'Vertical': 'Senkrecht',
+            'Diagonal Down': 'Diagonal abwärts',
+            'Upside Down': 'Kopfüber',
+            'Diagonal Up Reverse': 'Diagonal aufwärts, umgekehrt',
+            'Vertical Reverse': 'Senkrecht, umgekehrt',
+            'Diagonal Down Reverse': 'Diagonal abwärts, umgekehrt',
+            'Number of Watermarks': 'Anzahl der Wasserzeichen',
+            'Pages to Watermark': 'Seiten mit Wasserzeichen',
+            'All pages': 'Alle Seiten',
+            'Odd pages': 'Ungerade Seiten',
+            'Even pages': 'Gerade Seiten',
+            'All but the first page': 'Alle außer der ersten Seite',
+            'Last page only': 'Nur die letzte Seite',
+            'Custom pages or ranges': 'Eigene Seiten oder Bereiche',
+            'e.g. 1-3,7,10-': 'z. B. 1-3,7,10-',
+            'Pages and ranges': 'Seiten und Bereiche',
+            'Preview Watermark': 'Vorschau anzeigen',
+            'Apply Watermark': 'Wasserzeichen anwenden',
+            'Please correct the following errors:': 'Bitte korrigieren Sie folgende Fehler:',
+            'Preview': 'Vorschau',
+            'Previous page': 'Vorherige Seite',
+            'Next page': 'Nächste Seite',
+            'Watermarked page preview': 'Vorschau der Seite mit Wasserzeichen',
+            'Download Result': 'Ergebnis herunterladen',
+            'Download your watermarked PDF': 'Laden Sie Ihre PDF-Datei mit Wasserzeichen herunter',
+            'Processing Your PDF': 'Ihre PDF-Datei wird verarbeitet',
+            'Watermarks Applied Successfully!': 'Wasserzeichen erfolgreich angewendet!',
+            'Download PDF': 'PDF herunterladen',
+            'Download All (ZIP)': 'Alle herunterladen (ZIP)',
+            'Process Another File': 'Weitere Datei verarbeiten',
+            'Compare Pages': 'Seiten vergleichen',
+            'Comparison view': 'Vergleichsansicht',
+            'Side by Side': 'Nebeneinander',
+            'Toggle': 'Umschalten',
+            'Zoom out': 'Verkleinern',
+            'Zoom in': 'Vergrößern',
+            'Pages': 'Seiten',
+            'Original': 'Original',
+            'Original page': 'Originalseite',
+            'Watermarked': 'Mit Wasserzeichen',
+            'Watermarked page': 'Seite mit Wasserzeichen',
+            'Back to Configure with These Settings': 'Mit diesen Einstellungen zurück zur Konfiguration',
+            'File Name': 'Dateiname',
+            'Use {name}, {date}, {datetime} and {sessionId}, for example {name}_watermarked_{date}': 'Verwenden Sie {name}, {date}, {datetime} und {sessionId}, zum Beispiel {name}_watermarked_{date}',
+            'After Download': 'Nach dem Download',
+            'Delete the files from the server': 'Dateien vom Server löschen',
+            'Keep the files for 10 minutes': 'Dateien 10 Minuten aufbewahren',
+            'Keep the files for 30 minutes': 'Dateien 30 Minuten aufbewahren',
+            'Keep the files for 60 minutes': 'Dateien 60 Minuten aufbewahren',
+            'Processing Failed': 'Verarbeitung fehlgeschlagen',
+            'An error occurred while applying watermarks to your PDF.': 'Beim Anwenden der Wasserzeichen auf Ihre PDF-Datei ist ein Fehler aufgetreten.',
+            '© 2025 PDF Watermarking Application. All rights reserved.': '© 2025 PDF-Wasserzeichen-Anwendung. Alle Rechte vorbehalten.',
+            'Please wait while we process your request.': 'Bitte warten Sie, während Ihre Anfrage verarbeitet wird.',
+            'Notification history': 'Benachrichtigungsverlauf',
+            'Clear': 'Leeren',
+            'Close notifications': 'Benachrichtigungen schließen',
+            'No notifications yet.': 'Noch keine Benachrichtigungen.',
+            '%{action} (layer %{layer})': '%{action} (Ebene %{layer})',
+            '%{angle}°': '%{angle}°',
+            '%{count} different page sizes': '%{count} verschiedene Seitengrößen',
+            '%{name} (this browser only)': '%{name} (nur dieser Browser)',
+            '%{name} · %{width} × %{height} px': '%{name} · %{width} × %{height} px',
+            '%{name}. Choose the file again to replace it.': '%{name}. Wählen Sie die Datei erneut aus, um sie zu ersetzen.',
+            '%{paper} landscape (%{dimensions})': '%{paper} quer (%{dimensions})',
+            '%{paper} portrait (%{dimensions})': '%{paper} hoch (%{dimensions})',
+            '%{received} of %{total}': '%{received} von %{total}',
+            '%{scale} of page width': '%{scale} der Seitenbreite',
+            '%{size} pt': '%{size} pt',
+            '%{size}px': '%{size} px',
+            '%{uploaded} of %{total} uploaded': '%{uploaded} von %{total} hochgeladen',
+            '%{uploaded} of %{total} uploaded, %{skipped} skipped': '%{uploaded} von %{total} hochgeladen, %{skipped} übersprungen',
+            '%{width} × %{height} pt': '%{width} × %{height} pt',
+            'A batch can contain at most %{count} files.': 'Ein Stapel darf höchstens %{count} Dateien enthalten.',
+            'A custom palette can have at most %{count} colors': 'Eine eigene Palette darf höchstens %{count} Farben haben',
+            'A custom palette needs between 1 and %{count} colors': 'Eine eigene Palette braucht 1 bis %{count} Farben',
+            'A preset named "%{name}" already exists.': 'Eine Vorlage mit dem Namen „%{name}“ existiert bereits.',
+            'A watermark can have at most %{count} layers': 'Ein Wasserzeichen darf höchstens %{count} Ebenen haben',
+            'An error occurred while processing your PDF.': 'Bei der Verarbeitung Ihrer PDF-Datei ist ein Fehler aufgetreten.',
+            'An opacity of 0% makes the watermark invisible': 'Bei einer Deckkraft von 0 % ist das Wasserzeichen unsichtbar',
+            'Applying watermark...': 'Wasserzeichen wird angewendet...',
+            'Applying watermarks to your document...': 'Wasserzeichen werden auf Ihr Dokument angewendet...',
+            'Available until %{time}, then removed from the server': 'Verfügbar bis %{time}, danach vom Server entfernt',
+            'Base font size must be between %{min} and %{max} points': 'Die Basisschriftgröße muss zwischen %{min} und %{max} Punkt liegen',
+            'Checking PDF...': 'PDF wird geprüft...',
+            'Choose a PNG or JPEG image': 'Wählen Sie ein PNG- oder JPEG-Bild',
+            'Choose a preset': 'Vorlage auswählen',
+            'Choose an image to stamp': 'Wählen Sie ein Bild zum Stempeln',
+            'Completed': 'Abgeschlossen',
+            'Connection lost, retrying (%{attempt}/%{limit})...': 'Verbindung verloren, neuer Versuch (%{attempt}/%{limit})...',
+            'Correct the highlighted settings to update the preview.': 'Korrigieren Sie die markierten Einstellungen, um die Vorschau zu aktualisieren.',
+            'Correct the watermark settings before saving them as a preset.': 'Korrigieren Sie die Wasserzeichen-Einstellungen, bevor Sie sie als Vorlage speichern.',
+            'Could not delete the preset. Please try again.': 'Die Vorlage konnte nicht gelöscht werden. Bitte versuchen Sie es erneut.',
+            'Could not reach the server to restore your previous upload': 'Der Server war nicht erreichbar, um Ihren vorherigen Upload wiederherzustellen',
+            'Could not rename the preset. Please try again.': 'Die Vorlage konnte nicht umbenannt werden. Bitte versuchen Sie es erneut.',
+            'Could not resolve the font size': 'Die Schriftgröße konnte nicht ermittelt werden',
+            'Custom palette contains an invalid color': 'Die eigene Palette enthält eine ungültige Farbe',
+            'Delete layer': 'Ebene löschen',
+            'Dismiss notification': 'Benachrichtigung schließen',
+            'Download complete, but the server did not confirm what happens to your files.': 'Download abgeschlossen, aber der Server hat nicht bestätigt, was mit Ihren Dateien geschieht.',
+            'Download complete. Your files stay on the server until %{time}.': 'Download abgeschlossen. Ihre Dateien bleiben bis %{time} auf dem Server.',
+            'Download complete. Your files were deleted from the server.': 'Download abgeschlossen. Ihre Dateien wurden vom Server gelöscht.',
+            'Download completed': 'Download abgeschlossen',
+            'Download did not complete': 'Download wurde nicht abgeschlossen',
+            'Download failed': 'Download fehlgeschlagen',
+            'Download started successfully!': 'Download erfolgreich gestartet!',
+            'Download the result for %{name}': 'Ergebnis für %{name} herunterladen',
+            'Duplicate layer': 'Ebene duplizieren',
+            'Enter a name for the preset.': 'Geben Sie einen Namen für die Vorlage ein.',
+            'Enter the new name for the preset.': 'Geben Sie den neuen Namen der Vorlage ein.',
+            'Enter the pages or ranges to watermark': 'Geben Sie die Seiten oder Bereiche für das Wasserzeichen ein',
+            'Failed': 'Fehlgeschlagen',
+            'Failed to apply watermark': 'Wasserzeichen konnte nicht angewendet werden',
+            'Failed to apply watermark. Please try again.': 'Wasserzeichen konnte nicht angewendet werden. Bitte versuchen Sie es erneut.',
+            'Failed to check status': 'Status konnte nicht abgefragt werden',
+            'Failed to create batch': 'Stapel konnte nicht erstellt werden',
+            'Failed to render preview': 'Vorschau konnte nicht erstellt werden',
+            'Failed to render preview. Please try again.': 'Vorschau konnte nicht erstellt werden. Bitte versuchen Sie es erneut.',
+            'File size exceeds the %{size} limit.': 'Die Datei überschreitet die Größenbeschränkung von %{size}.',
+            'Finalizing upload...': 'Upload wird abgeschlossen...',
+            'Font size must be between %{min} and %{max} pixels': 'Die Schriftgröße muss zwischen %{min} und %{max} Pixel liegen',
+            'Grid columns must be a whole number between %{min} and %{max}': 'Die Rasterspalten müssen eine ganze Zahl zwischen %{min} und %{max} sein',
+            'Grid rows must be a whole number between %{min} and %{max}': 'Die Rasterzeilen müssen eine ganze Zahl zwischen %{min} und %{max} sein',
+            'Image is larger than %{size}': 'Das Bild ist größer als %{size}',
+            'Image upload failed': 'Bild konnte nicht hochgeladen werden',
+            'Image: %{name}': 'Bild: %{name}',
+            "Invalid page number '%{page}'. Page numbers start at 1": 'Ungültige Seitenzahl „%{page}“. Seitenzahlen beginnen bei 1',
+            "Invalid page range '%{part}'. The first page must not come after the last": 'Ungültiger Seitenbereich „%{part}“. Die erste Seite darf nicht nach der letzten liegen',
+            "Invalid page selection '%{part}'. Use pages and ranges like 1-3,7,10- or odd, even, all-but-first, last": 'Ungültige Seitenauswahl „%{part}“. Verwenden Sie Seiten und Bereiche wie 1-3,7,10- oder odd, even, all-but-first, last',
+            'Invalid response format': 'Ungültiges Antwortformat',
+            'Layer %{layer} needs attention before the watermark can be applied': 'Ebene %{layer} muss korrigiert werden, bevor das Wasserzeichen angewendet werden kann',
+            'Layer %{layer}: %{message}': 'Ebene %{layer}: %{message}',
+            'Load the settings of the job for %{name} into the form': 'Einstellungen des Auftrags für %{name} ins Formular laden',
+            'Maximum %{count} watermarks per document': 'Höchstens %{count} Wasserzeichen pro Dokument',
+            'Maximum font size must be between %{min} and %{max} pixels': 'Die maximale Schriftgröße muss zwischen %{min} und %{max} Pixel liegen',
+            'Maximum font size must be greater than minimum': 'Die maximale Schriftgröße muss größer als die minimale sein',
+            'Minimum font size must be between %{min} and %{max} pixels': 'Die minimale Schriftgröße muss zwischen %{min} und %{max} Pixel liegen',
+            'Move down the drawing order': 'In der Zeichenreihenfolge nach unten',
+            'Move up the drawing order': 'In der Zeichenreihenfolge nach oben',
+            'Network error occurred': 'Netzwerkfehler aufgetreten',
+            'No PDF files were found in the selection.': 'In der Auswahl wurden keine PDF-Dateien gefunden.',
+            'No session available for retry': 'Keine Sitzung für einen neuen Versuch verfügbar',
+            'None of the files could be uploaded': 'Keine der Dateien konnte hochgeladen werden',
+            'Number of watermarks must be between %{min} and %{max}': 'Die Anzahl der Wasserzeichen muss zwischen %{min} und %{max} liegen',
+            'Opacity must be between %{min} and %{max}': 'Die Deckkraft muss zwischen %{min} und %{max} liegen',
+            'Opacity of this color (%)': 'Deckkraft dieser Farbe (%)',
+            'Orientation angle must be between %{min} and %{max} degrees': 'Der Winkel muss zwischen %{min} und %{max} Grad liegen',
+            'Output removed from the server': 'Ergebnis vom Server entfernt',
+            'PDF %{version}': 'PDF %{version}',
+            'PNG or JPEG up to %{size}. Transparent PNGs keep their transparency.': 'PNG oder JPEG bis %{size}. Transparente PNGs behalten ihre Transparenz.',
+            'Page %{page}': 'Seite %{page}',
+            'Page %{page} is beyond the last page of the document (%{count})': 'Seite %{page} liegt hinter der letzten Seite des Dokuments (%{count})',
+            'Page %{page} of %{count}': 'Seite %{page} von %{count}',
+            'Page range %{start}-%{end} goes beyond the last page of the document (%{count})': 'Der Seitenbereich %{start}-%{end} geht über die letzte Seite des Dokuments hinaus (%{count})',
+            'Page size unknown, showing %{size}': 'Seitengröße unbekannt, angezeigt wird %{size}',
+            'Page: %{size}': 'Seite: %{size}',
+            'Palette color': 'Palettenfarbe',
+            'Palette color opacity in percent': 'Deckkraft der Palettenfarbe in Prozent',
+            'Places a single watermark centered on the selected spot.': 'Platziert ein einzelnes Wasserzeichen zentriert auf der gewählten Stelle.',
+            'Places one watermark in the center of each grid cell.': 'Platziert ein Wasserzeichen in der Mitte jeder Rasterzelle.',
+            'Places watermarks along the page edges; the number of watermarks is determined by the layout.': 'Platziert Wasserzeichen entlang der Seitenränder; die Anzahl ergibt sich aus dem Layout.',
+            'Please select a color palette': 'Bitte wählen Sie eine Farbpalette',
+            'Please select a document type': 'Bitte wählen Sie einen Dokumenttyp',
+            'Please select a layout template': 'Bitte wählen Sie eine Layoutvorlage',
+            'Please select a valid PDF file.': 'Bitte wählen Sie eine gültige PDF-Datei.',
+            'Please select a valid color': 'Bitte wählen Sie eine gültige Farbe',
+            'Please select an orientation preset': 'Bitte wählen Sie eine vordefinierte Ausrichtung',
+            'Please upload a PDF file first': 'Bitte laden Sie zuerst eine PDF-Datei hoch',
+            'Please upload a PDF file first.': 'Bitte laden Sie zuerst eine PDF-Datei hoch.',
+            'Preset "%{name}" applied to layer %{layer}.': 'Vorlage „%{name}“ auf Ebene %{layer} angewendet.',
+            'Preset "%{name}" applied.': 'Vorlage „%{name}“ angewendet.',
+            'Preset "%{name}" deleted': 'Vorlage „%{name}“ gelöscht',
+            'Preset "%{name}" deleted.': 'Vorlage „%{name}“ gelöscht.',
+            'Preset "%{name}" restored.': 'Vorlage „%{name}“ wiederhergestellt.',
+            'Preset "%{name}" saved in this browser.': 'Vorlage „%{name}“ in diesem Browser gespeichert.',
+            'Preset "%{name}" saved.': 'Vorlage „%{name}“ gespeichert.',
+            'Preset renamed to "%{name}".': 'Vorlage in „%{name}“ umbenannt.',
+            'Presets are saved in this browser until the server is reachable.': 'Vorlagen werden in diesem Browser gespeichert, bis der Server erreichbar ist.',
+            'Processing...': 'Wird verarbeitet...',
+            'Re-run': 'Erneut ausführen',
+            'Re-run the job for %{name} on a new file': 'Auftrag für %{name} mit einer neuen Datei erneut ausführen',
+            'Remove color': 'Farbe entfernen',
+            'Resolves to %{size} on the first page (%{page})': 'Ergibt %{size} auf der ersten Seite (%{page})',
+            'Restoring your previous session...': 'Ihre vorherige Sitzung wird wiederhergestellt...',
+            'Resuming upload...': 'Upload wird fortgesetzt...',
+            'Retry': 'Erneut versuchen',
+            'Saved image': 'Gespeichertes Bild',
+            'Scale factor must be between %{min} and %{max}': 'Der Skalierungsfaktor muss zwischen %{min} und %{max} liegen',
+            'Selected file is empty.': 'Die ausgewählte Datei ist leer.',
+            'Settings of the job for %{name} loaded into the form.': 'Einstellungen des Auftrags für %{name} wurden ins Formular geladen.',
+            'Show Original': 'Original anzeigen',
+            'Show Watermarked': 'Mit Wasserzeichen anzeigen',
+            'Spreads the number of watermarks below from the bottom-left to the top-right corner.': 'Verteilt die unten angegebene Anzahl von Wasserzeichen von der linken unteren zur rechten oberen Ecke.',
+            'Started %{time}, %{layers}': 'Gestartet %{time}, %{layers}',
+            'Started %{time}, %{layers}, %{size}': 'Gestartet %{time}, %{layers}, %{size}',
+            'Starting download...': 'Download wird gestartet...',
+            'The %{token} token does not take a format': 'Der Platzhalter %{token} hat kein Format',
+            'The connection closed before the download finished': 'Die Verbindung wurde vor dem Ende des Downloads getrennt',
+            'The page could not be shown. Please try again.': 'Die Seite konnte nicht angezeigt werden. Bitte versuchen Sie es erneut.',
+            'The preview updates automatically as you change the settings.': 'Die Vorschau wird automatisch aktualisiert, wenn Sie die Einstellungen ändern.',
+            'The selected file is not a preset export.': 'Die ausgewählte Datei ist kein Vorlagen-Export.',
+            'The {recipient} token needs a recipient': 'Der Platzhalter {recipient} braucht einen Empfänger',
+            'This PDF does not contain any pages.': 'Diese PDF-Datei enthält keine Seiten.',
+            'This PDF is damaged or incomplete: its end-of-file trailer is missing.': 'Diese PDF-Datei ist beschädigt oder unvollständig: Der Dateiende-Trailer fehlt.',
+            'This PDF is password-protected. Remove the password and upload it again.': 'Diese PDF-Datei ist passwortgeschützt. Entfernen Sie das Passwort und laden Sie sie erneut hoch.',
+            'This file is not a PDF document. It may be a different file type renamed to .pdf.': 'Diese Datei ist kein PDF-Dokument. Möglicherweise wurde ein anderer Dateityp in .pdf umbenannt.',
+            'This session has expired. Please upload your document again.': 'Diese Sitzung ist abgelaufen. Bitte laden Sie Ihr Dokument erneut hoch.',
+            'Undo': 'Rückgängig',
+            'Upload a PDF to re-run the job for %{name} with the same settings.': 'Laden Sie eine PDF-Datei hoch, um den Auftrag für %{name} mit denselben Einstellungen erneut auszuführen.',
+            'Use %{color}': '%{color} verwenden',
+            'This color is hard to read on a white page: its contrast ratio is %{ratio}:1, below the %{minimum}:1 WCAG AA asks for.': 'Diese Farbe ist auf einer weißen Seite schwer lesbar: Ihr Kontrastverhältnis beträgt %{ratio}:1, weniger als die von WCAG AA geforderten %{minimum}:1.',
+            'Unknown token %{token}. Available tokens: %{tokens}': 'Unbekannter Platzhalter %{token}. Verfügbare Platzhalter: %{tokens}',
+            'Untitled layer': 'Unbenannte Ebene',
+            'Upload a PDF to see the resolved size for your document.': 'Laden Sie eine PDF-Datei hoch, um die ermittelte Größe für Ihr Dokument zu sehen.',
+            'Upload already in progress': 'Es läuft bereits ein Upload',
+            'Upload cancelled': 'Upload abgebrochen',
+            'Upload expired': 'Upload abgelaufen',
+            'Upload failed': 'Upload fehlgeschlagen',
+            'Upload failed. Please try again.': 'Upload fehlgeschlagen. Bitte versuchen Sie es erneut.',
+            'Upload was cancelled': 'Der Upload wurde abgebrochen',
+            'Uploaded': 'Hochgeladen',
+            'Uploading %{name}...': '%{name} wird hochgeladen...',
+            'Uploading...': 'Wird hochgeladen...',
+            'Use Settings': 'Einstellungen verwenden',
+            'View details': 'Details anzeigen',
+            'Waiting...': 'Wartet...',
+            'Watermark position: %{x} by %{y} points. Use arrow keys to move it.': 'Wasserzeichenposition: %{x} × %{y} Punkt. Mit den Pfeiltasten verschieben.',
+            'Watermark processing failed': 'Verarbeitung des Wasserzeichens fehlgeschlagen',
+            'Watermark text is required': 'Wasserzeichentext ist erforderlich',
+            'Watermark text must be at most %{count} characters, not counting tokens': 'Der Wasserzeichentext darf ohne Platzhalter höchstens %{count} Zeichen lang sein',
+            'Watermarks are still being applied. Please wait until they are done.': 'Die Wasserzeichen werden noch angewendet. Bitte warten Sie, bis der Vorgang abgeschlossen ist.',
+            'X position must be a positive number': 'Die X-Position muss eine positive Zahl sein',
+            'X position must be within the page width (%{width} pt)': 'Die X-Position muss innerhalb der Seitenbreite liegen (%{width} pt)',
+            'Y position must be a positive number': 'Die Y-Position muss eine positive Zahl sein',
+            'Y position must be within the page height (%{height} pt)': 'Die Y-Position muss innerhalb der Seitenhöhe liegen (%{height} pt)',
+            'Your PDF has been uploaded and is ready for watermarking!': 'Ihre PDF-Datei wurde hochgeladen und kann mit Wasserzeichen versehen werden!',
+            'Your files were deleted from the server. Upload the PDF again to make further changes.': 'Ihre Dateien wurden vom Server gelöscht. Laden Sie die PDF-Datei erneut hoch, um weitere Änderungen vorzunehmen.',
+            'Your watermarked PDF is ready for download.': 'Ihre PDF-Datei mit Wasserzeichen steht zum Download bereit.',
+            '%{count} layers': { one: '%{count} Ebene', other: '%{count} Ebenen' },
+            '%{count} pages': { one: '%{count} Seite', other: '%{count} Seiten' },
+            'Applying watermarks to %{count} documents...': { one: 'Wasserzeichen werden auf %{count} Dokument angewendet...', other: 'Wasserzeichen werden auf %{count} Dokumente angewendet...' },
+            'Exported %{count} presets.': { one: '%{count} Vorlage exportiert.', other: '%{count} Vorlagen exportiert.' },
+            'Imported %{count} presets, skipped %{skipped} invalid.': { one: '%{count} Vorlage importiert, %{skipped} ungültige übersprungen.', other: '%{count} Vorlagen importiert, %{skipped} ungültige übersprungen.' },
+            'Imported %{count} presets.': { one: '%{count} Vorlage importiert.', other: '%{count} Vorlagen importiert.' },
+            "Page selection '%{spec}' matches no pages in a %{count}-page document": { one: 'Die Seitenauswahl „%{spec}“ trifft in einem Dokument mit %{count} Seite keine Seite', other: 'Die Seitenauswahl „%{spec}“ trifft in einem Dokument mit %{count} Seiten keine Seite' },
+            'Palette colors %{colors} are hard to read on a white page: they are below the %{minimum}:1 contrast ratio WCAG AA asks for.': { one: 'Die Palettenfarbe %{colors} ist auf einer weißen Seite schwer lesbar: Sie liegt unter dem von WCAG AA geforderten Kontrastverhältnis von %{minimum}:1.', other: 'Die Palettenfarben %{colors} sind auf einer weißen Seite schwer lesbar: Sie liegen unter dem von WCAG AA geforderten Kontrastverhältnis von %{minimum}:1.' },
+            'Watermarks %{selected} of %{count} pages': { one: 'Wasserzeichen auf %{selected} von %{count} Seite', other: 'Wasserzeichen auf %{selected} von %{count} Seiten' }
+        }
+    },
+    ar: {
+        name: 'العربية',
+        dir: 'rtl',
+        messages: {
+            'PDF Watermarking Application - Add watermarks to your PDF documents': 'تطبيق العلامات المائية لملفات PDF – أضف علامات مائية إلى مستندات PDF',
+            'PDF Watermarking Application': 'تطبيق العلامات المائية لملفات PDF',
+            'PDF Watermarking': 'العلامات المائية لملفات PDF',
+            'Upload': 'الرفع',
+            'Configure': 'الإعداد',
+            'Download': 'التنزيل',
+            'Language': 'اللغة',
+            'Notifications': 'الإشعارات',
+            'Upload Your PDF': 'ارفع ملف PDF',
+            'Select or drag and drop a PDF file to add watermarks, or several files or a folder to watermark them in one batch': 'اختر ملف PDF أو اسحبه وأفلته لإضافة علامات مائية، أو عدة ملفات أو مجلدًا لمعالجتها دفعة واحدة',
+            'Drop your PDF files here': 'أفلت ملفات PDF هنا',
+            'or click to browse your files': 'أو انقر لاستعراض ملفاتك',
+            'Choose PDF Files': 'اختر ملفات PDF',
+            'Choose Folder': 'اختر مجلدًا',
+            'Preparing upload...': 'جارٍ التحضير للرفع...',
+            'Cancel Upload': 'إلغاء الرفع',
+            'Upload Successful!': 'تم الرفع بنجاح!',
+            'Your PDF has been uploaded successfully.': 'تم رفع ملف PDF بنجاح.',
+            'Configure Watermark': 'إعداد العلامة المائية',
+            'Upload Another File': 'رفع ملف آخر',
+            'Upload Failed': 'فشل الرفع',
+            'Please try again or contact support if the problem persists.': 'يرجى المحاولة مرة أخرى أو التواصل مع الدعم إذا استمرت المشكلة.',
+            'Try Again': 'حاول مرة أخرى',
+            'Batch Upload': 'رفع دفعة',
+            'Start Over': 'البدء من جديد',
+            'Recent Jobs': 'المهام الأخيرة',
+            'Refresh': 'تحديث',
+            'Cancel Re-run': 'إلغاء إعادة التشغيل',
+            'Jobs you run are listed here, so you can download their results again or reuse their settings.': 'تظهر هنا المهام التي تشغّلها، لتتمكن من تنزيل نتائجها مرة أخرى أو إعادة استخدام إعداداتها.',
+            'Customize your watermark settings': 'خصّص إعدادات العلامة المائية',
+            'Saved Presets': 'الإعدادات المحفوظة',
+            'No saved presets': 'لا توجد إعدادات محفوظة',
+            'Apply': 'تطبيق',
+            'Delete': 'حذف',
+            'Preset name': 'اسم الإعداد',
+            'Save Current': 'حفظ الحالي',
+            'Rename': 'إعادة تسمية',
+            'Export': 'تصدير',
+            'Import': 'استيراد',
+            'Save the current settings under a name to reuse them later.': 'احفظ الإعدادات الحالية باسم لإعادة استخدامها لاحقًا.',
+            'Layers': 'الطبقات',
+            'Add Layer': 'إضافة طبقة',
+            'Layers are drawn in order, so later layers sit on top. The settings below edit the selected layer.': 'تُرسم الطبقات بالترتيب، لذا تظهر الطبقات اللاحقة في الأعلى. تعدّل الإعدادات أدناه الطبقة المحددة.',
+            'Watermark Content': 'محتوى العلامة المائية',
+            'Text': 'نص',
+            'Image': 'صورة',
+            'Image and Text': 'صورة ونص',
+            'Watermark Image': 'صورة العلامة المائية',
+            'Selected watermark image': 'صورة العلامة المائية المحددة',
+            'Size': 'الحجم',
+            'Opacity': 'العتامة',
+            'Watermark Text': 'نص العلامة المائية',
+            'Enter your watermark text': 'أدخل نص العلامة المائية',
+            'Insert a text token': 'إدراج رمز نصي',
+            'Insert:': 'إدراج:',
+            'Current date': 'التاريخ الحالي',
+            'Current date and time; edit the pattern after the colon': 'التاريخ والوقت الحاليان؛ عدّل النمط بعد النقطتين',
+            'Name of the PDF file': 'اسم ملف PDF',
+            'Number of the watermarked page': 'رقم الصفحة التي تحمل العلامة المائية',
+            'Number of pages in the document': 'عدد صفحات المستند',
+            'Upload session id': 'معرّف جلسة الرفع',
+            'Recipient entered below': 'المستلم المُدخل أدناه',
+            'Recipient': 'المستلم',
+            'Name used for {recipient}': 'الاسم المستخدم لـ {recipient}',
+            'Resolved for page 1:': 'النتيجة للصفحة 1:',
+            'Position': 'الموضع',
+            'Random Position': 'موضع عشوائي',
+            'Fixed Position': 'موضع ثابت',
+            'Layout Template': 'قالب التخطيط',
+            'Snap to guides': 'المحاذاة إلى الأدلة',
+            'Watermark': 'علامة مائية',
+            'Drag to rotate': 'اسحب للتدوير',
+            'Drag the watermark to place it and drag the round handle to rotate it. Coordinates are PDF points measured from the bottom-left corner of the page.': 'اسحب العلامة المائية لوضعها واسحب المقبض الدائري لتدويرها. الإحداثيات بنقاط PDF مقيسة من الزاوية السفلية اليسرى للصفحة.',
+            'X Position': 'الموضع X',
+            'Y Position': 'الموضع Y',
+            'Layout template': 'قالب التخطيط',
+            'Center': 'الوسط',
+            'Top Left': 'أعلى اليسار',
+            'Top Center': 'أعلى الوسط',
+            'Top Right': 'أعلى اليمين',
+            'Left Center': 'وسط اليسار',
+            'Right Center': 'وسط اليمين',
+            'Bottom Left': 'أسفل اليسار',
+            'Bottom Center': 'أسفل الوسط',
+            'Bottom Right': 'أسفل اليمين',
+            'Four Corners': 'الزوايا الأربع',
+            'Diagonal': 'قطري',
+            'Grid': 'شبكة',
+            'Border': 'الحافة',
+            'Rows': 'الصفوف',
+            'Columns': 'الأعمدة',
+            'Font Size Configuration': 'إعداد حجم الخط',
+            'Fixed Size': 'حجم ثابت',
+            'Random Range': 'نطاق عشوائي',
+            'Scale with Page Size': 'التحجيم مع حجم الصفحة',
+            'Recommended': 'موصى به',
+            'Min Size': 'الحجم الأدنى',
+            'Max Size': 'الحجم الأقصى',
+            'Base Size (US Letter)': 'الحجم الأساسي (US Letter)',
+            'Scale Factor': 'معامل التحجيم',
+            'Recommended For': 'موصى به لـ',
+            'Legal': 'قانوني',
+            'Academic': 'أكاديمي',
+            'Business': 'أعمال',
+            'Certificate': 'شهادة',
+            'Marketing': 'تسويق',
+            'Technical': 'تقني',
+            'Creative': 'إبداعي',
+            'Color Configuration': 'إعداد اللون',
+            'Fixed Color': 'لون ثابت',
+            'Random Color Per Letter': 'لون عشوائي لكل حرف',
+            'Color Palette': 'لوحة الألوان',
+            'Color palette': 'لوحة الألوان',
+            'Professional': 'احترافي',
+            'Vibrant': 'زاهٍ',
+            'Pastel': 'باستيل',
+            'Monochrome': 'أحادي اللون',
+            'Warm': 'دافئ',
+            'Cool': 'بارد',
+            'Earth': 'ترابي',
+            'Custom': 'مخصص',
+            'Add Color': 'إضافة لون',
+            "Watermarks cycle through the palette colors in order (up to 10 colors). Each color's opacity is applied on top of the overall opacity.": 'تتناوب العلامات المائية على ألوان اللوحة بالترتيب (حتى 10 ألوان). تُطبَّق عتامة كل لون فوق العتامة العامة.',
+            'Blend Mode': 'وضع المزج',
+            'Normal': 'عادي',
+            'Multiply (keeps dark text readable)': 'ضرب (يبقي النص الداكن مقروءًا)',
+            'Orientation Configuration': 'إعداد الاتجاه',
+            'Fixed Angle': 'زاوية ثابتة',
+            'Random Rotation': 'تدوير عشوائي',
+            'Preset Angle': 'زاوية محددة مسبقًا',
+            'Orientation preset': 'اتجاه محدد مسبقًا',
+            'Horizontal': 'أفقي',
+            'Diagonal Up': 'قطري للأعلى',
+            'Vertical': 'عمودي',
+            'Diagonal Down': 'قطري للأسفل',
+            'Upside Down': 'مقلوب',
+            'Diagonal Up Reverse': 'قطري للأعلى معكوس',
+            'Vertical Reverse': 'عمودي معكوس',
+            'Diagonal Down Reverse': 'قطري للأسفل معكوس',
+            'Number of Watermarks': 'عدد العلامات المائية',
+            'Pages to Watermark': 'الصفحات المراد وضع العلامة عليها',
+            'All pages': 'كل الصفحات',
+            'Odd pages': 'الصفحات الفردية',
+            'Even pages': 'الصفحات الزوجية',
+            'All but the first page': 'كل الصفحات عدا الأولى',
+            'Last page only': 'الصفحة الأخيرة فقط',
+            'Custom pages or ranges': 'صفحات أو نطاقات مخصصة',
+            'e.g. 1-3,7,10-': 'مثال: 1-3,7,10-',
+            'Pages and ranges': 'الصفحات والنطاقات',
+            'Preview Watermark': 'معاينة العلامة المائية',
+            'Apply Watermark': 'تطبيق العلامة المائية',
+            'Please correct the following errors:': 'يرجى تصحيح الأخطاء التالية:',
+            'Preview': 'المعاينة',
+            'Previous page': 'الصفحة السابقة',
+            'Next page': 'الصفحة التالية',
+            'Watermarked page preview': 'معاينة الصفحة بالعلامة المائية',
+            'Download Result': 'تنزيل النتيجة',
+            'Download your watermarked PDF': 'نزّل ملف PDF بالعلامة المائية',
+            'Processing Your PDF': 'جارٍ معالجة ملف PDF',
+            'Watermarks Applied Successfully!': 'تم تطبيق العلامات المائية بنجاح!',
+            'Download PDF': 'تنزيل PDF',
+            'Download All (ZIP)': 'تنزيل الكل (ZIP)',
+            'Process Another File': 'معالجة ملف آخر',
+            'Compare Pages': 'مقارنة الصفحات',
+            'Comparison view': 'عرض المقارنة',
+            'Side by Side': 'جنبًا إلى جنب',
+            'Toggle': 'تبديل',
+            'Zoom out': 'تصغير',
+            'Zoom in': 'تكبير',
+            'Pages': 'الصفحات',
+            'Original': 'الأصل',
+            'Original page': 'الصفحة الأصلية',
+            'Watermarked': 'بالعلامة المائية',
+            'Watermarked page': 'الصفحة بالعلامة المائية',
+            'Back to Configure with These Settings': 'العودة إلى الإعداد بهذه الإعدادات',
+            'File Name': 'اسم الملف',
+            'Use {name}, {date}, {datetime} and {sessionId}, for example {name}_watermarked_{date}': 'استخدم {name} و{date} و{datetime} و{sessionId}، مثل {name}_watermarked_{date}',
+            'After Download': 'بعد التنزيل',
+            'Delete the files from the server': 'حذف الملفات من الخادم',
+            'Keep the files for 10 minutes': 'الاحتفاظ بالملفات لمدة 10 دقائق',
+            'Keep the files for 30 minutes': 'الاحتفاظ بالملفات لمدة 30 دقيقة',
+            'Keep the files for 60 minutes': 'الاحتفاظ بالملفات لمدة 60 دقيقة',
+            'Processing Failed': 'فشلت المعالجة',
+            'An error occurred while applying watermarks to your PDF.': 'حدث خطأ أثناء تطبيق العلامات المائية على ملف PDF.',
+            '© 2025 PDF Watermarking Application. All rights reserved.': '© 2025 تطبيق العلامات المائية لملفات PDF. جميع الحقوق محفوظة.',
+            'Please wait while we process your request.': 'يرجى الانتظار بينما نعالج طلبك.',
+            'Notification history': 'سجل الإشعارات',
+            'Clear': 'مسح',
+            'Close notifications': 'إغلاق الإشعارات',
+            'No notifications yet.': 'لا توجد إشعارات بعد.',
+            '%{action} (layer %{layer})': '%{action} (الطبقة %{layer})',
+            '%{angle}°': '%{angle}°',
+            '%{count} different page sizes': 'أحجام صفحات مختلفة: %{count}',
+            '%{name} (this browser only)': '%{name} (هذا المتصفح فقط)',
+            '%{name} · %{width} × %{height} px': '%{name} · %{width} × %{height} بكسل',
+            '%{name}. Choose the file again to replace it.': '%{name}. اختر الملف مرة أخرى لاستبداله.',
+            '%{paper} landscape (%{dimensions})': '%{paper} أفقي (%{dimensions})',
+            '%{paper} portrait (%{dimensions})': '%{paper} عمودي (%{dimensions})',
+            '%{received} of %{total}': '%{received} من %{total}',
+            '%{scale} of page width': '%{scale} من عرض الصفحة',
+            '%{size} pt': '%{size} نقطة',
+            '%{size}px': '%{size} بكسل',
+            '%{uploaded} of %{total} uploaded': 'تم رفع %{uploaded} من %{total}',
+            '%{uploaded} of %{total} uploaded, %{skipped} skipped': 'تم رفع %{uploaded} من %{total}، وتخطي %{skipped}',
+            '%{width} × %{height} pt': '%{width} × %{height} نقطة',
+            'A batch can contain at most %{count} files.': 'يمكن أن تحتوي الدفعة على %{count} ملف كحد أقصى.',
+            'A custom palette can have at most %{count} colors': 'يمكن أن تحتوي اللوحة المخصصة على %{count} لون كحد أقصى',
+            'A custom palette needs between 1 and %{count} colors': 'تحتاج اللوحة المخصصة إلى ما بين 1 و%{count} لون',
+            'A preset named "%{name}" already exists.': 'يوجد إعداد باسم "%{name}" بالفعل.',
+            'A watermark can have at most %{count} layers': 'يمكن أن تحتوي العلامة المائية على %{count} طبقة كحد أقصى',
+            'An error occurred while processing your PDF.': 'حدث خطأ أثناء معالجة ملف PDF.',
+            'An opacity of 0% makes the watermark invisible': 'العتامة 0٪ تجعل العلامة المائية غير مرئية',
+            'Applying watermark...': 'جارٍ تطبيق العلامة المائية...',
+            'Applying watermarks to your document...': 'جارٍ تطبيق العلامات المائية على مستندك...',
+            'Available until %{time}, then removed from the server': 'متاح حتى %{time}، ثم يُحذف من الخادم',
+            'Base font size must be between %{min} and %{max} points': 'يجب أن يكون حجم الخط الأساسي بين %{min} و%{max} نقطة',
+            'Checking PDF...': 'جارٍ فحص ملف PDF...',
+            'Choose a PNG or JPEG image': 'اختر صورة PNG أو JPEG',
+            'Choose a preset': 'اختر إعدادًا',
+            'Choose an image to stamp': 'اختر صورة للختم',
+            'Completed': 'مكتمل',
+            'Connection lost, retrying (%{attempt}/%{limit})...': 'انقطع الاتصال، جارٍ إعادة المحاولة (%{attempt}/%{limit})...',
+            'Correct the highlighted settings to update the preview.': 'صحّح الإعدادات المميزة لتحديث المعاينة.',
+            'Correct the watermark settings before saving them as a preset.': 'صحّح إعدادات العلامة المائية قبل حفظها كإعداد.',
+            'Could not delete the preset. Please try again.': 'تعذّر حذف الإعداد. يرجى المحاولة مرة أخرى.',
+            'Could not reach the server to restore your previous upload': 'تعذّر الوصول إلى الخادم لاستعادة الرفع السابق',
+            'Could not rename the preset. Please try again.': 'تعذّرت إعادة تسمية الإعداد. يرجى المحاولة مرة أخرى.',
+            'Could not resolve the font size': 'تعذّر تحديد حجم الخط',
+            'Custom palette contains an invalid color': 'تحتوي اللوحة المخصصة على لون غير صالح',
+            'Delete layer': 'حذف الطبقة',
+            'Dismiss notification': 'تجاهل الإشعار',
+            'Download complete, but the server did not confirm what happens to your files.': 'اكتمل التنزيل، لكن الخادم لم يؤكد ما سيحدث لملفاتك.',
+            'Download complete. Your files stay on the server until %{time}.': 'اكتمل التنزيل. ستبقى ملفاتك على الخادم حتى %{time}.',
+            'Download complete. Your files were deleted from the server.': 'اكتمل التنزيل. تم حذف ملفاتك من الخادم.',
+            'Download completed': 'اكتمل التنزيل',
+            'Download did not complete': 'لم يكتمل التنزيل',
+            'Download failed': 'فشل التنزيل',
+            'Download started successfully!': 'بدأ التنزيل بنجاح!',
+            'Download the result for %{name}': 'تنزيل نتيجة %{name}',
+            'Duplicate layer': 'تكرار الطبقة',
+            'Enter a name for the preset.': 'أدخل اسمًا للإعداد.',
+            'Enter the new name for the preset.': 'أدخل الاسم الجديد للإعداد.',
+            'Enter the pages or ranges to watermark': 'أدخل الصفحات أو النطاقات المراد وضع العلامة عليها',
+            'Failed': 'فشل',
+            'Failed to apply watermark': 'فشل تطبيق العلامة المائية',
+            'Failed to apply watermark. Please try again.': 'فشل تطبيق العلامة المائية. يرجى المحاولة مرة أخرى.',
+            'Failed to check status': 'تعذر التحقق من الحالة',
+            'Failed to create batch': 'فشل إنشاء الدفعة',
+            'Failed to render preview': 'فشل عرض المعاينة',
+            'Failed to render preview. Please try again.': 'فشل عرض المعاينة. يرجى المحاولة مرة أخرى.',
+            'File size exceeds the %{size} limit.': 'يتجاوز حجم الملف الحد المسموح به %{size}.',
+            'Finalizing upload...': 'جارٍ إنهاء الرفع...',
+            'Font size must be between %{min} and %{max} pixels': 'يجب أن يكون حجم الخط بين %{min} و%{max} بكسل',
+            'Grid columns must be a whole number between %{min} and %{max}': 'يجب أن يكون عدد أعمدة الشبكة عددًا صحيحًا بين %{min} و%{max}',
+            'Grid rows must be a whole number between %{min} and %{max}': 'يجب أن يكون عدد صفوف الشبكة عددًا صحيحًا بين %{min} و%{max}',
+            'Image is larger than %{size}': 'الصورة أكبر من %{size}',
+            'Image upload failed': 'فشل رفع الصورة',
+            'Image: %{name}': 'الصورة: %{name}',
+            "Invalid page number '%{page}'. Page numbers start at 1": 'رقم صفحة غير صالح "%{page}". تبدأ أرقام الصفحات من 1',
+            "Invalid page range '%{part}'. The first page must not come after the last": 'نطاق صفحات غير صالح "%{part}". يجب ألا تأتي الصفحة الأولى بعد الأخيرة',
+            "Invalid page selection '%{part}'. Use pages and ranges like 1-3,7,10- or odd, even, all-but-first, last": 'تحديد صفحات غير صالح "%{part}". استخدم صفحات ونطاقات مثل 1-3,7,10- أو odd أو even أو all-but-first أو last',
+            'Invalid response format': 'تنسيق استجابة غير صالح',
+            'Layer %{layer} needs attention before the watermark can be applied': 'تحتاج الطبقة %{layer} إلى تصحيح قبل تطبيق العلامة المائية',
+            'Layer %{layer}: %{message}': 'الطبقة %{layer}: %{message}',
+            'Load the settings of the job for %{name} into the form': 'تحميل إعدادات مهمة %{name} في النموذج',
+            'Maximum %{count} watermarks per document': 'الحد الأقصى %{count} علامة مائية لكل مستند',
+            'Maximum font size must be between %{min} and %{max} pixels': 'يجب أن يكون الحد الأقصى لحجم الخط بين %{min} و%{max} بكسل',
+            'Maximum font size must be greater than minimum': 'يجب أن يكون الحد الأقصى لحجم الخط أكبر من الحد الأدنى',
+            'Minimum font size must be between %{min} and %{max} pixels': 'يجب أن يكون الحد الأدنى لحجم الخط بين %{min} و%{max} بكسل',
+            'Move down the drawing order': 'نقل للأسفل في ترتيب الرسم',
+            'Move up the drawing order': 'نقل للأعلى في ترتيب الرسم',
+            'Network error occurred': 'حدث خطأ في الشبكة',
+            'No PDF files were found in the selection.': 'لم يُعثر على ملفات PDF في التحديد.',
+            'No session available for retry': 'لا توجد جلسة متاحة لإعادة المحاولة',
+            'None of the files could be uploaded': 'تعذّر رفع أي من الملفات',
+            'Number of watermarks must be between %{min} and %{max}': 'يجب أن يكون عدد العلامات المائية بين %{min} و%{max}',
+            'Opacity must be between %{min} and %{max}': 'يجب أن تكون العتامة بين %{min} و%{max}',
+            'Opacity of this color (%)': 'عتامة هذا اللون (٪)',
+            'Orientation angle must be between %{min} and %{max} degrees': 'يجب أن تكون زاوية الاتجاه بين %{min} و%{max} درجة',
+            'Output removed from the server': 'تم حذف النتيجة من الخادم',
+            'PDF %{version}': 'PDF %{version}',
+            'PNG or JPEG up to %{size}. Transparent PNGs keep their transparency.': 'PNG أو JPEG حتى %{size}. تحتفظ صور PNG الشفافة بشفافيتها.',
+            'Page %{page}': 'الصفحة %{page}',
+            'Page %{page} is beyond the last page of the document (%{count})': 'الصفحة %{page} بعد الصفحة الأخيرة من المستند (%{count})',
+            'Page %{page} of %{count}': 'الصفحة %{page} من %{count}',
+            'Page range %{start}-%{end} goes beyond the last page of the document (%{count})': 'يتجاوز نطاق الصفحات %{start}-%{end} الصفحة الأخيرة من المستند (%{count})',
+            'Page size unknown, showing %{size}': 'حجم الصفحة غير معروف، يُعرض %{size}',
+            'Page: %{size}': 'الصفحة: %{size}',
+            'Palette color': 'لون اللوحة',
+            'Palette color opacity in percent': 'عتامة لون اللوحة بالنسبة المئوية',
+            'Places a single watermark centered on the selected spot.': 'يضع علامة مائية واحدة في منتصف الموضع المحدد.',
+            'Places one watermark in the center of each grid cell.': 'يضع علامة مائية واحدة في منتصف كل خلية من الشبكة.',
+            'Places watermarks along the page edges; the number of watermarks is determined by the layout.': 'يضع العلامات المائية على طول حواف الصفحة؛ ويحدد التخطيط عددها.',
+            'Please select a color palette': 'يرجى اختيار لوحة ألوان',
+            'Please select a document type': 'يرجى اختيار نوع المستند',
+            'Please select a layout template': 'يرجى اختيار قالب تخطيط',
+            'Please select a valid PDF file.': 'يرجى اختيار ملف PDF صالح.',
+            'Please select a valid color': 'يرجى اختيار لون صالح',
+            'Please select an orientation preset': 'يرجى اختيار اتجاه محدد مسبقًا',
+            'Please upload a PDF file first': 'يرجى رفع ملف PDF أولًا',
+            'Please upload a PDF file first.': 'يرجى رفع ملف PDF أولًا.',
+            'Preset "%{name}" applied to layer %{layer}.': 'تم تطبيق الإعداد "%{name}" على الطبقة %{layer}.',
+            'Preset "%{name}" applied.': 'تم تطبيق الإعداد "%{name}".',
+            'Preset "%{name}" deleted': 'تم حذف الإعداد "%{name}"',
+            'Preset "%{name}" deleted.': 'تم حذف الإعداد "%{name}".',
+            'Preset "%{name}" restored.': 'تمت استعادة الإعداد "%{name}".',
+            'Preset "%{name}" saved in this browser.': 'تم حفظ الإعداد "%{name}" في هذا المتصفح.',
+            'Preset "%{name}" saved.': 'تم حفظ الإعداد "%{name}".',
+            'Preset renamed to "%{name}".': 'تمت إعادة تسمية الإعداد إلى "%{name}".',
+            'Presets are saved in this browser until the server is reachable.': 'تُحفظ الإعدادات في هذا المتصفح حتى يصبح الخادم متاحًا.',
+            'Processing...': 'جارٍ المعالجة...',
+            'Re-run': 'إعادة التشغيل',
+            'Re-run the job for %{name} on a new file': 'إعادة تشغيل مهمة %{name} على ملف جديد',
+            'Remove color': 'إزالة اللون',
+            'Resolves to %{size} on the first page (%{page})': 'يساوي %{size} في الصفحة الأولى (%{page})',
+            'Restoring your previous session...': 'جارٍ استعادة جلستك السابقة...',
+            'Resuming upload...': 'جارٍ استئناف الرفع...',
+            'Retry': 'إعادة المحاولة',
+            'Saved image': 'الصورة المحفوظة',
+            'Scale factor must be between %{min} and %{max}': 'يجب أن يكون معامل التحجيم بين %{min} و%{max}',
+            'Selected file is empty.': 'الملف المحدد فارغ.',
+            'Settings of the job for %{name} loaded into the form.': 'تم تحميل إعدادات مهمة %{name} في النموذج.',
+            'Show Original': 'عرض الأصل',
+            'Show Watermarked': 'عرض الصفحة بالعلامة المائية',
+            'Spreads the number of watermarks below from the bottom-left to the top-right corner.': 'يوزّع عدد العلامات المائية أدناه من الزاوية السفلية اليسرى إلى الزاوية العلوية اليمنى.',
+            'Started %{time}, %{layers}': 'بدأت %{time}، %{layers}',
+            'Started %{time}, %{layers}, %{size}': 'بدأت %{time}، %{layers}، %{size}',
+            'Starting download...': 'جارٍ بدء التنزيل...',
+            'The %{token} token does not take a format': 'الرمز %{token} لا يقبل تنسيقًا',
+            'The connection closed before the download finished': 'انقطع الاتصال قبل اكتمال التنزيل',
+            'The page could not be shown. Please try again.': 'تعذر عرض الصفحة. يرجى المحاولة مرة أخرى.',
+            'The preview updates automatically as you change the settings.': 'تتحدث المعاينة تلقائيًا عند تغيير الإعدادات.',
+            'The selected file is not a preset export.': 'الملف المحدد ليس ملف تصدير إعدادات.',
+            'The {recipient} token needs a recipient': 'يحتاج الرمز {recipient} إلى مستلم',
+            'This PDF does not contain any pages.': 'لا يحتوي ملف PDF هذا على أي صفحات.',
+            'This PDF is damaged or incomplete: its end-of-file trailer is missing.': 'ملف PDF هذا تالف أو غير مكتمل: مقطع نهاية الملف مفقود.',
+            'This PDF is password-protected. Remove the password and upload it again.': 'ملف PDF هذا محمي بكلمة مرور. أزل كلمة المرور ثم ارفعه مرة أخرى.',
+            'This file is not a PDF document. It may be a different file type renamed to .pdf.': 'هذا الملف ليس مستند PDF. قد يكون نوع ملف آخر أُعيدت تسميته إلى ‎.pdf.',
+            'This session has expired. Please upload your document again.': 'انتهت صلاحية هذه الجلسة. يرجى رفع المستند مرة أخرى.',
+            'Undo': 'تراجع',
+            'Upload a PDF to re-run the job for %{name} with the same settings.': 'ارفع ملف PDF لإعادة تشغيل مهمة %{name} بالإعدادات نفسها.',
+            'Use %{color}': 'استخدم %{color}',
+            'This color is hard to read on a white page: its contrast ratio is %{ratio}:1, below the %{minimum}:1 WCAG AA asks for.': 'يصعب قراءة هذا اللون على صفحة بيضاء: نسبة التباين %{ratio}:1، وهي أقل من %{minimum}:1 التي يتطلبها WCAG AA.',
+            'Unknown token %{token}. Available tokens: %{tokens}': 'رمز غير معروف %{token}. الرموز المتاحة: %{tokens}',
+            'Untitled layer': 'طبقة بلا عنوان',
+            'Upload a PDF to see the resolved size for your document.': 'ارفع ملف PDF لرؤية الحجم المحسوب لمستندك.',
+            'Upload already in progress': 'يوجد رفع قيد التقدم بالفعل',
+            'Upload cancelled': 'تم إلغاء الرفع',
+            'Upload expired': 'انتهت صلاحية الرفع',
+            'Upload failed': 'فشل الرفع',
+            'Upload failed. Please try again.': 'فشل الرفع. يرجى المحاولة مرة أخرى.',
+            'Upload was cancelled': 'أُلغي الرفع',
+            'Uploaded': 'تم الرفع',
+            'Uploading %{name}...': 'جارٍ رفع %{name}...',
+            'Uploading...': 'جارٍ الرفع...',
+            'Use Settings': 'استخدام الإعدادات',
+            'View details': 'عرض التفاصيل',
+            'Waiting...': 'في الانتظار...',
+            'Watermark position: %{x} by %{y} points. Use arrow keys to move it.': 'موضع العلامة المائية: %{x} في %{y} نقطة. استخدم مفاتيح الأسهم لتحريكها.',
+            'Watermark processing failed': 'فشلت معالجة العلامة المائية',
+            'Watermark text is required': 'نص العلامة المائية مطلوب',
+            'Watermark text must be at most %{count} characters, not counting tokens': 'يجب ألا يتجاوز نص العلامة المائية %{count} حرفًا، دون احتساب الرموز',
+            'Watermarks are still being applied. Please wait until they are done.': 'لا يزال تطبيق العلامات المائية جاريًا. يرجى الانتظار حتى يكتمل.',
+            'X position must be a positive number': 'يجب أن يكون الموضع X رقمًا موجبًا',
+            'X position must be within the page width (%{width} pt)': 'يجب أن يكون الموضع X ضمن عرض الصفحة (%{width} نقطة)',
+            'Y position must be a positive number': 'يجب أن يكون الموضع Y رقمًا موجبًا',
+            'Y position must be within the page height (%{height} pt)': 'يجب أن يكون الموضع Y ضمن ارتفاع الصفحة (%{height} نقطة)',
+            'Your PDF has been uploaded and is ready for watermarking!': 'تم رفع ملف PDF وهو جاهز لإضافة العلامة المائية!',
+            'Your files were deleted from the server. Upload the PDF again to make further changes.': 'تم حذف ملفاتك من الخادم. ارفع ملف PDF مرة أخرى لإجراء تغييرات أخرى.',
+            'Your watermarked PDF is ready for download.': 'ملف PDF بالعلامة المائية جاهز للتنزيل.',
+            '%{count} layers': { zero: 'لا طبقات', one: 'طبقة واحدة', two: 'طبقتان', few: '%{count} طبقات', many: '%{count} طبقة', other: '%{count} طبقة' },
+            '%{count} pages': { zero: 'لا صفحات', one: 'صفحة واحدة', two: 'صفحتان', few: '%{count} صفحات', many: '%{count} صفحة', other: '%{count} صفحة' },
+            'Applying watermarks to %{count} documents...': { zero: 'لا مستندات لتطبيق العلامات المائية عليها...', one: 'جارٍ تطبيق العلامات المائية على مستند واحد...', two: 'جارٍ تطبيق العلامات المائية على مستندين...', few: 'جارٍ تطبيق العلامات المائية على %{count} مستندات...', many: 'جارٍ تطبيق العلامات المائية على %{count} مستندًا...', other: 'جارٍ تطبيق العلامات المائية على %{count} مستند...' },
+            'Exported %{count} presets.': { zero: 'لم يُصدَّر أي إعداد.', one: 'تم تصدير إعداد واحد.', two: 'تم تصدير إعدادين.', few: 'تم تصدير %{count} إعدادات.', many: 'تم تصدير %{count} إعدادًا.', other: 'تم تصدير %{count} إعداد.' },
+            'Imported %{count} presets, skipped %{skipped} invalid.': { zero: 'لم يُستورد أي إعداد، وتم تخطي %{skipped} غير صالح.', one: 'تم استيراد إعداد واحد، وتخطي %{skipped} غير صالح.', two: 'تم استيراد إعدادين، وتخطي %{skipped} غير صالح.', few: 'تم استيراد %{count} إعدادات، وتخطي %{skipped} غير صالح.', many: 'تم استيراد %{count} إعدادًا، وتخطي %{skipped} غير صالح.', other: 'تم استيراد %{count} إعداد، وتخطي %{skipped} غير صالح.' },
+            'Imported %{count} presets.': { zero: 'لم يُستورد أي إعداد.', one: 'تم استيراد إعداد واحد.', two: 'تم استيراد إعدادين.', few: 'تم استيراد %{count} إعدادات.', many: 'تم استيراد %{count} إعدادًا.', other: 'تم استيراد %{count} إعداد.' },
+            "Page selection '%{spec}' matches no pages in a %{count}-page document": { other: 'تحديد الصفحات "%{spec}" لا يطابق أي صفحة في مستند من %{count} صفحة' },
+            'Palette colors %{colors} are hard to read on a white page: they are below the %{minimum}:1 contrast ratio WCAG AA asks for.': { one: 'يصعب قراءة لون اللوحة %{colors} على صفحة بيضاء: تباينه أقل من %{minimum}:1 الذي يتطلبه WCAG AA.', two: 'يصعب قراءة لوني اللوحة %{colors} على صفحة بيضاء: تباينهما أقل من %{minimum}:1 الذي يتطلبه WCAG AA.', other: 'يصعب قراءة ألوان اللوحة %{colors} على صفحة بيضاء: تباينها أقل من %{minimum}:1 الذي يتطلبه WCAG AA.' },
+            'Watermarks %{selected} of %{count} pages': { zero: 'العلامات المائية على %{selected} من 0 صفحات', one: 'العلامات المائية على %{selected} من صفحة واحدة', two: 'العلامات المائية على %{selected} من صفحتين', few: 'العلامات المائية على %{selected} من %{count} صفحات', many: 'العلامات المائية على %{selected} من %{count} صفحة', other: 'العلامات المائية على %{selected} من %{count} صفحة' }
+        }
+    }
+};
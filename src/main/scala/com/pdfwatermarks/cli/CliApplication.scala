@@ -86,10 +86,11 @@ object CliApplication extends ZIOAppDefault {
         
         // Apply watermarks
         _ <- Console.printLine("Applying watermarks...").orDie
-        resultFile <- WatermarkRenderer.applyWatermarks(
+        resultFile <- WatermarkRenderer.applyWatermarkLayers(
           config.inputFile,
           config.outputFile,
-          config.watermarkConfig
+          config.allLayers,
+          TokenContext(fileName = config.inputFile.getName)
         )
         
         // Verify output file
@@ -117,8 +118,13 @@ object CliApplication extends ZIOAppDefault {
           _ <- Console.printLine("\n=== Verbose Information ===").orDie
           _ <- Console.printLine(s"Input file: ${config.inputFile.getAbsolutePath}").orDie
           _ <- Console.printLine(s"Output file: ${config.outputFile.getAbsolutePath}").orDie
-          _ <- Console.printLine(s"Watermark text: '${config.watermarkConfig.text}'").orDie
-          _ <- printWatermarkConfig(config.watermarkConfig)
+          _ <- ZIO.foreachDiscard(config.allLayers.zipWithIndex) { case (layer, index) =>
+            for {
+              _ <- ZIO.when(config.layers.nonEmpty)(Console.printLine(s"--- Layer ${index + 1} ---").orDie)
+              _ <- Console.printLine(s"Watermark text: '${layer.text}'").orDie
+              _ <- printWatermarkConfig(layer)
+            } yield ()
+          }
           _ <- Console.printLine("=============================\n").orDie
         } yield ()
       } else {
@@ -136,6 +142,12 @@ object CliApplication extends ZIOAppDefault {
         _ <- Console.printLine(s"Font size: ${formatFontSizeConfig(config.fontSize)}").orDie
         _ <- Console.printLine(s"Color: ${formatColorConfig(config.color)}").orDie
         _ <- Console.printLine(s"Quantity: ${config.quantity}").orDie
+        _ <- Console.printLine(s"Pages: ${PageSelections.format(config.pages)}").orDie
+        _ <- Console.printLine(f"Opacity: ${config.opacity * 100}%.0f%%, blend mode: ${config.blendMode.toString}").orDie
+        _ <- ZIO.foreachDiscard(config.recipient)(recipient => Console.printLine(s"Recipient: $recipient").orDie)
+        _ <- ZIO.foreachDiscard(config.image) { image =>
+          Console.printLine(f"Image: ${image.path} (${image.pixelWidth}x${image.pixelHeight} px, scale ${image.scale}%.2f, opacity ${image.opacity}%.2f)").orDie
+        }
       } yield ()
     }
 
@@ -143,11 +155,16 @@ object CliApplication extends ZIOAppDefault {
      * Print processing summary.
      */
     private def printProcessingSummary(config: CliConfig, pdfDocument: PdfDocument, outputSize: Long): ZIO[Any, Nothing, Unit] = {
+      val layerPages = config.allLayers.map(layer => PageSelections.selectedPages(layer.pages, pdfDocument.pageCount))
+      val watermarkedPages = layerPages.flatten.distinct.length
+      val totalWatermarks = config.allLayers.zip(layerPages).map { case (layer, pages) => pages.length * layer.quantity }.sum
       for {
         _ <- Console.printLine("\n=== Processing Summary ===").orDie
         _ <- Console.printLine(s"Pages processed: ${pdfDocument.pageCount}").orDie
-        _ <- Console.printLine(s"Watermarks per page: ${config.watermarkConfig.quantity}").orDie
-        _ <- Console.printLine(s"Total watermarks applied: ${pdfDocument.pageCount * config.watermarkConfig.quantity}").orDie
+        _ <- Console.printLine(s"Pages watermarked: $watermarkedPages").orDie
+        _ <- ZIO.when(config.layers.nonEmpty)(Console.printLine(s"Watermark layers: ${config.allLayers.length}").orDie)
+        _ <- Console.printLine(s"Watermarks per page: ${config.allLayers.map(_.quantity).sum}").orDie
+        _ <- Console.printLine(s"Total watermarks applied: $totalWatermarks").orDie
         _ <- Console.printLine(s"Original size: ${formatFileSize(pdfDocument.originalSize)}").orDie
         _ <- Console.printLine(s"Final size: ${formatFileSize(outputSize)}").orDie
         _ <- Console.printLine(s"Size increase: ${formatFileSize(outputSize - pdfDocument.originalSize)}").orDie
@@ -280,6 +297,8 @@ object CliApplication extends ZIOAppDefault {
      * Format color configuration for display.
      */
     private def formatColorConfig(config: ColorConfig): String = config match {
+      case ColorConfig.Fixed(color) if color.getAlpha < 255 =>
+        s"Fixed (${color.getRed}, ${color.getGreen}, ${color.getBlue}, alpha ${color.getAlpha})"
       case ColorConfig.Fixed(color) => s"Fixed (${color.getRed}, ${color.getGreen}, ${color.getBlue})"
       case ColorConfig.RandomPerLetter => "Random per letter"
       case ColorConfig.Palette(palette) => s"Color palette: ${palette.toString}"
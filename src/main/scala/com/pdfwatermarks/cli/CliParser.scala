@@ -1,6 +1,7 @@
 package com.pdfwatermarks.cli
 
 import com.pdfwatermarks.domain.*
+import com.pdfwatermarks.pdf.WatermarkRenderer
 import zio.*
 import java.awt.Color
 import java.io.File
@@ -16,14 +17,20 @@ import java.io.File
 
 /**
  * Configuration parsed from command-line arguments.
+ * 
+ * @param watermarkConfig The bottom watermark layer
+ * @param layers Further layers drawn above it, in order
  */
 case class CliConfig(
   inputFile: File,
   outputFile: File,
   watermarkConfig: WatermarkConfig,
   verbose: Boolean = false,
-  help: Boolean = false
-)
+  help: Boolean = false,
+  layers: List[WatermarkConfig] = Nil
+) {
+  def allLayers: List[WatermarkConfig] = watermarkConfig :: layers
+}
 
 /**
  * CLI parsing result.
@@ -55,6 +62,8 @@ object CliParser {
       val inputPath = argMap.getOrElse("--input", argMap.get("-i").getOrElse(""))
       val outputPath = argMap.getOrElse("--output", argMap.get("-o").getOrElse(""))
       val text = argMap.getOrElse("--text", argMap.get("-t").getOrElse(""))
+      val layerFile = argMap.get("--layers").map(new File(_))
+      val hasCommandLineLayer = text.nonEmpty || argMap.contains("--image")
 
       if (inputPath.isEmpty) {
         return CliParseResult.Error("Input file path is required. Use --input or -i")
@@ -62,8 +71,8 @@ object CliParser {
       if (outputPath.isEmpty) {
         return CliParseResult.Error("Output file path is required. Use --output or -o")
       }
-      if (text.isEmpty) {
-        return CliParseResult.Error("Watermark text is required. Use --text or -t")
+      if (!hasCommandLineLayer && layerFile.isEmpty) {
+        return CliParseResult.Error("Watermark text, image or layer file is required. Use --text, -t, --image or --layers")
       }
 
       val inputFile = new File(inputPath)
@@ -80,28 +89,31 @@ object CliParser {
         return CliParseResult.Error(s"Input file must be a PDF: $inputPath")
       }
 
-      // Parse optional arguments with defaults
-      val positionConfig = parsePosition(argMap)
-      val orientationConfig = parseOrientation(argMap)
-      val fontSizeConfig = parseFontSize(argMap)
-      val colorConfig = parseColor(argMap)
-      val quantity = parseQuantity(argMap)
+      // The command-line watermark is the bottom layer; layers from the file are drawn above it
+      val commandLineLayer = if (hasCommandLineLayer) List(parseWatermarkConfig(argMap, text)) else Nil
+      val layers = commandLineLayer ++ layerFile.map(parseLayerFile).getOrElse(Nil)
       val verbose = argMap.contains("--verbose") || argMap.contains("-v")
 
-      val watermarkConfig = WatermarkConfig(
-        text = text,
-        position = positionConfig,
-        orientation = orientationConfig,
-        fontSize = fontSizeConfig,
-        color = colorConfig,
-        quantity = quantity
-      )
+      if (!ConfigConstraints.isValidLayerCount(layers.length)) {
+        return CliParseResult.Error(s"Between 1 and ${ConfigConstraints.MaxWatermarkLayers} watermark layers are supported, got ${layers.length}")
+      }
+
+      // The same schema checks as the web form and the HTTP API, naming the layer in layered jobs
+      val schemaErrors = layers.zipWithIndex.flatMap { case (layer, index) =>
+        WatermarkSchema.validate(layer).map { error =>
+          if (layers.length > 1) s"Layer ${index + 1}: ${error.message}" else error.message
+        }
+      }.distinct
+      if (schemaErrors.nonEmpty) {
+        return CliParseResult.Error(schemaErrors.mkString("; "))
+      }
 
       val cliConfig = CliConfig(
         inputFile = inputFile,
         outputFile = outputFile,
-        watermarkConfig = watermarkConfig,
-        verbose = verbose
+        watermarkConfig = layers.head,
+        verbose = verbose,
+        layers = layers.tail
       )
 
       CliParseResult.Success(cliConfig)
@@ -112,6 +124,60 @@ object CliParser {
     }
   }
 
+  /**
+   * Parse the watermark options of one layer into a watermark configuration.
+   */
+  private def parseWatermarkConfig(argMap: Map[String, String], text: String): WatermarkConfig =
+    WatermarkConfig(
+      text = text,
+      position = parsePosition(argMap),
+      orientation = parseOrientation(argMap),
+      fontSize = parseFontSize(argMap),
+      color = parseColor(argMap),
+      quantity = parseQuantity(argMap),
+      pages = parsePages(argMap),
+      image = parseImage(argMap),
+      opacity = parseOpacity(argMap),
+      blendMode = parseBlendMode(argMap),
+      recipient = argMap.get("--recipient").map(_.trim).filter(_.nonEmpty)
+    )
+
+  /**
+   * Parse a layer file: one layer per line, written with the same watermark options
+   * as the command line. Blank lines and lines starting with '#' are skipped.
+   */
+  private def parseLayerFile(file: File): List[WatermarkConfig] = {
+    if (!file.canRead) {
+      throw new IllegalArgumentException(s"Layer file is not readable: ${file.getPath}")
+    }
+    
+    val source = scala.io.Source.fromFile(file, "UTF-8")
+    val lines = try source.getLines().toList finally source.close()
+    
+    lines.zipWithIndex.collect {
+      case (line, index) if line.trim.nonEmpty && !line.trim.startsWith("#") =>
+        try {
+          val argMap = parseArgumentMap(splitLayerLine(line).toArray)
+          val text = argMap.getOrElse("--text", argMap.get("-t").getOrElse(""))
+          if (text.isEmpty && !argMap.contains("--image")) {
+            throw new IllegalArgumentException("watermark text or image is required")
+          }
+          parseWatermarkConfig(argMap, text)
+        } catch {
+          case e: IllegalArgumentException =>
+            throw new IllegalArgumentException(s"Layer file line ${index + 1}: ${e.getMessage}")
+        }
+    }
+  }
+
+  /**
+   * Split a layer file line into arguments, keeping quoted values together.
+   */
+  private def splitLayerLine(line: String): List[String] =
+    """"([^"]*)"|'([^']*)'|(\S+)""".r.findAllMatchIn(line).map { argument =>
+      Option(argument.group(1)).orElse(Option(argument.group(2))).getOrElse(argument.group(3))
+    }.toList
+
   /**
    * Parse arguments into a key-value map.
    */
@@ -168,11 +234,7 @@ object CliParser {
       case Some("random") => OrientationConfig.Random
       case Some(angleStr) =>
         try {
-          val angle = angleStr.toDouble
-          if (angle < 0.0 || angle > 360.0) {
-            throw new IllegalArgumentException(s"Angle must be between 0 and 360 degrees: $angle")
-          }
-          OrientationConfig.Fixed(angle)
+          OrientationConfig.Fixed(angleStr.toDouble)
         } catch {
           case _: NumberFormatException =>
             throw new IllegalArgumentException(s"Invalid angle: $angleStr. Use a number or 'random'")
@@ -192,15 +254,7 @@ object CliParser {
           sizeStr.split("-") match {
             case Array(minStr, maxStr) =>
               try {
-                val min = minStr.trim.toDouble
-                val max = maxStr.trim.toDouble
-                if (min >= max) {
-                  throw new IllegalArgumentException(s"Font size minimum must be less than maximum: $min-$max")
-                }
-                if (min < ConfigConstraints.MinFontSize || max > ConfigConstraints.MaxFontSize) {
-                  throw new IllegalArgumentException(s"Font size must be between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}")
-                }
-                FontSizeConfig.Random(min, max)
+                FontSizeConfig.Random(minStr.trim.toDouble, maxStr.trim.toDouble)
               } catch {
                 case _: NumberFormatException =>
                   throw new IllegalArgumentException(s"Invalid font size range: $sizeStr. Use format 'min-max'")
@@ -211,11 +265,7 @@ object CliParser {
         } else {
           // Fixed size
           try {
-            val size = sizeStr.toDouble
-            if (size < ConfigConstraints.MinFontSize || size > ConfigConstraints.MaxFontSize) {
-              throw new IllegalArgumentException(s"Font size must be between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}: $size")
-            }
-            FontSizeConfig.Fixed(size)
+            FontSizeConfig.Fixed(sizeStr.toDouble)
           } catch {
             case _: NumberFormatException =>
               throw new IllegalArgumentException(s"Invalid font size: $sizeStr")
@@ -267,10 +317,12 @@ object CliParser {
     )
     
     predefinedColors.get(lowerColor).orElse {
-      // Try hex color parsing
-      if (colorStr.startsWith("#") && colorStr.length == 7) {
+      // Try hex color parsing; #RRGGBBAA carries its own opacity
+      if (colorStr.startsWith("#") && (colorStr.length == 7 || colorStr.length == 9)) {
         try {
-          Some(Color.decode(colorStr))
+          val rgb = Color.decode(colorStr.take(7))
+          val alpha = if (colorStr.length == 9) Integer.parseInt(colorStr.substring(7), 16) else 255
+          Some(new Color(rgb.getRed, rgb.getGreen, rgb.getBlue, alpha))
         } catch {
           case _: NumberFormatException => None
         }
@@ -287,11 +339,7 @@ object CliParser {
     argMap.get("--quantity").orElse(argMap.get("-q")) match {
       case Some(qtyStr) =>
         try {
-          val quantity = qtyStr.toInt
-          if (quantity <= 0 || quantity > ConfigConstraints.MaxWatermarkQuantity) {
-            throw new IllegalArgumentException(s"Quantity must be between 1 and ${ConfigConstraints.MaxWatermarkQuantity}: $quantity")
-          }
-          quantity
+          qtyStr.toInt
         } catch {
           case _: NumberFormatException =>
             throw new IllegalArgumentException(s"Invalid quantity: $qtyStr. Must be a positive integer")
@@ -300,27 +348,108 @@ object CliParser {
     }
   }
 
+  /**
+   * Parse the page selection from arguments.
+   */
+  private def parsePages(argMap: Map[String, String]): PageSelection = {
+    argMap.get("--pages") match {
+      case Some(spec) =>
+        PageSelections.parse(spec) match {
+          case Right(selection) => selection
+          case Left(error) => throw new IllegalArgumentException(error)
+        }
+      case None => PageSelection.All // Default every page
+    }
+  }
+
+  /**
+   * Parse the watermark opacity from arguments.
+   */
+  private def parseOpacity(argMap: Map[String, String]): Double = {
+    argMap.get("--opacity") match {
+      case Some(opacityStr) =>
+        try {
+          opacityStr.toDouble
+        } catch {
+          case _: NumberFormatException =>
+            throw new IllegalArgumentException(s"Invalid opacity: $opacityStr. Use a number between 0 and 1")
+        }
+      case None => 0.5 // Default semi-transparent
+    }
+  }
+
+  /**
+   * Parse the blend mode from arguments.
+   */
+  private def parseBlendMode(argMap: Map[String, String]): BlendMode = {
+    argMap.get("--blend-mode").map(_.toLowerCase) match {
+      case Some("normal") | None => BlendMode.Normal
+      case Some("multiply") => BlendMode.Multiply
+      case Some(other) =>
+        throw new IllegalArgumentException(s"Invalid blend mode: $other. Use 'normal' or 'multiply'")
+    }
+  }
+
+  /**
+   * Parse the watermark image and its scale and opacity from arguments.
+   */
+  private def parseImage(argMap: Map[String, String]): Option[WatermarkImage] = {
+    def parseFraction(option: String, default: Double): Double =
+      argMap.get(option) match {
+        case Some(value) =>
+          try {
+            value.toDouble
+          } catch {
+            case _: NumberFormatException =>
+              throw new IllegalArgumentException(s"Invalid $option: $value. Must be a number")
+          }
+        case None => default
+      }
+    
+    argMap.get("--image").map { imagePath =>
+      val scale = parseFraction("--image-scale", 0.3)
+      val opacity = parseFraction("--image-opacity", 0.5)
+      WatermarkRenderer.readWatermarkImage(new File(imagePath), scale, opacity) match {
+        case Right(image) => image
+        case Left(error) => throw new IllegalArgumentException(error)
+      }
+    }
+  }
+
   /**
    * Generate help text for CLI usage.
    */
   private def generateHelpText(): String = {
-    """
+    import ConfigConstraints.*
+    s"""
 PDF Watermarking Application - Command Line Interface
 
 USAGE:
     pdf-watermarks [OPTIONS] --input INPUT_FILE --output OUTPUT_FILE --text WATERMARK_TEXT
+    pdf-watermarks [OPTIONS] --input INPUT_FILE --output OUTPUT_FILE --image IMAGE_FILE
 
 REQUIRED ARGUMENTS:
     -i, --input <FILE>       Input PDF file path
     -o, --output <FILE>      Output PDF file path  
-    -t, --text <TEXT>        Watermark text
+    -t, --text <TEXT>        Watermark text, which may contain tokens (optional when --image is given)
 
 OPTIONAL ARGUMENTS:
     -p, --position <POS>     Watermark position: 'x,y' coordinates or 'random' (default: 300,400)
     -a, --angle <ANGLE>      Watermark rotation angle: 0-360 degrees or 'random' (default: 45)
-    -s, --font-size <SIZE>   Font size: number or 'min-max' range (default: 24)
-    -c, --color <COLOR>      Text color: color name, hex code, or 'random' (default: black)
-    -q, --quantity <NUM>     Number of watermarks: 1-100 (default: 1)
+    -s, --font-size <SIZE>   Font size: ${MinFontSize.toInt}-${MaxFontSize.toInt} or a 'min-max' range (default: 24)
+    -c, --color <COLOR>      Text color: color name, hex code, or 'random' (default: black);
+                             '#RRGGBBAA' hex codes add their own opacity
+        --opacity <N>        Watermark opacity: 0-1 (default: 0.5)
+        --blend-mode <MODE>  'normal' or 'multiply', which keeps dark text readable (default: normal)
+    -q, --quantity <NUM>     Number of watermarks: 1-$MaxWatermarkQuantity (default: 1)
+        --pages <PAGES>      Pages to watermark: ranges like '1-3,7,10-', 'odd', 'even',
+                             'all-but-first' or 'last' (default: all)
+        --image <FILE>       PNG or JPEG image to stamp; with --text the text goes beneath it
+        --image-scale <N>    Image width as a fraction of the page width: $MinImageScale-${MaxImageScale.toInt} (default: 0.3)
+        --image-opacity <N>  Image opacity: 0-1 (default: 0.5)
+        --recipient <NAME>   Value of the {recipient} token
+        --layers <FILE>      Layer file with one watermark layer per line, written with the
+                             options above; its layers are drawn above the command-line watermark
     -v, --verbose            Enable verbose output
     -h, --help               Show this help message
 
@@ -336,10 +465,35 @@ EXAMPLES:
     
     # Custom color and font size range
     pdf-watermarks -i input.pdf -o output.pdf -t "COPY" -c red -s 16-32
+    
+    # Faint watermark that darkens the page instead of covering it
+    pdf-watermarks -i input.pdf -o output.pdf -t "DRAFT" --opacity 0.2 --blend-mode multiply
+    
+    # Watermark every page except the cover
+    pdf-watermarks -i input.pdf -o output.pdf -t "INTERNAL" --pages all-but-first
+    
+    # Company logo with an approval line beneath it
+    pdf-watermarks -i input.pdf -o output.pdf --image logo.png --image-scale 0.2 -t "APPROVED"
+    
+    # Several layers in one pass, read from a layer file such as:
+    #   -t "DRAFT" -s 72 -a 45 -p 300,400 -c red
+    #   -t "Internal use only" -s 10 -a 0 -p 250,20 -c gray --opacity 0.8
+    pdf-watermarks -i input.pdf -o output.pdf --layers layers.txt
+    
+    # Personalized copy with the date and page numbers
+    pdf-watermarks -i input.pdf -o output.pdf -t "Copy for {recipient}, {date} - page {page}/{pages}" --recipient "Jane Doe"
+
+TEXT TOKENS:
+    {date}, {date:dd.MM.yyyy}       Current date (default pattern: yyyy-MM-dd)
+    {datetime}, {datetime:PATTERN}  Current date and time (default pattern: yyyy-MM-dd HH:mm)
+    {filename}                      Name of the input file
+    {page}, {pages}                 Page number and number of pages
+    {sessionId}                     Upload session id (empty on the command line)
+    {recipient}                     Value of --recipient
 
 SUPPORTED COLORS:
     black, white, red, green, blue, yellow, orange, pink, cyan, magenta, gray, lightgray, darkgray
-    Hex codes: #FF0000, #00FF00, etc.
+    Hex codes: #FF0000, #00FF00, etc., or #FF000080 for 50% opaque red
     """
   }
 }
\ No newline at end of file
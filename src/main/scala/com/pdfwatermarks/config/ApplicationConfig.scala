@@ -66,6 +66,16 @@ final case class SessionConfig(
   def cleanupInterval: Duration = Duration.ofMinutes(cleanupIntervalMinutes.toLong)
 }
 
+/**
+ * Persistent storage configuration for data that must survive restarts,
+ * such as saved presets.
+ */
+final case class StorageConfig(
+  dataDir: String
+) {
+  def dataDirPath: Path = java.nio.file.Paths.get(dataDir)
+}
+
 /**
  * Logging configuration.
  */
@@ -82,6 +92,7 @@ final case class ApplicationConfig(
   http: HttpConfig,
   pdf: PdfConfig,
   sessions: SessionConfig,
+  storage: StorageConfig,
   logging: LoggingConfig
 )
 
@@ -94,6 +105,7 @@ object ApplicationConfig {
   private val httpConfigDescriptor = deriveConfig[HttpConfig].mapKey(toKebabCase)
   private val pdfConfigDescriptor = deriveConfig[PdfConfig].mapKey(toKebabCase)
   private val sessionConfigDescriptor = deriveConfig[SessionConfig].mapKey(toKebabCase)
+  private val storageConfigDescriptor = deriveConfig[StorageConfig].mapKey(toKebabCase)
   private val loggingConfigDescriptor = deriveConfig[LoggingConfig].mapKey(toKebabCase)
   
   private val applicationConfigDescriptor = deriveConfig[ApplicationConfig].mapKey(toKebabCase)
@@ -131,6 +143,9 @@ object ApplicationConfig {
   def sessionConfig: URIO[ApplicationConfig, SessionConfig] =
     ZIO.serviceWith[ApplicationConfig](_.sessions)
     
+  def storageConfig: URIO[ApplicationConfig, StorageConfig] =
+    ZIO.serviceWith[ApplicationConfig](_.storage)
+    
   def loggingConfig: URIO[ApplicationConfig, LoggingConfig] =
     ZIO.serviceWith[ApplicationConfig](_.logging)
 }
\ No newline at end of file
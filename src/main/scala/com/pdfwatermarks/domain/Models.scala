@@ -2,7 +2,10 @@ package com.pdfwatermarks.domain
 
 import java.awt.Color
 import java.io.File
-import java.time.Instant
+import java.time.{Instant, ZonedDateTime}
+import java.time.format.DateTimeFormatter
+import scala.util.Try
+import scala.util.matching.Regex
 import zio.json.*
 
 /**
@@ -42,6 +45,15 @@ enum DocumentStatus:
 
 /**
  * Complete watermark configuration containing all customization options.
+ * 
+ * With an image the text becomes optional: an empty text stamps the image alone,
+ * otherwise the text is drawn centered beneath the image as one combined stamp.
+ * 
+ * The text opacity is multiplied by the alpha of each watermark's color, so colors
+ * with their own alpha (such as custom palette colors) can be more transparent still.
+ * 
+ * The text may contain tokens such as `{date}` or `{page}` that are resolved for
+ * each page when the watermark is rendered; see [[WatermarkTokens]].
  */
 case class WatermarkConfig(
   text: String,
@@ -49,9 +61,354 @@ case class WatermarkConfig(
   orientation: OrientationConfig,
   fontSize: FontSizeConfig,
   color: ColorConfig,
-  quantity: Int
+  quantity: Int,
+  pages: PageSelection = PageSelection.All,
+  image: Option[WatermarkImage] = None,
+  opacity: Double = 0.5,
+  blendMode: BlendMode = BlendMode.Normal,
+  recipient: Option[String] = None
+)
+
+/**
+ * How watermarks are composited with the page content below them.
+ */
+enum BlendMode:
+  case Normal   // Watermark covers the content, reduced only by its opacity
+  case Multiply // Watermark darkens the content, keeping dark body text readable
+
+/**
+ * A PNG or JPEG image stamped as the watermark, such as a company logo or seal.
+ * 
+ * @param path Location of the image file
+ * @param pixelWidth Width of the image in pixels
+ * @param pixelHeight Height of the image in pixels
+ * @param scale Width of the stamped image as a fraction of the page width
+ * @param opacity Opacity of the stamped image, from 0.0 (invisible) to 1.0 (opaque)
+ */
+case class WatermarkImage(
+  path: String,
+  pixelWidth: Int,
+  pixelHeight: Int,
+  scale: Double = 0.3,
+  opacity: Double = 0.5
 )
 
+/**
+ * Watermark image format detection and validation.
+ */
+object WatermarkImages {
+  
+  private val PngSignature = Array(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A).map(_.toByte)
+  private val JpegSignature = Array(0xFF, 0xD8, 0xFF).map(_.toByte)
+  
+  /**
+   * Detect the image format from the leading bytes of the file.
+   * 
+   * @return "png" or "jpeg", or None for anything else
+   */
+  def detectFormat(header: Array[Byte]): Option[String] =
+    if (header.startsWith(PngSignature)) Some("png")
+    else if (header.startsWith(JpegSignature)) Some("jpeg")
+    else None
+  
+  /**
+   * Size of the stamped image on a page in points (width, height), keeping its aspect ratio.
+   */
+  def stampSize(image: WatermarkImage, pageDimensions: PageDimensions): (Double, Double) = {
+    val width = pageDimensions.width * image.scale
+    (width, width * image.pixelHeight / math.max(1, image.pixelWidth))
+  }
+  
+  /**
+   * Validate the scale and opacity of a watermark image.
+   * 
+   * @return Validation messages, empty when the image settings are valid
+   */
+  def validate(image: WatermarkImage): List[String] = {
+    val errors = List.newBuilder[String]
+    if (!ConfigConstraints.isValidImageScale(image.scale)) {
+      errors += s"Image scale must be between ${ConfigConstraints.MinImageScale} and ${ConfigConstraints.MaxImageScale} of the page width"
+    }
+    if (!ConfigConstraints.isValidOpacity(image.opacity)) {
+      errors += "Image opacity must be between 0 and 1"
+    }
+    if (image.pixelWidth <= 0 || image.pixelHeight <= 0) {
+      errors += "Watermark image has no pixels"
+    } else if (image.pixelWidth.toLong * image.pixelHeight > ConfigConstraints.MaxWatermarkImagePixels) {
+      errors += s"Watermark image is ${image.pixelWidth}x${image.pixelHeight} pixels, more than the ${ConfigConstraints.MaxWatermarkImagePixels / 1000000} megapixels allowed"
+    }
+    errors.result()
+  }
+}
+
+/**
+ * Pages of a document that receive watermarks.
+ */
+enum PageSelection:
+  case All
+  case Odd
+  case Even
+  case AllButFirst
+  case LastOnly
+  case Ranges(ranges: List[PageRange])
+
+/**
+ * Inclusive range of 1-based page numbers; an open end runs to the last page.
+ */
+case class PageRange(start: Int, end: Option[Int])
+
+/**
+ * Parsing and resolution of page selections.
+ * 
+ * Selections are written as comma-separated pages and ranges such as `1-3,7,10-`,
+ * or as one of the keywords `all`, `odd`, `even`, `all-but-first` and `last`.
+ */
+object PageSelections {
+  private val SinglePage = """(\d+)""".r
+  private val PageSpan = """(\d+)-(\d*)""".r
+  
+  /**
+   * Parse a page selection, returning a user-facing message for invalid input.
+   */
+  def parse(spec: String): Either[String, PageSelection] =
+    spec.trim.toLowerCase.split("[\\s_-]+").mkString("-") match {
+      case "" | "all" => Right(PageSelection.All)
+      case "odd" => Right(PageSelection.Odd)
+      case "even" => Right(PageSelection.Even)
+      case "all-but-first" => Right(PageSelection.AllButFirst)
+      case "last" | "last-page-only" => Right(PageSelection.LastOnly)
+      case _ =>
+        spec.replaceAll("\\s+", "").split(",").toList
+          .foldLeft[Either[String, List[PageRange]]](Right(Nil)) { (parsed, part) =>
+            parsed.flatMap(ranges => parseRange(part).map(ranges :+ _))
+          }
+          .map(PageSelection.Ranges(_))
+    }
+  
+  /**
+   * Parse one comma-separated part of a range selection.
+   */
+  private def parseRange(part: String): Either[String, PageRange] = {
+    def pageNumber(value: String): Either[String, Int] =
+      value.toIntOption.filter(_ >= 1).toRight(s"Invalid page number '$value'. Page numbers start at 1")
+    
+    part match {
+      case SinglePage(page) =>
+        pageNumber(page).map(number => PageRange(number, Some(number)))
+      case PageSpan(start, "") =>
+        pageNumber(start).map(number => PageRange(number, None))
+      case PageSpan(start, end) =>
+        for {
+          first <- pageNumber(start)
+          last <- pageNumber(end)
+          range <- if (first <= last) Right(PageRange(first, Some(last)))
+                   else Left(s"Invalid page range '$part'. The first page must not come after the last")
+        } yield range
+      case _ =>
+        Left(s"Invalid page selection '$part'. Use pages and ranges like 1-3,7,10- or odd, even, all-but-first, last")
+    }
+  }
+  
+  /**
+   * Resolve the 1-based page numbers a selection covers in a document, in page order.
+   */
+  def selectedPages(selection: PageSelection, pageCount: Int): List[Int] = selection match {
+    case PageSelection.All => (1 to pageCount).toList
+    case PageSelection.Odd => (1 to pageCount by 2).toList
+    case PageSelection.Even => (2 to pageCount by 2).toList
+    case PageSelection.AllButFirst => (2 to pageCount).toList
+    case PageSelection.LastOnly => if (pageCount > 0) List(pageCount) else Nil
+    case PageSelection.Ranges(ranges) =>
+      ranges.flatMap(range => range.start to math.min(range.end.getOrElse(pageCount), pageCount)).distinct.sorted
+  }
+  
+  /**
+   * Check a selection against the page count of a document.
+   */
+  def validate(selection: PageSelection, pageCount: Int): List[String] = {
+    val rangeErrors = selection match {
+      case PageSelection.Ranges(ranges) =>
+        ranges.collect {
+          case PageRange(start, _) if start > pageCount =>
+            s"Page $start is beyond the last page of the document ($pageCount)"
+          case PageRange(start, Some(end)) if end > pageCount =>
+            s"Page range $start-$end goes beyond the last page of the document ($pageCount)"
+        }
+      case _ => Nil
+    }
+    
+    if (rangeErrors.nonEmpty) rangeErrors
+    else if (selectedPages(selection, pageCount).isEmpty)
+      List(s"Page selection '${format(selection)}' matches no pages in a $pageCount-page document")
+    else Nil
+  }
+  
+  /**
+   * Format a selection in the syntax accepted by [[parse]].
+   */
+  def format(selection: PageSelection): String = selection match {
+    case PageSelection.All => "all"
+    case PageSelection.Odd => "odd"
+    case PageSelection.Even => "even"
+    case PageSelection.AllButFirst => "all-but-first"
+    case PageSelection.LastOnly => "last"
+    case PageSelection.Ranges(ranges) =>
+      ranges.map {
+        case PageRange(start, Some(end)) if start == end => start.toString
+        case PageRange(start, Some(end)) => s"$start-$end"
+        case PageRange(start, None) => s"$start-"
+      }.mkString(",")
+  }
+}
+
+/**
+ * Values for the document-level tokens of the watermark text. The page tokens
+ * are filled in by the renderer for each page.
+ * 
+ * @param fileName Name of the watermarked document
+ * @param sessionId Session the document was uploaded in, empty outside the web application
+ * @param timestamp Time the watermarks are applied, used by the date tokens
+ */
+case class TokenContext(
+  fileName: String = "",
+  sessionId: String = "",
+  timestamp: ZonedDateTime = ZonedDateTime.now()
+)
+
+/**
+ * Parsing and resolution of the tokens in watermark text.
+ * 
+ * Tokens are written in braces: `{date}`, `{datetime}`, `{filename}`, `{page}`,
+ * `{pages}`, `{sessionId}` and `{recipient}`. The date tokens take an optional
+ * pattern after a colon, as in `{datetime:yyyy-MM-dd HH:mm}`.
+ */
+object WatermarkTokens {
+  private val Token = """\{([^{}]*)\}""".r
+  
+  val Names: List[String] = List("date", "datetime", "filename", "page", "pages", "sessionId", "recipient")
+  val DefaultDatePattern = "yyyy-MM-dd"
+  val DefaultDateTimePattern = "yyyy-MM-dd HH:mm"
+  
+  /**
+   * Check the tokens of a configuration's text, returning a user-facing message per problem.
+   */
+  def validate(config: WatermarkConfig): List[String] = {
+    val tokens = Token.findAllMatchIn(config.text).map(token => parseToken(token.group(1))).toList
+    val tokenErrors = tokens.collect { case Left(error) => error }.distinct
+    val recipientMissing = tokens.exists(_.exists(_._1 == "recipient")) && config.recipient.forall(_.trim.isEmpty)
+    
+    if (recipientMissing) tokenErrors :+ "The {recipient} token needs a recipient"
+    else tokenErrors
+  }
+  
+  /**
+   * Text with its tokens removed, the part that counts towards the text length limit.
+   */
+  def literalText(text: String): String = Token.replaceAllIn(text, "")
+  
+  /**
+   * Resolve the tokens of a configuration's text for one page. Invalid tokens are left as written.
+   */
+  def resolve(config: WatermarkConfig, context: TokenContext, page: Int, pages: Int): String =
+    Token.replaceAllIn(config.text, token => Regex.quoteReplacement(
+      parseToken(token.group(1)) match {
+        case Right(("date" | "datetime", Some(formatter))) => context.timestamp.format(formatter)
+        case Right(("filename", _)) => context.fileName
+        case Right(("page", _)) => page.toString
+        case Right(("pages", _)) => pages.toString
+        case Right(("sessionId", _)) => context.sessionId
+        case Right(("recipient", _)) => config.recipient.getOrElse("")
+        case _ => token.matched
+      }
+    ))
+  
+  /**
+   * Parse the inside of one token into its name and, for the date tokens, its formatter.
+   */
+  private def parseToken(body: String): Either[String, (String, Option[DateTimeFormatter])] = {
+    val (name, pattern) = body.split(":", 2) match {
+      case Array(name, pattern) => (name.trim, Some(pattern))
+      case parts => (parts.head.trim, None)
+    }
+    
+    (name, pattern) match {
+      case ("date" | "datetime", Some(datePattern)) =>
+        Try(DateTimeFormatter.ofPattern(datePattern)).toOption
+          .map(formatter => (name, Some(formatter)))
+          .toRight(s"Invalid date pattern '$datePattern' in {$body}")
+      case ("date", None) => Right((name, Some(DateTimeFormatter.ofPattern(DefaultDatePattern))))
+      case ("datetime", None) => Right((name, Some(DateTimeFormatter.ofPattern(DefaultDateTimePattern))))
+      case (_, Some(_)) if Names.contains(name) => Left(s"The {$name} token does not take a format")
+      case (_, None) if Names.contains(name) => Right((name, None))
+      case _ => Left(s"Unknown token {$body}. Available tokens: ${Names.map(n => s"{$n}").mkString(", ")}")
+    }
+  }
+}
+
+/**
+ * Names of downloaded files, built from a pattern such as `{name}_watermarked_{date}`.
+ * 
+ * Patterns take the tokens `{name}`, the uploaded file name without its extension,
+ * `{sessionId}`, and `{date}` and `{datetime}` with an optional pattern after a colon
+ * as in watermark text. Characters that file systems do not allow are replaced with
+ * underscores, and `.pdf` is added unless the name already ends with it.
+ */
+object OutputFilenames {
+  private val Token = """\{([^{}]*)\}""".r
+  private val UnsafeCharacters = """[\\/:*?"<>|\p{Cntrl}]""".r
+  private val PdfExtension = """(?i)\.pdf$"""
+  
+  val Names: List[String] = List("name", "date", "datetime", "sessionId")
+  val DefaultPattern = "{name}_watermark"
+  val DefaultDatePattern = "yyyy-MM-dd"
+  val DefaultDateTimePattern = "yyyy-MM-dd_HH-mm"
+  
+  /**
+   * Resolve a pattern for one document.
+   * 
+   * @param pattern The file name pattern
+   * @param originalFilename Name of the uploaded file
+   * @param sessionId Session the file was uploaded in
+   * @param timestamp Time of the download, used by the date tokens
+   * @return The file name, or a user-facing message per problem with the pattern
+   */
+  def resolve(pattern: String, originalFilename: String, sessionId: String, timestamp: ZonedDateTime): Either[List[String], String] = {
+    val name = originalFilename.replaceFirst(PdfExtension, "")
+    def value(body: String): Either[String, String] = resolveToken(body, name, sessionId, timestamp)
+    val tokenErrors = Token.findAllMatchIn(pattern).map(token => value(token.group(1))).collect { case Left(error) => error }.toList.distinct
+    
+    if (pattern.trim.isEmpty) Left(List("The file name pattern is empty"))
+    else if (pattern.length > ConfigConstraints.MaxFilenamePatternLength)
+      Left(List(s"The file name pattern must be at most ${ConfigConstraints.MaxFilenamePatternLength} characters"))
+    else if (tokenErrors.nonEmpty) Left(tokenErrors)
+    else {
+      val resolved = Token.replaceAllIn(pattern, token => Regex.quoteReplacement(value(token.group(1)).getOrElse(token.matched)))
+      val baseName = UnsafeCharacters.replaceAllIn(resolved, "_").trim.replaceFirst(PdfExtension, "")
+      if (baseName.isEmpty) Left(List("The file name pattern gives an empty file name"))
+      else Right(s"$baseName.pdf")
+    }
+  }
+  
+  private def resolveToken(body: String, name: String, sessionId: String, timestamp: ZonedDateTime): Either[String, String] = {
+    val (token, pattern) = body.split(":", 2) match {
+      case Array(token, pattern) => (token.trim, Some(pattern))
+      case parts => (parts.head.trim, None)
+    }
+    
+    (token, pattern) match {
+      case ("date" | "datetime", Some(datePattern)) =>
+        Try(timestamp.format(DateTimeFormatter.ofPattern(datePattern))).toOption
+          .toRight(s"Invalid date pattern '$datePattern' in {$body}")
+      case ("date", None) => Right(timestamp.format(DateTimeFormatter.ofPattern(DefaultDatePattern)))
+      case ("datetime", None) => Right(timestamp.format(DateTimeFormatter.ofPattern(DefaultDateTimePattern)))
+      case ("name", None) => Right(name)
+      case ("sessionId", None) => Right(sessionId)
+      case (_, Some(_)) if Names.contains(token) => Left(s"The {$token} token does not take a format")
+      case _ => Left(s"Unknown token {$body}. Available tokens: ${Names.map(n => s"{$n}").mkString(", ")}")
+    }
+  }
+}
+
 /**
  * Position configuration for watermark placement.
  */
@@ -141,7 +498,7 @@ object FontScaling {
       case DocumentType.Creative => 1.2    // Artistic flexibility
     }
     
-    baseSize * typeMultiplier
+    clampFontSize(baseSize * typeMultiplier)
   }
   
   /**
@@ -154,7 +511,7 @@ object FontScaling {
     val referenceFontSize = 24.0
     
     val scaleFactor = math.sqrt(pageArea / referenceArea)
-    math.max(8.0, math.min(72.0, referenceFontSize * scaleFactor))
+    clampFontSize(referenceFontSize * scaleFactor)
   }
   
   /**
@@ -169,9 +526,30 @@ object FontScaling {
     val referenceArea = 612.0 * 792.0 // US Letter
     val dynamicFactor = math.sqrt(pageArea / referenceArea)
     
-    baseSize * scaleFactor * dynamicFactor
+    clampFontSize(baseSize * scaleFactor * dynamicFactor)
   }
   
+  /**
+   * Resolve the point size a font size configuration produces on a page.
+   * Random sizes vary per watermark and have no single resolved size.
+   */
+  def resolveFontSize(config: FontSizeConfig, pageDimensions: PageDimensions): Option[Double] =
+    config match {
+      case FontSizeConfig.Fixed(size) => Some(size)
+      case FontSizeConfig.Random(_, _) => None
+      case FontSizeConfig.DynamicScale(baseSize, scaleFactor) =>
+        Some(applyDynamicScaling(baseSize, scaleFactor, pageDimensions))
+      case FontSizeConfig.Recommended(documentType) =>
+        Some(getRecommendedSize(pageDimensions, documentType))
+    }
+  
+  /**
+   * Keep computed sizes within the supported font size range, so receipts stay
+   * legible and large-format pages such as A0 posters still scale up.
+   */
+  private def clampFontSize(size: Double): Double =
+    math.max(ConfigConstraints.MinFontSize, math.min(ConfigConstraints.MaxFontSize, size))
+  
   /**
    * Get font size recommendations for different scenarios.
    */
@@ -207,10 +585,90 @@ enum ColorPalette:
   case Earth            // Browns, greens, earth tones
   case Custom(colors: List[Color])
 
+/**
+ * Color definitions for the predefined palettes.
+ */
+object ColorPalettes {
+  /**
+   * Get the colors of a palette in the order they are applied to watermarks.
+   */
+  def colors(palette: ColorPalette): List[Color] = palette match {
+    case ColorPalette.Professional =>
+      List(
+        new Color(47, 79, 79),    // Dark slate gray
+        new Color(25, 25, 112),   // Midnight blue
+        new Color(105, 105, 105), // Dim gray
+        new Color(72, 61, 139)    // Dark slate blue
+      )
+      
+    case ColorPalette.Vibrant =>
+      List(
+        new Color(255, 69, 0),   // Red orange
+        new Color(50, 205, 50),  // Lime green
+        new Color(30, 144, 255), // Dodger blue
+        new Color(255, 20, 147), // Deep pink
+        new Color(255, 215, 0)   // Gold
+      )
+      
+    case ColorPalette.Pastel =>
+      List(
+        new Color(255, 182, 193), // Light pink
+        new Color(173, 216, 230), // Light blue
+        new Color(144, 238, 144), // Light green
+        new Color(255, 218, 185), // Peach puff
+        new Color(221, 160, 221)  // Plum
+      )
+      
+    case ColorPalette.Monochrome =>
+      List(
+        new Color(0, 0, 0),       // Black
+        new Color(64, 64, 64),    // Dark gray
+        new Color(128, 128, 128), // Gray
+        new Color(192, 192, 192), // Light gray
+        new Color(255, 255, 255)  // White
+      )
+      
+    case ColorPalette.Warm =>
+      List(
+        new Color(220, 20, 60),  // Crimson
+        new Color(255, 140, 0),  // Dark orange
+        new Color(255, 215, 0),  // Gold
+        new Color(255, 69, 0),   // Orange red
+        new Color(255, 99, 71)   // Tomato
+      )
+      
+    case ColorPalette.Cool =>
+      List(
+        new Color(70, 130, 180),  // Steel blue
+        new Color(32, 178, 170),  // Light sea green
+        new Color(123, 104, 238), // Medium slate blue
+        new Color(0, 191, 255),   // Deep sky blue
+        new Color(72, 209, 204)   // Medium turquoise
+      )
+      
+    case ColorPalette.Earth =>
+      List(
+        new Color(139, 69, 19),   // Saddle brown
+        new Color(34, 139, 34),   // Forest green
+        new Color(160, 82, 45),   // Sienna
+        new Color(107, 142, 35),  // Olive drab
+        new Color(210, 180, 140)  // Tan
+      )
+      
+    case ColorPalette.Custom(colors) =>
+      colors
+  }
+}
+
 /**
  * Color contrast utilities for accessibility and readability.
  */
 object ColorContrast {
+  /**
+   * Lowest contrast ratio WCAG 2.1 AA accepts for normal text.
+   */
+  val MinimumContrastRatio: Double = 4.5
+  
   /**
    * Calculate relative luminance of a color (0.0 to 1.0).
    */
@@ -242,7 +700,7 @@ object ColorContrast {
    * Check if contrast meets WCAG AA standards (4.5:1 for normal text).
    */
   def meetsAccessibilityStandard(textColor: Color, backgroundColor: Color): Boolean = {
-    contrastRatio(textColor, backgroundColor) >= 4.5
+    contrastRatio(textColor, backgroundColor) >= MinimumContrastRatio
   }
   
   /**
@@ -365,12 +823,249 @@ object ConfigConstraints {
   val MaxWatermarkQuantity: Int = 100
   val MinFontSize: Double = 8.0
   val MaxFontSize: Double = 144.0
-  val MaxFileSizeBytes: Long = 50 * 1024 * 1024 // 50MB
+  val MinFontScaleFactor: Double = 0.1
+  val MaxFontScaleFactor: Double = 5.0
+  val MaxWatermarkTextLength: Int = 100 // Characters written around the tokens
+  val MaxFileSizeBytes: Long = 200 * 1024 * 1024 // 200MB, uploaded in chunks
+  val UploadChunkSizeBytes: Int = 5 * 1024 * 1024 // 5MB
+  val MaxSingleUploadBytes: Long = 50 * 1024 * 1024 // 50MB in one request, larger files are uploaded in chunks
   val SupportedFileExtensions: Set[String] = Set(".pdf")
+  val MaxGridDimension: Int = 10
+  val MaxCustomPaletteColors: Int = 10
+  val MaxBatchFiles: Int = 50
+  val MaxPresetNameLength: Int = 80
+  val MaxPresetsPerOwner: Int = 100
+  val MaxJobHistoryEntries: Int = 50 // Per owner, oldest jobs are dropped first
+  val MaxWatermarkImageBytes: Long = 5 * 1024 * 1024 // 5MB
+  val MaxWatermarkImagePixels: Long = 25_000_000L // 25 megapixels, about 100MB once decoded
+  val MinImageScale: Double = 0.02
+  val MaxImageScale: Double = 1.0
+  val MaxWatermarkLayers: Int = 10
+  val MinPageImageDpi: Double = 18.0 // Thumbnails
+  val MaxPageImageDpi: Double = 288.0 // 400% zoom
+  val MaxRenderedPagePixels: Long = 20_000_000L // A3 at 288 dpi; larger pages render at a lower dpi
+  val MaxConcurrentPageRenders: Int = 2
+  val MaxFilenamePatternLength: Int = 120
+  val MaxDownloadRetentionMinutes: Int = 60 // Bounds how long a downloaded file keeps using temp storage
   
   def isValidAngle(angle: Double): Boolean = angle >= 0.0 && angle <= 360.0
   def isValidFontSize(size: Double): Boolean = size >= MinFontSize && size <= MaxFontSize
+  def isValidScaleFactor(factor: Double): Boolean = factor >= MinFontScaleFactor && factor <= MaxFontScaleFactor
   def isValidQuantity(quantity: Int): Boolean = quantity > 0 && quantity <= MaxWatermarkQuantity
+  def isValidGrid(rows: Int, cols: Int): Boolean =
+    rows >= 1 && rows <= MaxGridDimension && cols >= 1 && cols <= MaxGridDimension
+  def isValidImageScale(scale: Double): Boolean = scale >= MinImageScale && scale <= MaxImageScale
+  def isValidOpacity(opacity: Double): Boolean = opacity >= 0.0 && opacity <= 1.0
+  def isValidLayerCount(count: Int): Boolean = count >= 1 && count <= MaxWatermarkLayers
+  def isValidPageImageDpi(dpi: Double): Boolean = dpi >= MinPageImageDpi && dpi <= MaxPageImageDpi
+  def isValidDownloadRetention(minutes: Int): Boolean = minutes >= 0 && minutes <= MaxDownloadRetentionMinutes
+}
+
+// ========== Configuration Schema ==========
+
+/**
+ * Numeric limits and default of a configuration property.
+ */
+case class NumberRange(
+  min: Double,
+  max: Double,
+  default: Double,
+  step: Double = 1.0
+)
+
+/**
+ * Description of one watermark configuration field in the HTTP API format.
+ * 
+ * @param name Field name in the API configuration, also used for its per-field errors
+ * @param modes Values of the field's type property (e.g. fixed, random); defaultMode is used when unset
+ * @param options Named choices of a property, such as the layout templates of a position
+ * @param ranges Numeric limits of the field's properties, keyed by property name
+ * @param maxLength Longest text accepted, not counting tokens
+ */
+case class FieldSchema(
+  name: String,
+  label: String,
+  modes: List[String] = Nil,
+  defaultMode: Option[String] = None,
+  options: Map[String, List[String]] = Map.empty,
+  ranges: Map[String, NumberRange] = Map.empty,
+  maxLength: Option[Int] = None
+)
+
+/**
+ * Watermark configuration schema published to clients, so that the web form and the
+ * server check configurations against the same limits.
+ * 
+ * @param minContrastRatio Contrast ratio below which the web form warns about a color;
+ *                         advisory only, colors are never rejected for it
+ */
+case class ConfigSchema(
+  fields: List[FieldSchema],
+  maxLayers: Int,
+  minContrastRatio: Double
+)
+
+/**
+ * A configuration problem tied to the field it belongs to.
+ * 
+ * @param layer 1-based layer number of the configuration in a layered job
+ */
+case class FieldError(
+  field: String,
+  message: String,
+  layer: Int = 1
+)
+
+/**
+ * The watermark configuration schema and the validation built on it. Limits come from
+ * ConfigConstraints; defaults are those of the web form.
+ */
+object WatermarkSchema {
+  
+  val schema: ConfigSchema = {
+    import ConfigConstraints.*
+    def fontSizeRange(default: Double) = NumberRange(MinFontSize, MaxFontSize, default)
+    
+    ConfigSchema(
+      fields = List(
+        FieldSchema("text", "Watermark text", maxLength = Some(MaxWatermarkTextLength)),
+        FieldSchema(
+          "image",
+          "Watermark image",
+          ranges = Map(
+            "scale" -> NumberRange(MinImageScale, MaxImageScale, 0.3, 0.01),
+            "opacity" -> NumberRange(0.0, 1.0, 0.5, 0.05)
+          )
+        ),
+        FieldSchema(
+          "position",
+          "Position",
+          modes = List("fixed", "random", "template"),
+          defaultMode = Some("random"),
+          options = Map("template" -> List(
+            "center", "topLeft", "topCenter", "topRight", "leftCenter", "rightCenter",
+            "bottomLeft", "bottomCenter", "bottomRight", "fourCorners", "diagonal", "border", "grid"
+          )),
+          ranges = Map(
+            "rows" -> NumberRange(1, MaxGridDimension, 3),
+            "cols" -> NumberRange(1, MaxGridDimension, 3)
+          )
+        ),
+        FieldSchema(
+          "fontSize",
+          "Font size",
+          modes = List("fixed", "random", "dynamicScale", "recommended"),
+          defaultMode = Some("fixed"),
+          options = Map("documentType" -> List("legal", "academic", "business", "certificate", "marketing", "technical", "creative")),
+          ranges = Map(
+            "size" -> fontSizeRange(16),
+            "min" -> fontSizeRange(12),
+            "max" -> fontSizeRange(48),
+            "baseSize" -> fontSizeRange(24),
+            "scaleFactor" -> NumberRange(MinFontScaleFactor, MaxFontScaleFactor, 1.0, 0.1)
+          )
+        ),
+        FieldSchema(
+          "color",
+          "Color",
+          modes = List("fixed", "palette", "randomPerLetter"),
+          defaultMode = Some("fixed"),
+          options = Map("palette" -> List("professional", "vibrant", "pastel", "monochrome", "warm", "cool", "earth", "custom")),
+          ranges = Map("colors" -> NumberRange(1, MaxCustomPaletteColors, 2))
+        ),
+        FieldSchema(
+          "opacity",
+          "Opacity",
+          options = Map("blendMode" -> List("normal", "multiply")),
+          ranges = Map("opacity" -> NumberRange(0.0, 1.0, 0.5, 0.01))
+        ),
+        FieldSchema(
+          "orientation",
+          "Orientation",
+          modes = List("fixed", "preset", "random"),
+          defaultMode = Some("fixed"),
+          options = Map("preset" -> List(
+            "horizontal", "diagonalUp", "vertical", "diagonalDown",
+            "upsideDown", "diagonalUpReverse", "verticalReverse", "diagonalDownReverse"
+          )),
+          ranges = Map("angle" -> NumberRange(0, 360, 0))
+        ),
+        FieldSchema("quantity", "Number of watermarks", ranges = Map("quantity" -> NumberRange(1, MaxWatermarkQuantity, 1))),
+        FieldSchema("pages", "Pages", options = Map("preset" -> List("all", "odd", "even", "all-but-first", "last")))
+      ),
+      maxLayers = MaxWatermarkLayers,
+      minContrastRatio = ColorContrast.MinimumContrastRatio
+    )
+  }
+  
+  /**
+   * Check a configuration against the schema limits.
+   * 
+   * @return One error per problem, tied to its field; empty when the configuration is valid
+   */
+  def validate(config: WatermarkConfig): List[FieldError] = {
+    val errors = List.newBuilder[FieldError]
+    def fail(field: String, message: String): Unit = errors += FieldError(field, message)
+    
+    if (config.text.trim.isEmpty && config.image.isEmpty) {
+      fail("text", "Watermark text cannot be empty")
+    }
+    if (WatermarkTokens.literalText(config.text).length > ConfigConstraints.MaxWatermarkTextLength) {
+      fail("text", s"Watermark text must be at most ${ConfigConstraints.MaxWatermarkTextLength} characters, not counting tokens")
+    }
+    WatermarkTokens.validate(config).foreach(fail("text", _))
+    
+    config.image.foreach { image =>
+      WatermarkImages.validate(image).foreach(fail("image", _))
+    }
+    
+    config.position match {
+      case PositionConfig.Template(PositionTemplate.Grid(rows, cols)) if !ConfigConstraints.isValidGrid(rows, cols) =>
+        fail("position", s"Grid rows and columns must be between 1 and ${ConfigConstraints.MaxGridDimension}")
+      case _ => ()
+    }
+    
+    val sizeRange = s"between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}"
+    config.fontSize match {
+      case FontSizeConfig.Fixed(size) if !ConfigConstraints.isValidFontSize(size) =>
+        fail("fontSize", s"Font size must be $sizeRange")
+      case FontSizeConfig.Random(min, max) if !ConfigConstraints.isValidFontSize(min) || !ConfigConstraints.isValidFontSize(max) =>
+        fail("fontSize", s"Minimum and maximum font sizes must be $sizeRange")
+      case FontSizeConfig.Random(min, max) if min >= max =>
+        fail("fontSize", "Maximum font size must be greater than the minimum")
+      case FontSizeConfig.DynamicScale(baseSize, scaleFactor) =>
+        if (!ConfigConstraints.isValidFontSize(baseSize)) {
+          fail("fontSize", s"Base font size must be $sizeRange")
+        }
+        if (!ConfigConstraints.isValidScaleFactor(scaleFactor)) {
+          fail("fontSize", s"Scale factor must be between ${ConfigConstraints.MinFontScaleFactor} and ${ConfigConstraints.MaxFontScaleFactor}")
+        }
+      case _ => () // Recommended sizes are calculated from the page
+    }
+    
+    config.color match {
+      case ColorConfig.Palette(ColorPalette.Custom(colors))
+          if colors.isEmpty || colors.length > ConfigConstraints.MaxCustomPaletteColors =>
+        fail("color", s"Custom palette must have between 1 and ${ConfigConstraints.MaxCustomPaletteColors} colors")
+      case _ => ()
+    }
+    
+    if (!ConfigConstraints.isValidOpacity(config.opacity)) {
+      fail("opacity", "Opacity must be between 0 and 1")
+    }
+    
+    config.orientation match {
+      case OrientationConfig.Fixed(angle) if !ConfigConstraints.isValidAngle(angle) =>
+        fail("orientation", "Angle must be between 0 and 360 degrees")
+      case _ => ()
+    }
+    
+    if (!ConfigConstraints.isValidQuantity(config.quantity)) {
+      fail("quantity", s"Watermark quantity must be between 1 and ${ConfigConstraints.MaxWatermarkQuantity}")
+    }
+    
+    errors.result()
+  }
 }
 
 // ========== Preview System Models ==========
@@ -525,7 +1220,56 @@ case class UserSession(
   uploadedDocument: Option[PdfDocument],
   watermarkConfig: Option[WatermarkConfig],
   createdAt: Instant,
-  lastActivity: Instant
+  lastActivity: Instant,
+  watermarkLayers: List[WatermarkConfig] = Nil // Further layers drawn above watermarkConfig, in order
+)
+
+/**
+ * Batch of upload sessions that share one watermark configuration.
+ * Each file keeps its own session, so single-file endpoints such as
+ * download keep working for every file in the batch.
+ */
+case class BatchSession(
+  batchId: String,
+  sessionIds: List[String],
+  watermarkConfig: Option[WatermarkConfig],
+  createdAt: Instant,
+  watermarkLayers: List[WatermarkConfig] = Nil // Further layers drawn above watermarkConfig, in order
+)
+
+/**
+ * Named watermark configuration saved for reuse.
+ * Presets belong to the browser install that created them, and the
+ * configuration is kept in the web form's JSON format so applying a
+ * preset can restore every form control.
+ */
+case class WatermarkPreset(
+  id: String,
+  ownerId: String,
+  name: String,
+  config: String,
+  createdAt: Instant,
+  updatedAt: Instant
+)
+
+/**
+ * Record of a watermark job kept for the job history.
+ * Records belong to the browser install that started the job, like presets,
+ * and keep every layer in the web form's JSON format so a job can be re-run
+ * or its settings restored exactly. The output itself is a temporary file
+ * and disappears under the temp file retention rules.
+ */
+case class JobRecord(
+  jobId: String,
+  ownerId: String,
+  sessionId: String,
+  filename: String,
+  config: String,
+  status: DocumentStatus,
+  createdAt: Instant,
+  completedAt: Option[Instant] = None,
+  outputPath: Option[String] = None,
+  outputSize: Option[Long] = None
 )
 
 /**
@@ -613,9 +1357,32 @@ given JsonCodec[ConfigurationSummary] = DeriveJsonCodec.gen[ConfigurationSummary
 given JsonCodec[UserGuidance] = DeriveJsonCodec.gen[UserGuidance]
 given JsonCodec[KeyboardShortcut] = DeriveJsonCodec.gen[KeyboardShortcut]
 
+// Page selection JSON codecs
+given JsonCodec[PageRange] = DeriveJsonCodec.gen[PageRange]
+given JsonCodec[PageSelection] = DeriveJsonCodec.gen[PageSelection]
+
+// Watermark image JSON codec
+given JsonCodec[WatermarkImage] = DeriveJsonCodec.gen[WatermarkImage]
+
+// Blend mode JSON codec
+given JsonCodec[BlendMode] = DeriveJsonCodec.gen[BlendMode]
+
 // Watermark configuration JSON codec
 given JsonCodec[WatermarkConfig] = DeriveJsonCodec.gen[WatermarkConfig]
 
+// Configuration schema JSON codecs
+given JsonCodec[NumberRange] = DeriveJsonCodec.gen[NumberRange]
+given JsonCodec[FieldSchema] = DeriveJsonCodec.gen[FieldSchema]
+given JsonCodec[ConfigSchema] = DeriveJsonCodec.gen[ConfigSchema]
+given JsonCodec[FieldError] = DeriveJsonCodec.gen[FieldError]
+
+// Saved preset JSON codec, used by the preset store
+given JsonCodec[WatermarkPreset] = DeriveJsonCodec.gen[WatermarkPreset]
+
+// Job record JSON codecs, used by the job history store
+given JsonCodec[DocumentStatus] = DeriveJsonCodec.gen[DocumentStatus]
+given JsonCodec[JobRecord] = DeriveJsonCodec.gen[JobRecord]
+
 // Processing request model for HTTP API
 case class ProcessWatermarkRequest(
   sessionId: String,
@@ -629,7 +1396,8 @@ case class ProcessWatermarkResponse(
   success: Boolean,
   sessionId: String,
   jobId: Option[String] = None,
-  message: String
+  message: String,
+  fieldErrors: List[FieldError] = Nil
 )
 
 given JsonCodec[ProcessWatermarkResponse] = DeriveJsonCodec.gen[ProcessWatermarkResponse]
@@ -643,7 +1411,8 @@ case class JobStatusResponse(
   message: String,
   downloadUrl: Option[String] = None,
   filename: Option[String] = None,
-  filesize: Option[Long] = None
+  filesize: Option[Long] = None,
+  pageCount: Option[Int] = None // Pages of the watermarked document, once completed
 )
 
 given JsonCodec[JobStatusResponse] = DeriveJsonCodec.gen[JobStatusResponse]
@@ -661,7 +1430,8 @@ case class DownloadSession(
   bytesTransferred: Long,
   startedAt: Instant,
   lastActivity: Instant,
-  status: DownloadStatus
+  status: DownloadStatus,
+  cleanupAt: Option[Instant] = None // When the downloaded files are removed, once decided
 )
 
 /**
@@ -686,7 +1456,9 @@ case class DownloadProgressResponse(
   status: String,
   transferRate: Option[Long] = None, // bytes per second
   estimatedTimeRemaining: Option[Long] = None, // seconds
-  message: String
+  message: String,
+  cleanup: Option[String] = None, // "scheduled" while the files are kept, "completed" once removed
+  availableUntil: Option[String] = None // ISO-8601 time the kept files are removed
 )
 
 given JsonCodec[DownloadProgressResponse] = DeriveJsonCodec.gen[DownloadProgressResponse]
\ No newline at end of file
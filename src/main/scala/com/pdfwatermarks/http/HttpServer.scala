@@ -7,6 +7,7 @@ import zio.stream.*
 import com.pdfwatermarks.domain.*
 import com.pdfwatermarks.domain.given
 import com.pdfwatermarks.services.*
+import com.pdfwatermarks.pdf.{PdfProcessor, WatermarkRenderer}
 import java.io.File
 import java.nio.file.{Files, Paths}
 import java.util.UUID
@@ -29,7 +30,8 @@ object HttpServer {
    */
   final case class ServerConfig(
     port: Int = 8080,
-    host: String = "0.0.0.0"
+    host: String = "0.0.0.0",
+    tempFileCleanupInterval: Duration = 60.minutes
   )
 
   /**
@@ -61,6 +63,22 @@ object HttpServer {
     implicit val decoder: JsonDecoder[UploadResponse] = DeriveJsonDecoder.gen[UploadResponse]
   }
 
+  /**
+   * Response model for watermark image uploads; the image id is referenced from watermark configurations.
+   */
+  final case class WatermarkImageUploadResponse(
+    success: Boolean,
+    imageId: Option[String] = None,
+    width: Option[Int] = None,
+    height: Option[Int] = None,
+    message: String
+  )
+
+  object WatermarkImageUploadResponse {
+    implicit val encoder: JsonEncoder[WatermarkImageUploadResponse] = DeriveJsonEncoder.gen[WatermarkImageUploadResponse]
+    implicit val decoder: JsonDecoder[WatermarkImageUploadResponse] = DeriveJsonDecoder.gen[WatermarkImageUploadResponse]
+  }
+
   final case class UploadProgressResponse(
     sessionId: String,
     status: String,
@@ -73,42 +91,240 @@ object HttpServer {
     implicit val decoder: JsonDecoder[UploadProgressResponse] = DeriveJsonDecoder.gen[UploadProgressResponse]
   }
 
+  /**
+   * Session state used by the web interface to restore a session after a page reload.
+   * Status is uploaded, processing, completed, failed, no_upload, expired or released.
+   */
+  final case class SessionStateResponse(
+    sessionId: String,
+    valid: Boolean,
+    status: String,
+    filename: Option[String] = None,
+    pageCount: Option[Int] = None,
+    downloadUrl: Option[String] = None,
+    message: String
+  )
+
+  object SessionStateResponse {
+    implicit val encoder: JsonEncoder[SessionStateResponse] = DeriveJsonEncoder.gen[SessionStateResponse]
+    implicit val decoder: JsonDecoder[SessionStateResponse] = DeriveJsonDecoder.gen[SessionStateResponse]
+  }
+
+  /**
+   * Chunked upload models. Large files are sent as chunks appended at increasing offsets,
+   * so an interrupted upload can resume from the bytes the server already received.
+   */
+  final case class ChunkedUploadRequest(
+    filename: String,
+    size: Long
+  )
+
+  final case class ChunkedUploadResponse(
+    success: Boolean,
+    uploadId: String,
+    receivedBytes: Long = 0,
+    chunkSize: Int = ConfigConstraints.UploadChunkSizeBytes,
+    message: String
+  )
+
+  object ChunkedUploadRequest {
+    implicit val encoder: JsonEncoder[ChunkedUploadRequest] = DeriveJsonEncoder.gen[ChunkedUploadRequest]
+    implicit val decoder: JsonDecoder[ChunkedUploadRequest] = DeriveJsonDecoder.gen[ChunkedUploadRequest]
+  }
+
+  object ChunkedUploadResponse {
+    implicit val encoder: JsonEncoder[ChunkedUploadResponse] = DeriveJsonEncoder.gen[ChunkedUploadResponse]
+    implicit val decoder: JsonDecoder[ChunkedUploadResponse] = DeriveJsonDecoder.gen[ChunkedUploadResponse]
+  }
+
   /**
    * Intermediate request model for watermark apply endpoint that matches frontend JSON structure.
    */
   final case class WatermarkApplyRequest(
     sessionId: String,
+    config: FrontendWatermarkConfig,
+    layers: List[FrontendWatermarkConfig] = Nil, // Further layers drawn above config, in order
+    ownerId: Option[String] = None // Browser install whose job history records the job
+  )
+
+  /**
+   * Request model for rendering a watermark preview of a single page.
+   */
+  final case class WatermarkPreviewRequest(
+    sessionId: String,
+    config: FrontendWatermarkConfig,
+    page: Int = 1,
+    layers: List[FrontendWatermarkConfig] = Nil
+  )
+
+  /**
+   * Request model for resolving a font size configuration against an uploaded document.
+   */
+  final case class FontSizeResolveRequest(
+    sessionId: String,
+    fontSize: FrontendFontSizeConfig,
+    page: Int = 1
+  )
+
+  /**
+   * Resolved font size for a page of the uploaded document. Random sizes have no single
+   * resolved size and only report the page dimensions.
+   */
+  final case class FontSizeResolveResponse(
+    success: Boolean,
+    fontSize: Option[Double] = None,
+    pageWidth: Option[Double] = None,
+    pageHeight: Option[Double] = None,
+    message: String
+  )
+
+  /**
+   * Batch request and response models. A batch groups the sessions of files uploaded
+   * through the regular upload endpoint and watermarks them with one configuration.
+   */
+  final case class BatchCreateRequest(
+    sessionIds: List[String]
+  )
+
+  final case class BatchApplyRequest(
+    config: FrontendWatermarkConfig,
+    layers: List[FrontendWatermarkConfig] = Nil,
+    ownerId: Option[String] = None
+  )
+
+  final case class BatchResponse(
+    success: Boolean,
+    batchId: String,
+    fileCount: Int = 0,
+    message: String,
+    fieldErrors: List[FieldError] = Nil
+  )
+
+  final case class BatchFileStatus(
+    sessionId: String,
+    filename: String,
+    status: String,
+    message: String,
+    downloadUrl: Option[String] = None
+  )
+
+  final case class BatchStatusResponse(
+    batchId: String,
+    status: String,
+    progress: Int, // 0-100 percentage
+    total: Int,
+    completed: Int,
+    failed: Int,
+    files: List[BatchFileStatus],
+    message: String,
+    downloadUrl: Option[String] = None
+  )
+
+  /**
+   * Preset request and response models. Presets are stored per browser install,
+   * identified by the owner id in the path, and keep the web form configuration.
+   */
+  final case class PresetSaveRequest(
+    name: String,
     config: FrontendWatermarkConfig
   )
 
+  final case class PresetRenameRequest(
+    name: String
+  )
+
+  final case class PresetInfo(
+    id: String,
+    name: String,
+    config: FrontendWatermarkConfig,
+    updatedAt: String
+  )
+
+  final case class PresetResponse(
+    success: Boolean,
+    preset: Option[PresetInfo] = None,
+    message: String
+  )
+
+  final case class PresetListResponse(
+    success: Boolean,
+    presets: List[PresetInfo],
+    message: String
+  )
+
+  /**
+   * Job history models. A job's output can be downloaded until expiresAt, when the
+   * temp file retention rules purge it; expired jobs have no expiresAt or downloadUrl.
+   */
+  final case class JobInfo(
+    jobId: String,
+    filename: String,
+    layers: List[FrontendWatermarkConfig], // Bottom layer first, as applied
+    status: String, // processing, completed or failed
+    message: Option[String] = None,
+    createdAt: String,
+    completedAt: Option[String] = None,
+    outputSize: Option[Long] = None,
+    expiresAt: Option[String] = None,
+    downloadUrl: Option[String] = None
+  )
+
+  final case class JobListResponse(
+    success: Boolean,
+    jobs: List[JobInfo] = Nil,
+    message: String
+  )
+
   final case class FrontendWatermarkConfig(
     text: String,
     position: FrontendPositionConfig,
     orientation: FrontendOrientationConfig,
     fontSize: FrontendFontSizeConfig,
     color: FrontendColorConfig,
-    quantity: Int
+    quantity: Int,
+    pages: Option[String] = None,
+    image: Option[FrontendImageConfig] = None,
+    opacity: Option[Double] = None,
+    blendMode: Option[String] = None,
+    recipient: Option[String] = None
+  )
+
+  final case class FrontendImageConfig(
+    imageId: String,
+    scale: Double = 0.3,
+    opacity: Double = 0.5
   )
 
   final case class FrontendPositionConfig(
     `type`: String,
     x: Option[Double] = None,
-    y: Option[Double] = None
+    y: Option[Double] = None,
+    template: Option[String] = None,
+    rows: Option[Int] = None,
+    cols: Option[Int] = None
   )
 
   final case class FrontendOrientationConfig(
     `type`: String,
-    angle: Option[Double] = None
+    angle: Option[Double] = None,
+    preset: Option[String] = None
   )
 
   final case class FrontendFontSizeConfig(
     `type`: String,
-    size: Option[Double] = None
+    size: Option[Double] = None,
+    min: Option[Double] = None,
+    max: Option[Double] = None,
+    baseSize: Option[Double] = None,
+    scaleFactor: Option[Double] = None,
+    documentType: Option[String] = None
   )
 
   final case class FrontendColorConfig(
     `type`: String,
-    color: Option[String] = None
+    color: Option[String] = None,
+    palette: Option[String] = None,
+    colors: Option[List[String]] = None
   )
 
   object WatermarkApplyRequest {
@@ -116,11 +332,91 @@ object HttpServer {
     implicit val decoder: JsonDecoder[WatermarkApplyRequest] = DeriveJsonDecoder.gen[WatermarkApplyRequest]
   }
 
+  object WatermarkPreviewRequest {
+    implicit val encoder: JsonEncoder[WatermarkPreviewRequest] = DeriveJsonEncoder.gen[WatermarkPreviewRequest]
+    implicit val decoder: JsonDecoder[WatermarkPreviewRequest] = DeriveJsonDecoder.gen[WatermarkPreviewRequest]
+  }
+
+  object FontSizeResolveRequest {
+    implicit val encoder: JsonEncoder[FontSizeResolveRequest] = DeriveJsonEncoder.gen[FontSizeResolveRequest]
+    implicit val decoder: JsonDecoder[FontSizeResolveRequest] = DeriveJsonDecoder.gen[FontSizeResolveRequest]
+  }
+
+  object FontSizeResolveResponse {
+    implicit val encoder: JsonEncoder[FontSizeResolveResponse] = DeriveJsonEncoder.gen[FontSizeResolveResponse]
+    implicit val decoder: JsonDecoder[FontSizeResolveResponse] = DeriveJsonDecoder.gen[FontSizeResolveResponse]
+  }
+
+  object BatchCreateRequest {
+    implicit val encoder: JsonEncoder[BatchCreateRequest] = DeriveJsonEncoder.gen[BatchCreateRequest]
+    implicit val decoder: JsonDecoder[BatchCreateRequest] = DeriveJsonDecoder.gen[BatchCreateRequest]
+  }
+
+  object BatchApplyRequest {
+    implicit val encoder: JsonEncoder[BatchApplyRequest] = DeriveJsonEncoder.gen[BatchApplyRequest]
+    implicit val decoder: JsonDecoder[BatchApplyRequest] = DeriveJsonDecoder.gen[BatchApplyRequest]
+  }
+
+  object BatchResponse {
+    implicit val encoder: JsonEncoder[BatchResponse] = DeriveJsonEncoder.gen[BatchResponse]
+    implicit val decoder: JsonDecoder[BatchResponse] = DeriveJsonDecoder.gen[BatchResponse]
+  }
+
+  object BatchFileStatus {
+    implicit val encoder: JsonEncoder[BatchFileStatus] = DeriveJsonEncoder.gen[BatchFileStatus]
+    implicit val decoder: JsonDecoder[BatchFileStatus] = DeriveJsonDecoder.gen[BatchFileStatus]
+  }
+
+  object BatchStatusResponse {
+    implicit val encoder: JsonEncoder[BatchStatusResponse] = DeriveJsonEncoder.gen[BatchStatusResponse]
+    implicit val decoder: JsonDecoder[BatchStatusResponse] = DeriveJsonDecoder.gen[BatchStatusResponse]
+  }
+
+  object PresetSaveRequest {
+    implicit val encoder: JsonEncoder[PresetSaveRequest] = DeriveJsonEncoder.gen[PresetSaveRequest]
+    implicit val decoder: JsonDecoder[PresetSaveRequest] = DeriveJsonDecoder.gen[PresetSaveRequest]
+  }
+
+  object PresetRenameRequest {
+    implicit val encoder: JsonEncoder[PresetRenameRequest] = DeriveJsonEncoder.gen[PresetRenameRequest]
+    implicit val decoder: JsonDecoder[PresetRenameRequest] = DeriveJsonDecoder.gen[PresetRenameRequest]
+  }
+
+  object PresetInfo {
+    implicit val encoder: JsonEncoder[PresetInfo] = DeriveJsonEncoder.gen[PresetInfo]
+    implicit val decoder: JsonDecoder[PresetInfo] = DeriveJsonDecoder.gen[PresetInfo]
+  }
+
+  object PresetResponse {
+    implicit val encoder: JsonEncoder[PresetResponse] = DeriveJsonEncoder.gen[PresetResponse]
+    implicit val decoder: JsonDecoder[PresetResponse] = DeriveJsonDecoder.gen[PresetResponse]
+  }
+
+  object PresetListResponse {
+    implicit val encoder: JsonEncoder[PresetListResponse] = DeriveJsonEncoder.gen[PresetListResponse]
+    implicit val decoder: JsonDecoder[PresetListResponse] = DeriveJsonDecoder.gen[PresetListResponse]
+  }
+
+  object JobInfo {
+    implicit val encoder: JsonEncoder[JobInfo] = DeriveJsonEncoder.gen[JobInfo]
+    implicit val decoder: JsonDecoder[JobInfo] = DeriveJsonDecoder.gen[JobInfo]
+  }
+
+  object JobListResponse {
+    implicit val encoder: JsonEncoder[JobListResponse] = DeriveJsonEncoder.gen[JobListResponse]
+    implicit val decoder: JsonDecoder[JobListResponse] = DeriveJsonDecoder.gen[JobListResponse]
+  }
+
   object FrontendWatermarkConfig {
     implicit val encoder: JsonEncoder[FrontendWatermarkConfig] = DeriveJsonEncoder.gen[FrontendWatermarkConfig]
     implicit val decoder: JsonDecoder[FrontendWatermarkConfig] = DeriveJsonDecoder.gen[FrontendWatermarkConfig]
   }
 
+  object FrontendImageConfig {
+    implicit val encoder: JsonEncoder[FrontendImageConfig] = DeriveJsonEncoder.gen[FrontendImageConfig]
+    implicit val decoder: JsonDecoder[FrontendImageConfig] = DeriveJsonDecoder.gen[FrontendImageConfig]
+  }
+
   object FrontendPositionConfig {
     implicit val encoder: JsonEncoder[FrontendPositionConfig] = DeriveJsonEncoder.gen[FrontendPositionConfig]
     implicit val decoder: JsonDecoder[FrontendPositionConfig] = DeriveJsonDecoder.gen[FrontendPositionConfig]
@@ -141,12 +437,39 @@ object HttpServer {
     implicit val decoder: JsonDecoder[FrontendColorConfig] = DeriveJsonDecoder.gen[FrontendColorConfig]
   }
 
+  /**
+   * Request configurations that break the watermark schema. Each error names its field and
+   * layer, so the web form can show it under the matching control.
+   */
+  final case class InvalidConfigFields(errors: List[FieldError], layered: Boolean = false) {
+    def messages: List[String] =
+      errors.map(error => if (layered) s"Layer ${error.layer}: ${error.message}" else error.message)
+  }
+
+  /**
+   * A batch applied again while files of an earlier apply are still being processed.
+   */
+  final case class BatchInProgress(batchId: String)
+
+  /**
+   * Attribute a conversion failure to the configuration field it came from.
+   */
+  private def onField(field: String)(error: DomainError): List[FieldError] = error match {
+    case DomainError.InvalidConfiguration(errors) => errors.map(FieldError(field, _))
+    case DomainError.InvalidFileFormat(message) => List(FieldError(field, message))
+    case DomainError.InternalError(message) => List(FieldError(field, message))
+    case other => List(FieldError(field, other.toString))
+  }
+
   /**
    * Convert frontend watermark config format to domain config format.
+   * Watermark images are referenced by the id returned from the image upload endpoint.
+   * The converted configuration is checked against the watermark schema, and every
+   * failure is reported against the field it belongs to.
    */
-  private def convertFrontendConfig(frontendConfig: FrontendWatermarkConfig): IO[DomainError, WatermarkConfig] = {
+  private def convertFrontendConfig(frontendConfig: FrontendWatermarkConfig): ZIO[TempFileManagementService, List[FieldError], WatermarkConfig] = {
     for {
-      position <- frontendConfig.position.`type` match {
+      position <- (frontendConfig.position.`type` match {
         case "fixed" => 
           for {
             x <- ZIO.fromOption(frontendConfig.position.x).orElseFail(DomainError.InvalidConfiguration(List("Missing x coordinate for fixed position")))
@@ -154,33 +477,33 @@ object HttpServer {
           } yield PositionConfig.Fixed(x, y)
         case "random" => 
           ZIO.succeed(PositionConfig.Random)
+        case "template" =>
+          for {
+            name <- ZIO.fromOption(frontendConfig.position.template).orElseFail(DomainError.InvalidConfiguration(List("Missing template name for template position")))
+            template <- convertPositionTemplate(name, frontendConfig.position)
+          } yield PositionConfig.Template(template)
         case other => 
           ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid position type: $other")))
-      }
+      }).mapError(onField("position"))
       
-      orientation <- frontendConfig.orientation.`type` match {
+      orientation <- (frontendConfig.orientation.`type` match {
         case "fixed" => 
           val angle = frontendConfig.orientation.angle.getOrElse(0.0)
           ZIO.succeed(OrientationConfig.Fixed(angle))
         case "random" => 
           ZIO.succeed(OrientationConfig.Random)
+        case "preset" =>
+          for {
+            name <- ZIO.fromOption(frontendConfig.orientation.preset).orElseFail(DomainError.InvalidConfiguration(List("Missing preset for orientation preset")))
+            preset <- convertOrientationPreset(name)
+          } yield OrientationConfig.Preset(preset)
         case other => 
           ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid orientation type: $other")))
-      }
+      }).mapError(onField("orientation"))
       
-      fontSize <- frontendConfig.fontSize.`type` match {
-        case "fixed" => 
-          for {
-            size <- ZIO.fromOption(frontendConfig.fontSize.size).orElseFail(DomainError.InvalidConfiguration(List("Missing size for fixed font size")))
-          } yield FontSizeConfig.Fixed(size)
-        case "random" =>
-          // For random font size, use default range if no specific values provided
-          ZIO.succeed(FontSizeConfig.Random(12.0, 48.0))
-        case other => 
-          ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid font size type: $other")))
-      }
+      fontSize <- convertFontSizeConfig(frontendConfig.fontSize).mapError(onField("fontSize"))
       
-      color <- frontendConfig.color.`type` match {
+      color <- (frontendConfig.color.`type` match {
         case "fixed" => 
           for {
             colorValue <- ZIO.fromOption(frontendConfig.color.color).orElseFail(DomainError.InvalidConfiguration(List("Missing color value for fixed color")))
@@ -188,33 +511,407 @@ object HttpServer {
           } yield ColorConfig.Fixed(javaColor)
         case "randomPerLetter" =>
           ZIO.succeed(ColorConfig.RandomPerLetter)
+        case "palette" =>
+          for {
+            name <- ZIO.fromOption(frontendConfig.color.palette).orElseFail(DomainError.InvalidConfiguration(List("Missing palette name for palette color")))
+            palette <- convertColorPalette(name, frontendConfig.color.colors.getOrElse(Nil))
+          } yield ColorConfig.Palette(palette)
         case other => 
           ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid color type: $other")))
+      }).mapError(onField("color"))
+      
+      pages <- ZIO.fromEither(PageSelections.parse(frontendConfig.pages.getOrElse("all")))
+        .mapError(error => List(FieldError("pages", error)))
+      
+      image <- ZIO.foreach(frontendConfig.image) { image =>
+        for {
+          file <- TempFileManagementService.getWatermarkImage(image.imageId)
+            .orElseFail(DomainError.InvalidConfiguration(List("The watermark image is no longer available. Upload it again")))
+          watermarkImage <- WatermarkRenderer.loadWatermarkImage(file, image.scale, image.opacity)
+        } yield watermarkImage
+      }.mapError(onField("image"))
+      
+      blendMode <- frontendConfig.blendMode.getOrElse("normal") match {
+        case "normal" => ZIO.succeed(BlendMode.Normal)
+        case "multiply" => ZIO.succeed(BlendMode.Multiply)
+        case other => ZIO.fail(List(FieldError("opacity", s"Invalid blend mode: $other")))
       }
       
-    } yield WatermarkConfig(
-      text = frontendConfig.text,
-      position = position,
-      orientation = orientation,
-      fontSize = fontSize,
-      color = color,
-      quantity = frontendConfig.quantity
-    )
+      config = WatermarkConfig(
+        text = frontendConfig.text,
+        position = position,
+        orientation = orientation,
+        fontSize = fontSize,
+        color = color,
+        quantity = frontendConfig.quantity,
+        pages = pages,
+        image = image,
+        opacity = frontendConfig.opacity.getOrElse(0.5),
+        blendMode = blendMode,
+        recipient = frontendConfig.recipient.map(_.trim).filter(_.nonEmpty)
+      )
+      
+      schemaErrors = WatermarkSchema.validate(config)
+      _ <- ZIO.when(schemaErrors.nonEmpty)(ZIO.fail(schemaErrors))
+      
+    } yield config
+  }
+
+  /**
+   * Convert the base configuration and further layers of a request, bottom layer first.
+   * Errors in a layered request name the layer they come from.
+   */
+  private def convertFrontendLayers(
+    config: FrontendWatermarkConfig,
+    layers: List[FrontendWatermarkConfig]
+  ): ZIO[TempFileManagementService, InvalidConfigFields, List[WatermarkConfig]] =
+    for {
+      _ <- ZIO.cond(
+        ConfigConstraints.isValidLayerCount(layers.length + 1),
+        (),
+        InvalidConfigFields(List(FieldError("layers", s"A watermark job can have at most ${ConfigConstraints.MaxWatermarkLayers} layers")))
+      )
+      converted <- ZIO.foreach((config :: layers).zipWithIndex) { case (layer, index) =>
+        convertFrontendConfig(layer).mapError { errors =>
+          InvalidConfigFields(errors.map(_.copy(layer = index + 1)), layered = layers.nonEmpty)
+        }
+      }
+    } yield converted
+
+  /**
+   * Convert a frontend template name (e.g. "fourCorners", "grid") to a position template.
+   */
+  private def convertPositionTemplate(name: String, position: FrontendPositionConfig): IO[DomainError, PositionTemplate] =
+    name match {
+      case "center" => ZIO.succeed(PositionTemplate.Center)
+      case "topLeft" => ZIO.succeed(PositionTemplate.TopLeft)
+      case "topRight" => ZIO.succeed(PositionTemplate.TopRight)
+      case "bottomLeft" => ZIO.succeed(PositionTemplate.BottomLeft)
+      case "bottomRight" => ZIO.succeed(PositionTemplate.BottomRight)
+      case "topCenter" => ZIO.succeed(PositionTemplate.TopCenter)
+      case "bottomCenter" => ZIO.succeed(PositionTemplate.BottomCenter)
+      case "leftCenter" => ZIO.succeed(PositionTemplate.LeftCenter)
+      case "rightCenter" => ZIO.succeed(PositionTemplate.RightCenter)
+      case "fourCorners" => ZIO.succeed(PositionTemplate.FourCorners)
+      case "diagonal" => ZIO.succeed(PositionTemplate.Diagonal)
+      case "border" => ZIO.succeed(PositionTemplate.Border)
+      case "grid" =>
+        for {
+          rows <- ZIO.fromOption(position.rows).orElseFail(DomainError.InvalidConfiguration(List("Missing rows for grid template")))
+          cols <- ZIO.fromOption(position.cols).orElseFail(DomainError.InvalidConfiguration(List("Missing columns for grid template")))
+        } yield PositionTemplate.Grid(rows, cols)
+      case other =>
+        ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid position template: $other")))
+    }
+
+  /**
+   * Apply watermark layers to a session's document, recording the processed file and
+   * the resulting document status in the session and in the job history.
+   * Jobs started without an owner are not in the job history, so history updates are best effort.
+   */
+  private def runWatermarkJob(
+    sessionId: String,
+    document: PdfDocument,
+    layers: List[WatermarkConfig],
+    jobId: String
+  ): ZIO[SessionManagementService & PdfProcessingService & JobHistoryService, DomainError, Unit] = {
+    for {
+      _ <- ZIO.logInfo(s"Starting watermark processing for session $sessionId, job $jobId")
+      
+      // Apply watermarks to PDF
+      processedFile <- PdfProcessingService.applyWatermarks(document, layers, TokenContext(document.filename, sessionId))
+      
+      // Store the processed file path in the document
+      _ <- SessionManagementService.updateDocumentProcessedFilePath(sessionId, processedFile.getAbsolutePath)
+      
+      // Update document status to Completed on success
+      _ <- SessionManagementService.updateDocumentStatus(sessionId, DocumentStatus.Completed)
+      _ <- JobHistoryService.completeJob(jobId, processedFile.getAbsolutePath, processedFile.length()).ignore
+      
+      _ <- ZIO.logInfo(s"Watermark processing completed for job $jobId")
+      
+    } yield ()
+  }.catchAll { error =>
+    // Update document status to Failed on error
+    for {
+      _ <- SessionManagementService.updateDocumentStatus(sessionId, DocumentStatus.Failed(error.toString))
+      _ <- JobHistoryService.failJob(jobId, error.toString).ignore
+      _ <- ZIO.logError(s"Watermark processing failed for job $jobId: $error")
+    } yield ()
   }
 
+  /**
+   * Validate the install id that owns a set of presets and a job history.
+   */
+  private def validateOwnerId(ownerId: String): IO[DomainError, String] =
+    ZIO.cond(
+      ownerId.nonEmpty && ownerId.length <= 64 && ownerId.forall(c => c.isLetterOrDigit || c == '-'),
+      ownerId,
+      DomainError.InvalidConfiguration(List("Invalid install id"))
+    )
+
+  /**
+   * Convert a stored preset back to the web form configuration it was saved from.
+   */
+  private def toPresetInfo(preset: WatermarkPreset): IO[DomainError, PresetInfo] =
+    ZIO.fromEither(preset.config.fromJson[FrontendWatermarkConfig])
+      .mapError(error => DomainError.InternalError(s"Stored preset ${preset.id} is unreadable: $error"))
+      .map(config => PresetInfo(preset.id, preset.name, config, preset.updatedAt.toString))
+
+  /**
+   * Error response shared by the preset endpoints.
+   */
+  private def presetErrorResponse(error: DomainError): UIO[Response] =
+    ZIO.logError(s"Preset request failed: $error") *>
+    ZIO.succeed {
+      val (status, message) = error match {
+        case DomainError.DocumentNotFound(_) => (Status.NotFound, "Preset not found")
+        case DomainError.InvalidConfiguration(errors) => (Status.BadRequest, errors.mkString(", "))
+        case _ => (Status.InternalServerError, "Preset request failed")
+      }
+      Response.json(PresetResponse(success = false, message = message).toJson).status(status)
+    }
+
+  /**
+   * Describe a job history record, with the layers it was run with in the web form's format.
+   */
+  private def toJobInfo(job: JobRecord): ZIO[SessionManagementService & TempFileManagementService & DownloadTrackingService, DomainError, JobInfo] =
+    for {
+      layers <- ZIO.fromEither(job.config.fromJson[List[FrontendWatermarkConfig]])
+        .mapError(error => DomainError.InternalError(s"Stored job ${job.jobId} is unreadable: $error"))
+      expiresAt <- jobOutputExpiry(job)
+    } yield JobInfo(
+      jobId = job.jobId,
+      filename = job.filename,
+      layers = layers,
+      status = job.status match {
+        case DocumentStatus.Completed => "completed"
+        case DocumentStatus.Failed(_) => "failed"
+        case DocumentStatus.Uploaded | DocumentStatus.Processing => "processing"
+      },
+      message = job.status match {
+        case DocumentStatus.Failed(reason) => Some(reason)
+        case _ => None
+      },
+      createdAt = job.createdAt.toString,
+      completedAt = job.completedAt.map(_.toString),
+      outputSize = job.outputSize,
+      expiresAt = expiresAt.map(_.toString),
+      downloadUrl = expiresAt.map(_ => s"/api/history/${job.ownerId}/${job.jobId}/download")
+    )
+
+  /**
+   * When the output of a job is purged: once it is older than the temp file age limit, or
+   * earlier when the cleanup scheduled after downloading it comes first. None once the output
+   * is gone or past its expiry.
+   */
+  private def jobOutputExpiry(job: JobRecord): URIO[SessionManagementService & TempFileManagementService & DownloadTrackingService, Option[java.time.Instant]] =
+    job.outputPath match {
+      case None => ZIO.none
+      case Some(path) =>
+        for {
+          retained <- TempFileManagementService.expiryOf(new File(path))
+          session <- SessionManagementService.getSession(job.sessionId).option
+          download <- DownloadTrackingService.getDownloadSession(job.sessionId).option
+          
+          // The cleanup after a download only removes the session's latest output
+          latest = session.flatMap(_.uploadedDocument).flatMap(_.processedFilePath).contains(path)
+          scheduled = download.flatMap(_.cleanupAt).filter(_ => latest)
+          now = java.time.Instant.now()
+        } yield retained
+          .map(expiry => scheduled.filter(_.isBefore(expiry)).getOrElse(expiry))
+          .filter(_.isAfter(now))
+    }
+
+  /**
+   * Error response shared by the job history endpoints.
+   */
+  private def jobHistoryErrorResponse(error: DomainError): UIO[Response] =
+    ZIO.logError(s"Job history request failed: $error") *>
+    ZIO.succeed {
+      val (status, message) = error match {
+        case DomainError.DocumentNotFound(_) => (Status.NotFound, "Job not found or its output has expired")
+        case DomainError.InvalidConfiguration(errors) => (Status.BadRequest, errors.mkString(", "))
+        case _ => (Status.InternalServerError, "Job history request failed")
+      }
+      Response.json(JobListResponse(success = false, message = message).toJson).status(status)
+    }
+
+  /**
+   * Summarize the processing state of every file in a batch.
+   */
+  private def batchStatus(batch: BatchSession): ZIO[SessionManagementService & FileManagementService, DomainError, BatchStatusResponse] =
+    for {
+      files <- ZIO.foreach(batch.sessionIds) { sessionId =>
+        for {
+          session <- SessionManagementService.getSession(sessionId)
+          document <- ZIO.fromOption(session.uploadedDocument)
+            .orElseFail(DomainError.DocumentNotFound(s"No document in session $sessionId"))
+          processedFilename <- FileManagementService.generateProcessedFilename(document.filename)
+        } yield document.status match {
+          case DocumentStatus.Uploaded =>
+            BatchFileStatus(sessionId, document.filename, "ready", "Ready to process")
+          case DocumentStatus.Processing =>
+            BatchFileStatus(sessionId, document.filename, "processing", "Processing watermarks...")
+          case DocumentStatus.Completed =>
+            BatchFileStatus(sessionId, processedFilename, "completed", "Watermark processing completed", Some(s"/api/download/$sessionId"))
+          case DocumentStatus.Failed(reason) =>
+            BatchFileStatus(sessionId, document.filename, "failed", s"Processing failed: $reason")
+        }
+      }
+      total = files.length
+      completed = files.count(_.status == "completed")
+      failed = files.count(_.status == "failed")
+      finished = completed + failed
+    } yield {
+      val status =
+        if (batch.watermarkConfig.isEmpty) "ready"
+        else if (finished < total) "processing"
+        else if (failed == 0) "completed"
+        else if (completed == 0) "failed"
+        else "completed_with_errors"
+      
+      BatchStatusResponse(
+        batchId = batch.batchId,
+        status = status,
+        progress = if (total == 0) 0 else finished * 100 / total,
+        total = total,
+        completed = completed,
+        failed = failed,
+        files = files,
+        message = status match {
+          case "ready" => s"$total files ready to process"
+          case "processing" => s"Processed $finished of $total files..."
+          case "completed" => s"All $total files watermarked successfully"
+          case "failed" => "Watermark processing failed for every file"
+          case _ => s"$completed of $total files watermarked, $failed failed"
+        },
+        downloadUrl = if (completed > 0) Some(s"/api/batch/${batch.batchId}/download") else None
+      )
+    }
+
+  /**
+   * Write a ZIP archive of named files to a temp file, making duplicate entry names unique.
+   * The archive is written to disk so a large batch is never held in memory.
+   */
+  private def zipFiles(entries: List[(String, File)]): ZIO[TempFileManagementService, DomainError, File] =
+    TempFileManagementService.createTempFile("batch-", ".zip").flatMap { archive =>
+      ZIO.attemptBlocking {
+        val zip = new java.util.zip.ZipOutputStream(new java.io.BufferedOutputStream(Files.newOutputStream(archive.toPath)))
+        val usedNames = scala.collection.mutable.Set[String]()
+        try {
+          entries.foreach { case (name, file) =>
+            val (baseName, extension) = name.lastIndexOf('.') match {
+              case -1 => (name, "")
+              case index => (name.substring(0, index), name.substring(index))
+            }
+            val uniqueName = Iterator.from(1)
+              .map(n => if (n == 1) name else s"$baseName ($n)$extension")
+              .find(candidate => !usedNames.contains(candidate))
+              .get
+            usedNames += uniqueName
+            
+            zip.putNextEntry(new java.util.zip.ZipEntry(uniqueName))
+            Files.copy(file.toPath, zip)
+            zip.closeEntry()
+          }
+        } finally {
+          zip.close()
+        }
+        archive
+      }.mapError(err => DomainError.InternalError(s"Failed to create ZIP archive: ${err.getMessage}"))
+        .tapError(_ => TempFileManagementService.cleanupFile(archive))
+    }
+
+  /**
+   * Convert a frontend font size config, including the document-aware scaling modes.
+   */
+  private def convertFontSizeConfig(fontSize: FrontendFontSizeConfig): IO[DomainError, FontSizeConfig] =
+    fontSize.`type` match {
+      case "fixed" => 
+        for {
+          size <- ZIO.fromOption(fontSize.size).orElseFail(DomainError.InvalidConfiguration(List("Missing size for fixed font size")))
+        } yield FontSizeConfig.Fixed(size)
+      case "random" =>
+        // For random font size, use default range if no specific values provided
+        ZIO.succeed(FontSizeConfig.Random(fontSize.min.getOrElse(12.0), fontSize.max.getOrElse(48.0)))
+      case "dynamicScale" =>
+        for {
+          baseSize <- ZIO.fromOption(fontSize.baseSize).orElseFail(DomainError.InvalidConfiguration(List("Missing base size for dynamic font size")))
+        } yield FontSizeConfig.DynamicScale(baseSize, fontSize.scaleFactor.getOrElse(1.0))
+      case "recommended" =>
+        for {
+          name <- ZIO.fromOption(fontSize.documentType).orElseFail(DomainError.InvalidConfiguration(List("Missing document type for recommended font size")))
+          documentType <- convertDocumentType(name)
+        } yield FontSizeConfig.Recommended(documentType)
+      case other => 
+        ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid font size type: $other")))
+    }
+
+  /**
+   * Convert a frontend document type name (e.g. "certificate") to a document type.
+   */
+  private def convertDocumentType(name: String): IO[DomainError, DocumentType] =
+    name match {
+      case "legal" => ZIO.succeed(DocumentType.Legal)
+      case "academic" => ZIO.succeed(DocumentType.Academic)
+      case "business" => ZIO.succeed(DocumentType.Business)
+      case "certificate" => ZIO.succeed(DocumentType.Certificate)
+      case "marketing" => ZIO.succeed(DocumentType.Marketing)
+      case "technical" => ZIO.succeed(DocumentType.Technical)
+      case "creative" => ZIO.succeed(DocumentType.Creative)
+      case other => ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid document type: $other")))
+    }
+
+  /**
+   * Convert a frontend orientation preset name (e.g. "diagonalUp") to an orientation preset.
+   */
+  private def convertOrientationPreset(name: String): IO[DomainError, OrientationPreset] =
+    name match {
+      case "horizontal" => ZIO.succeed(OrientationPreset.Horizontal)
+      case "diagonalUp" => ZIO.succeed(OrientationPreset.DiagonalUp)
+      case "vertical" => ZIO.succeed(OrientationPreset.Vertical)
+      case "diagonalDown" => ZIO.succeed(OrientationPreset.DiagonalDown)
+      case "upsideDown" => ZIO.succeed(OrientationPreset.UpsideDown)
+      case "diagonalUpReverse" => ZIO.succeed(OrientationPreset.DiagonalUpReverse)
+      case "verticalReverse" => ZIO.succeed(OrientationPreset.VerticalReverse)
+      case "diagonalDownReverse" => ZIO.succeed(OrientationPreset.DiagonalDownReverse)
+      case other => ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid orientation preset: $other")))
+    }
+
+  /**
+   * Convert a frontend palette name to a color palette, building custom palettes from hex colors.
+   */
+  private def convertColorPalette(name: String, customColors: List[String]): IO[DomainError, ColorPalette] =
+    name match {
+      case "professional" => ZIO.succeed(ColorPalette.Professional)
+      case "vibrant" => ZIO.succeed(ColorPalette.Vibrant)
+      case "pastel" => ZIO.succeed(ColorPalette.Pastel)
+      case "monochrome" => ZIO.succeed(ColorPalette.Monochrome)
+      case "warm" => ZIO.succeed(ColorPalette.Warm)
+      case "cool" => ZIO.succeed(ColorPalette.Cool)
+      case "earth" => ZIO.succeed(ColorPalette.Earth)
+      case "custom" =>
+        ZIO.foreach(customColors)(convertHexToColor).map(ColorPalette.Custom(_))
+      case other =>
+        ZIO.fail(DomainError.InvalidConfiguration(List(s"Invalid color palette: $other")))
+    }
+
   /**
    * Convert hex color string to java.awt.Color.
+   * Eight-digit colors (#RRGGBBAA) carry their own opacity.
    */
   private def convertHexToColor(hexColor: String): IO[DomainError, java.awt.Color] = {
     ZIO.attempt {
       val cleanHex = if (hexColor.startsWith("#")) hexColor.substring(1) else hexColor
-      if (cleanHex.length != 6) {
+      if (cleanHex.length != 6 && cleanHex.length != 8) {
         throw new IllegalArgumentException(s"Invalid hex color format: $hexColor")
       }
       val r = Integer.parseInt(cleanHex.substring(0, 2), 16)
       val g = Integer.parseInt(cleanHex.substring(2, 4), 16)
       val b = Integer.parseInt(cleanHex.substring(4, 6), 16)
-      new java.awt.Color(r, g, b)
+      val a = if (cleanHex.length == 8) Integer.parseInt(cleanHex.substring(6, 8), 16) else 255
+      new java.awt.Color(r, g, b, a)
     }.mapError(err => DomainError.InvalidConfiguration(List(s"Invalid hex color '$hexColor': ${err.getMessage}")))
   }
 
@@ -302,9 +999,9 @@ object HttpServer {
     ZIO.logInfo(s"HTTP ${request.method} ${request.path}")
 
   /**
-   * Watermark processing routes (Tasks 52, 53, 54, 55).
+   * Watermark processing and preview routes (Tasks 52, 53, 54, 55).
    */
-  val watermarkProcessingRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService, Response] = Routes(
+  val watermarkProcessingRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = Routes(
     // Apply watermark endpoint - combines config and processing (Frontend integration)
     Method.POST / "api" / "watermark" / "apply" -> handler { (req: Request) =>
       for {
@@ -314,17 +1011,21 @@ object HttpServer {
         body <- req.body.asString
         applyRequest <- ZIO.fromEither(body.fromJson[WatermarkApplyRequest])
           .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
+        owner <- ZIO.foreach(applyRequest.ownerId)(validateOwnerId)
         
         // Convert frontend config format to domain config format
-        config <- convertFrontendConfig(applyRequest.config)
+        layers <- convertFrontendLayers(applyRequest.config, applyRequest.layers)
         
         // Get session and validate it has an uploaded document
         session <- SessionManagementService.getSession(applyRequest.sessionId)
         document <- ZIO.fromOption(session.uploadedDocument)
           .orElseFail(DomainError.InvalidConfiguration(List("No document uploaded in session")))
         
+        // Check every layer's page selection against the uploaded document before starting the job
+        _ <- ZIO.foreachDiscard(layers)(layer => PdfProcessor.resolvePageSelection(layer.pages, document.pageCount))
+        
         // Update session with watermark configuration
-        _ <- SessionManagementService.updateSessionWithConfig(applyRequest.sessionId, config)
+        _ <- SessionManagementService.updateSessionWithConfig(applyRequest.sessionId, layers.head, layers.tail)
         
         // Update document status to Processing
         _ <- SessionManagementService.updateDocumentStatus(applyRequest.sessionId, DocumentStatus.Processing)
@@ -332,30 +1033,13 @@ object HttpServer {
         // Create processing job ID
         jobId = java.util.UUID.randomUUID().toString
         
+        // Remember the job with the exact layers it runs with, so it can be re-run later
+        _ <- ZIO.foreachDiscard(owner) { ownerId =>
+          JobHistoryService.recordJob(ownerId, jobId, applyRequest.sessionId, document.filename, (applyRequest.config :: applyRequest.layers).toJson)
+        }
+        
         // Start watermark processing asynchronously
-        _ <- {
-          for {
-            _ <- ZIO.logInfo(s"Starting watermark processing for session ${applyRequest.sessionId}, job $jobId")
-            
-            // Apply watermarks to PDF
-            processedFile <- PdfProcessingService.applyWatermarks(document, config)
-            
-            // Store the processed file path in the document
-            _ <- SessionManagementService.updateDocumentProcessedFilePath(applyRequest.sessionId, processedFile.getAbsolutePath)
-            
-            // Update document status to Completed on success
-            _ <- SessionManagementService.updateDocumentStatus(applyRequest.sessionId, DocumentStatus.Completed)
-            
-            _ <- ZIO.logInfo(s"Watermark processing completed for job $jobId")
-            
-          } yield ()
-        }.catchAll { error =>
-          // Update document status to Failed on error
-          for {
-            _ <- SessionManagementService.updateDocumentStatus(applyRequest.sessionId, DocumentStatus.Failed(error.toString))
-            _ <- ZIO.logError(s"Watermark processing failed for job $jobId: $error")
-          } yield ()
-        }.forkDaemon // Run processing in background
+        _ <- runWatermarkJob(applyRequest.sessionId, document, layers, jobId).forkDaemon // Run processing in background
         
         _ <- ZIO.logInfo(s"Watermark apply completed for session ${applyRequest.sessionId}")
         
@@ -377,8 +1061,183 @@ object HttpServer {
             message = error match {
               case DomainError.SessionNotFound(sessionId) => s"Session not found: $sessionId"
               case DomainError.InvalidConfiguration(errors) => s"Invalid configuration: ${errors.mkString(", ")}"
+              case invalid: InvalidConfigFields => s"Invalid configuration: ${invalid.messages.mkString(", ")}"
               case DomainError.PdfProcessingError(msg) => s"PDF processing failed: $msg"
               case _ => "Failed to apply watermark"
+            },
+            fieldErrors = error match {
+              case InvalidConfigFields(errors, _) => errors
+              case _ => Nil
+            }
+          )
+          Response.json(errorResponse.toJson).status(Status.BadRequest)
+        }
+      }
+    },
+    
+    // Watermark image upload endpoint - stores a PNG/JPEG logo or seal for image watermarks
+    Method.POST / "api" / "watermark" / "image" -> handler { (req: Request) =>
+      for {
+        body <- req.body.asMultipartForm
+          .mapError(error => DomainError.InvalidFileFormat(s"Invalid multipart data: ${error.getMessage}"))
+        imageField <- ZIO.fromOption(body.formData.find(_.name == "image"))
+          .orElseFail(DomainError.InvalidFileFormat("No image field found in multipart data"))
+        bytes <- imageField.asChunk.map(_.toArray)
+          .mapError(error => DomainError.InternalError(s"Failed to read image: ${error.getMessage}"))
+        
+        _ <- ZIO.when(bytes.length > ConfigConstraints.MaxWatermarkImageBytes) {
+          ZIO.fail(DomainError.FileSizeExceeded(bytes.length.toLong, ConfigConstraints.MaxWatermarkImageBytes))
+        }
+        _ <- ZIO.fromOption(WatermarkImages.detectFormat(bytes.take(8)))
+          .orElseFail(DomainError.InvalidFileFormat("Watermark images must be PNG or JPEG files"))
+        
+        imageId <- TempFileManagementService.storeWatermarkImage(bytes)
+        file <- TempFileManagementService.getWatermarkImage(imageId)
+        
+        // Images the decoder cannot read are removed again right away
+        image <- WatermarkRenderer.loadWatermarkImage(file, 0.3, 0.5)
+          .tapError(_ => TempFileManagementService.cleanupFile(file))
+        
+        _ <- ZIO.logInfo(s"Stored watermark image $imageId (${image.pixelWidth}x${image.pixelHeight})")
+        
+        response = WatermarkImageUploadResponse(
+          success = true,
+          imageId = Some(imageId),
+          width = Some(image.pixelWidth),
+          height = Some(image.pixelHeight),
+          message = "Watermark image uploaded successfully"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Watermark image upload failed: $error") *>
+        ZIO.succeed {
+          val errorResponse = WatermarkImageUploadResponse(
+            success = false,
+            message = error match {
+              case DomainError.InvalidFileFormat(msg) => s"Invalid image: $msg"
+              case DomainError.FileSizeExceeded(actual, max) =>
+                s"Image size exceeded: ${actual} bytes (maximum: ${max} bytes)"
+              case DomainError.InvalidConfiguration(errors) => s"Invalid image: ${errors.mkString(", ")}"
+              case _ => "Failed to upload watermark image"
+            }
+          )
+          Response.json(errorResponse.toJson).status(Status.BadRequest)
+        }
+      }
+    },
+    
+    // Watermark preview endpoint - renders one page with the current configuration
+    Method.POST / "api" / "watermark" / "preview" -> handler { (req: Request) =>
+      for {
+        body <- req.body.asString
+        previewRequest <- ZIO.fromEither(body.fromJson[WatermarkPreviewRequest])
+          .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
+        
+        layers <- convertFrontendLayers(previewRequest.config, previewRequest.layers)
+        
+        // Get session and validate the requested page exists in the uploaded document
+        session <- SessionManagementService.getSession(previewRequest.sessionId)
+        document <- ZIO.fromOption(session.uploadedDocument)
+          .orElseFail(DomainError.InvalidConfiguration(List("No document uploaded in session")))
+        _ <- ZIO.cond(
+          previewRequest.page >= 1 && previewRequest.page <= document.pageCount,
+          (),
+          DomainError.InvalidConfiguration(List(s"Page ${previewRequest.page} is out of range (1-${document.pageCount})"))
+        )
+        
+        image <- PdfProcessingService.renderPreview(
+          document,
+          layers,
+          previewRequest.page,
+          TokenContext(document.filename, previewRequest.sessionId)
+        )
+        
+        _ <- ZIO.logDebug(s"Rendered preview of page ${previewRequest.page} for session ${previewRequest.sessionId}")
+        
+      } yield Response(
+        status = Status.Ok,
+        headers = Headers(
+          Header.ContentType(MediaType.image.png),
+          Header.Custom("Cache-Control", "no-store"),
+          Header.Custom("X-Page-Number", previewRequest.page.toString),
+          Header.Custom("X-Page-Count", document.pageCount.toString)
+        ),
+        body = Body.fromArray(image)
+      )
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Watermark preview failed: $error") *>
+        ZIO.succeed {
+          val errorResponse = ProcessWatermarkResponse(
+            success = false,
+            sessionId = "",
+            message = error match {
+              case DomainError.SessionNotFound(sessionId) => s"Session not found: $sessionId"
+              case DomainError.InvalidConfiguration(errors) => s"Invalid configuration: ${errors.mkString(", ")}"
+              case invalid: InvalidConfigFields => s"Invalid configuration: ${invalid.messages.mkString(", ")}"
+              case DomainError.PdfProcessingError(msg) => s"Preview rendering failed: $msg"
+              case _ => "Failed to render watermark preview"
+            },
+            fieldErrors = error match {
+              case InvalidConfigFields(errors, _) => errors
+              case _ => Nil
+            }
+          )
+          Response.json(errorResponse.toJson).status(Status.BadRequest)
+        }
+      }
+    },
+    
+    // Watermark schema endpoint - every configuration field with its modes, limits and defaults
+    Method.GET / "api" / "watermark" / "schema" -> Handler.fromFunction { _ =>
+      Response.json(WatermarkSchema.schema.toJson)
+    },
+
+    // Font size resolution endpoint - reports the point size a font size mode produces for the uploaded document
+    Method.POST / "api" / "watermark" / "font-size" -> handler { (req: Request) =>
+      for {
+        body <- req.body.asString
+        resolveRequest <- ZIO.fromEither(body.fromJson[FontSizeResolveRequest])
+          .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
+        
+        fontSize <- convertFontSizeConfig(resolveRequest.fontSize)
+        
+        session <- SessionManagementService.getSession(resolveRequest.sessionId)
+        document <- ZIO.fromOption(session.uploadedDocument)
+          .orElseFail(DomainError.InvalidConfiguration(List("No document uploaded in session")))
+        _ <- ZIO.cond(
+          resolveRequest.page >= 1 && resolveRequest.page <= document.pageCount,
+          (),
+          DomainError.InvalidConfiguration(List(s"Page ${resolveRequest.page} is out of range (1-${document.pageCount})"))
+        )
+        
+        pageDimensions <- PdfProcessingService.getDocumentPageDimensions(document, resolveRequest.page)
+        resolvedSize = FontScaling.resolveFontSize(fontSize, pageDimensions)
+        
+      } yield {
+        val response = FontSizeResolveResponse(
+          success = true,
+          fontSize = resolvedSize,
+          pageWidth = Some(pageDimensions.width),
+          pageHeight = Some(pageDimensions.height),
+          message = resolvedSize match {
+            case Some(size) => f"Resolves to $size%.1f pt on page ${resolveRequest.page}"
+            case None => "Random font sizes vary per watermark"
+          }
+        )
+        Response.json(response.toJson)
+      }
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Font size resolution failed: $error") *>
+        ZIO.succeed {
+          val errorResponse = FontSizeResolveResponse(
+            success = false,
+            message = error match {
+              case DomainError.SessionNotFound(sessionId) => s"Session not found: $sessionId"
+              case DomainError.InvalidConfiguration(errors) => s"Invalid configuration: ${errors.mkString(", ")}"
+              case _ => "Failed to resolve font size"
             }
           )
           Response.json(errorResponse.toJson).status(Status.BadRequest)
@@ -401,6 +1260,19 @@ object HttpServer {
         document <- ZIO.fromOption(session.uploadedDocument)
           .orElseFail(DomainError.InvalidConfiguration(List("No document uploaded in session")))
         
+        // Check the page selection against the uploaded document
+        _ <- PdfProcessor.resolvePageSelection(processRequest.config.pages, document.pageCount)
+        
+        // Image paths name files on the server, so images are only accepted by upload id
+        _ <- ZIO.cond(
+          processRequest.config.image.isEmpty,
+          (),
+          DomainError.InvalidConfiguration(List("Watermark images must be uploaded and referenced by image id through /api/watermark/apply"))
+        )
+        
+        schemaErrors = WatermarkSchema.validate(processRequest.config)
+        _ <- ZIO.when(schemaErrors.nonEmpty)(ZIO.fail(InvalidConfigFields(schemaErrors)))
+        
         // Update session with watermark configuration
         updatedSession <- SessionManagementService.updateSessionWithConfig(
           processRequest.sessionId, 
@@ -425,7 +1297,12 @@ object HttpServer {
             message = error match {
               case DomainError.SessionNotFound(sessionId) => s"Session not found: $sessionId"
               case DomainError.InvalidConfiguration(errors) => s"Invalid configuration: ${errors.mkString(", ")}"
+              case invalid: InvalidConfigFields => s"Invalid configuration: ${invalid.messages.mkString(", ")}"
               case _ => "Failed to save watermark configuration"
+            },
+            fieldErrors = error match {
+              case InvalidConfigFields(errors, _) => errors
+              case _ => Nil
             }
           )
           Response.json(errorResponse.toJson).status(Status.BadRequest)
@@ -472,7 +1349,11 @@ object HttpServer {
             )
             
             // Apply watermarks to PDF
-            processedFile <- PdfProcessingService.applyWatermarks(document, config)
+            processedFile <- PdfProcessingService.applyWatermarks(
+              document,
+              config :: session.watermarkLayers,
+              TokenContext(document.filename, sessionId)
+            )
             
             _ <- ZIO.logInfo(s"Watermark processing completed for job $jobId")
             
@@ -514,77 +1395,7 @@ object HttpServer {
         _ <- ZIO.logInfo(s"Status check requested for session: $sessionId")
         session <- SessionManagementService.getSession(sessionId)
         
-        // Get processing status based on session state
-        statusResponse = (session.uploadedDocument, session.watermarkConfig) match {
-          case (Some(doc), Some(config)) =>
-            // Check document processing status
-            doc.status match {
-              case DocumentStatus.Uploaded => JobStatusResponse(
-                sessionId = sessionId,
-                jobId = sessionId, // Using sessionId as jobId for simplicity
-                status = "ready",
-                progress = 0,
-                message = "Ready to process watermarks"
-              )
-              case DocumentStatus.Processing => JobStatusResponse(
-                sessionId = sessionId,
-                jobId = sessionId,
-                status = "processing", 
-                progress = 50,
-                message = "Processing watermarks..."
-              )
-              case DocumentStatus.Completed =>
-                // Generate processed filename - implement the same logic as FileManagementService
-                val processedFilename = {
-                  val baseName = if (doc.filename.toLowerCase.endsWith(".pdf")) {
-                    doc.filename.dropRight(4) // Remove .pdf extension
-                  } else {
-                    doc.filename
-                  }
-                  s"${baseName}_watermark.pdf"
-                }
-                
-                // Get file size from processed file if available
-                val fileSize = doc.processedFilePath.flatMap { filePath =>
-                  scala.util.Try {
-                    val file = new java.io.File(filePath)
-                    if (file.exists()) Some(file.length()) else None
-                  }.toOption.flatten
-                }
-                
-                JobStatusResponse(
-                  sessionId = sessionId,
-                  jobId = sessionId,
-                  status = "completed",
-                  progress = 100,
-                  message = "Watermark processing completed",
-                  downloadUrl = Some(s"/api/download/$sessionId"),
-                  filename = Some(processedFilename),
-                  filesize = fileSize
-                )
-              case DocumentStatus.Failed(reason) => JobStatusResponse(
-                sessionId = sessionId,
-                jobId = sessionId,
-                status = "failed",
-                progress = 0,
-                message = s"Processing failed: $reason"
-              )
-            }
-          case (Some(_), None) => JobStatusResponse(
-            sessionId = sessionId,
-            jobId = sessionId,
-            status = "awaiting_config",
-            progress = 25,
-            message = "Document uploaded, waiting for watermark configuration"
-          )
-          case (None, _) => JobStatusResponse(
-            sessionId = sessionId,
-            jobId = sessionId,
-            status = "awaiting_upload",
-            progress = 0,
-            message = "No document uploaded"
-          )
-        }
+        statusResponse = jobStatus(sessionId, session)
       } yield Response.json(statusResponse.toJson)
     }.catchAll { error =>
       Handler.fromZIO {
@@ -606,17 +1417,284 @@ object HttpServer {
     }
   )
 
+  /**
+   * Summarize the upload state of a session.
+   */
+  private def uploadProgress(sessionId: String, session: UserSession): UploadProgressResponse =
+    session.uploadedDocument match {
+      case Some(doc) => UploadProgressResponse(
+        sessionId = sessionId,
+        status = doc.status match {
+          case DocumentStatus.Uploaded => "completed"
+          case DocumentStatus.Processing => "processing"
+          case DocumentStatus.Completed => "completed"
+          case DocumentStatus.Failed(reason) => "failed"
+        },
+        progress = doc.status match {
+          case DocumentStatus.Uploaded => 100
+          case DocumentStatus.Processing => 50
+          case DocumentStatus.Completed => 100
+          case DocumentStatus.Failed(_) => 0
+        },
+        message = doc.status match {
+          case DocumentStatus.Uploaded => s"File '${doc.filename}' uploaded successfully"
+          case DocumentStatus.Processing => s"Processing file '${doc.filename}'"
+          case DocumentStatus.Completed => s"File '${doc.filename}' processed successfully"
+          case DocumentStatus.Failed(reason) => s"Processing failed: $reason"
+        }
+      )
+      case None => UploadProgressResponse(
+        sessionId = sessionId,
+        status = "no_upload",
+        progress = 0,
+        message = "No file uploaded in this session"
+      )
+    }
+
+  /**
+   * Describe whether a session can still be resumed. Temporary file cleanup may remove
+   * a document's files while its session lives on, so the files are checked on disk.
+   */
+  private def sessionState(sessionId: String, session: UserSession): SessionStateResponse = {
+    def fileExists(path: Option[String]): Boolean =
+      path.exists(filePath => scala.util.Try(new File(filePath).exists()).getOrElse(false))
+    
+    session.uploadedDocument match {
+      case Some(doc) =>
+        val sourceAvailable = fileExists(doc.sourceFilePath)
+        val processedAvailable = doc.status == DocumentStatus.Completed && fileExists(doc.processedFilePath)
+        
+        if (!sourceAvailable && !processedAvailable) {
+          SessionStateResponse(
+            sessionId = sessionId,
+            valid = false,
+            status = "expired",
+            filename = Some(doc.filename),
+            message = s"Your upload of '${doc.filename}' has expired. Please upload the file again."
+          )
+        } else {
+          val status = doc.status match {
+            case DocumentStatus.Uploaded => "uploaded"
+            case DocumentStatus.Processing => "processing"
+            case DocumentStatus.Completed => if (processedAvailable) "completed" else "uploaded"
+            case DocumentStatus.Failed(_) => "failed"
+          }
+          SessionStateResponse(
+            sessionId = sessionId,
+            valid = true,
+            status = status,
+            filename = Some(doc.filename),
+            pageCount = Some(doc.pageCount),
+            downloadUrl = if (processedAvailable) Some(s"/api/download/$sessionId") else None,
+            message = status match {
+              case "completed" => s"File '${doc.filename}' is ready for download"
+              case "processing" => s"Processing file '${doc.filename}'"
+              case "failed" => s"Processing of '${doc.filename}' failed"
+              case _ => s"File '${doc.filename}' is ready to configure"
+            }
+          )
+        }
+      case None => SessionStateResponse(
+        sessionId = sessionId,
+        valid = false,
+        status = "no_upload",
+        message = "No file uploaded in this session"
+      )
+    }
+  }
+
+  /**
+   * Summarize the watermark job state of a session.
+   */
+  private def jobStatus(sessionId: String, session: UserSession): JobStatusResponse =
+    (session.uploadedDocument, session.watermarkConfig) match {
+      case (Some(doc), Some(config)) =>
+        // Check document processing status
+        doc.status match {
+          case DocumentStatus.Uploaded => JobStatusResponse(
+            sessionId = sessionId,
+            jobId = sessionId, // Using sessionId as jobId for simplicity
+            status = "ready",
+            progress = 0,
+            message = "Ready to process watermarks"
+          )
+          case DocumentStatus.Processing => JobStatusResponse(
+            sessionId = sessionId,
+            jobId = sessionId,
+            status = "processing", 
+            progress = 50,
+            message = "Processing watermarks..."
+          )
+          case DocumentStatus.Completed =>
+            // Generate processed filename - implement the same logic as FileManagementService
+            val processedFilename = {
+              val baseName = if (doc.filename.toLowerCase.endsWith(".pdf")) {
+                doc.filename.dropRight(4) // Remove .pdf extension
+              } else {
+                doc.filename
+              }
+              s"${baseName}_watermark.pdf"
+            }
+            
+            // Get file size from processed file if available
+            val fileSize = doc.processedFilePath.flatMap { filePath =>
+              scala.util.Try {
+                val file = new java.io.File(filePath)
+                if (file.exists()) Some(file.length()) else None
+              }.toOption.flatten
+            }
+            
+            JobStatusResponse(
+              sessionId = sessionId,
+              jobId = sessionId,
+              status = "completed",
+              progress = 100,
+              message = "Watermark processing completed",
+              downloadUrl = Some(s"/api/download/$sessionId"),
+              filename = Some(processedFilename),
+              filesize = fileSize,
+              pageCount = Some(doc.pageCount)
+            )
+          case DocumentStatus.Failed(reason) => JobStatusResponse(
+            sessionId = sessionId,
+            jobId = sessionId,
+            status = "failed",
+            progress = 0,
+            message = s"Processing failed: $reason"
+          )
+        }
+      case (Some(_), None) => JobStatusResponse(
+        sessionId = sessionId,
+        jobId = sessionId,
+        status = "awaiting_config",
+        progress = 25,
+        message = "Document uploaded, waiting for watermark configuration"
+      )
+      case (None, _) => JobStatusResponse(
+        sessionId = sessionId,
+        jobId = sessionId,
+        status = "awaiting_upload",
+        progress = 0,
+        message = "No document uploaded"
+      )
+    }
+
+  /**
+   * Snapshot of every status event for a session: upload, processing and, once a download
+   * has started, download progress. Fails when the session no longer exists.
+   */
+  private def sessionEvents(sessionId: String): ZIO[SessionManagementService & DownloadTrackingService, DomainError, List[(String, String)]] =
+    for {
+      session <- SessionManagementService.getSession(sessionId)
+      download <- DownloadTrackingService.getDownloadProgress(sessionId).option
+    } yield List(
+      "upload" -> uploadProgress(sessionId, session).toJson,
+      "processing" -> jobStatus(sessionId, session).toJson
+    ) ++ download.map(progress => "download" -> progress.toJson)
+
+  /**
+   * Turn a status snapshot into a Server-Sent Events stream. The snapshot is sampled on the
+   * server and an event is pushed only when its payload changes; heartbeats keep idle
+   * connections open. Sampling starts every 250ms and slows down to every 5 seconds while
+   * nothing changes, so idle connections cost little. The stream ends when the snapshot
+   * fails, e.g. once the session expires.
+   */
+  private def statusEventStream[R](snapshot: ZIO[R, DomainError, List[(String, String)]]): ZStream[R, Nothing, ServerSentEvent[String]] = {
+    val fastestSampling = 250.millis
+    val slowestSampling = 5.seconds
+    
+    val updates = ZStream
+      .unfoldZIO((Map.empty[String, String], Duration.Zero)) { case (lastSent, delay) =>
+        (ZIO.sleep(delay).when(!delay.isZero) *> snapshot).fold(
+          _ => None,
+          events => {
+            val changed = events.filterNot { case (eventType, data) => lastSent.get(eventType).contains(data) }
+            val nextDelay =
+              if (changed.nonEmpty) fastestSampling
+              else (delay * 2).max(fastestSampling).min(slowestSampling)
+            Some((changed, (lastSent ++ events, nextDelay)))
+          }
+        )
+      }
+      .mapConcat(identity)
+      .map { case (eventType, data) => ServerSentEvent(data, eventType = Some(eventType)) }
+    
+    val heartbeats = ZStream.tick(15.seconds).as(ServerSentEvent("{}", eventType = Some("heartbeat")))
+    
+    updates.mergeHaltLeft(heartbeats)
+  }
+
+  /**
+   * Validate an uploaded temporary file, load it as a PDF and attach it to a new session.
+   */
+  private def registerUpload(uploadInfo: UploadInfo): ZIO[SessionManagementService & FileManagementService & PdfProcessingService, DomainError, UploadResponse] =
+    for {
+      // Create new session for upload tracking
+      session <- SessionManagementService.createSession()
+      
+      // Validate file size and format
+      tempFile = new File(uploadInfo.tempPath)
+      _ <- FileManagementService.validateFile(tempFile)
+      
+      // Store uploaded file using FileManagementService
+      storedFile <- FileManagementService.storeUploadedFile(uploadInfo)
+      
+      // Load PDF document and get metadata, then override filename with original and store source path
+      basePdfDocument <- PdfProcessingService.loadPdf(storedFile)
+      pdfDocument = basePdfDocument.copy(
+        filename = uploadInfo.filename,
+        sourceFilePath = Some(storedFile.getAbsolutePath)
+      )
+      
+      // Update session with uploaded document
+      _ <- SessionManagementService.updateSessionWithDocument(session.sessionId, pdfDocument)
+      
+      _ <- ZIO.logInfo(s"File upload successful: ${uploadInfo.filename} (${uploadInfo.size} bytes) in session ${session.sessionId}")
+    } yield UploadResponse(
+      success = true,
+      sessionId = session.sessionId,
+      documentId = Some(pdfDocument.id),
+      message = s"File '${uploadInfo.filename}' uploaded successfully"
+    )
+
+  /**
+   * Error response shared by the chunk status and append endpoints. Offset mismatches
+   * report the bytes actually received so the client can continue from there.
+   */
+  private def chunkedUploadErrorResponse(uploadId: String, error: DomainError): ZIO[TempFileManagementService, Nothing, Response] =
+    for {
+      _ <- ZIO.logError(s"Chunked upload $uploadId failed: $error")
+      receivedBytes <- TempFileManagementService.getPartialUploadSize(uploadId).orElseSucceed(0L)
+    } yield {
+      val (status, message) = error match {
+        case DomainError.DocumentNotFound(_) => (Status.NotFound, "Upload not found or expired")
+        case DomainError.InvalidConfiguration(errors) => (Status.Conflict, errors.mkString(", "))
+        case DomainError.FileSizeExceeded(_, max) if max == ConfigConstraints.UploadChunkSizeBytes =>
+          (Status.BadRequest, s"Upload chunks can be at most $max bytes")
+        case DomainError.FileSizeExceeded(actual, max) =>
+          (Status.BadRequest, s"File size exceeded: ${actual} bytes (maximum: ${max} bytes)")
+        case DomainError.InternalError(msg) => (Status.InternalServerError, s"Upload failed: $msg")
+        case _ => (Status.InternalServerError, "Upload failed due to an unexpected error")
+      }
+      Response.json(ChunkedUploadResponse(false, uploadId, receivedBytes, message = message).toJson).status(status)
+    }
+
   /**
    * File upload routes with service integration (Tasks 36, 39, 40).
    */
-  val fileUploadRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService, Response] = Routes(
+  val fileUploadRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = Routes(
     // File upload endpoint with multipart handling (Task 36)
     Method.POST / "api" / "upload" -> handler { (req: Request) =>
       for {
         _ <- ZIO.logInfo(s"Received file upload request from ${req.remoteAddress.getOrElse("unknown")}")
         
-        // Create new session for upload tracking
-        session <- SessionManagementService.createSession()
+        // The form is read into memory, so larger files must use the chunked upload.
+        // Requests are refused before reading when even the form encoding cannot explain their size.
+        _ <- ZIO.foreachDiscard(req.header(Header.ContentLength).map(_.length)) { length =>
+          ZIO.when(length > ConfigConstraints.MaxSingleUploadBytes + 1024 * 1024)(
+            ZIO.fail(DomainError.FileSizeExceeded(length, ConfigConstraints.MaxSingleUploadBytes))
+          )
+        }
         
         // Parse multipart form data
         body <- req.body.asMultipartForm
@@ -635,6 +1713,9 @@ object HttpServer {
             // Extract binary data - simplified approach
             chunk <- fileField.asChunk
             bytes = chunk.toArray
+            _ <- ZIO.when(bytes.length > ConfigConstraints.MaxSingleUploadBytes)(
+              ZIO.fail(DomainError.FileSizeExceeded(bytes.length.toLong, ConfigConstraints.MaxSingleUploadBytes))
+            )
             // Create temporary file using TempFileManagementService
             tempFile <- TempFileManagementService.createUploadTempFile(filename)
             // Write file data to temporary location
@@ -643,31 +1724,7 @@ object HttpServer {
           } yield UploadInfo(filename, contentType, bytes.length.toLong, tempFile.getAbsolutePath)
         }
         
-        // Validate file size and format
-        tempFile = new File(uploadInfo.tempPath)
-        _ <- FileManagementService.validateFile(tempFile)
-        
-        // Store uploaded file using FileManagementService
-        storedFile <- FileManagementService.storeUploadedFile(uploadInfo)
-        
-        // Load PDF document and get metadata, then override filename with original and store source path
-        basePdfDocument <- PdfProcessingService.loadPdf(storedFile)
-        pdfDocument = basePdfDocument.copy(
-          filename = uploadInfo.filename,
-          sourceFilePath = Some(storedFile.getAbsolutePath)
-        )
-        
-        // Update session with uploaded document
-        updatedSession <- SessionManagementService.updateSessionWithDocument(session.sessionId, pdfDocument)
-        
-        _ <- ZIO.logInfo(s"File upload successful: ${uploadInfo.filename} (${uploadInfo.size} bytes) in session ${session.sessionId}")
-        
-        response = UploadResponse(
-          success = true,
-          sessionId = session.sessionId,
-          documentId = Some(pdfDocument.id),
-          message = s"File '${uploadInfo.filename}' uploaded successfully"
-        )
+        response <- registerUpload(uploadInfo)
       } yield Response.json(response.toJson)
     }.catchAll { error =>
       Handler.fromZIO {
@@ -678,6 +1735,8 @@ object HttpServer {
             sessionId = "",
             message = error match {
               case DomainError.InvalidFileFormat(msg) => s"Invalid file format: $msg"
+              case DomainError.FileSizeExceeded(actual, max) if max == ConfigConstraints.MaxSingleUploadBytes =>
+                s"File size exceeded: ${actual} bytes (maximum: ${max} bytes per request; upload larger files through /api/upload/chunked)"
               case DomainError.FileSizeExceeded(actual, max) => 
                 s"File size exceeded: ${actual} bytes (maximum: ${max} bytes)"
               case DomainError.InternalError(msg) => s"Upload failed: $msg"
@@ -689,84 +1748,308 @@ object HttpServer {
       }
     },
     
-    // Upload progress tracking endpoint (Task 40)
-    Method.GET / "api" / "upload" / "progress" / string("sessionId") -> handler { (sessionId: String, req: Request) =>
+    // Start a chunked upload - large files are sent in pieces so they can resume
+    Method.POST / "api" / "upload" / "chunked" -> handler { (req: Request) =>
       for {
-        _ <- ZIO.logInfo(s"Progress check requested for session: $sessionId")
-        session <- SessionManagementService.getSession(sessionId)
+        body <- req.body.asString
+        startRequest <- ZIO.fromEither(body.fromJson[ChunkedUploadRequest])
+          .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
         
-        progressResponse = session.uploadedDocument match {
-          case Some(doc) => UploadProgressResponse(
-            sessionId = sessionId,
-            status = doc.status match {
-              case DocumentStatus.Uploaded => "completed"
-              case DocumentStatus.Processing => "processing"
-              case DocumentStatus.Completed => "completed"
-              case DocumentStatus.Failed(reason) => "failed"
-            },
-            progress = doc.status match {
-              case DocumentStatus.Uploaded => 100
-              case DocumentStatus.Processing => 50
-              case DocumentStatus.Completed => 100
-              case DocumentStatus.Failed(_) => 0
-            },
-            message = doc.status match {
-              case DocumentStatus.Uploaded => s"File '${doc.filename}' uploaded successfully"
-              case DocumentStatus.Processing => s"Processing file '${doc.filename}'"
-              case DocumentStatus.Completed => s"File '${doc.filename}' processed successfully"
-              case DocumentStatus.Failed(reason) => s"Processing failed: $reason"
-            }
-          )
-          case None => UploadProgressResponse(
-            sessionId = sessionId,
-            status = "no_upload",
-            progress = 0,
-            message = "No file uploaded in this session"
-          )
-        }
-      } yield Response.json(progressResponse.toJson)
+        _ <- ZIO.cond(
+          startRequest.filename.toLowerCase.endsWith(".pdf"),
+          (),
+          DomainError.InvalidFileFormat("Only PDF files are supported")
+        )
+        _ <- ZIO.cond(
+          startRequest.size > 0 && startRequest.size <= ConfigConstraints.MaxFileSizeBytes,
+          (),
+          DomainError.FileSizeExceeded(startRequest.size, ConfigConstraints.MaxFileSizeBytes)
+        )
+        
+        uploadId <- TempFileManagementService.createPartialUpload()
+        
+        _ <- ZIO.logInfo(s"Started chunked upload $uploadId for ${startRequest.filename} (${startRequest.size} bytes)")
+        
+        response = ChunkedUploadResponse(
+          success = true,
+          uploadId = uploadId,
+          message = s"Upload of '${startRequest.filename}' started"
+        )
+      } yield Response.json(response.toJson)
     }.catchAll { error =>
       Handler.fromZIO {
-        ZIO.logError(s"Progress check failed: $error") *>
+        ZIO.logError(s"Chunked upload start failed: $error") *>
         ZIO.succeed {
-          val errorResponse = UploadProgressResponse(
-            sessionId = "unknown",
-            status = "error",
-            progress = 0,
+          val errorResponse = ChunkedUploadResponse(
+            success = false,
+            uploadId = "",
             message = error match {
-              case DomainError.SessionNotFound(_) => "Session not found"
-              case _ => "Failed to retrieve progress information"
+              case DomainError.InvalidFileFormat(msg) => s"Invalid file format: $msg"
+              case DomainError.FileSizeExceeded(actual, max) =>
+                s"File size exceeded: ${actual} bytes (maximum: ${max} bytes)"
+              case DomainError.InvalidConfiguration(errors) => s"Invalid request: ${errors.mkString(", ")}"
+              case DomainError.InternalError(msg) => s"Upload failed: $msg"
+              case _ => "Upload failed due to an unexpected error"
             }
           )
-          Response.json(errorResponse.toJson).status(Status.NotFound)
+          Response.json(errorResponse.toJson).status(Status.BadRequest)
         }
       }
-    }
-  )
-
-  /**
-   * Routes with logging middleware (Task 33).
-   */
-  val routesWithLogging: Routes[Any, Response] = Routes(
-    // Health check endpoint with logging (Task 32)
-    Method.GET / "health" -> handler { (req: Request) =>
-      for {
-        _ <- logRequest(req)
-        timestamp = java.time.Instant.now().toString
-        healthResponse = HealthResponse("healthy", timestamp)
-      } yield Response.json(healthResponse.toJson)
     },
-
-    // API health check with logging
-    Method.GET / "api" / "health" -> handler { (req: Request) =>
+    
+    // Chunked upload status - lets an interrupted upload resume from the received bytes
+    Method.GET / "api" / "upload" / "chunked" / string("uploadId") -> handler { (uploadId: String, req: Request) =>
       for {
-        _ <- logRequest(req)
-        timestamp = java.time.Instant.now().toString
-        healthResponse = HealthResponse("healthy", timestamp)
-      } yield Response.json(healthResponse.toJson)
+        receivedBytes <- TempFileManagementService.getPartialUploadSize(uploadId)
+        response = ChunkedUploadResponse(
+          success = true,
+          uploadId = uploadId,
+          receivedBytes = receivedBytes,
+          message = s"$receivedBytes bytes received"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO(chunkedUploadErrorResponse(uploadId, error))
     },
-
-    // Root endpoint with logging - serve static index.html
+    
+    // Append a chunk at the given byte offset
+    Method.PUT / "api" / "upload" / "chunked" / string("uploadId") / long("offset") -> handler { (uploadId: String, offset: Long, req: Request) =>
+      for {
+        // Chunks are read into memory, so oversized chunks and unknown uploads are refused before reading
+        _ <- ZIO.foreachDiscard(req.header(Header.ContentLength).map(_.length)) { length =>
+          ZIO.when(length > ConfigConstraints.UploadChunkSizeBytes)(
+            ZIO.fail(DomainError.FileSizeExceeded(length, ConfigConstraints.UploadChunkSizeBytes.toLong))
+          )
+        }
+        _ <- TempFileManagementService.getPartialUploadSize(uploadId)
+        
+        // Without a Content-Length, reading stops one byte past the chunk size
+        content <- req.body.asStream
+          .take(ConfigConstraints.UploadChunkSizeBytes.toLong + 1)
+          .runCollect
+          .mapBoth(err => DomainError.InternalError(s"Failed to read upload chunk: ${err.getMessage}"), _.toArray)
+        _ <- ZIO.when(content.length > ConfigConstraints.UploadChunkSizeBytes)(
+          ZIO.fail(DomainError.FileSizeExceeded(content.length.toLong, ConfigConstraints.UploadChunkSizeBytes.toLong))
+        )
+        receivedBytes <- TempFileManagementService.appendToPartialUpload(uploadId, offset, content)
+        response = ChunkedUploadResponse(
+          success = true,
+          uploadId = uploadId,
+          receivedBytes = receivedBytes,
+          message = s"$receivedBytes bytes received"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO(chunkedUploadErrorResponse(uploadId, error))
+    },
+    
+    // Finish a chunked upload and register the file like a regular upload
+    Method.POST / "api" / "upload" / "chunked" / string("uploadId") / "complete" -> handler { (uploadId: String, req: Request) =>
+      for {
+        body <- req.body.asString
+        completeRequest <- ZIO.fromEither(body.fromJson[ChunkedUploadRequest])
+          .mapError(error => DomainError.InvalidFileFormat(s"Invalid completion request: $error"))
+        
+        receivedBytes <- TempFileManagementService.getPartialUploadSize(uploadId)
+        _ <- ZIO.cond(
+          receivedBytes == completeRequest.size,
+          (),
+          DomainError.InvalidConfiguration(List(s"Upload incomplete: received $receivedBytes of ${completeRequest.size} bytes"))
+        )
+        
+        tempFile <- TempFileManagementService.completePartialUpload(uploadId, completeRequest.filename)
+        uploadInfo = UploadInfo(completeRequest.filename, "application/pdf", receivedBytes, tempFile.getAbsolutePath)
+        
+        // Files that turn out not to be valid PDFs are discarded rather than kept until cleanup
+        response <- registerUpload(uploadInfo)
+          .tapError(_ => TempFileManagementService.cleanupFile(tempFile))
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Chunked upload $uploadId completion failed: $error") *>
+        ZIO.succeed {
+          val (status, message) = error match {
+            case DomainError.DocumentNotFound(_) => (Status.NotFound, "Upload not found or expired")
+            case DomainError.InvalidConfiguration(errors) => (Status.Conflict, errors.mkString(", "))
+            case DomainError.InvalidFileFormat(msg) => (Status.BadRequest, s"Invalid file format: $msg")
+            case DomainError.PdfProcessingError(msg) => (Status.BadRequest, s"Invalid PDF: $msg")
+            case DomainError.FileSizeExceeded(actual, max) =>
+              (Status.BadRequest, s"File size exceeded: ${actual} bytes (maximum: ${max} bytes)")
+            case _ => (Status.InternalServerError, "Upload failed due to an unexpected error")
+          }
+          Response.json(UploadResponse(success = false, sessionId = "", message = message).toJson).status(status)
+        }
+      }
+    },
+    
+    // Cancel a chunked upload and discard the partial data
+    Method.DELETE / "api" / "upload" / "chunked" / string("uploadId") -> handler { (uploadId: String, req: Request) =>
+      for {
+        _ <- TempFileManagementService.discardPartialUpload(uploadId)
+        response = ChunkedUploadResponse(
+          success = true,
+          uploadId = uploadId,
+          message = "Upload cancelled"
+        )
+      } yield Response.json(response.toJson)
+    },
+    
+    // Upload progress tracking endpoint (Task 40)
+    Method.GET / "api" / "upload" / "progress" / string("sessionId") -> handler { (sessionId: String, req: Request) =>
+      for {
+        _ <- ZIO.logInfo(s"Progress check requested for session: $sessionId")
+        session <- SessionManagementService.getSession(sessionId)
+        
+        progressResponse = uploadProgress(sessionId, session)
+      } yield Response.json(progressResponse.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Progress check failed: $error") *>
+        ZIO.succeed {
+          val errorResponse = UploadProgressResponse(
+            sessionId = "unknown",
+            status = "error",
+            progress = 0,
+            message = error match {
+              case DomainError.SessionNotFound(_) => "Session not found"
+              case _ => "Failed to retrieve progress information"
+            }
+          )
+          Response.json(errorResponse.toJson).status(Status.NotFound)
+        }
+      }
+    },
+    
+    // Session state endpoint - lets the web interface resume a session after a reload
+    Method.GET / "api" / "session" / string("sessionId") -> handler { (sessionId: String, req: Request) =>
+      for {
+        session <- SessionManagementService.getSession(sessionId)
+        state = sessionState(sessionId, session)
+        _ <- ZIO.logInfo(s"Session state for $sessionId: ${state.status}")
+      } yield Response.json(state.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Session state check failed: $error") *>
+        ZIO.succeed {
+          val (status, state) = error match {
+            case DomainError.SessionNotFound(_) =>
+              (Status.NotFound, SessionStateResponse("unknown", valid = false, status = "expired", message = "Your upload has expired. Please upload the file again."))
+            case _ =>
+              (Status.InternalServerError, SessionStateResponse("unknown", valid = false, status = "error", message = "Failed to check the session"))
+          }
+          Response.json(state.toJson).status(status)
+        }
+      }
+    },
+    
+    // Release a session the web interface no longer needs, together with its files
+    Method.DELETE / "api" / "session" / string("sessionId") -> handler { (sessionId: String, req: Request) =>
+      for {
+        session <- SessionManagementService.removeSessionUnlessProcessing(sessionId)
+        
+        // With keepOutput the processed file stays for the job history until the temp file retention rules purge it
+        files = if (req.queryParam("keepOutput").contains("true"))
+          session.uploadedDocument.flatMap(_.sourceFilePath).map(new File(_)).toList
+        else documentFiles(session)
+        _ <- TempFileManagementService.cleanupFiles(files)
+        _ <- ZIO.logInfo(s"Released session $sessionId and ${files.size} file(s)")
+      } yield Response.json(SessionStateResponse(sessionId, valid = false, status = "released", message = "Session released").toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Session release failed: $error") *>
+        ZIO.succeed {
+          val (status, state) = error match {
+            case DomainError.SessionNotFound(_) =>
+              (Status.NotFound, SessionStateResponse("unknown", valid = false, status = "expired", message = "Session not found"))
+            case DomainError.InvalidConfiguration(errors) =>
+              (Status.Conflict, SessionStateResponse("unknown", valid = true, status = "processing", message = errors.mkString(", ")))
+            case _ =>
+              (Status.InternalServerError, SessionStateResponse("unknown", valid = false, status = "error", message = "Failed to release the session"))
+          }
+          Response.json(state.toJson).status(status)
+        }
+      }
+    },
+    
+    // Page image endpoint - renders a page of the uploaded or the watermarked document for the comparison viewer
+    Method.GET / "api" / "session" / string("sessionId") / "pages" / int("page") -> handler { (sessionId: String, page: Int, req: Request) =>
+      for {
+        version <- ZIO.succeed(req.queryParam("version").getOrElse("original"))
+        _ <- ZIO.unless(version == "original" || version == "watermarked")(
+          ZIO.fail(DomainError.InvalidConfiguration(List(s"Unknown page version: $version")))
+        )
+        dpi <- ZIO.fromOption(req.queryParam("dpi").fold(Option(72.0))(_.toDoubleOption).filter(ConfigConstraints.isValidPageImageDpi))
+          .orElseFail(DomainError.InvalidConfiguration(List(
+            s"Resolution must be between ${ConfigConstraints.MinPageImageDpi} and ${ConfigConstraints.MaxPageImageDpi} dpi"
+          )))
+        
+        session <- SessionManagementService.getSession(sessionId)
+        document <- ZIO.fromOption(session.uploadedDocument)
+          .orElseFail(DomainError.InvalidConfiguration(List("No document uploaded in session")))
+        _ <- ZIO.cond(
+          page >= 1 && page <= document.pageCount,
+          (),
+          DomainError.InvalidConfiguration(List(s"Page $page is out of range (1-${document.pageCount})"))
+        )
+        
+        // The watermarked version only exists once the last watermark job has completed
+        watermarked = version == "watermarked"
+        _ <- ZIO.when(watermarked && document.status != DocumentStatus.Completed)(
+          ZIO.fail(DomainError.DocumentNotFound(s"The watermarked document of session $sessionId is not ready"))
+        )
+        
+        image <- PdfProcessingService.renderDocumentPage(document, page, watermarked, dpi.toFloat)
+      } yield Response(
+        status = Status.Ok,
+        headers = Headers(
+          Header.ContentType(MediaType.image.png),
+          // Reprocessing replaces the watermarked version; the original never changes
+          Header.Custom("Cache-Control", if (watermarked) "no-store" else "private, max-age=3600"),
+          Header.Custom("X-Page-Number", page.toString),
+          Header.Custom("X-Page-Count", document.pageCount.toString)
+        ),
+        body = Body.fromArray(image)
+      )
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Page rendering failed: $error") *>
+        ZIO.succeed {
+          val (status, message) = error match {
+            case DomainError.SessionNotFound(_) => (Status.NotFound, "Session not found")
+            case DomainError.DocumentNotFound(_) => (Status.NotFound, "The watermarked document is not ready")
+            case DomainError.InvalidConfiguration(errors) => (Status.BadRequest, errors.mkString(", "))
+            case DomainError.PdfProcessingError(msg) => (Status.InternalServerError, msg)
+            case _ => (Status.InternalServerError, "Failed to render the page")
+          }
+          Response.text(message).status(status)
+        }
+      }
+    }
+  )
+
+  /**
+   * Routes with logging middleware (Task 33).
+   */
+  val routesWithLogging: Routes[Any, Response] = Routes(
+    // Health check endpoint with logging (Task 32)
+    Method.GET / "health" -> handler { (req: Request) =>
+      for {
+        _ <- logRequest(req)
+        timestamp = java.time.Instant.now().toString
+        healthResponse = HealthResponse("healthy", timestamp)
+      } yield Response.json(healthResponse.toJson)
+    },
+
+    // API health check with logging
+    Method.GET / "api" / "health" -> handler { (req: Request) =>
+      for {
+        _ <- logRequest(req)
+        timestamp = java.time.Instant.now().toString
+        healthResponse = HealthResponse("healthy", timestamp)
+      } yield Response.json(healthResponse.toJson)
+    },
+
+    // Root endpoint with logging - serve static index.html
     Method.GET / "" -> handler { (req: Request) =>
       for {
         _ <- logRequest(req)
@@ -788,8 +2071,8 @@ object HttpServer {
   /**
    * Download routes for processed files with progress tracking and cleanup (Tasks 60, 61).
    */
-  val downloadRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService, Response] = Routes(
-    // Download processed PDF endpoint with streaming and progress tracking (Task 60)
+  val downloadRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = Routes(
+    // Download processed PDF endpoint, streamed with progress tracking and resumable with a Range header (Task 60)
     Method.GET / "api" / "download" / string("sessionId") -> handler { (sessionId: String, req: Request) =>
       for {
         _ <- ZIO.logInfo(s"Download requested for session: $sessionId")
@@ -806,8 +2089,8 @@ object HttpServer {
           case DocumentStatus.Uploaded => ZIO.fail(DomainError.PdfProcessingError("Document has not been processed yet"))
         }
         
-        // Generate processed filename
-        processedFilename <- FileManagementService.generateProcessedFilename(document.filename)
+        // Name the file after the requested pattern, or the default processed filename
+        processedFilename <- downloadFilename(req, document.filename, sessionId)
         
         // Get processed file path from document
         processedFilePath <- ZIO.fromOption(document.processedFilePath)
@@ -818,28 +2101,33 @@ object HttpServer {
         _ <- ZIO.cond(processedFile.exists(), (), DomainError.DocumentNotFound(s"Processed file not found for session $sessionId"))
         
         fileSize = processedFile.length()
+        offset = resumeOffset(req, fileSize)
         
-        // Create download session for progress tracking
-        _ <- DownloadTrackingService.createDownloadSession(sessionId, document.id, processedFilename, fileSize)
-        
-        // Read file content for now (streaming can be enhanced later with proper file streaming)
-        fileBytes <- ZIO.attempt(java.nio.file.Files.readAllBytes(processedFile.toPath))
-          .mapError(err => DomainError.InternalError(s"Failed to read processed file: ${err.getMessage}"))
+        // Create download session for progress tracking; a resumed download continues the tracked one
+        existingDownload <- DownloadTrackingService.getDownloadSession(sessionId).option
+        _ <- existingDownload match {
+          case Some(_) if offset > 0 => DownloadTrackingService.updateDownloadProgress(sessionId, offset)
+          case _ =>
+            DownloadTrackingService.createDownloadSession(sessionId, document.id, processedFilename, fileSize) *>
+              ZIO.when(offset > 0)(DownloadTrackingService.updateDownloadProgress(sessionId, offset))
+        }
         
-        // Update download progress to completed
-        _ <- DownloadTrackingService.completeDownload(sessionId)
+        tracking <- ZIO.service[DownloadTrackingService]
         
-        _ <- ZIO.logInfo(s"Starting streaming download for session $sessionId: $processedFilename (${fileSize} bytes)")
+        _ <- ZIO.logInfo(s"Starting streaming download for session $sessionId: $processedFilename (${fileSize} bytes from offset $offset)")
         
       } yield Response(
-        status = Status.Ok,
+        status = if (offset > 0) Status.PartialContent else Status.Ok,
         headers = Headers(
           Header.ContentType(MediaType.application.pdf),
-          Header.Custom("Content-Disposition", s"""attachment; filename="$processedFilename""""),
-          Header.Custom("Content-Length", fileSize.toString),
+          attachmentHeader(processedFilename),
+          Header.Custom("Content-Length", (fileSize - offset).toString),
           Header.Custom("Accept-Ranges", "bytes")
+        ) ++ (
+          if (offset > 0) Headers(Header.Custom("Content-Range", s"bytes $offset-${fileSize - 1}/$fileSize"))
+          else Headers.empty
         ),
-        body = Body.fromArray(fileBytes)
+        body = Body.fromStream(trackedFileStream(sessionId, processedFile, offset, tracking), fileSize - offset)
       )
     }.catchAll { error =>
       Handler.fromZIO {
@@ -849,6 +2137,7 @@ object HttpServer {
             case DomainError.SessionNotFound(_) => (Status.NotFound, "Session not found")
             case DomainError.DocumentNotFound(_) => (Status.NotFound, "Document not found or not ready for download")
             case DomainError.PdfProcessingError(msg) => (Status.BadRequest, s"Processing error: $msg")
+            case DomainError.InvalidConfiguration(errors) => (Status.BadRequest, errors.mkString(", "))
             case _ => (Status.InternalServerError, "Download failed")
           }
           Response.text(message).status(status)
@@ -860,32 +2149,31 @@ object HttpServer {
     Method.GET / "api" / "download" / "progress" / string("sessionId") -> handler { (sessionId: String, req: Request) =>
       for {
         _ <- ZIO.logInfo(s"Download progress requested for session: $sessionId")
-        progressResponse <- DownloadTrackingService.getDownloadProgress(sessionId)
+        keepMinutes <- ZIO.fromOption(
+          req.queryParam("keepMinutes").fold(Option(0))(_.toIntOption).filter(ConfigConstraints.isValidDownloadRetention)
+        ).orElseFail(DomainError.InvalidConfiguration(List(
+          s"Files can be kept for 0 to ${ConfigConstraints.MaxDownloadRetentionMinutes} minutes"
+        )))
+        downloadSession <- DownloadTrackingService.getDownloadSession(sessionId)
         
-        // Trigger file cleanup if download is completed (Task 61)
-        _ <- progressResponse.status match {
-          case "completed" =>
+        // Trigger file cleanup once the download is completed, right away or after the minutes the files are kept (Task 61)
+        _ <- (downloadSession.status, downloadSession.cleanupAt) match {
+          case (DownloadStatus.Completed, None) =>
             for {
-              _ <- ZIO.logInfo(s"Download completed for session $sessionId, initiating cleanup")
-              session <- SessionManagementService.getSession(sessionId)
-              document <- ZIO.fromOption(session.uploadedDocument)
-                .orElseFail(DomainError.DocumentNotFound(s"No document in session $sessionId"))
-              
-              // Cleanup processed file
-              processedFilePath = s"/tmp/processed_${document.id}.pdf"
-              processedFile = new java.io.File(processedFilePath)
-              _ <- TempFileManagementService.cleanupFile(processedFile)
-              
-              // Cleanup original uploaded file if it exists
-              uploadedFilePath = s"/tmp/${document.id}"
-              uploadedFile = new java.io.File(uploadedFilePath)
-              _ <- TempFileManagementService.cleanupFile(uploadedFile)
-              
-              _ <- ZIO.logInfo(s"Cleanup completed for session $sessionId")
+              // The files are those downloaded now, not whatever the session holds when the cleanup runs
+              session <- SessionManagementService.getSession(sessionId).option
+              files = session.toList.flatMap(documentFiles)
+              scheduled <- DownloadTrackingService.scheduleCleanup(sessionId, java.time.Instant.now().plusSeconds(keepMinutes * 60L))
+              _ <- ZIO.foreachDiscard(scheduled) { _ =>
+                val cleanup = cleanupSessionFiles(sessionId, files)
+                ZIO.logInfo(s"Download completed for session $sessionId, cleanup in $keepMinutes minute(s)") *>
+                  (if (keepMinutes == 0) cleanup else cleanup.delay(Duration.fromSeconds(keepMinutes * 60L)).forkDaemon.unit)
+              }
             } yield ()
           case _ => ZIO.unit
         }
         
+        progressResponse <- DownloadTrackingService.getDownloadProgress(sessionId)
       } yield Response.json(progressResponse.toJson)
     }.catchAll { error =>
       Handler.fromZIO {
@@ -893,6 +2181,7 @@ object HttpServer {
         ZIO.succeed {
           val (status, message) = error match {
             case DomainError.SessionNotFound(_) => (Status.NotFound, "Download session not found")
+            case DomainError.InvalidConfiguration(errors) => (Status.BadRequest, errors.mkString(", "))
             case _ => (Status.InternalServerError, "Failed to get download progress")
           }
           Response.text(message).status(status)
@@ -901,18 +2190,490 @@ object HttpServer {
     }
   )
 
+  /**
+   * Name of a downloaded file: the `pattern` query parameter resolved for the document,
+   * or the default processed filename when the request has none.
+   */
+  private def downloadFilename(req: Request, originalFilename: String, sessionId: String): ZIO[FileManagementService, DomainError, String] =
+    req.queryParam("pattern") match {
+      case Some(pattern) =>
+        ZIO.fromEither(OutputFilenames.resolve(pattern, originalFilename, sessionId, java.time.ZonedDateTime.now()))
+          .mapError(DomainError.InvalidConfiguration(_))
+      case None => FileManagementService.generateProcessedFilename(originalFilename)
+    }
+
+  /**
+   * Content-Disposition header for a downloaded file. The name is also sent percent-encoded,
+   * so names outside ASCII survive; the plain name is the fallback for older clients.
+   */
+  private def attachmentHeader(filename: String): Header = {
+    val fallback = filename.map(c => if (c < ' ' || c > '~' || c == '"' || c == '\\') '_' else c)
+    val encoded = java.net.URLEncoder.encode(filename, StandardCharsets.UTF_8).replace("+", "%20")
+    Header.Custom("Content-Disposition", s"""attachment; filename="$fallback"; filename*=UTF-8''$encoded""")
+  }
+
+  private val ResumeRange = """bytes=(\d+)-""".r
+
+  /**
+   * Offset of a `Range: bytes=<offset>-` header, sent when resuming an interrupted download.
+   * Other range forms and offsets beyond the file are ignored, so the whole file is sent.
+   */
+  private def resumeOffset(req: Request, fileSize: Long): Long =
+    req.rawHeader("Range")
+      .collect { case ResumeRange(offset) => offset.toLongOption }
+      .flatten
+      .filter(offset => offset > 0 && offset < fileSize)
+      .getOrElse(0L)
+
+  /**
+   * The bytes of a file from an offset on, reporting the bytes sent to the download tracker
+   * as they go out. The download is completed after the last byte and failed on an error.
+   */
+  private def trackedFileStream(sessionId: String, file: File, offset: Long, tracking: DownloadTrackingService): ZStream[Any, Throwable, Byte] =
+    ZStream
+      .fromInputStreamScoped(ZIO.fromAutoCloseable(ZIO.attemptBlockingIO {
+        val input = new java.io.FileInputStream(file)
+        input.getChannel.position(offset)
+        input
+      }))
+      .chunks
+      .mapAccumZIO(offset) { (sent, chunk) =>
+        val total = sent + chunk.length
+        tracking.updateDownloadProgress(sessionId, total).ignore.as((total, chunk))
+      }
+      .flattenChunks
+      .concat(ZStream.fromZIO(tracking.completeDownload(sessionId).ignore).drain)
+      .tapError(error => tracking.failDownload(sessionId, error.getMessage).ignore)
+
+  /**
+   * Delete the uploaded and processed files of a session after its download (Task 61).
+   * The session remains and reports itself as expired from then on.
+   */
+  private def cleanupSessionFiles(sessionId: String, files: List[File]): URIO[TempFileManagementService, Unit] =
+    TempFileManagementService.cleanupFiles(files) *>
+      ZIO.logInfo(s"Cleanup completed for session $sessionId: ${files.size} file(s) removed")
+
+  /**
+   * The uploaded and processed files of a session's document.
+   */
+  private def documentFiles(session: UserSession): List[File] =
+    session.uploadedDocument.toList
+      .flatMap(document => document.sourceFilePath.toList ++ document.processedFilePath.toList)
+      .map(new File(_))
+
+  /**
+   * Status event routes that push progress to the browser over Server-Sent Events
+   * instead of having it poll the status endpoints.
+   */
+  val eventRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = Routes(
+    // Upload, processing and download events for a session
+    Method.GET / "api" / "events" / string("sessionId") -> handler { (sessionId: String, req: Request) =>
+      for {
+        _ <- SessionManagementService.getSession(sessionId)
+        _ <- ZIO.logInfo(s"Status event stream opened for session: $sessionId")
+        environment <- ZIO.environment[SessionManagementService & DownloadTrackingService]
+        events = statusEventStream(sessionEvents(sessionId)).provideEnvironment(environment)
+      } yield Response.fromServerSentEvents(events)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Status event stream failed: $error") *>
+        ZIO.succeed {
+          val (status, message) = error match {
+            case DomainError.SessionNotFound(_) => (Status.NotFound, "Session not found")
+            case _ => (Status.InternalServerError, "Failed to open status event stream")
+          }
+          Response.text(message).status(status)
+        }
+      }
+    },
+    
+    // Processing events for every file in a batch
+    Method.GET / "api" / "batch" / string("batchId") / "events" -> handler { (batchId: String, req: Request) =>
+      for {
+        _ <- SessionManagementService.getBatch(batchId)
+        _ <- ZIO.logInfo(s"Status event stream opened for batch: $batchId")
+        environment <- ZIO.environment[SessionManagementService & FileManagementService]
+        snapshot = SessionManagementService.getBatch(batchId)
+          .flatMap(batchStatus)
+          .map(status => List("processing" -> status.toJson))
+        events = statusEventStream(snapshot).provideEnvironment(environment)
+      } yield Response.fromServerSentEvents(events)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Batch status event stream failed: $error") *>
+        ZIO.succeed {
+          val (status, message) = error match {
+            case DomainError.SessionNotFound(_) => (Status.NotFound, "Batch not found")
+            case _ => (Status.InternalServerError, "Failed to open status event stream")
+          }
+          Response.text(message).status(status)
+        }
+      }
+    }
+  )
+
+  /**
+   * Batch routes for watermarking many uploaded files with one configuration.
+   */
+  val batchRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = Routes(
+    // Create batch endpoint - groups the sessions of individually uploaded files
+    Method.POST / "api" / "batch" -> handler { (req: Request) =>
+      for {
+        body <- req.body.asString
+        createRequest <- ZIO.fromEither(body.fromJson[BatchCreateRequest])
+          .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
+        sessionIds = createRequest.sessionIds.distinct
+        
+        _ <- ZIO.cond(
+          sessionIds.nonEmpty && sessionIds.length <= ConfigConstraints.MaxBatchFiles,
+          (),
+          DomainError.InvalidConfiguration(List(s"A batch must contain between 1 and ${ConfigConstraints.MaxBatchFiles} files"))
+        )
+        
+        // Every session in the batch must already hold an uploaded document
+        _ <- ZIO.foreachDiscard(sessionIds) { sessionId =>
+          SessionManagementService.getSession(sessionId).flatMap { session =>
+            ZIO.fromOption(session.uploadedDocument)
+              .orElseFail(DomainError.InvalidConfiguration(List(s"No document uploaded in session $sessionId")))
+          }
+        }
+        
+        batch <- SessionManagementService.createBatch(sessionIds)
+        
+        _ <- ZIO.logInfo(s"Created batch ${batch.batchId} with ${sessionIds.length} files")
+        
+        response = BatchResponse(
+          success = true,
+          batchId = batch.batchId,
+          fileCount = sessionIds.length,
+          message = s"Batch of ${sessionIds.length} files created"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Batch creation failed: $error") *>
+        ZIO.succeed {
+          val errorResponse = BatchResponse(
+            success = false,
+            batchId = "",
+            message = error match {
+              case DomainError.SessionNotFound(sessionId) => s"Session not found: $sessionId"
+              case DomainError.InvalidConfiguration(errors) => s"Invalid batch: ${errors.mkString(", ")}"
+              case _ => "Failed to create batch"
+            }
+          )
+          Response.json(errorResponse.toJson).status(Status.BadRequest)
+        }
+      }
+    },
+    
+    // Apply watermark to every file in a batch
+    Method.POST / "api" / "batch" / string("batchId") / "apply" -> handler { (batchId: String, req: Request) =>
+      for {
+        body <- req.body.asString
+        applyRequest <- ZIO.fromEither(body.fromJson[BatchApplyRequest])
+          .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
+        owner <- ZIO.foreach(applyRequest.ownerId)(validateOwnerId)
+        
+        layers <- convertFrontendLayers(applyRequest.config, applyRequest.layers)
+        batch <- SessionManagementService.getBatch(batchId)
+        
+        // Check every file before changing any of them, so that a bad file leaves the whole batch as it was
+        documents <- ZIO.foreach(batch.sessionIds) { sessionId =>
+          for {
+            session <- SessionManagementService.getSession(sessionId)
+            document <- ZIO.fromOption(session.uploadedDocument)
+              .orElseFail(DomainError.InvalidConfiguration(List(s"No document uploaded in session $sessionId")))
+            _ <- ZIO.foreachDiscard(layers)(layer => PdfProcessor.resolvePageSelection(layer.pages, document.pageCount)).mapError {
+              case DomainError.InvalidConfiguration(errors) => DomainError.InvalidConfiguration(errors.map(error => s"${document.filename}: $error"))
+              case other => other
+            }
+          } yield (sessionId, document)
+        }
+        _ <- ZIO.when(documents.exists(_._2.status == DocumentStatus.Processing))(ZIO.fail(BatchInProgress(batchId)))
+        
+        _ <- SessionManagementService.updateBatchConfig(batchId, layers.head, layers.tail)
+        
+        // Mark every file as processing before the background job starts. Marking fails for a
+        // file another apply started meanwhile, or a session that disappeared; the files this
+        // request already marked are then put back as they were
+        marked <- Ref.make(List.empty[String])
+        _ <- ZIO.foreachDiscard(documents) { case (sessionId, _) =>
+          SessionManagementService.markProcessing(sessionId).someOrFail(BatchInProgress(batchId)) *>
+            marked.update(sessionId :: _) *>
+            SessionManagementService.updateSessionWithConfig(sessionId, layers.head, layers.tail)
+        }.onError { _ =>
+          marked.get.flatMap { markedIds =>
+            ZIO.foreachDiscard(documents.filter { case (sessionId, _) => markedIds.contains(sessionId) }) { case (sessionId, document) =>
+              SessionManagementService.updateDocumentStatus(sessionId, document.status).ignore
+            }
+          }
+        }
+        
+        // Every file is a job of its own in the job history
+        _ <- ZIO.foreachDiscard(owner) { ownerId =>
+          ZIO.foreachDiscard(documents) { case (sessionId, document) =>
+            JobHistoryService.recordJob(ownerId, s"$batchId-$sessionId", sessionId, document.filename, (applyRequest.config :: applyRequest.layers).toJson)
+          }
+        }
+        
+        // Process files one at a time in the background; a failed file does not stop the rest
+        _ <- ZIO.foreachDiscard(documents) { case (sessionId, document) =>
+          runWatermarkJob(sessionId, document, layers, s"$batchId-$sessionId").ignore
+        }.forkDaemon
+        
+        _ <- ZIO.logInfo(s"Started watermark processing for batch $batchId (${documents.length} files)")
+        
+        response = BatchResponse(
+          success = true,
+          batchId = batchId,
+          fileCount = documents.length,
+          message = s"Watermark processing started for ${documents.length} files"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Batch apply failed: $error") *>
+        ZIO.succeed {
+          val errorResponse = BatchResponse(
+            success = false,
+            batchId = "",
+            message = error match {
+              case DomainError.SessionNotFound(id) => s"Batch or session not found: $id"
+              case DomainError.InvalidConfiguration(errors) => s"Invalid configuration: ${errors.mkString(", ")}"
+              case invalid: InvalidConfigFields => s"Invalid configuration: ${invalid.messages.mkString(", ")}"
+              case BatchInProgress(_) => "The files of this batch are still being processed"
+              case _ => "Failed to apply watermark to batch"
+            },
+            fieldErrors = error match {
+              case InvalidConfigFields(errors, _) => errors
+              case _ => Nil
+            }
+          )
+          val status = error match {
+            case BatchInProgress(_) => Status.Conflict
+            case _ => Status.BadRequest
+          }
+          Response.json(errorResponse.toJson).status(status)
+        }
+      }
+    },
+    
+    // Batch status endpoint - per-file processing state
+    Method.GET / "api" / "batch" / string("batchId") / "status" -> handler { (batchId: String, req: Request) =>
+      for {
+        batch <- SessionManagementService.getBatch(batchId)
+        statusResponse <- batchStatus(batch)
+      } yield Response.json(statusResponse.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Batch status check failed: $error") *>
+        ZIO.succeed {
+          val errorResponse = BatchStatusResponse(
+            batchId = "unknown",
+            status = "error",
+            progress = 0,
+            total = 0,
+            completed = 0,
+            failed = 0,
+            files = Nil,
+            message = error match {
+              case DomainError.SessionNotFound(_) => "Batch not found"
+              case _ => "Failed to retrieve batch status"
+            }
+          )
+          Response.json(errorResponse.toJson).status(Status.NotFound)
+        }
+      }
+    },
+    
+    // Download all processed files of a batch as a single ZIP archive
+    Method.GET / "api" / "batch" / string("batchId") / "download" -> handler { (batchId: String, req: Request) =>
+      for {
+        _ <- ZIO.logInfo(s"ZIP download requested for batch: $batchId")
+        batch <- SessionManagementService.getBatch(batchId)
+        
+        entries <- ZIO.foreach(batch.sessionIds) { sessionId =>
+          SessionManagementService.getSession(sessionId).flatMap { session =>
+            session.uploadedDocument match {
+              case Some(document) if document.status == DocumentStatus.Completed =>
+                for {
+                  processedFilename <- downloadFilename(req, document.filename, sessionId)
+                  processedFile = document.processedFilePath.map(new java.io.File(_))
+                } yield processedFile.filter(_.exists()).map(processedFilename -> _)
+              case _ => ZIO.succeed(None)
+            }
+          }
+        }.map(_.flatten)
+        
+        _ <- ZIO.cond(entries.nonEmpty, (), DomainError.DocumentNotFound(s"No processed files in batch $batchId"))
+        
+        archive <- zipFiles(entries)
+        archiveSize = archive.length()
+        tempFiles <- ZIO.service[TempFileManagementService]
+        
+        _ <- ZIO.logInfo(s"Sending ZIP of ${entries.length} files for batch $batchId ($archiveSize bytes)")
+        
+      } yield Response(
+        status = Status.Ok,
+        headers = Headers(
+          Header.ContentType(MediaType.application.zip),
+          Header.Custom("Content-Disposition", s"""attachment; filename="watermarked_${entries.length}_files.zip""""),
+          Header.Custom("Content-Length", archiveSize.toString)
+        ),
+        // The archive is removed once it has been sent, or when the client goes away
+        body = Body.fromStream(ZStream.fromFile(archive).ensuring(tempFiles.cleanupFile(archive)), archiveSize)
+      )
+    }.catchAll { error =>
+      Handler.fromZIO {
+        ZIO.logError(s"Batch download failed: $error") *>
+        ZIO.succeed {
+          val (status, message) = error match {
+            case DomainError.SessionNotFound(_) => (Status.NotFound, "Batch not found")
+            case DomainError.DocumentNotFound(_) => (Status.NotFound, "No processed files ready for download")
+            case DomainError.InvalidConfiguration(errors) => (Status.BadRequest, errors.mkString(", "))
+            case _ => (Status.InternalServerError, "Download failed")
+          }
+          Response.text(message).status(status)
+        }
+      }
+    }
+  )
+
+  /**
+   * Preset routes for saving, renaming and deleting named watermark configurations.
+   */
+  val presetRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = Routes(
+    // List the presets saved by a browser install
+    Method.GET / "api" / "presets" / string("ownerId") -> handler { (ownerId: String, req: Request) =>
+      for {
+        owner <- validateOwnerId(ownerId)
+        presets <- PresetService.listPresets(owner)
+        infos <- ZIO.foreach(presets)(toPresetInfo)
+        response = PresetListResponse(
+          success = true,
+          presets = infos,
+          message = s"${infos.length} presets"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO(presetErrorResponse(error))
+    },
+    
+    // Save a preset - a preset with the same name is overwritten
+    Method.POST / "api" / "presets" / string("ownerId") -> handler { (ownerId: String, req: Request) =>
+      for {
+        owner <- validateOwnerId(ownerId)
+        body <- req.body.asString.mapError(error => DomainError.InternalError(s"Failed to read request: ${error.getMessage}"))
+        saveRequest <- ZIO.fromEither(body.fromJson[PresetSaveRequest])
+          .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
+        
+        // Only configurations the server can apply are worth saving
+        _ <- convertFrontendConfig(saveRequest.config)
+          .mapError(errors => DomainError.InvalidConfiguration(errors.map(_.message)))
+        
+        preset <- PresetService.savePreset(owner, saveRequest.name, saveRequest.config.toJson)
+        info <- toPresetInfo(preset)
+        _ <- ZIO.logInfo(s"Saved preset '${preset.name}' for install $owner")
+        response = PresetResponse(
+          success = true,
+          preset = Some(info),
+          message = s"Preset '${preset.name}' saved"
+        )
+      } yield Response.json(response.toJson).status(Status.Created)
+    }.catchAll { error =>
+      Handler.fromZIO(presetErrorResponse(error))
+    },
+    
+    // Rename a preset
+    Method.PUT / "api" / "presets" / string("ownerId") / string("presetId") -> handler { (ownerId: String, presetId: String, req: Request) =>
+      for {
+        owner <- validateOwnerId(ownerId)
+        body <- req.body.asString.mapError(error => DomainError.InternalError(s"Failed to read request: ${error.getMessage}"))
+        renameRequest <- ZIO.fromEither(body.fromJson[PresetRenameRequest])
+          .mapError(error => DomainError.InvalidConfiguration(List(s"Invalid JSON: $error")))
+        preset <- PresetService.renamePreset(owner, presetId, renameRequest.name)
+        info <- toPresetInfo(preset)
+        response = PresetResponse(
+          success = true,
+          preset = Some(info),
+          message = s"Preset renamed to '${preset.name}'"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO(presetErrorResponse(error))
+    },
+    
+    // Delete a preset
+    Method.DELETE / "api" / "presets" / string("ownerId") / string("presetId") -> handler { (ownerId: String, presetId: String, req: Request) =>
+      for {
+        owner <- validateOwnerId(ownerId)
+        _ <- PresetService.deletePreset(owner, presetId)
+        _ <- ZIO.logInfo(s"Deleted preset $presetId for install $owner")
+      } yield Response.json(PresetResponse(success = true, message = "Preset deleted").toJson)
+    }.catchAll { error =>
+      Handler.fromZIO(presetErrorResponse(error))
+    }
+  )
+
+  /**
+   * Job history routes listing the jobs a browser install has run and serving their outputs
+   * until the temp file retention rules purge them.
+   */
+  val jobHistoryRoutes: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = Routes(
+    // List the recent jobs of a browser install
+    Method.GET / "api" / "history" / string("ownerId") -> handler { (ownerId: String, req: Request) =>
+      for {
+        owner <- validateOwnerId(ownerId)
+        jobs <- JobHistoryService.listJobs(owner)
+        infos <- ZIO.foreach(jobs)(toJobInfo)
+        response = JobListResponse(
+          success = true,
+          jobs = infos,
+          message = s"${infos.length} jobs"
+        )
+      } yield Response.json(response.toJson)
+    }.catchAll { error =>
+      Handler.fromZIO(jobHistoryErrorResponse(error))
+    },
+    
+    // Download the output of an earlier job again, named like a regular download
+    Method.GET / "api" / "history" / string("ownerId") / string("jobId") / "download" -> handler { (ownerId: String, jobId: String, req: Request) =>
+      for {
+        owner <- validateOwnerId(ownerId)
+        job <- JobHistoryService.getJob(owner, jobId)
+        expiresAt <- jobOutputExpiry(job)
+        outputFile <- ZIO.fromOption(expiresAt.flatMap(_ => job.outputPath).map(new File(_)))
+          .orElseFail(DomainError.DocumentNotFound(s"Output of job $jobId"))
+        filename <- downloadFilename(req, job.filename, job.sessionId)
+        _ <- ZIO.logInfo(s"Re-download of job $jobId for install $owner: $filename")
+      } yield Response(
+        status = Status.Ok,
+        headers = Headers(
+          Header.ContentType(MediaType.application.pdf),
+          attachmentHeader(filename),
+          Header.Custom("Content-Length", outputFile.length().toString)
+        ),
+        body = Body.fromStream(ZStream.fromFile(outputFile), outputFile.length())
+      )
+    }.catchAll { error =>
+      Handler.fromZIO(jobHistoryErrorResponse(error))
+    }
+  )
+
   /**
    * Complete HTTP application with CORS support (Task 33, 34, 36, 39, 40, 52, 53, 54, 55).
    */
-  val httpApp: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService, Response] = 
-    routesWithLogging ++ fileUploadRoutes ++ watermarkProcessingRoutes ++ downloadRoutes
+  val httpApp: Routes[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService, Response] = 
+    routesWithLogging ++ fileUploadRoutes ++ watermarkProcessingRoutes ++ eventRoutes ++ batchRoutes ++ presetRoutes ++ jobHistoryRoutes ++ downloadRoutes
 
   /**
    * Server configuration and startup (Task 31).
    */
-  def start(config: ServerConfig = ServerConfig()): ZIO[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & Server, Throwable, Nothing] = {
+  def start(config: ServerConfig = ServerConfig()): ZIO[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService & Server, Throwable, Nothing] = {
     for {
       _ <- ZIO.logInfo(s"Starting HTTP server on ${config.host}:${config.port}")
+      _ <- TempFileManagementService.cleanupPeriodically(config.tempFileCleanupInterval).forkDaemon
       result <- Server.serve(httpApp)
     } yield result
   }
@@ -930,7 +2691,7 @@ object HttpServer {
   /**
    * Complete server lifecycle with graceful shutdown (Task 35).
    */
-  def runWithGracefulShutdown(config: ServerConfig = ServerConfig()): ZIO[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & Server, Throwable, ExitCode] = {
+  def runWithGracefulShutdown(config: ServerConfig = ServerConfig()): ZIO[SessionManagementService & FileManagementService & PdfProcessingService & TempFileManagementService & DownloadTrackingService & PresetService & JobHistoryService & Server, Throwable, ExitCode] = {
     start(config).onInterrupt(gracefulShutdown).as(ExitCode.success)
   }
 }
\ No newline at end of file
@@ -8,7 +8,10 @@ import org.apache.pdfbox.Loader
 import org.apache.pdfbox.pdmodel.PDDocument
 import org.apache.pdfbox.pdmodel.PDPage
 import org.apache.pdfbox.pdmodel.common.PDRectangle
-import java.io.{File, IOException}
+import org.apache.pdfbox.rendering.{ImageType, PDFRenderer}
+import java.awt.image.BufferedImage
+import java.io.{ByteArrayOutputStream, File, IOException}
+import javax.imageio.ImageIO
 import java.time.Instant
 
 /**
@@ -124,6 +127,87 @@ object PdfProcessor {
       case other => other
     }
 
+  /**
+   * Render a page as it is stored in the file to a PNG image, for viewing original
+   * and watermarked documents side by side.
+   * 
+   * @param file The PDF file
+   * @param pageNumber The page number (1-based)
+   * @param dpi The rendering resolution, lowered for pages too large to render at it
+   * @return The PNG image bytes or a domain error
+   */
+  def renderPage(file: File, pageNumber: Int, dpi: Float): IO[DomainError, Array[Byte]] =
+    withRenderPermit {
+      ErrorPatterns.safely {
+        val document = Loader.loadPDF(file)
+        try {
+          if (pageNumber < 1 || pageNumber > document.getNumberOfPages) {
+            throw new IllegalArgumentException(s"Page $pageNumber is out of range (1-${document.getNumberOfPages})")
+          }
+        
+          val image = renderImage(document, pageNumber - 1, dpi)
+          val output = new ByteArrayOutputStream()
+          ImageIO.write(image, "png", output)
+          output.toByteArray
+        } finally {
+          document.close()
+        }
+      }.mapError {
+        case DomainError.InternalError(_) =>
+          DomainError.PdfProcessingError(s"Failed to render page $pageNumber")
+        case other => other
+      }
+    }
+
+  /**
+   * Render a page to an image at the given resolution, or at the highest resolution
+   * that keeps the image within the pixel limit, so large pages cannot exhaust memory.
+   * 
+   * @param document The open PDF document
+   * @param pageIndex The page index (0-based)
+   * @param dpi The requested rendering resolution
+   * @return The rendered image
+   */
+  private[pdf] def renderImage(document: PDDocument, pageIndex: Int, dpi: Float): BufferedImage = {
+    val cropBox = document.getPage(pageIndex).getCropBox
+    new PDFRenderer(document).renderImageWithDPI(pageIndex, renderDpi(cropBox.getWidth, cropBox.getHeight, dpi), ImageType.RGB)
+  }
+
+  /**
+   * The resolution a page of the given size in points is rendered at.
+   */
+  private[pdf] def renderDpi(widthPoints: Float, heightPoints: Float, dpi: Float): Float = {
+    val squareInches = (widthPoints / 72.0) * (heightPoints / 72.0)
+    if (squareInches <= 0) dpi
+    else math.min(dpi.toDouble, math.sqrt(ConfigConstraints.MaxRenderedPagePixels / squareInches)).toFloat
+  }
+
+  /**
+   * Run a page render once fewer than the allowed number of renders are in progress.
+   * Page renders hold whole page images in memory, so only a few run at a time.
+   */
+  private[pdf] def withRenderPermit[A](render: IO[DomainError, A]): IO[DomainError, A] =
+    renderPermits.withPermit(render)
+
+  private val renderPermits: Semaphore =
+    Unsafe.unsafe { implicit unsafe =>
+      Semaphore.unsafe.make(ConfigConstraints.MaxConcurrentPageRenders.toLong)
+    }
+
+  /**
+   * Resolve the pages a page selection covers in a document with the given page count.
+   * 
+   * @param selection The page selection from the watermark configuration
+   * @param pageCount The number of pages in the document
+   * @return The selected 1-based page numbers, or a configuration error if the
+   *         selection reaches past the last page or matches no pages
+   */
+  def resolvePageSelection(selection: PageSelection, pageCount: Int): IO[DomainError, List[Int]] =
+    PageSelections.validate(selection, pageCount) match {
+      case Nil => ZIO.succeed(PageSelections.selectedPages(selection, pageCount))
+      case errors => ZIO.fail(DomainError.InvalidConfiguration(errors))
+    }
+
   /**
    * Validate that a PDF file can be opened and read.
    * 
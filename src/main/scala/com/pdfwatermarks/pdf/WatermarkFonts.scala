@@ -0,0 +1,238 @@
+package com.pdfwatermarks.pdf
+
+import com.ibm.icu.text.{ArabicShaping, Bidi}
+import org.apache.fontbox.ttf.{TTFParser, TrueTypeCollection, TrueTypeFont}
+import org.apache.pdfbox.io.RandomAccessReadBufferedFile
+import org.apache.pdfbox.pdmodel.PDDocument
+import org.apache.pdfbox.pdmodel.font.{PDFont, PDType0Font, PDType1Font, Standard14Fonts}
+import java.io.File
+import scala.collection.concurrent.TrieMap
+import scala.collection.mutable
+import scala.util.Try
+
+/**
+ * Font selection for watermark text.
+ *
+ * Text that the standard Helvetica Bold font can encode is drawn with it. Any
+ * other text (Cyrillic, Greek, CJK, Arabic, Hebrew, ...) is drawn with the first
+ * TrueType font on the font path that has a glyph for every character. That font
+ * is embedded as a subset, so the watermark looks the same in every PDF viewer.
+ *
+ * Parsed fonts are not thread-safe, so they are never shared: each document parses
+ * the fonts it embeds and closes them when it is done. Only the characters each
+ * font file covers are kept between documents.
+ *
+ * The font path is read from the `WATERMARK_FONT_PATH` environment variable, a
+ * list of font files or directories separated by the platform path separator,
+ * followed by the usual font locations of Linux, macOS and Windows.
+ */
+object WatermarkFonts {
+
+  /**
+   * Environment variable with additional font files and directories, searched first.
+   */
+  val FontPathVariable = "WATERMARK_FONT_PATH"
+
+  /**
+   * Font files searched after the configured font path, in order of preference.
+   */
+  private val SystemFontFiles = List(
+    "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSans-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansArabic-Bold.ttf",
+    "/usr/share/fonts/truetype/noto/NotoSansHebrew-Bold.ttf",
+    "/usr/share/fonts/truetype/freefont/FreeSansBold.ttf",
+    "/usr/share/fonts/truetype/wqy/wqy-zenhei.ttc",
+    "/usr/share/fonts/truetype/wqy/wqy-microhei.ttc",
+    "/usr/share/fonts/truetype/arphic/uming.ttc",
+    "/usr/share/fonts/truetype/unfonts-core/UnDotumBold.ttf",
+    "/System/Library/Fonts/Supplemental/Arial Unicode.ttf",
+    "/Library/Fonts/Arial Unicode.ttf",
+    "C:/Windows/Fonts/arialbd.ttf",
+    "C:/Windows/Fonts/msyhbd.ttc",
+    "C:/Windows/Fonts/malgunbd.ttf",
+    "C:/Windows/Fonts/arialuni.ttf"
+  )
+
+  /**
+   * A font on the font path: its file, its position in the file (font collections
+   * hold several fonts) and the characters it has glyphs for.
+   */
+  private final case class FontEntry(file: File, index: Int, coverage: java.util.BitSet) {
+    def key: (String, Int) = (file.getAbsolutePath, index)
+  }
+
+  /**
+   * Fonts found in each font file, read on first use. Font files that cannot be
+   * parsed, such as OpenType fonts with CFF outlines, map to no fonts.
+   */
+  private val fontEntries = TrieMap.empty[String, List[FontEntry]]
+
+  /**
+   * Font files on the font path, configured entries first. Directories are searched
+   * for `.ttf` and `.ttc` files.
+   */
+  def fontFiles: List[File] = {
+    val configured = sys.env.get(FontPathVariable).toList
+      .flatMap(_.split(File.pathSeparator).toList)
+      .map(_.trim)
+      .filter(_.nonEmpty)
+      .flatMap { entry =>
+        val file = new File(entry)
+        if (file.isDirectory) {
+          Option(file.listFiles()).toList.flatten
+            .filter(candidate => candidate.isFile && isTrueTypeFile(candidate))
+            .sortBy(_.getName)
+        } else List(file)
+      }
+
+    (configured ++ SystemFontFiles.map(new File(_))).filter(_.isFile).distinct
+  }
+
+  /**
+   * Bring text into the order it is drawn in: Arabic letters are replaced by their
+   * joined presentation forms and right-to-left runs are reversed. Text without
+   * right-to-left characters is returned unchanged.
+   */
+  def visualText(text: String): String =
+    if (!Bidi.requiresBidi(text.toCharArray, 0, text.length)) text
+    else {
+      val shaped = new ArabicShaping(ArabicShaping.LETTERS_SHAPE | ArabicShaping.TEXT_DIRECTION_LOGICAL).shape(text)
+      new Bidi(shaped, Bidi.DIRECTION_DEFAULT_LEFT_TO_RIGHT).writeReordered(Bidi.DO_MIRRORING)
+    }
+
+  /**
+   * The characters of the text that no font on the font path can draw, without duplicates.
+   *
+   * @param text The watermark text in logical order
+   * @return The undrawable characters, empty when the text can be drawn
+   */
+  def unsupportedCharacters(text: String): String = {
+    val visual = visualText(text)
+    val standardFont = newStandardFont()
+    if (canEncode(standardFont, visual) || findFont(visual).isDefined) ""
+    else {
+      val characters = codePoints(visual).distinct
+      characters
+        .filterNot(codePoint => canEncode(standardFont, Character.toString(codePoint)) || fonts.exists(covers(_, codePoint)))
+        .map(Character.toString)
+        .mkString
+    }
+  }
+
+  /**
+   * The fonts used while watermarking one document. Each font is parsed and embedded
+   * at most once per document, however many watermarks use it. Close the fonts once
+   * the document has been saved or rendered, as embedded subsets are written on save.
+   */
+  final class DocumentFonts(document: PDDocument) extends AutoCloseable {
+    private val standardFont = newStandardFont()
+    private val embedded = mutable.Map.empty[(String, Int), PDFont]
+    private val opened = mutable.ListBuffer.empty[java.io.Closeable]
+
+    /**
+     * The font to draw text with, which must already be in visual order.
+     *
+     * @throws IllegalArgumentException if no font can draw every character of the text
+     */
+    def fontFor(text: String): PDFont =
+      if (canEncode(standardFont, text)) standardFont
+      else findFont(text) match {
+        case Some(entry) => embedded.getOrElseUpdate(entry.key, PDType0Font.load(document, open(entry), true))
+        case None => throw new IllegalArgumentException(s"No installed font can draw the watermark text '$text'")
+      }
+
+    /**
+     * Close every font parsed for this document.
+     */
+    override def close(): Unit = {
+      opened.foreach(resource => Try(resource.close()))
+      opened.clear()
+    }
+
+    private def open(entry: FontEntry): TrueTypeFont =
+      if (isCollection(entry.file)) {
+        // Fonts of a collection read from the collection, which stays open until close
+        val collection = new TrueTypeCollection(entry.file)
+        opened += collection
+        val members = mutable.ListBuffer.empty[TrueTypeFont]
+        collection.processAllFonts(font => members += font)
+        members(entry.index)
+      } else {
+        val font = new TTFParser().parse(new RandomAccessReadBufferedFile(entry.file))
+        opened += font
+        font
+      }
+  }
+
+  /**
+   * All fonts on the font path, reading font files on first use.
+   */
+  private def fonts: LazyList[FontEntry] =
+    LazyList.from(fontFiles).flatMap(file => fontEntries.getOrElseUpdate(file.getAbsolutePath, readEntries(file)))
+
+  /**
+   * The first font on the font path with a glyph for every character of the text.
+   */
+  private def findFont(text: String): Option[FontEntry] = {
+    val characters = codePoints(text).distinct
+    fonts.find(font => characters.forall(covers(font, _)))
+  }
+
+  /**
+   * Helvetica Bold, created per use because PDFBox fonts cache encodings unsynchronized.
+   */
+  private def newStandardFont(): PDFont =
+    new PDType1Font(Standard14Fonts.FontName.HELVETICA_BOLD)
+
+  /**
+   * Read the fonts of a font file and the characters each one covers, closing the file again.
+   */
+  private def readEntries(file: File): List[FontEntry] =
+    Try {
+      if (isCollection(file)) {
+        val collection = new TrueTypeCollection(file)
+        try {
+          val members = mutable.ListBuffer.empty[TrueTypeFont]
+          collection.processAllFonts(font => members += font)
+          members.toList.zipWithIndex.map { case (font, index) => FontEntry(file, index, coverageOf(font)) }
+        } finally {
+          collection.close()
+        }
+      } else {
+        val font = new TTFParser().parse(new RandomAccessReadBufferedFile(file))
+        try List(FontEntry(file, 0, coverageOf(font))) finally font.close()
+      }
+    }.getOrElse(Nil)
+
+  /**
+   * The code points a font maps to a glyph.
+   */
+  private def coverageOf(font: TrueTypeFont): java.util.BitSet = {
+    val coverage = new java.util.BitSet()
+    Try {
+      val cmap = font.getUnicodeCmapLookup()
+      (1 until font.getNumberOfGlyphs).foreach { glyphId =>
+        Option(cmap.getCharCodes(glyphId)).foreach(_.forEach(codePoint => coverage.set(codePoint.intValue)))
+      }
+    }
+    coverage
+  }
+
+  private def covers(font: FontEntry, codePoint: Int): Boolean =
+    Character.isWhitespace(codePoint) || font.coverage.get(codePoint)
+
+  private def canEncode(font: PDFont, text: String): Boolean =
+    Try(font.encode(text)).isSuccess
+
+  private def codePoints(text: String): List[Int] =
+    text.codePoints().toArray.toList
+
+  private def isCollection(file: File): Boolean =
+    file.getName.toLowerCase.endsWith(".ttc")
+
+  private def isTrueTypeFile(file: File): Boolean = {
+    val name = file.getName.toLowerCase
+    name.endsWith(".ttf") || name.endsWith(".ttc")
+  }
+}
@@ -9,10 +9,13 @@ import org.apache.pdfbox.pdmodel.PDDocument
 import org.apache.pdfbox.pdmodel.PDPage
 import org.apache.pdfbox.pdmodel.PDPageContentStream
 import org.apache.pdfbox.pdmodel.font.{PDType1Font, PDFont, Standard14Fonts}
+import org.apache.pdfbox.pdmodel.graphics.blend.{BlendMode => PdfBlendMode}
+import org.apache.pdfbox.pdmodel.graphics.image.PDImageXObject
 import org.apache.pdfbox.pdmodel.graphics.state.PDExtendedGraphicsState
 import org.apache.pdfbox.util.Matrix
-import java.io.File
+import java.io.{ByteArrayOutputStream, File, FileInputStream}
 import java.awt.Color
+import javax.imageio.ImageIO
 import scala.util.Random
 
 /**
@@ -20,53 +23,322 @@ import scala.util.Random
  * 
  * This module provides comprehensive watermark text rendering capabilities
  * including text positioning, rotation, font sizing, color application,
- * and support for multiple watermark instances on PDF pages.
+ * image stamps and support for multiple watermark instances on PDF pages.
  */
 object WatermarkRenderer {
 
+  /**
+   * Distance from the text baseline to the bottom of the image in a combined stamp, in font sizes.
+   */
+  private val StampLineHeight = 1.2
+
+  /**
+   * A watermark image loaded into a document, sized for the page being watermarked.
+   */
+  private case class ImageStamp(image: PDImageXObject, width: Double, height: Double, opacity: Double)
+
   /**
    * Apply watermarks to a PDF document according to the configuration.
    * 
+   * Only the pages in the configuration's page selection are watermarked; the
+   * rest are copied unchanged. Tokens in the text are resolved for each page.
+   * 
    * @param sourceFile The source PDF file
    * @param targetFile The target location for the watermarked document
    * @param config The watermark configuration
+   * @param tokenContext Values for the document-level tokens of the watermark text
+   * @return Either a domain error or the watermarked file
+   */
+  def applyWatermarks(
+    sourceFile: File,
+    targetFile: File,
+    config: WatermarkConfig,
+    tokenContext: TokenContext = TokenContext()
+  ): IO[DomainError, File] =
+    applyWatermarkLayers(sourceFile, targetFile, List(config), tokenContext)
+
+  /**
+   * Apply several watermark layers to a PDF document in one pass.
+   * 
+   * Layers are drawn in order, so later layers sit on top of earlier ones, and
+   * each layer only watermarks the pages in its own page selection.
+   * 
+   * @param sourceFile The source PDF file
+   * @param targetFile The target location for the watermarked document
+   * @param layers The watermark configuration of each layer, bottom layer first
+   * @param tokenContext Values for the document-level tokens of the watermark text
    * @return Either a domain error or the watermarked file
    */
-  def applyWatermarks(sourceFile: File, targetFile: File, config: WatermarkConfig): IO[DomainError, File] =
+  def applyWatermarkLayers(
+    sourceFile: File,
+    targetFile: File,
+    layers: List[WatermarkConfig],
+    tokenContext: TokenContext = TokenContext()
+  ): IO[DomainError, File] =
     PerformanceMonitoring.withPerformanceMonitoring("watermark_apply_all") {
-      ErrorPatterns.safely {
-        val document = Loader.loadPDF(sourceFile)
+      for {
+        _ <- validateLayerCount(layers)
+        result <- ErrorPatterns.withResourceCleanup(
+          ErrorPatterns.safely(Loader.loadPDF(sourceFile)).mapError {
+            case DomainError.InternalError(_) =>
+              DomainError.PdfProcessingError("Failed to read PDF document - file may be corrupted")
+            case other => other
+          },
+          document => applyWatermarkLayersTo(document, targetFile, layers, tokenContext),
+          document => ZIO.attempt(document.close()).ignore
+        )
+      } yield result
+    }
+
+  /**
+   * Watermark an already loaded document and save it to the target file. Page selections,
+   * images and fonts are checked against the document before any page is changed.
+   */
+  private def applyWatermarkLayersTo(
+    document: PDDocument,
+    targetFile: File,
+    layers: List[WatermarkConfig],
+    tokenContext: TokenContext
+  ): IO[DomainError, File] = {
+    val pageCount = document.getNumberOfPages
+    for {
+      _ <- ZIO.when(pageCount <= 0)(ZIO.fail(DomainError.PdfProcessingError("PDF document has no pages")))
+      layerPages <- ZIO.foreach(layers)(layer => PdfProcessor.resolvePageSelection(layer.pages, pageCount))
+      _ <- ZIO.foreachDiscard(layers.flatMap(_.image))(image => loadWatermarkImage(new File(image.path), image.scale, image.opacity))
+      _ <- ZIO.foreachDiscard(layers.zip(layerPages)) { case (config, pageNumbers) =>
+        ZIO.foreachDiscard(pageNumbers.headOption)(page => validateFonts(WatermarkTokens.resolve(config, tokenContext, page, pageCount)))
+      }
+      result <- ErrorPatterns.safely {
+        val fonts = new WatermarkFonts.DocumentFonts(document)
         try {
-          val totalPages = document.getNumberOfPages
-          
-          // Apply watermarks to all pages
-          (0 until totalPages).foreach { pageIndex =>
-            val page = document.getPage(pageIndex)
-            val pageDimensions = PageDimensions(
-              page.getMediaBox.getWidth.toDouble,
-              page.getMediaBox.getHeight.toDouble
-            )
-            
-            // Generate watermark instances for this page with their seeds
-            val watermarkInstancesWithSeeds = generateWatermarkInstancesWithSeeds(pageDimensions, config)
-            
-            // Apply each watermark instance to the page
-            watermarkInstancesWithSeeds.foreach { case (instance, seed) =>
-              applyWatermarkToPageWithConfig(document, page, instance, config.color, seed)
+          layers.zip(layerPages).foreach { case (config, pageNumbers) =>
+            val stampImage = loadStampImage(document, config)
+            pageNumbers.foreach { pageNumber =>
+              val pageConfig = config.copy(text = WatermarkTokens.resolve(config, tokenContext, pageNumber, pageCount))
+              watermarkPage(document, document.getPage(pageNumber - 1), pageConfig, stampImage, fonts)
             }
           }
           
           document.save(targetFile)
           targetFile
         } finally {
-          document.close()
+          fonts.close()
         }
       }.mapError {
         case DomainError.InternalError(_) =>
           DomainError.PdfProcessingError("Failed to apply watermarks to PDF document")
         case other => other
       }
+    } yield result
+  }
+
+  /**
+   * Render a single page with watermarks applied as a PNG image for previewing.
+   * 
+   * The page is watermarked in memory through the same path as [[applyWatermarks]],
+   * so the preview matches the downloaded output. Pages outside the page selection
+   * are rendered without watermarks. The source file is never modified.
+   * 
+   * @param sourceFile The source PDF file
+   * @param config The watermark configuration
+   * @param pageNumber The page to render (1-based)
+   * @param dpi The rendering resolution
+   * @param tokenContext Values for the document-level tokens of the watermark text
+   * @return Either a domain error or the PNG image bytes
+   */
+  def renderPreviewPage(
+    sourceFile: File,
+    config: WatermarkConfig,
+    pageNumber: Int,
+    dpi: Float = 72f,
+    tokenContext: TokenContext = TokenContext()
+  ): IO[DomainError, Array[Byte]] =
+    renderLayeredPreviewPage(sourceFile, List(config), pageNumber, dpi, tokenContext)
+
+  /**
+   * Render a single page with every watermark layer applied as a PNG image for previewing.
+   * 
+   * @param sourceFile The source PDF file
+   * @param layers The watermark configuration of each layer, bottom layer first
+   * @param pageNumber The page to render (1-based)
+   * @param dpi The rendering resolution
+   * @param tokenContext Values for the document-level tokens of the watermark text
+   * @return Either a domain error or the PNG image bytes
+   */
+  def renderLayeredPreviewPage(
+    sourceFile: File,
+    layers: List[WatermarkConfig],
+    pageNumber: Int,
+    dpi: Float = 72f,
+    tokenContext: TokenContext = TokenContext()
+  ): IO[DomainError, Array[Byte]] =
+    PerformanceMonitoring.withPerformanceMonitoring("watermark_render_preview") {
+      validateLayerCount(layers) *>
+      ZIO.foreachDiscard(layers.flatMap(_.image))(image => loadWatermarkImage(new File(image.path), image.scale, image.opacity)) *>
+      ZIO.foreachDiscard(layers)(config => validateFonts(WatermarkTokens.resolve(config, tokenContext, pageNumber, pageNumber))) *>
+      PdfProcessor.withRenderPermit {
+        ErrorPatterns.safely {
+          val document = Loader.loadPDF(sourceFile)
+          try {
+            val totalPages = document.getNumberOfPages
+            if (pageNumber < 1 || pageNumber > totalPages) {
+              throw new IllegalArgumentException(s"Page $pageNumber is out of range (1-$totalPages)")
+            }
+          
+            val pageIndex = pageNumber - 1
+            val fonts = new WatermarkFonts.DocumentFonts(document)
+            val image = try {
+              layers.filter(layer => PageSelections.selectedPages(layer.pages, totalPages).contains(pageNumber)).foreach { config =>
+                val pageConfig = config.copy(text = WatermarkTokens.resolve(config, tokenContext, pageNumber, totalPages))
+                watermarkPage(document, document.getPage(pageIndex), pageConfig, loadStampImage(document, config), fonts)
+              }
+            
+              PdfProcessor.renderImage(document, pageIndex, dpi)
+            } finally {
+              fonts.close()
+            }
+            val output = new ByteArrayOutputStream()
+            ImageIO.write(image, "png", output)
+            output.toByteArray
+          } finally {
+            document.close()
+          }
+        }.mapError {
+          case DomainError.InternalError(_) =>
+            DomainError.PdfProcessingError(s"Failed to render watermark preview for page $pageNumber")
+          case other => other
+        }
+      }
+    }
+
+  /**
+   * Check that a job has between one and the maximum number of layers.
+   */
+  private def validateLayerCount(layers: List[WatermarkConfig]): IO[DomainError, Unit] =
+    ZIO.unless(ConfigConstraints.isValidLayerCount(layers.length)) {
+      ZIO.fail(DomainError.InvalidConfiguration(List(
+        s"A watermark job needs between 1 and ${ConfigConstraints.MaxWatermarkLayers} layers"
+      )))
+    }.unit
+
+  /**
+   * Check that the fonts on the font path can draw every character of the watermark text.
+   * 
+   * @param text The watermark text with its tokens resolved
+   */
+  private def validateFonts(text: String): IO[DomainError, Unit] =
+    ZIO.attemptBlocking(WatermarkFonts.unsupportedCharacters(text))
+      .orElseFail(DomainError.InternalError("Failed to read the watermark fonts"))
+      .flatMap { unsupported =>
+        ZIO.unless(unsupported.isEmpty) {
+          ZIO.fail(DomainError.InvalidConfiguration(List(
+            s"No installed font can draw the characters '$unsupported' of the watermark text. " +
+              s"Add a TrueType font that covers them to ${WatermarkFonts.FontPathVariable}"
+          )))
+        }.unit
+      }
+
+  /**
+   * Read the pixel size of a watermark image and check that it is a PNG or JPEG
+   * within the size limit. Only the image header is decoded.
+   * 
+   * @param file The image file
+   * @param scale Width of the stamped image as a fraction of the page width
+   * @param opacity Opacity of the stamped image (0.0-1.0)
+   * @return Either a user-facing error message or the watermark image
+   */
+  def readWatermarkImage(file: File, scale: Double = 0.3, opacity: Double = 0.5): Either[String, WatermarkImage] = {
+    if (!file.isFile) {
+      Left(s"Watermark image does not exist: ${file.getName}")
+    } else if (file.length() > ConfigConstraints.MaxWatermarkImageBytes) {
+      Left(s"Watermark image is larger than ${ConfigConstraints.MaxWatermarkImageBytes / (1024 * 1024)}MB")
+    } else {
+      val header = {
+        val input = new FileInputStream(file)
+        try input.readNBytes(8) finally input.close()
+      }
+      
+      WatermarkImages.detectFormat(header) match {
+        case None =>
+          Left("Watermark images must be PNG or JPEG files")
+        case Some(format) =>
+          val dimensions = try {
+            val input = ImageIO.createImageInputStream(file)
+            try {
+              val reader = ImageIO.getImageReadersByFormatName(format).next()
+              try {
+                reader.setInput(input)
+                Some((reader.getWidth(0), reader.getHeight(0)))
+              } finally {
+                reader.dispose()
+              }
+            } finally {
+              input.close()
+            }
+          } catch {
+            case _: Exception => None
+          }
+          
+          dimensions match {
+            case None =>
+              Left(s"Watermark image ${file.getName} is damaged and cannot be read")
+            case Some((width, height)) =>
+              val image = WatermarkImage(file.getAbsolutePath, width, height, scale, opacity)
+              WatermarkImages.validate(image) match {
+                case Nil => Right(image)
+                case errors => Left(errors.mkString(", "))
+              }
+          }
+      }
     }
+  }
+
+  /**
+   * Effectful variant of [[readWatermarkImage]] that fails with an invalid configuration.
+   */
+  def loadWatermarkImage(file: File, scale: Double, opacity: Double): IO[DomainError, WatermarkImage] =
+    ZIO.attemptBlocking(readWatermarkImage(file, scale, opacity))
+      .orElseFail(DomainError.InternalError(s"Failed to read watermark image ${file.getName}"))
+      .flatMap(result => ZIO.fromEither(result).mapError(error => DomainError.InvalidConfiguration(List(error))))
+
+  /**
+   * Load the configured watermark image into the document once, so every page shares it.
+   */
+  private def loadStampImage(document: PDDocument, config: WatermarkConfig): Option[PDImageXObject] =
+    config.image.map(image => PDImageXObject.createFromFileByContent(new File(image.path), document))
+
+  /**
+   * Generate and apply all watermark instances for a single page.
+   */
+  private def watermarkPage(
+    document: PDDocument,
+    page: PDPage,
+    config: WatermarkConfig,
+    stampImage: Option[PDImageXObject],
+    fonts: WatermarkFonts.DocumentFonts
+  ): Unit = {
+    val pageDimensions = PageDimensions(
+      page.getMediaBox.getWidth.toDouble,
+      page.getMediaBox.getHeight.toDouble
+    )
+    
+    // Image stamps are sized relative to the page, so pages of different sizes get proportional stamps
+    val imageStamp = for {
+      image <- config.image
+      xObject <- stampImage
+    } yield {
+      val (width, height) = WatermarkImages.stampSize(image, pageDimensions)
+      ImageStamp(xObject, width, height, image.opacity)
+    }
+    
+    // Generate watermark instances for this page with their seeds
+    val watermarkInstancesWithSeeds = generateWatermarkInstancesWithSeeds(pageDimensions, config)
+    
+    // Apply each watermark instance to the page
+    watermarkInstancesWithSeeds.foreach { case (instance, seed) =>
+      applyWatermarkToPageWithConfig(document, page, instance, config.color, fonts, seed, imageStamp, config.opacity, config.blendMode)
+    }
+  }
 
   /**
    * Apply a single watermark instance to a PDF page with color configuration support.
@@ -75,32 +347,50 @@ object WatermarkRenderer {
    * @param page The page to add the watermark to
    * @param watermark The watermark instance to apply
    * @param colorConfig The color configuration for advanced coloring options
+   * @param fonts The fonts of the document, which pick a font that can draw the text
    * @param watermarkSeed The seed for this specific watermark's randomization
+   * @param imageStamp The image drawn above the text, if the watermark has one
+   * @param opacity The text opacity, multiplied by the alpha of the watermark color
+   * @param blendMode How the watermark is composited with the page content
    */
   private def applyWatermarkToPageWithConfig(
     document: PDDocument, 
     page: PDPage, 
     watermark: WatermarkInstance, 
     colorConfig: ColorConfig,
-    watermarkSeed: Long = 0L
+    fonts: WatermarkFonts.DocumentFonts,
+    watermarkSeed: Long = 0L,
+    imageStamp: Option[ImageStamp] = None,
+    opacity: Double = 0.5,
+    blendMode: BlendMode = BlendMode.Normal
   ): Unit = {
     val contentStream = new PDPageContentStream(document, page, PDPageContentStream.AppendMode.APPEND, true, true)
     
     try {
-      // Set graphics state for transparency if needed
+      // Transparency and blending are set through the graphics state
       val graphicsState = new PDExtendedGraphicsState()
-      graphicsState.setNonStrokingAlphaConstant(0.5f) // Semi-transparent
+      graphicsState.setNonStrokingAlphaConstant((opacity * watermark.color.getAlpha / 255.0).toFloat)
+      graphicsState.setBlendMode(toPdfBlendMode(blendMode))
       contentStream.setGraphicsStateParameters(graphicsState)
       
-      // Set font
-      val font = new PDType1Font(Standard14Fonts.FontName.HELVETICA_BOLD)
+      // Right-to-left text is drawn in visual order, with a font that has all of its glyphs
+      val visualWatermark = watermark.copy(text = WatermarkFonts.visualText(watermark.text))
+      val font = fonts.fontFor(visualWatermark.text)
       contentStream.setFont(font, watermark.fontSize.toFloat)
       
-      colorConfig match {
-        case ColorConfig.RandomPerLetter =>
-          renderTextWithPerLetterColors(contentStream, watermark, font, watermarkSeed)
-        case _ =>
-          renderTextWithSingleColor(contentStream, watermark, font)
+      // In a combined stamp the text is centered beneath the image
+      val textWatermark = imageStamp match {
+        case Some(stamp) => renderImageStamp(contentStream, visualWatermark, font, stamp, blendMode)
+        case None => visualWatermark
+      }
+      
+      if (textWatermark.text.nonEmpty) {
+        colorConfig match {
+          case ColorConfig.RandomPerLetter =>
+            renderTextWithPerLetterColors(contentStream, textWatermark, font, watermarkSeed)
+          case _ =>
+            renderTextWithSingleColor(contentStream, textWatermark, font)
+        }
       }
       
     } finally {
@@ -108,6 +398,55 @@ object WatermarkRenderer {
     }
   }
 
+  /**
+   * Draw the image of a stamp rotated with the watermark and return the watermark
+   * moved to where the text beneath the image starts.
+   */
+  private def renderImageStamp(
+    contentStream: PDPageContentStream,
+    watermark: WatermarkInstance,
+    font: PDFont,
+    stamp: ImageStamp,
+    blendMode: BlendMode
+  ): WatermarkInstance = {
+    val hasText = watermark.text.nonEmpty
+    val textWidth = if (hasText) {
+      try {
+        font.getStringWidth(watermark.text) / 1000.0 * watermark.fontSize
+      } catch {
+        case _: Exception => estimateTextWidth(watermark.text, watermark.fontSize)
+      }
+    } else 0.0
+    val centerX = stampSize(watermark.text, watermark.fontSize, Some((stamp.width, stamp.height)))._1 / 2
+    val imageY = if (hasText) watermark.fontSize * StampLineHeight else 0.0
+    
+    contentStream.saveGraphicsState()
+    
+    val imageState = new PDExtendedGraphicsState()
+    imageState.setNonStrokingAlphaConstant(stamp.opacity.toFloat)
+    imageState.setBlendMode(toPdfBlendMode(blendMode))
+    contentStream.setGraphicsStateParameters(imageState)
+    
+    val transform = Matrix.getTranslateInstance(watermark.position.x.toFloat, watermark.position.y.toFloat)
+    if (watermark.angle != 0.0) {
+      transform.concatenate(Matrix.getRotateInstance(Math.toRadians(watermark.angle), 0, 0))
+    }
+    contentStream.transform(transform)
+    contentStream.drawImage(stamp.image, (centerX - stamp.width / 2).toFloat, imageY.toFloat, stamp.width.toFloat, stamp.height.toFloat)
+    
+    contentStream.restoreGraphicsState()
+    
+    watermark.copy(position = offsetAlong(watermark.position, watermark.angle, centerX - textWidth / 2, 0.0))
+  }
+
+  /**
+   * Map a watermark blend mode to the PDF blend mode of the graphics state.
+   */
+  private def toPdfBlendMode(blendMode: BlendMode): PdfBlendMode = blendMode match {
+    case BlendMode.Normal => PdfBlendMode.NORMAL
+    case BlendMode.Multiply => PdfBlendMode.MULTIPLY
+  }
+
   /**
    * Render text with per-letter random colors using watermark-specific seed.
    */
@@ -118,7 +457,7 @@ object WatermarkRenderer {
     watermarkSeed: Long
   ): Unit = {
     val random = new Random(watermarkSeed + 5000) // Add offset for per-letter color randomization
-    val chars = watermark.text.toCharArray
+    val letters = watermark.text.codePoints().toArray.map(Character.toString)
     var currentX = 0.0f
     
     // Calculate base transformation matrix
@@ -129,7 +468,7 @@ object WatermarkRenderer {
     }
     
     // Render each character individually
-    chars.foreach { char =>
+    letters.foreach { letter =>
       // Generate random color for this character
       val charColor = new Color(random.nextFloat(), random.nextFloat(), random.nextFloat())
       
@@ -143,12 +482,12 @@ object WatermarkRenderer {
       contentStream.setTextMatrix(charTransform)
       
       // Draw the character
-      contentStream.showText(char.toString)
+      contentStream.showText(letter)
       contentStream.endText()
       
       // Calculate character width for next position
       val charWidth = try {
-        font.getStringWidth(char.toString) / 1000.0f * watermark.fontSize.toFloat
+        font.getStringWidth(letter) / 1000.0f * watermark.fontSize.toFloat
       } catch {
         case _: Exception => watermark.fontSize.toFloat * 0.6f // fallback estimate
       }
@@ -191,11 +530,12 @@ object WatermarkRenderer {
    * @param document The PDF document
    * @param page The page to add the watermark to
    * @param watermark The watermark instance to apply
+   * @param fonts The fonts of the document
    */
-  private def applyWatermarkToPage(document: PDDocument, page: PDPage, watermark: WatermarkInstance): Unit = {
+  private def applyWatermarkToPage(document: PDDocument, page: PDPage, watermark: WatermarkInstance, fonts: WatermarkFonts.DocumentFonts): Unit = {
     // Generate a seed for this watermark instance for backward compatibility
     val legacySeed = new Random().nextLong()
-    applyWatermarkToPageWithConfig(document, page, watermark, ColorConfig.Fixed(watermark.color), legacySeed)
+    applyWatermarkToPageWithConfig(document, page, watermark, ColorConfig.Fixed(watermark.color), fonts, legacySeed)
   }
 
   /**
@@ -209,15 +549,33 @@ object WatermarkRenderer {
     // Create a base random generator to ensure independent seeds for each watermark
     val baseRandom = new Random()
     
-    (1 to config.quantity).map { index =>
+    // Templates define their own layout, so they also decide how many watermarks are placed
+    val anchors = config.position match {
+      case PositionConfig.Template(template) => Some(templateAnchors(pageDimensions, template, config.quantity))
+      case _ => None
+    }
+    val instanceCount = anchors.map(_.length).getOrElse(config.quantity)
+    val imageSize = config.image.map(WatermarkImages.stampSize(_, pageDimensions))
+    
+    (1 to instanceCount).map { index =>
       // Generate a unique seed for this specific watermark instance
       val watermarkSeed = baseRandom.nextLong()
       
-      val position = generatePosition(pageDimensions, config.position, watermarkSeed, index)
       val angle = generateAngle(config.orientation, watermarkSeed, index)
-      val fontSize = generateFontSize(config.fontSize, watermarkSeed, index)
+      val fontSize = generateFontSize(config.fontSize, pageDimensions, watermarkSeed, index)
+      val (stampWidth, stampHeight) = stampSize(config.text, fontSize, imageSize)
+      val position = anchors match {
+        case Some(points) =>
+          // Template anchors mark where the stamp should be centered
+          centerStampOn(points(index - 1), stampWidth, stampHeight, angle)
+        case None =>
+          generatePosition(pageDimensions, config.position, watermarkSeed, index)
+      }
       val color = generateColor(config.color, config.text, watermarkSeed, index)
-      val boundingBox = calculateBoundingBox(position, config.text, fontSize, angle, pageDimensions)
+      val boundingBox = imageSize match {
+        case Some(_) => calculateStampBoundingBox(position, stampWidth, stampHeight, pageDimensions)
+        case None => calculateBoundingBox(position, config.text, fontSize, angle, pageDimensions)
+      }
       
       val instance = WatermarkInstance(
         text = config.text,
@@ -257,12 +615,116 @@ object WatermarkRenderer {
           y = margin + random.nextDouble() * (pageDimensions.height - 2 * margin)
         )
       case PositionConfig.Template(template) =>
-        // For simplicity, use center position for template case in this legacy renderer
-        // The new service implementations handle templates properly
-        Point(pageDimensions.width / 2, pageDimensions.height / 2)
+        // Template layouts are expanded in generateWatermarkInstancesWithSeeds
+        templateAnchors(pageDimensions, template, 1).head
     }
   }
 
+  /**
+   * Calculate the anchor points of a position template in PDF coordinates (origin bottom-left).
+   * 
+   * Single-anchor templates yield one point, Grid yields rows × cols cell centers and
+   * Diagonal spreads `quantity` points from the bottom-left to the top-right corner.
+   * 
+   * @param pageDimensions The dimensions of the page
+   * @param template The position template
+   * @param quantity The requested watermark quantity (used by Diagonal)
+   * @return Anchor points the watermark text is centered on
+   */
+  def templateAnchors(pageDimensions: PageDimensions, template: PositionTemplate, quantity: Int): List[Point] = {
+    val width = pageDimensions.width
+    val height = pageDimensions.height
+    val inset = math.min(width, height) * 0.12 // Keep edge anchors clear of the page border
+    
+    val left = inset
+    val right = width - inset
+    val bottom = inset
+    val top = height - inset
+    val centerX = width / 2
+    val centerY = height / 2
+    
+    template match {
+      case PositionTemplate.Center => List(Point(centerX, centerY))
+      case PositionTemplate.TopLeft => List(Point(left, top))
+      case PositionTemplate.TopRight => List(Point(right, top))
+      case PositionTemplate.BottomLeft => List(Point(left, bottom))
+      case PositionTemplate.BottomRight => List(Point(right, bottom))
+      case PositionTemplate.TopCenter => List(Point(centerX, top))
+      case PositionTemplate.BottomCenter => List(Point(centerX, bottom))
+      case PositionTemplate.LeftCenter => List(Point(left, centerY))
+      case PositionTemplate.RightCenter => List(Point(right, centerY))
+        
+      case PositionTemplate.FourCorners =>
+        List(Point(left, top), Point(right, top), Point(left, bottom), Point(right, bottom))
+        
+      case PositionTemplate.Grid(rows, cols) =>
+        val safeRows = math.max(1, rows)
+        val safeCols = math.max(1, cols)
+        for {
+          row <- (0 until safeRows).toList
+          col <- (0 until safeCols).toList
+        } yield Point(
+          width * (col + 0.5) / safeCols,
+          height - height * (row + 0.5) / safeRows // First row at the top of the page
+        )
+        
+      case PositionTemplate.Diagonal =>
+        val count = math.max(1, quantity)
+        (0 until count).map { i =>
+          val t = (i + 0.5) / count
+          Point(left + t * (right - left), bottom + t * (top - bottom))
+        }.toList
+        
+      case PositionTemplate.Border =>
+        val spacing = 150.0
+        val horizontalCount = math.max(1, ((right - left) / spacing).toInt)
+        val verticalCount = math.max(1, ((top - bottom) / spacing).toInt)
+        
+        val topEdge = (0 to horizontalCount).map(i => Point(left + i * (right - left) / horizontalCount, top))
+        val bottomEdge = (0 to horizontalCount).map(i => Point(left + i * (right - left) / horizontalCount, bottom))
+        val leftEdge = (1 until verticalCount).map(i => Point(left, bottom + i * (top - bottom) / verticalCount))
+        val rightEdge = (1 until verticalCount).map(i => Point(right, bottom + i * (top - bottom) / verticalCount))
+        
+        (topEdge ++ bottomEdge ++ leftEdge ++ rightEdge).toList
+    }
+  }
+
+  /**
+   * Size of a stamp in points (width, height): the text alone, the image alone, or
+   * the image with the text beneath it. Text height runs from the baseline to the top of capitals.
+   */
+  private def stampSize(text: String, fontSize: Double, imageSize: Option[(Double, Double)]): (Double, Double) = {
+    val textWidth = estimateTextWidth(text, fontSize)
+    imageSize match {
+      case None => (textWidth, fontSize * 0.7)
+      case Some((imageWidth, imageHeight)) if text.isEmpty => (imageWidth, imageHeight)
+      case Some((imageWidth, imageHeight)) => (math.max(imageWidth, textWidth), imageHeight + fontSize * StampLineHeight)
+    }
+  }
+
+  /**
+   * Approximate text width (more precise calculation would require font metrics).
+   */
+  private def estimateTextWidth(text: String, fontSize: Double): Double =
+    text.length * fontSize * 0.6
+
+  /**
+   * Shift a stamp start position so the rotated stamp is centered on the anchor point.
+   */
+  private def centerStampOn(anchor: Point, width: Double, height: Double, angle: Double): Point =
+    offsetAlong(anchor, angle, -width / 2, -height / 2)
+
+  /**
+   * Move a point by an offset given in the rotated coordinate system of a watermark.
+   */
+  private def offsetAlong(origin: Point, angle: Double, dx: Double, dy: Double): Point = {
+    val radians = Math.toRadians(angle)
+    Point(
+      origin.x + dx * math.cos(radians) - dy * math.sin(radians),
+      origin.y + dx * math.sin(radians) + dy * math.cos(radians)
+    )
+  }
+
   /**
    * Generate angle based on configuration using watermark-specific seed.
    */
@@ -289,27 +751,14 @@ object WatermarkRenderer {
   /**
    * Generate font size based on configuration using watermark-specific seed.
    */
-  private def generateFontSize(fontSizeConfig: FontSizeConfig, watermarkSeed: Long, index: Int): Double = {
+  private def generateFontSize(fontSizeConfig: FontSizeConfig, pageDimensions: PageDimensions, watermarkSeed: Long, index: Int): Double = {
     fontSizeConfig match {
-      case FontSizeConfig.Fixed(size) => size
       case FontSizeConfig.Random(min, max) =>
         val random = new Random(watermarkSeed + 3000) // Add offset for font size randomization
         min + random.nextDouble() * (max - min)
-      case FontSizeConfig.DynamicScale(baseSize, scaleFactor) =>
-        // For this legacy renderer, use base size directly
-        // The new service implementations handle dynamic scaling properly
-        baseSize * scaleFactor
-      case FontSizeConfig.Recommended(documentType) =>
-        // Use reasonable defaults based on document type
-        documentType match {
-          case DocumentType.Legal => 18.0
-          case DocumentType.Academic => 20.0
-          case DocumentType.Business => 24.0
-          case DocumentType.Certificate => 36.0
-          case DocumentType.Marketing => 32.0
-          case DocumentType.Technical => 22.0
-          case DocumentType.Creative => 28.0
-        }
+      case other =>
+        // Fixed and document-aware sizes resolve against the page being watermarked
+        FontScaling.resolveFontSize(other, pageDimensions).getOrElse(24.0)
     }
   }
 
@@ -324,30 +773,16 @@ object WatermarkRenderer {
         val random = new Random(watermarkSeed + 4000) // Add offset for color randomization
         new Color(random.nextFloat(), random.nextFloat(), random.nextFloat())
       case ColorConfig.Palette(palette) =>
-        // For this legacy renderer, use a simple palette selection
-        // The new service implementations handle palettes properly
-        val paletteColors = getPaletteColors(palette)
+        // Cycle through the palette so consecutive watermarks use consecutive colors
+        val paletteColors = ColorPalettes.colors(palette)
         if (paletteColors.nonEmpty) {
-          paletteColors(index % paletteColors.length)
+          paletteColors((index - 1) % paletteColors.length)
         } else {
           Color.BLACK // Fallback
         }
     }
   }
 
-  private def getPaletteColors(palette: ColorPalette): List[Color] = {
-    palette match {
-      case ColorPalette.Professional => List(Color.DARK_GRAY, Color.BLUE, Color.BLACK)
-      case ColorPalette.Vibrant => List(Color.RED, Color.GREEN, Color.BLUE, Color.MAGENTA)
-      case ColorPalette.Pastel => List(Color.PINK, Color.CYAN, Color.LIGHT_GRAY)
-      case ColorPalette.Monochrome => List(Color.BLACK, Color.GRAY, Color.WHITE)
-      case ColorPalette.Warm => List(Color.RED, Color.ORANGE, Color.YELLOW)
-      case ColorPalette.Cool => List(Color.BLUE, Color.CYAN, Color.GREEN)
-      case ColorPalette.Earth => List(new Color(139, 69, 19), new Color(34, 139, 34), new Color(160, 82, 45))
-      case ColorPalette.Custom(colors) => colors
-    }
-  }
-
   /**
    * Calculate bounding box for a watermark instance.
    */
@@ -358,13 +793,23 @@ object WatermarkRenderer {
     angle: Double, 
     pageDimensions: PageDimensions
   ): BoundingBox = {
-    // Approximate text width calculation (more precise calculation would require font metrics)
-    val avgCharWidth = fontSize * 0.6 // Rough estimate
-    val textWidth = text.length * avgCharWidth
+    val textWidth = estimateTextWidth(text, fontSize)
     val textHeight = fontSize * 1.2 // Include some padding
     
     // For rotated text, we'd need more complex calculations
     // For now, use a simple rectangular bounding box
+    calculateStampBoundingBox(position, textWidth, textHeight, pageDimensions)
+  }
+
+  /**
+   * Calculate the unrotated bounding box of a stamp starting at a position.
+   */
+  private def calculateStampBoundingBox(
+    position: Point,
+    width: Double,
+    height: Double,
+    pageDimensions: PageDimensions
+  ): BoundingBox = {
     val margin = 10.0
     BoundingBox(
       topLeft = Point(
@@ -372,8 +817,8 @@ object WatermarkRenderer {
         math.max(0, position.y - margin)
       ),
       bottomRight = Point(
-        math.min(pageDimensions.width, position.x + textWidth + margin),
-        math.min(pageDimensions.height, position.y + textHeight + margin)
+        math.min(pageDimensions.width, position.x + width + margin),
+        math.min(pageDimensions.height, position.y + height + margin)
       )
     )
   }
@@ -402,6 +847,7 @@ object WatermarkRenderer {
     PerformanceMonitoring.withPerformanceMonitoring("watermark_apply_single") {
       ErrorPatterns.safely {
         val document = Loader.loadPDF(sourceFile)
+        val fonts = new WatermarkFonts.DocumentFonts(document)
         try {
           val totalPages = document.getNumberOfPages
           
@@ -421,12 +867,13 @@ object WatermarkRenderer {
               boundingBox = calculateBoundingBox(position, text, fontSize, angle, pageDimensions)
             )
             
-            applyWatermarkToPage(document, page, watermark)
+            applyWatermarkToPage(document, page, watermark, fonts)
           }
           
           document.save(targetFile)
           targetFile
         } finally {
+          fonts.close()
           document.close()
         }
       }.mapError {
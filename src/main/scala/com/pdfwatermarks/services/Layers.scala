@@ -1,7 +1,9 @@
 package com.pdfwatermarks.services
 
 import com.pdfwatermarks.domain.*
+import com.pdfwatermarks.domain.given
 import zio.*
+import zio.json.*
 
 /**
  * ZIO layer configuration for dependency injection.
@@ -24,6 +26,8 @@ object Layers {
     ValidationService &
     TempFileManagementService &
     DownloadTrackingService &
+    PresetService &
+    JobHistoryService &
     com.pdfwatermarks.config.ApplicationConfig
   ] = {
     import com.pdfwatermarks.config.{ApplicationConfig, TempFileConfig}
@@ -31,6 +35,7 @@ object Layers {
     val configLayer = ApplicationConfig.layer.orDie
   
     val tempFileConfigLayer = configLayer >>> ZLayer.fromFunction((config: ApplicationConfig) => config.tempFiles)
+    val storageConfigLayer = configLayer >>> ZLayer.fromFunction((config: ApplicationConfig) => config.storage)
     
     val pdfProcessingLayer = ZLayer.succeed(PdfProcessingServiceLive())
     val watermarkRenderingLayer = ZLayer.succeed(WatermarkRenderingServiceLive()) 
@@ -39,6 +44,8 @@ object Layers {
     val validationLayer = ZLayer.succeed(ValidationServiceLive())
     val tempFileManagementLayer = tempFileConfigLayer >>> TempFileManagementService.layer
     val downloadTrackingLayer = ZLayer.succeed(DownloadTrackingServiceLive())
+    val presetLayer = storageConfigLayer >>> PresetServiceLive.layer.orDie
+    val jobHistoryLayer = storageConfigLayer >>> JobHistoryServiceLive.layer.orDie
   
     configLayer ++
     pdfProcessingLayer ++
@@ -47,7 +54,9 @@ object Layers {
     sessionManagementLayer ++
     validationLayer ++
     tempFileManagementLayer ++
-    downloadTrackingLayer
+    downloadTrackingLayer ++
+    presetLayer ++
+    jobHistoryLayer
   }
 
   /**
@@ -60,7 +69,9 @@ object Layers {
     SessionManagementService &
     ValidationService &
     TempFileManagementService &
-    DownloadTrackingService
+    DownloadTrackingService &
+    PresetService &
+    JobHistoryService
   ] = {
     import com.pdfwatermarks.config.TempFileConfig
     
@@ -80,6 +91,8 @@ object Layers {
     val validationTestLayer = ZLayer.succeed(ValidationServiceTest())
     val tempFileManagementTestLayer = ZLayer.succeed(tempFileConfig) >>> TempFileManagementService.layer
     val downloadTrackingTestLayer = ZLayer.succeed(DownloadTrackingServiceTest())
+    val presetTestLayer = ZLayer.succeed(PresetServiceTest())
+    val jobHistoryTestLayer = ZLayer.succeed(JobHistoryServiceTest())
     
     pdfProcessingTestLayer ++
     watermarkRenderingTestLayer ++
@@ -87,7 +100,9 @@ object Layers {
     sessionManagementTestLayer ++
     validationTestLayer ++
     tempFileManagementTestLayer ++
-    downloadTrackingTestLayer
+    downloadTrackingTestLayer ++
+    presetTestLayer ++
+    jobHistoryTestLayer
   }
 
   // ========== Live Service Implementations ==========
@@ -104,23 +119,14 @@ object Layers {
 
     override def applyWatermarks(
       document: PdfDocument, 
-      config: WatermarkConfig
+      layers: List[WatermarkConfig],
+      tokenContext: TokenContext
     ): IO[DomainError, java.io.File] = {
       import com.pdfwatermarks.pdf.WatermarkRenderer
       
       for {
         // Get the actual source file path from the document
-        sourceFile <- ZIO.fromOption(document.sourceFilePath)
-          .orElseFail(DomainError.InternalError(s"No source file path stored for document ${document.id}"))
-          .flatMap { sourcePath =>
-            ZIO.attemptBlocking {
-              val file = new java.io.File(sourcePath)
-              if (!file.exists()) {
-                throw new java.io.FileNotFoundException(s"Source file not found at: $sourcePath")
-              }
-              file
-            }.mapError(err => DomainError.InternalError(s"Failed to locate source file: ${err.getMessage}"))
-          }
+        sourceFile <- locateSourceFile(document)
         
         // Create a temporary file for the watermarked output
         outputFile <- ZIO.attemptBlocking {
@@ -134,18 +140,67 @@ object Layers {
         _ <- ZIO.logInfo(s"Applying watermarks from ${sourceFile.getAbsolutePath} to ${outputFile.getAbsolutePath}")
         
         // Apply watermarks using the actual WatermarkRenderer implementation
-        result <- WatermarkRenderer.applyWatermarks(sourceFile, outputFile, config)
+        result <- WatermarkRenderer.applyWatermarkLayers(sourceFile, outputFile, layers, tokenContext)
         
         _ <- ZIO.logInfo(s"Watermark application completed successfully for ${document.filename}")
         
       } yield result
     }
 
+    override def renderPreview(
+      document: PdfDocument,
+      layers: List[WatermarkConfig],
+      pageNumber: Int,
+      tokenContext: TokenContext
+    ): IO[DomainError, Array[Byte]] = {
+      import com.pdfwatermarks.pdf.WatermarkRenderer
+      
+      for {
+        sourceFile <- locateSourceFile(document)
+        image <- WatermarkRenderer.renderLayeredPreviewPage(sourceFile, layers, pageNumber, tokenContext = tokenContext)
+      } yield image
+    }
+
+    override def renderDocumentPage(
+      document: PdfDocument,
+      pageNumber: Int,
+      watermarked: Boolean,
+      dpi: Float
+    ): IO[DomainError, Array[Byte]] =
+      (if (watermarked) locateProcessedFile(document) else locateSourceFile(document))
+        .flatMap(PdfProcessor.renderPage(_, pageNumber, dpi))
+
     override def getPageCount(file: java.io.File): IO[DomainError, Int] =
       PdfProcessor.getPageCount(file)
 
     override def getPageDimensions(file: java.io.File, pageNumber: Int): IO[DomainError, PageDimensions] =
       PdfProcessor.getPageDimensions(file, pageNumber)
+
+    override def getDocumentPageDimensions(document: PdfDocument, pageNumber: Int): IO[DomainError, PageDimensions] =
+      locateSourceFile(document).flatMap(PdfProcessor.getPageDimensions(_, pageNumber))
+
+    /**
+     * Resolve the uploaded source file of a document, failing if it is missing.
+     */
+    private def locateSourceFile(document: PdfDocument): IO[DomainError, java.io.File] =
+      ZIO.fromOption(document.sourceFilePath)
+        .orElseFail(DomainError.InternalError(s"No source file path stored for document ${document.id}"))
+        .flatMap { sourcePath =>
+          ZIO.attemptBlocking {
+            val file = new java.io.File(sourcePath)
+            if (!file.exists()) {
+              throw new java.io.FileNotFoundException(s"Source file not found at: $sourcePath")
+            }
+            file
+          }.mapError(err => DomainError.InternalError(s"Failed to locate source file: ${err.getMessage}"))
+        }
+
+    /**
+     * Resolve the output of the document's last completed watermark job, failing if there is none.
+     */
+    private def locateProcessedFile(document: PdfDocument): IO[DomainError, java.io.File] =
+      ZIO.fromOption(document.processedFilePath.map(new java.io.File(_)).filter(_.exists()))
+        .orElseFail(DomainError.DocumentNotFound(s"No watermarked version of document ${document.id}"))
   }
 
   /**
@@ -421,7 +476,7 @@ object Layers {
 
     private def generatePaletteColors(palette: ColorPalette, count: Int): IO[Nothing, List[java.awt.Color]] = {
       ZIO.succeed {
-        val paletteColors = getPaletteColors(palette)
+        val paletteColors = ColorPalettes.colors(palette)
         if (paletteColors.isEmpty) {
           List.fill(count)(java.awt.Color.BLACK) // Fallback
         } else {
@@ -431,78 +486,6 @@ object Layers {
       }
     }
 
-    private def getPaletteColors(palette: ColorPalette): List[java.awt.Color] = {
-      import java.awt.Color
-      
-      palette match {
-        case ColorPalette.Professional =>
-          List(
-            new Color(47, 79, 79),   // Dark slate gray
-            new Color(25, 25, 112),  // Midnight blue
-            new Color(105, 105, 105), // Dim gray
-            new Color(72, 61, 139),  // Dark slate blue
-            new Color(47, 79, 79)    // Dark slate gray
-          )
-          
-        case ColorPalette.Vibrant =>
-          List(
-            new Color(255, 69, 0),   // Red orange
-            new Color(50, 205, 50),  // Lime green
-            new Color(30, 144, 255), // Dodger blue
-            new Color(255, 20, 147), // Deep pink
-            new Color(255, 215, 0)   // Gold
-          )
-          
-        case ColorPalette.Pastel =>
-          List(
-            new Color(255, 182, 193), // Light pink
-            new Color(173, 216, 230), // Light blue
-            new Color(144, 238, 144), // Light green
-            new Color(255, 218, 185), // Peach puff
-            new Color(221, 160, 221)  // Plum
-          )
-          
-        case ColorPalette.Monochrome =>
-          List(
-            new Color(0, 0, 0),       // Black
-            new Color(64, 64, 64),    // Dark gray
-            new Color(128, 128, 128), // Gray
-            new Color(192, 192, 192), // Light gray
-            new Color(255, 255, 255)  // White
-          )
-          
-        case ColorPalette.Warm =>
-          List(
-            new Color(220, 20, 60),   // Crimson
-            new Color(255, 140, 0),   // Dark orange
-            new Color(255, 215, 0),   // Gold
-            new Color(255, 69, 0),    // Orange red
-            new Color(255, 99, 71)    // Tomato
-          )
-          
-        case ColorPalette.Cool =>
-          List(
-            new Color(70, 130, 180),  // Steel blue
-            new Color(32, 178, 170),  // Light sea green
-            new Color(123, 104, 238), // Medium slate blue
-            new Color(0, 191, 255),   // Deep sky blue
-            new Color(72, 209, 204)   // Medium turquoise
-          )
-          
-        case ColorPalette.Earth =>
-          List(
-            new Color(139, 69, 19),   // Saddle brown
-            new Color(34, 139, 34),   // Forest green
-            new Color(160, 82, 45),   // Sienna
-            new Color(107, 142, 35),  // Olive drab
-            new Color(210, 180, 140)  // Tan
-          )
-          
-        case ColorPalette.Custom(colors) =>
-          colors
-      }
-    }
-
     private def calculateBoundingBox(
       position: Point,
       text: String,
@@ -575,10 +558,7 @@ object Layers {
     ): IO[DomainError, Unit] = {
       val errors = scala.collection.mutable.ListBuffer[String]()
       
-      // Validate quantity
-      if (!ConfigConstraints.isValidQuantity(config.quantity)) {
-        errors += s"Watermark quantity must be between 1 and ${ConfigConstraints.MaxWatermarkQuantity}"
-      }
+      errors ++= WatermarkSchema.validate(config).map(_.message)
       
       // Validate fixed position is within page bounds
       config.position match {
@@ -589,40 +569,6 @@ object Layers {
         case _ => // Random position is always valid
       }
       
-      // Validate fixed angle
-      config.orientation match {
-        case OrientationConfig.Fixed(angle) =>
-          if (!ConfigConstraints.isValidAngle(angle)) {
-            errors += s"Angle must be between 0 and 360 degrees, got $angle"
-          }
-        case _ => // Random orientation is always valid
-      }
-      
-      // Validate font sizes
-      config.fontSize match {
-        case FontSizeConfig.Fixed(size) =>
-          if (!ConfigConstraints.isValidFontSize(size)) {
-            errors += s"Font size must be between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}"
-          }
-        case FontSizeConfig.Random(min, max) =>
-          if (!ConfigConstraints.isValidFontSize(min) || !ConfigConstraints.isValidFontSize(max)) {
-            errors += s"Font size range must be between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}"
-          }
-          if (min >= max) {
-            errors += "Minimum font size must be less than maximum font size"
-          }
-        case FontSizeConfig.DynamicScale(baseSize, scaleFactor) =>
-          if (!ConfigConstraints.isValidFontSize(baseSize)) {
-            errors += s"Base font size must be between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}"
-          }
-          if (scaleFactor <= 0.0) {
-            errors += "Scale factor must be positive"
-          }
-        case FontSizeConfig.Recommended(_) =>
-          // Recommended font sizes are always valid as they are calculated dynamically
-          ()
-      }
-      
       if (errors.nonEmpty) {
         ZIO.fail(DomainError.InvalidConfiguration(errors.toList))
       } else {
@@ -662,6 +608,7 @@ object Layers {
    */
   case class SessionManagementServiceLive() extends SessionManagementService {
     private val sessions = scala.collection.concurrent.TrieMap[String, UserSession]()
+    private val batches = scala.collection.concurrent.TrieMap[String, BatchSession]()
 
     override def createSession(): UIO[UserSession] =
       ZIO.succeed {
@@ -684,62 +631,126 @@ object Layers {
       sessionId: String, 
       document: PdfDocument
     ): IO[DomainError, UserSession] =
-      for {
-        session <- getSession(sessionId)
-        updated = session.copy(
+      modifySession(sessionId) { session =>
+        ZIO.succeed(session.copy(
           uploadedDocument = Some(document),
           lastActivity = java.time.Instant.now()
-        )
-        _ <- ZIO.succeed(sessions.put(sessionId, updated))
-      } yield updated
+        ))
+      }
 
     override def updateSessionWithConfig(
       sessionId: String, 
-      config: WatermarkConfig
+      config: WatermarkConfig,
+      layers: List[WatermarkConfig]
     ): IO[DomainError, UserSession] =
-      for {
-        session <- getSession(sessionId)
-        updated = session.copy(
+      modifySession(sessionId) { session =>
+        ZIO.succeed(session.copy(
           watermarkConfig = Some(config),
+          watermarkLayers = layers,
           lastActivity = java.time.Instant.now()
-        )
-        _ <- ZIO.succeed(sessions.put(sessionId, updated))
-      } yield updated
+        ))
+      }
 
     override def updateDocumentStatus(
       sessionId: String,
       newStatus: DocumentStatus
     ): IO[DomainError, UserSession] =
-      for {
-        session <- getSession(sessionId)
-        document <- ZIO.fromOption(session.uploadedDocument)
+      modifySession(sessionId) { session =>
+        ZIO.fromOption(session.uploadedDocument)
           .orElseFail(DomainError.InvalidConfiguration(List("No document in session to update status")))
-        updatedDocument = document.copy(status = newStatus)
-        updated = session.copy(
-          uploadedDocument = Some(updatedDocument),
-          lastActivity = java.time.Instant.now()
-        )
-        _ <- ZIO.succeed(sessions.put(sessionId, updated))
-      } yield updated
+          .map { document =>
+            session.copy(
+              uploadedDocument = Some(document.copy(status = newStatus)),
+              lastActivity = java.time.Instant.now()
+            )
+          }
+      }
+
+    override def markProcessing(sessionId: String): IO[DomainError, Option[UserSession]] =
+      getSession(sessionId).flatMap { session =>
+        session.uploadedDocument match {
+          case None =>
+            ZIO.fail(DomainError.InvalidConfiguration(List("No document in session to update status")))
+          case Some(document) if document.status == DocumentStatus.Processing =>
+            ZIO.none
+          case Some(document) =>
+            val updated = session.copy(
+              uploadedDocument = Some(document.copy(status = DocumentStatus.Processing)),
+              lastActivity = java.time.Instant.now()
+            )
+            if (sessions.replace(sessionId, session, updated)) ZIO.some(updated)
+            else markProcessing(sessionId) // Changed since it was read, check again
+        }
+      }
 
     override def updateDocumentProcessedFilePath(
       sessionId: String,
       processedFilePath: String
     ): IO[DomainError, UserSession] =
-      for {
-        session <- getSession(sessionId)
-        document <- ZIO.fromOption(session.uploadedDocument)
+      modifySession(sessionId) { session =>
+        ZIO.fromOption(session.uploadedDocument)
           .orElseFail(DomainError.InvalidConfiguration(List("No document in session to update processed file path")))
-        updatedDocument = document.copy(processedFilePath = Some(processedFilePath))
-        updated = session.copy(
-          uploadedDocument = Some(updatedDocument),
-          lastActivity = java.time.Instant.now()
+          .map { document =>
+            session.copy(
+              uploadedDocument = Some(document.copy(processedFilePath = Some(processedFilePath))),
+              lastActivity = java.time.Instant.now()
+            )
+          }
+      }
+
+    override def createBatch(sessionIds: List[String]): IO[DomainError, BatchSession] =
+      for {
+        _ <- ZIO.foreachDiscard(sessionIds)(getSession)
+        batch = BatchSession(
+          batchId = java.util.UUID.randomUUID().toString,
+          sessionIds = sessionIds,
+          watermarkConfig = None,
+          createdAt = java.time.Instant.now()
         )
-        _ <- ZIO.succeed(sessions.put(sessionId, updated))
+        _ <- ZIO.succeed(batches.put(batch.batchId, batch))
+      } yield batch
+
+    override def getBatch(batchId: String): IO[DomainError, BatchSession] =
+      ZIO.fromOption(batches.get(batchId))
+        .orElseFail(DomainError.SessionNotFound(batchId))
+
+    override def updateBatchConfig(
+      batchId: String,
+      config: WatermarkConfig,
+      layers: List[WatermarkConfig]
+    ): IO[DomainError, BatchSession] =
+      for {
+        batch <- getBatch(batchId)
+        updated = batch.copy(watermarkConfig = Some(config), watermarkLayers = layers)
+        _ <- ZIO.succeed(batches.put(batchId, updated))
       } yield updated
 
+    override def removeSession(sessionId: String): IO[DomainError, UserSession] =
+      ZIO.fromOption(sessions.remove(sessionId))
+        .orElseFail(DomainError.SessionNotFound(sessionId))
+
+    override def removeSessionUnlessProcessing(sessionId: String): IO[DomainError, UserSession] =
+      getSession(sessionId).flatMap { session =>
+        if (session.uploadedDocument.exists(_.status == DocumentStatus.Processing))
+          ZIO.fail(DomainError.InvalidConfiguration(List("The document is still being processed")))
+        else if (sessions.remove(sessionId, session)) ZIO.succeed(session)
+        else removeSessionUnlessProcessing(sessionId) // Changed since it was read, check again
+      }
+
     override def cleanupExpiredSessions(): UIO[Unit] =
       ZIO.succeed(()) // TODO: Implement session cleanup
+
+    /**
+     * Replace a session with an updated copy, only if nothing else changed or removed
+     * it in the meantime; otherwise the update is retried on the current session.
+     */
+    private def modifySession(sessionId: String)(update: UserSession => IO[DomainError, UserSession]): IO[DomainError, UserSession] =
+      for {
+        session <- getSession(sessionId)
+        updated <- update(session)
+        result <- if (sessions.replace(sessionId, session, updated)) ZIO.succeed(updated)
+                  else modifySession(sessionId)(update)
+      } yield result
   }
 
   /**
@@ -916,7 +927,7 @@ object Layers {
     private def isStepComplete(step: NavigationStep, config: WatermarkConfig): Boolean = {
       step match {
         case NavigationStep.Upload => true // Always complete if config exists
-        case NavigationStep.BasicConfig => config.text.trim.nonEmpty
+        case NavigationStep.BasicConfig => config.text.trim.nonEmpty || config.image.nonEmpty
         case NavigationStep.AdvancedPositioning => true // Optional step
         case NavigationStep.OrientationSettings => true // Optional step
         case NavigationStep.FontConfiguration => true // Optional step
@@ -1189,8 +1200,8 @@ object Layers {
         val messages = scala.collection.mutable.ListBuffer[String]()
         
         // Check text dependency
-        if (watermarkConfig.text.trim.isEmpty) {
-          messages += "Watermark text is required before configuring other options"
+        if (watermarkConfig.text.trim.isEmpty && watermarkConfig.image.isEmpty) {
+          messages += "Watermark text or image is required before configuring other options"
         }
         
         // Check quantity vs position compatibility
@@ -1214,47 +1225,10 @@ object Layers {
    */
   case class ValidationServiceLive() extends ValidationService {
     override def validateWatermarkConfig(config: WatermarkConfig): IO[DomainError, Unit] = {
-      val errors = scala.collection.mutable.ListBuffer[String]()
-      
-      if (config.text.trim.isEmpty) {
-        errors += "Watermark text cannot be empty"
-      }
-      
-      if (!ConfigConstraints.isValidQuantity(config.quantity)) {
-        errors += s"Watermark quantity must be between 1 and ${ConfigConstraints.MaxWatermarkQuantity}"
-      }
-      
-      config.fontSize match {
-        case FontSizeConfig.Fixed(size) =>
-          if (!ConfigConstraints.isValidFontSize(size)) {
-            errors += s"Font size must be between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}"
-          }
-        case FontSizeConfig.Random(min, max) =>
-          if (!ConfigConstraints.isValidFontSize(min) || !ConfigConstraints.isValidFontSize(max) || min >= max) {
-            errors += "Invalid font size range"
-          }
-        case FontSizeConfig.DynamicScale(baseSize, scaleFactor) =>
-          if (!ConfigConstraints.isValidFontSize(baseSize)) {
-            errors += s"Base font size must be between ${ConfigConstraints.MinFontSize} and ${ConfigConstraints.MaxFontSize}"
-          }
-          if (scaleFactor <= 0.0) {
-            errors += "Scale factor must be positive"
-          }
-        case FontSizeConfig.Recommended(_) =>
-          // Recommended font sizes are always valid as they are calculated dynamically
-          ()
-      }
-      
-      config.orientation match {
-        case OrientationConfig.Fixed(angle) =>
-          if (!ConfigConstraints.isValidAngle(angle)) {
-            errors += "Angle must be between 0 and 360 degrees"
-          }
-        case _ => // Random is always valid
-      }
+      val errors = WatermarkSchema.validate(config).map(_.message)
       
       if (errors.nonEmpty) {
-        ZIO.fail(DomainError.InvalidConfiguration(errors.toList))
+        ZIO.fail(DomainError.InvalidConfiguration(errors))
       } else {
         ZIO.unit
       }
@@ -1312,7 +1286,9 @@ object Layers {
           bytesTransferred = 0L,
           startedAt = java.time.Instant.now(),
           lastActivity = java.time.Instant.now(),
-          status = DownloadStatus.Starting
+          status = DownloadStatus.Starting,
+          // Downloading again does not extend the time the files are kept
+          cleanupAt = downloadSessions.get(sessionId).flatMap(_.cleanupAt)
         )
         downloadSessions.put(sessionId, downloadSession)
         downloadSession
@@ -1368,6 +1344,9 @@ object Layers {
         remainingBytes = session.fileSize - session.bytesTransferred
         estimatedTimeRemaining = transferRate.filter(_ > 0).map(rate => remainingBytes / rate)
         
+        now = java.time.Instant.now()
+        cleanup = session.cleanupAt.map(cleanupAt => if (cleanupAt.isAfter(now)) "scheduled" else "completed")
+        
         statusText = session.status match {
           case DownloadStatus.Starting => "starting"
           case DownloadStatus.InProgress => "downloading"
@@ -1393,9 +1372,22 @@ object Layers {
         status = statusText,
         transferRate = transferRate,
         estimatedTimeRemaining = estimatedTimeRemaining,
-        message = message
+        message = message,
+        cleanup = cleanup,
+        availableUntil = session.cleanupAt.filter(_.isAfter(now)).map(_.toString)
       )
 
+    override def scheduleCleanup(sessionId: String, cleanupAt: java.time.Instant): IO[DomainError, Option[DownloadSession]] =
+      getDownloadSession(sessionId).flatMap { session =>
+        if (session.cleanupAt.isDefined) ZIO.none
+        else {
+          val updated = session.copy(cleanupAt = Some(cleanupAt))
+          // Only replace the session as read, so that concurrent callers cannot both schedule
+          if (downloadSessions.replace(sessionId, session, updated)) ZIO.some(updated)
+          else scheduleCleanup(sessionId, cleanupAt)
+        }
+      }
+
     override def cleanupDownloadSessions(): UIO[Unit] =
       ZIO.succeed {
         val now = java.time.Instant.now()
@@ -1411,6 +1403,267 @@ object Layers {
       }
   }
 
+  /**
+   * Records of each owner stored as one JSON file per owner id in a directory.
+   * Files are replaced atomically, so a crash never leaves a half-written file.
+   */
+  final class OwnerFileStore[A: JsonCodec](directory: java.nio.file.Path) {
+    import java.nio.file.{Files, StandardCopyOption}
+    import java.nio.charset.StandardCharsets
+    import scala.jdk.CollectionConverters.*
+
+    /**
+     * Read the records of every owner. Unreadable files are logged and skipped.
+     */
+    def loadAll: IO[DomainError, List[A]] =
+      for {
+        files <- ZIO.attemptBlocking {
+          if (Files.isDirectory(directory))
+            Files.list(directory).iterator().asScala.toList.filter(_.getFileName.toString.endsWith(".json"))
+          else Nil
+        }.mapError(err => DomainError.InternalError(s"Failed to list $directory: ${err.getMessage}"))
+        records <- ZIO.foreach(files) { file =>
+          ZIO.attemptBlocking(new String(Files.readAllBytes(file), StandardCharsets.UTF_8))
+            .mapError(_.getMessage)
+            .flatMap(json => ZIO.fromEither(json.fromJson[List[A]]))
+            .catchAll(error => ZIO.logWarning(s"Skipping unreadable store file $file: $error").as(Nil))
+        }
+      } yield records.flatten
+
+    /**
+     * Replace the records of an owner, removing the owner's file when none are left.
+     */
+    def write(ownerId: String, records: List[A]): IO[DomainError, Unit] =
+      for {
+        _ <- ZIO.cond(
+          ownerId.nonEmpty && ownerId.forall(c => c.isLetterOrDigit || c == '-'),
+          (),
+          DomainError.InvalidConfiguration(List("Invalid install id"))
+        )
+        _ <- ZIO.attemptBlocking {
+          val file = directory.resolve(s"$ownerId.json")
+          if (records.isEmpty) Files.deleteIfExists(file)
+          else {
+            Files.createDirectories(directory)
+            val partial = Files.createTempFile(directory, s"$ownerId-", ".tmp")
+            Files.write(partial, records.toJson.getBytes(StandardCharsets.UTF_8))
+            Files.move(partial, file, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE)
+          }
+        }.mapError(err => DomainError.InternalError(s"Failed to store records of $ownerId: ${err.getMessage}"))
+      } yield ()
+  }
+
+  /**
+   * Live implementation of preset service. Presets are served from memory and written
+   * to one JSON file per owner under the data directory, so they survive restarts.
+   * Changes are made one at a time so each owner's file matches memory.
+   */
+  case class PresetServiceLive(store: OwnerFileStore[WatermarkPreset], lock: Semaphore) extends PresetService {
+    private val presets = scala.collection.concurrent.TrieMap[String, WatermarkPreset]()
+
+    override def listPresets(ownerId: String): UIO[List[WatermarkPreset]] =
+      ZIO.succeed(ownedBy(ownerId).sortBy(_.name.toLowerCase))
+
+    override def savePreset(
+      ownerId: String,
+      name: String,
+      config: String
+    ): IO[DomainError, WatermarkPreset] =
+      for {
+        presetName <- validateName(name)
+        preset <- lock.withPermit {
+          val owned = ownedBy(ownerId)
+          val existing = owned.find(_.name.equalsIgnoreCase(presetName))
+          for {
+            _ <- ZIO.when(existing.isEmpty && owned.size >= ConfigConstraints.MaxPresetsPerOwner) {
+              ZIO.fail(DomainError.InvalidConfiguration(List(s"At most ${ConfigConstraints.MaxPresetsPerOwner} presets can be saved")))
+            }
+            now <- ZIO.succeed(java.time.Instant.now())
+            saved = existing match {
+              case Some(preset) => preset.copy(config = config, updatedAt = now)
+              case None => WatermarkPreset(
+                id = java.util.UUID.randomUUID().toString,
+                ownerId = ownerId,
+                name = presetName,
+                config = config,
+                createdAt = now,
+                updatedAt = now
+              )
+            }
+            _ <- persist(ownerId, saved :: owned.filterNot(_.id == saved.id))
+          } yield saved
+        }
+      } yield preset
+
+    override def renamePreset(
+      ownerId: String,
+      presetId: String,
+      name: String
+    ): IO[DomainError, WatermarkPreset] =
+      for {
+        presetName <- validateName(name)
+        renamed <- lock.withPermit {
+          for {
+            preset <- getOwnedPreset(ownerId, presetId)
+            owned = ownedBy(ownerId)
+            _ <- ZIO.when(owned.exists(other => other.id != presetId && other.name.equalsIgnoreCase(presetName))) {
+              ZIO.fail(DomainError.InvalidConfiguration(List(s"A preset named '$presetName' already exists")))
+            }
+            updated = preset.copy(name = presetName, updatedAt = java.time.Instant.now())
+            _ <- persist(ownerId, owned.map(other => if (other.id == presetId) updated else other))
+          } yield updated
+        }
+      } yield renamed
+
+    override def deletePreset(ownerId: String, presetId: String): IO[DomainError, Unit] =
+      lock.withPermit {
+        getOwnedPreset(ownerId, presetId) *> persist(ownerId, ownedBy(ownerId).filterNot(_.id == presetId))
+      }
+
+    private def ownedBy(ownerId: String): List[WatermarkPreset] =
+      presets.values.filter(_.ownerId == ownerId).toList
+
+    /**
+     * Store the complete list of an owner's presets, then serve it from memory.
+     */
+    private def persist(ownerId: String, owned: List[WatermarkPreset]): IO[DomainError, Unit] =
+      store.write(ownerId, owned) *> ZIO.succeed {
+        presets.filterInPlace((_, preset) => preset.ownerId != ownerId)
+        owned.foreach(preset => presets.put(preset.id, preset))
+      }
+
+    private def getOwnedPreset(ownerId: String, presetId: String): IO[DomainError, WatermarkPreset] =
+      ZIO.fromOption(presets.get(presetId).filter(_.ownerId == ownerId))
+        .orElseFail(DomainError.DocumentNotFound(s"Preset $presetId"))
+
+    private def validateName(name: String): IO[DomainError, String] = {
+      val trimmed = name.trim
+      if (trimmed.isEmpty)
+        ZIO.fail(DomainError.InvalidConfiguration(List("Preset name cannot be empty")))
+      else if (trimmed.length > ConfigConstraints.MaxPresetNameLength)
+        ZIO.fail(DomainError.InvalidConfiguration(List(s"Preset name cannot exceed ${ConfigConstraints.MaxPresetNameLength} characters")))
+      else
+        ZIO.succeed(trimmed)
+    }
+  }
+
+  object PresetServiceLive {
+    /**
+     * Create a preset service serving the presets stored under a data directory.
+     */
+    def make(dataDir: java.nio.file.Path): IO[DomainError, PresetServiceLive] =
+      for {
+        store <- ZIO.succeed(OwnerFileStore[WatermarkPreset](dataDir.resolve("presets")))
+        saved <- store.loadAll
+        lock <- Semaphore.make(1)
+        service = PresetServiceLive(store, lock)
+        _ <- ZIO.succeed(saved.foreach(preset => service.presets.put(preset.id, preset)))
+        _ <- ZIO.logInfo(s"Loaded ${saved.size} saved presets")
+      } yield service
+
+    val layer: ZLayer[com.pdfwatermarks.config.StorageConfig, DomainError, PresetService] =
+      ZLayer.fromZIO[com.pdfwatermarks.config.StorageConfig, DomainError, PresetService](
+        ZIO.serviceWithZIO[com.pdfwatermarks.config.StorageConfig](config => make(config.dataDirPath))
+      )
+  }
+
+  /**
+   * Live implementation of job history service. Job records are served from memory and
+   * written to one JSON file per owner under the data directory, so they survive restarts.
+   * Changes are made one at a time so each owner's file matches memory.
+   */
+  case class JobHistoryServiceLive(store: OwnerFileStore[JobRecord], lock: Semaphore) extends JobHistoryService {
+    private val jobs = scala.collection.concurrent.TrieMap[String, JobRecord]()
+
+    override def recordJob(
+      ownerId: String,
+      jobId: String,
+      sessionId: String,
+      filename: String,
+      config: String
+    ): UIO[JobRecord] =
+      lock.withPermit {
+        val record = JobRecord(
+          jobId = jobId,
+          ownerId = ownerId,
+          sessionId = sessionId,
+          filename = filename,
+          config = config,
+          status = DocumentStatus.Processing,
+          createdAt = java.time.Instant.now()
+        )
+        
+        // Forget the owner's oldest jobs beyond the history limit
+        val owned = (record :: ownedBy(ownerId).filterNot(_.jobId == jobId)).take(ConfigConstraints.MaxJobHistoryEntries)
+        
+        // A job still runs when its record cannot be stored; it is then only kept until a restart
+        persist(ownerId, owned)
+          .catchAll(error => ZIO.logWarning(s"Job $jobId is not stored: $error") *> ZIO.succeed(replace(ownerId, owned)))
+          .as(record)
+      }
+
+    override def completeJob(jobId: String, outputPath: String, outputSize: Long): IO[DomainError, JobRecord] =
+      updateJob(jobId)(_.copy(
+        status = DocumentStatus.Completed,
+        completedAt = Some(java.time.Instant.now()),
+        outputPath = Some(outputPath),
+        outputSize = Some(outputSize)
+      ))
+
+    override def failJob(jobId: String, reason: String): IO[DomainError, JobRecord] =
+      updateJob(jobId)(_.copy(status = DocumentStatus.Failed(reason), completedAt = Some(java.time.Instant.now())))
+
+    override def listJobs(ownerId: String): UIO[List[JobRecord]] =
+      ZIO.succeed(ownedBy(ownerId))
+
+    override def getJob(ownerId: String, jobId: String): IO[DomainError, JobRecord] =
+      ZIO.fromOption(jobs.get(jobId).filter(_.ownerId == ownerId))
+        .orElseFail(DomainError.DocumentNotFound(s"Job $jobId"))
+
+    private def ownedBy(ownerId: String): List[JobRecord] =
+      jobs.values.filter(_.ownerId == ownerId).toList.sortWith((a, b) => a.createdAt.isAfter(b.createdAt))
+
+    private def updateJob(jobId: String)(update: JobRecord => JobRecord): IO[DomainError, JobRecord] =
+      lock.withPermit {
+        for {
+          record <- ZIO.fromOption(jobs.get(jobId)).orElseFail(DomainError.DocumentNotFound(s"Job $jobId"))
+          updated = update(record)
+          _ <- persist(record.ownerId, ownedBy(record.ownerId).map(job => if (job.jobId == jobId) updated else job))
+        } yield updated
+      }
+
+    /**
+     * Store the complete list of an owner's jobs, then serve it from memory.
+     */
+    private def persist(ownerId: String, owned: List[JobRecord]): IO[DomainError, Unit] =
+      store.write(ownerId, owned) *> ZIO.succeed(replace(ownerId, owned))
+
+    private def replace(ownerId: String, owned: List[JobRecord]): Unit = {
+      jobs.filterInPlace((_, job) => job.ownerId != ownerId)
+      owned.foreach(job => jobs.put(job.jobId, job))
+    }
+  }
+
+  object JobHistoryServiceLive {
+    /**
+     * Create a job history service serving the job records stored under a data directory.
+     */
+    def make(dataDir: java.nio.file.Path): IO[DomainError, JobHistoryServiceLive] =
+      for {
+        store <- ZIO.succeed(OwnerFileStore[JobRecord](dataDir.resolve("jobs")))
+        saved <- store.loadAll
+        lock <- Semaphore.make(1)
+        service = JobHistoryServiceLive(store, lock)
+        _ <- ZIO.succeed(saved.foreach(job => service.jobs.put(job.jobId, job)))
+        _ <- ZIO.logInfo(s"Loaded ${saved.size} job history records")
+      } yield service
+
+    val layer: ZLayer[com.pdfwatermarks.config.StorageConfig, DomainError, JobHistoryService] =
+      ZLayer.fromZIO[com.pdfwatermarks.config.StorageConfig, DomainError, JobHistoryService](
+        ZIO.serviceWithZIO[com.pdfwatermarks.config.StorageConfig](config => make(config.dataDirPath))
+      )
+  }
+
   // ========== Test Service Implementations ==========
 
   /**
@@ -1427,14 +1680,23 @@ object Layers {
         status = DocumentStatus.Uploaded
       ))
 
-    override def applyWatermarks(document: PdfDocument, config: WatermarkConfig): IO[DomainError, java.io.File] =
+    override def applyWatermarks(document: PdfDocument, layers: List[WatermarkConfig], tokenContext: TokenContext): IO[DomainError, java.io.File] =
       ZIO.succeed(new java.io.File("/tmp/test-watermarked.pdf"))
 
+    override def renderPreview(document: PdfDocument, layers: List[WatermarkConfig], pageNumber: Int, tokenContext: TokenContext): IO[DomainError, Array[Byte]] =
+      ZIO.succeed(Array.emptyByteArray)
+
+    override def renderDocumentPage(document: PdfDocument, pageNumber: Int, watermarked: Boolean, dpi: Float): IO[DomainError, Array[Byte]] =
+      ZIO.succeed(Array.emptyByteArray)
+
     override def getPageCount(file: java.io.File): IO[DomainError, Int] =
       ZIO.succeed(3)
 
     override def getPageDimensions(file: java.io.File, pageNumber: Int): IO[DomainError, PageDimensions] =
       ZIO.succeed(PageDimensions(612.0, 792.0))
+
+    override def getDocumentPageDimensions(document: PdfDocument, pageNumber: Int): IO[DomainError, PageDimensions] =
+      ZIO.succeed(PageDimensions(612.0, 792.0))
   }
 
   /**
@@ -1465,12 +1727,24 @@ object Layers {
       ZIO.succeed(UserSession(sessionId, None, None, java.time.Instant.now(), java.time.Instant.now()))
     override def updateSessionWithDocument(sessionId: String, document: PdfDocument): IO[DomainError, UserSession] =
       ZIO.succeed(UserSession(sessionId, Some(document), None, java.time.Instant.now(), java.time.Instant.now()))
-    override def updateSessionWithConfig(sessionId: String, config: WatermarkConfig): IO[DomainError, UserSession] =
-      ZIO.succeed(UserSession(sessionId, None, Some(config), java.time.Instant.now(), java.time.Instant.now()))
+    override def updateSessionWithConfig(sessionId: String, config: WatermarkConfig, layers: List[WatermarkConfig]): IO[DomainError, UserSession] =
+      ZIO.succeed(UserSession(sessionId, None, Some(config), java.time.Instant.now(), java.time.Instant.now(), layers))
     override def updateDocumentStatus(sessionId: String, newStatus: DocumentStatus): IO[DomainError, UserSession] =
       ZIO.succeed(UserSession(sessionId, Some(PdfDocument("test-doc", "test.pdf", 1000, 1, java.time.Instant.now(), newStatus)), None, java.time.Instant.now(), java.time.Instant.now()))
+    override def markProcessing(sessionId: String): IO[DomainError, Option[UserSession]] =
+      updateDocumentStatus(sessionId, DocumentStatus.Processing).asSome
     override def updateDocumentProcessedFilePath(sessionId: String, processedFilePath: String): IO[DomainError, UserSession] =
       ZIO.succeed(UserSession(sessionId, Some(PdfDocument("test-doc", "test.pdf", 1000, 1, java.time.Instant.now(), DocumentStatus.Completed, Some(processedFilePath))), None, java.time.Instant.now(), java.time.Instant.now()))
+    override def createBatch(sessionIds: List[String]): IO[DomainError, BatchSession] =
+      ZIO.succeed(BatchSession("test-batch", sessionIds, None, java.time.Instant.now()))
+    override def getBatch(batchId: String): IO[DomainError, BatchSession] =
+      ZIO.succeed(BatchSession(batchId, List("test-session"), None, java.time.Instant.now()))
+    override def updateBatchConfig(batchId: String, config: WatermarkConfig, layers: List[WatermarkConfig]): IO[DomainError, BatchSession] =
+      ZIO.succeed(BatchSession(batchId, List("test-session"), Some(config), java.time.Instant.now(), layers))
+    override def removeSession(sessionId: String): IO[DomainError, UserSession] =
+      ZIO.succeed(UserSession(sessionId, None, None, java.time.Instant.now(), java.time.Instant.now()))
+    override def removeSessionUnlessProcessing(sessionId: String): IO[DomainError, UserSession] =
+      removeSession(sessionId)
     override def cleanupExpiredSessions(): UIO[Unit] = ZIO.unit
   }
 
@@ -1520,6 +1794,36 @@ object Layers {
         message = "Test download in progress"
       ))
 
+    override def scheduleCleanup(sessionId: String, cleanupAt: java.time.Instant): IO[DomainError, Option[DownloadSession]] =
+      ZIO.some(testDownloadSession.copy(sessionId = sessionId, cleanupAt = Some(cleanupAt)))
+
     override def cleanupDownloadSessions(): UIO[Unit] = ZIO.unit
   }
-}
\ No newline at end of file
+
+  case class PresetServiceTest() extends PresetService {
+    private def testPreset(ownerId: String, presetId: String, name: String, config: String): WatermarkPreset =
+      WatermarkPreset(presetId, ownerId, name, config, java.time.Instant.now(), java.time.Instant.now())
+
+    override def listPresets(ownerId: String): UIO[List[WatermarkPreset]] = ZIO.succeed(List.empty)
+    override def savePreset(ownerId: String, name: String, config: String): IO[DomainError, WatermarkPreset] =
+      ZIO.succeed(testPreset(ownerId, "test-preset", name, config))
+    override def renamePreset(ownerId: String, presetId: String, name: String): IO[DomainError, WatermarkPreset] =
+      ZIO.succeed(testPreset(ownerId, presetId, name, "{}"))
+    override def deletePreset(ownerId: String, presetId: String): IO[DomainError, Unit] = ZIO.unit
+  }
+
+  case class JobHistoryServiceTest() extends JobHistoryService {
+    private def testJob(ownerId: String, jobId: String, status: DocumentStatus): JobRecord =
+      JobRecord(jobId, ownerId, "test-session-id", "test.pdf", "[]", status, java.time.Instant.now())
+
+    override def recordJob(ownerId: String, jobId: String, sessionId: String, filename: String, config: String): UIO[JobRecord] =
+      ZIO.succeed(testJob(ownerId, jobId, DocumentStatus.Processing).copy(sessionId = sessionId, filename = filename, config = config))
+    override def completeJob(jobId: String, outputPath: String, outputSize: Long): IO[DomainError, JobRecord] =
+      ZIO.succeed(testJob("test-owner", jobId, DocumentStatus.Completed).copy(outputPath = Some(outputPath), outputSize = Some(outputSize)))
+    override def failJob(jobId: String, reason: String): IO[DomainError, JobRecord] =
+      ZIO.succeed(testJob("test-owner", jobId, DocumentStatus.Failed(reason)))
+    override def listJobs(ownerId: String): UIO[List[JobRecord]] = ZIO.succeed(List.empty)
+    override def getJob(ownerId: String, jobId: String): IO[DomainError, JobRecord] =
+      ZIO.fail(DomainError.DocumentNotFound(s"Job $jobId"))
+  }
+}
@@ -23,13 +23,37 @@ trait PdfProcessingService {
   def loadPdf(file: File): IO[DomainError, PdfDocument]
   
   /**
-   * Apply watermarks to a PDF document according to the configuration.
+   * Apply watermark layers to a PDF document in order, resolving the tokens
+   * of the watermark text with the given context.
    */
   def applyWatermarks(
     document: PdfDocument, 
-    config: WatermarkConfig
+    layers: List[WatermarkConfig],
+    tokenContext: TokenContext
   ): IO[DomainError, File]
   
+  /**
+   * Render a single page of a document with the watermark layers applied,
+   * returning PNG image bytes for previewing.
+   */
+  def renderPreview(
+    document: PdfDocument,
+    layers: List[WatermarkConfig],
+    pageNumber: Int,
+    tokenContext: TokenContext
+  ): IO[DomainError, Array[Byte]]
+  
+  /**
+   * Render a page of an uploaded document as it is, or as it was watermarked by
+   * the last completed job, returning PNG image bytes.
+   */
+  def renderDocumentPage(
+    document: PdfDocument,
+    pageNumber: Int,
+    watermarked: Boolean,
+    dpi: Float
+  ): IO[DomainError, Array[Byte]]
+  
   /**
    * Get the number of pages in a PDF document.
    */
@@ -39,6 +63,11 @@ trait PdfProcessingService {
    * Get page dimensions for a specific page.
    */
   def getPageDimensions(file: File, pageNumber: Int): IO[DomainError, PageDimensions]
+  
+  /**
+   * Get page dimensions for a specific page of an uploaded document.
+   */
+  def getDocumentPageDimensions(document: PdfDocument, pageNumber: Int): IO[DomainError, PageDimensions]
 }
 
 object PdfProcessingService {
@@ -47,15 +76,35 @@ object PdfProcessingService {
     
   def applyWatermarks(
     document: PdfDocument, 
-    config: WatermarkConfig
+    layers: List[WatermarkConfig],
+    tokenContext: TokenContext
   ): ZIO[PdfProcessingService, DomainError, File] =
-    ZIO.serviceWithZIO[PdfProcessingService](_.applyWatermarks(document, config))
+    ZIO.serviceWithZIO[PdfProcessingService](_.applyWatermarks(document, layers, tokenContext))
+    
+  def renderPreview(
+    document: PdfDocument,
+    layers: List[WatermarkConfig],
+    pageNumber: Int,
+    tokenContext: TokenContext
+  ): ZIO[PdfProcessingService, DomainError, Array[Byte]] =
+    ZIO.serviceWithZIO[PdfProcessingService](_.renderPreview(document, layers, pageNumber, tokenContext))
+    
+  def renderDocumentPage(
+    document: PdfDocument,
+    pageNumber: Int,
+    watermarked: Boolean,
+    dpi: Float
+  ): ZIO[PdfProcessingService, DomainError, Array[Byte]] =
+    ZIO.serviceWithZIO[PdfProcessingService](_.renderDocumentPage(document, pageNumber, watermarked, dpi))
     
   def getPageCount(file: File): ZIO[PdfProcessingService, DomainError, Int] =
     ZIO.serviceWithZIO[PdfProcessingService](_.getPageCount(file))
     
   def getPageDimensions(file: File, pageNumber: Int): ZIO[PdfProcessingService, DomainError, PageDimensions] =
     ZIO.serviceWithZIO[PdfProcessingService](_.getPageDimensions(file, pageNumber))
+    
+  def getDocumentPageDimensions(document: PdfDocument, pageNumber: Int): ZIO[PdfProcessingService, DomainError, PageDimensions] =
+    ZIO.serviceWithZIO[PdfProcessingService](_.getDocumentPageDimensions(document, pageNumber))
 }
 
 // ========== Watermark Rendering Service ==========
@@ -369,11 +418,12 @@ trait SessionManagementService {
   ): IO[DomainError, UserSession]
   
   /**
-   * Update session with watermark configuration.
+   * Update session with watermark configuration and any further layers drawn above it.
    */
   def updateSessionWithConfig(
     sessionId: String, 
-    config: WatermarkConfig
+    config: WatermarkConfig,
+    layers: List[WatermarkConfig] = Nil
   ): IO[DomainError, UserSession]
   
   /**
@@ -384,6 +434,13 @@ trait SessionManagementService {
     newStatus: DocumentStatus
   ): IO[DomainError, UserSession]
   
+  /**
+   * Mark a session's document as processing, checking and updating in one step.
+   * Returns None when the document is already being processed, so that only one
+   * caller starts a job for it.
+   */
+  def markProcessing(sessionId: String): IO[DomainError, Option[UserSession]]
+  
   /**
    * Update document with processed file path in session.
    */
@@ -392,6 +449,37 @@ trait SessionManagementService {
     processedFilePath: String
   ): IO[DomainError, UserSession]
   
+  /**
+   * Create a batch grouping existing upload sessions.
+   */
+  def createBatch(sessionIds: List[String]): IO[DomainError, BatchSession]
+  
+  /**
+   * Get batch by ID.
+   */
+  def getBatch(batchId: String): IO[DomainError, BatchSession]
+  
+  /**
+   * Update batch with the watermark configuration and layers shared by all its files.
+   */
+  def updateBatchConfig(
+    batchId: String,
+    config: WatermarkConfig,
+    layers: List[WatermarkConfig] = Nil
+  ): IO[DomainError, BatchSession]
+  
+  /**
+   * Remove a session, returning it so the caller can clean up its files.
+   */
+  def removeSession(sessionId: String): IO[DomainError, UserSession]
+  
+  /**
+   * Remove a session unless its document is being processed, checking and removing in
+   * one step so that processing cannot start in between.
+   * Fails with InvalidConfiguration while the document is being processed.
+   */
+  def removeSessionUnlessProcessing(sessionId: String): IO[DomainError, UserSession]
+  
   /**
    * Clean up expired sessions.
    */
@@ -413,9 +501,10 @@ object SessionManagementService {
     
   def updateSessionWithConfig(
     sessionId: String, 
-    config: WatermarkConfig
+    config: WatermarkConfig,
+    layers: List[WatermarkConfig] = Nil
   ): ZIO[SessionManagementService, DomainError, UserSession] =
-    ZIO.serviceWithZIO[SessionManagementService](_.updateSessionWithConfig(sessionId, config))
+    ZIO.serviceWithZIO[SessionManagementService](_.updateSessionWithConfig(sessionId, config, layers))
     
   def updateDocumentStatus(
     sessionId: String,
@@ -423,12 +512,34 @@ object SessionManagementService {
   ): ZIO[SessionManagementService, DomainError, UserSession] =
     ZIO.serviceWithZIO[SessionManagementService](_.updateDocumentStatus(sessionId, newStatus))
     
+  def markProcessing(sessionId: String): ZIO[SessionManagementService, DomainError, Option[UserSession]] =
+    ZIO.serviceWithZIO[SessionManagementService](_.markProcessing(sessionId))
+    
   def updateDocumentProcessedFilePath(
     sessionId: String,
     processedFilePath: String
   ): ZIO[SessionManagementService, DomainError, UserSession] =
     ZIO.serviceWithZIO[SessionManagementService](_.updateDocumentProcessedFilePath(sessionId, processedFilePath))
     
+  def createBatch(sessionIds: List[String]): ZIO[SessionManagementService, DomainError, BatchSession] =
+    ZIO.serviceWithZIO[SessionManagementService](_.createBatch(sessionIds))
+    
+  def getBatch(batchId: String): ZIO[SessionManagementService, DomainError, BatchSession] =
+    ZIO.serviceWithZIO[SessionManagementService](_.getBatch(batchId))
+    
+  def updateBatchConfig(
+    batchId: String,
+    config: WatermarkConfig,
+    layers: List[WatermarkConfig] = Nil
+  ): ZIO[SessionManagementService, DomainError, BatchSession] =
+    ZIO.serviceWithZIO[SessionManagementService](_.updateBatchConfig(batchId, config, layers))
+    
+  def removeSession(sessionId: String): ZIO[SessionManagementService, DomainError, UserSession] =
+    ZIO.serviceWithZIO[SessionManagementService](_.removeSession(sessionId))
+    
+  def removeSessionUnlessProcessing(sessionId: String): ZIO[SessionManagementService, DomainError, UserSession] =
+    ZIO.serviceWithZIO[SessionManagementService](_.removeSessionUnlessProcessing(sessionId))
+    
   def cleanupExpiredSessions(): ZIO[SessionManagementService, Nothing, Unit] =
     ZIO.serviceWithZIO[SessionManagementService](_.cleanupExpiredSessions())
 }
@@ -516,6 +627,13 @@ trait DownloadTrackingService {
    */
   def getDownloadProgress(sessionId: String): IO[DomainError, DownloadProgressResponse]
   
+  /**
+   * Record when the files of a completed download are removed (Task 61), unless a
+   * cleanup is already scheduled. Returns None when it was, so that only one caller
+   * schedules the cleanup.
+   */
+  def scheduleCleanup(sessionId: String, cleanupAt: java.time.Instant): IO[DomainError, Option[DownloadSession]]
+  
   /**
    * Clean up completed or expired download sessions.
    */
@@ -549,6 +667,125 @@ object DownloadTrackingService {
   def getDownloadProgress(sessionId: String): ZIO[DownloadTrackingService, DomainError, DownloadProgressResponse] =
     ZIO.serviceWithZIO[DownloadTrackingService](_.getDownloadProgress(sessionId))
     
+  def scheduleCleanup(sessionId: String, cleanupAt: java.time.Instant): ZIO[DownloadTrackingService, DomainError, Option[DownloadSession]] =
+    ZIO.serviceWithZIO[DownloadTrackingService](_.scheduleCleanup(sessionId, cleanupAt))
+    
   def cleanupDownloadSessions(): ZIO[DownloadTrackingService, Nothing, Unit] =
     ZIO.serviceWithZIO[DownloadTrackingService](_.cleanupDownloadSessions())
-}
\ No newline at end of file
+}
+
+// ========== Preset Service ==========
+
+/**
+ * Service for storing named watermark presets per owner.
+ */
+trait PresetService {
+  /**
+   * List an owner's presets ordered by name.
+   */
+  def listPresets(ownerId: String): UIO[List[WatermarkPreset]]
+  
+  /**
+   * Save a preset. Saving under an existing name replaces that preset's configuration.
+   */
+  def savePreset(
+    ownerId: String,
+    name: String,
+    config: String
+  ): IO[DomainError, WatermarkPreset]
+  
+  /**
+   * Rename an existing preset.
+   */
+  def renamePreset(
+    ownerId: String,
+    presetId: String,
+    name: String
+  ): IO[DomainError, WatermarkPreset]
+  
+  /**
+   * Delete a preset.
+   */
+  def deletePreset(ownerId: String, presetId: String): IO[DomainError, Unit]
+}
+
+object PresetService {
+  def listPresets(ownerId: String): ZIO[PresetService, Nothing, List[WatermarkPreset]] =
+    ZIO.serviceWithZIO[PresetService](_.listPresets(ownerId))
+    
+  def savePreset(
+    ownerId: String,
+    name: String,
+    config: String
+  ): ZIO[PresetService, DomainError, WatermarkPreset] =
+    ZIO.serviceWithZIO[PresetService](_.savePreset(ownerId, name, config))
+    
+  def renamePreset(
+    ownerId: String,
+    presetId: String,
+    name: String
+  ): ZIO[PresetService, DomainError, WatermarkPreset] =
+    ZIO.serviceWithZIO[PresetService](_.renamePreset(ownerId, presetId, name))
+    
+  def deletePreset(ownerId: String, presetId: String): ZIO[PresetService, DomainError, Unit] =
+    ZIO.serviceWithZIO[PresetService](_.deletePreset(ownerId, presetId))
+}
+
+/**
+ * Service keeping the history of the watermark jobs each browser install has run.
+ */
+trait JobHistoryService {
+  /**
+   * Record a job as it starts. Only the most recent jobs of each owner are kept.
+   */
+  def recordJob(
+    ownerId: String,
+    jobId: String,
+    sessionId: String,
+    filename: String,
+    config: String
+  ): UIO[JobRecord]
+  
+  /**
+   * Record the output of a job that completed.
+   */
+  def completeJob(jobId: String, outputPath: String, outputSize: Long): IO[DomainError, JobRecord]
+  
+  /**
+   * Record that a job failed.
+   */
+  def failJob(jobId: String, reason: String): IO[DomainError, JobRecord]
+  
+  /**
+   * List an owner's jobs, most recent first.
+   */
+  def listJobs(ownerId: String): UIO[List[JobRecord]]
+  
+  /**
+   * Get one of an owner's jobs.
+   */
+  def getJob(ownerId: String, jobId: String): IO[DomainError, JobRecord]
+}
+
+object JobHistoryService {
+  def recordJob(
+    ownerId: String,
+    jobId: String,
+    sessionId: String,
+    filename: String,
+    config: String
+  ): ZIO[JobHistoryService, Nothing, JobRecord] =
+    ZIO.serviceWithZIO[JobHistoryService](_.recordJob(ownerId, jobId, sessionId, filename, config))
+    
+  def completeJob(jobId: String, outputPath: String, outputSize: Long): ZIO[JobHistoryService, DomainError, JobRecord] =
+    ZIO.serviceWithZIO[JobHistoryService](_.completeJob(jobId, outputPath, outputSize))
+    
+  def failJob(jobId: String, reason: String): ZIO[JobHistoryService, DomainError, JobRecord] =
+    ZIO.serviceWithZIO[JobHistoryService](_.failJob(jobId, reason))
+    
+  def listJobs(ownerId: String): ZIO[JobHistoryService, Nothing, List[JobRecord]] =
+    ZIO.serviceWithZIO[JobHistoryService](_.listJobs(ownerId))
+    
+  def getJob(ownerId: String, jobId: String): ZIO[JobHistoryService, DomainError, JobRecord] =
+    ZIO.serviceWithZIO[JobHistoryService](_.getJob(ownerId, jobId))
+}
@@ -19,6 +19,7 @@ import scala.jdk.CollectionConverters.*
  * - Automatic cleanup of old temporary files
  * - Organized file storage with prefixes
  * - Size-based cleanup policies
+ * - Resumable partial uploads received in chunks
  * - Thread-safe operations
  */
 trait TempFileManagementService {
@@ -82,6 +83,50 @@ trait TempFileManagementService {
    * Check if cleanup is needed based on size or age policies.
    */
   def isCleanupNeeded(): UIO[Boolean]
+  
+  /**
+   * Get the time age-based cleanup removes a temporary file, or None when the file no longer exists.
+   * Size-based cleanup may remove the file earlier.
+   */
+  def expiryOf(file: File): UIO[Option[Instant]]
+  
+  /**
+   * Start a partial upload and return the id used to append to, resume or discard it.
+   */
+  def createPartialUpload(): IO[DomainError, String]
+  
+  /**
+   * Append a chunk to a partial upload and return the total bytes received.
+   * The offset must equal the bytes already received, so retried chunks cannot corrupt the file.
+   * Chunks of the same upload are appended one at a time, even when a retry overlaps the original.
+   */
+  def appendToPartialUpload(uploadId: String, offset: Long, content: Array[Byte]): IO[DomainError, Long]
+  
+  /**
+   * Get the number of bytes received so far for a partial upload.
+   */
+  def getPartialUploadSize(uploadId: String): IO[DomainError, Long]
+  
+  /**
+   * Turn a fully received partial upload into an upload temporary file.
+   */
+  def completePartialUpload(uploadId: String, originalFilename: String): IO[DomainError, File]
+  
+  /**
+   * Discard the data received for a partial upload.
+   */
+  def discardPartialUpload(uploadId: String): UIO[Unit]
+  
+  /**
+   * Store an uploaded watermark image and return the id used to reference it in configurations.
+   * Images are temporary files, so they expire with the rest of the temp directory.
+   */
+  def storeWatermarkImage(content: Array[Byte]): IO[DomainError, String]
+  
+  /**
+   * Resolve the file holding an uploaded watermark image.
+   */
+  def getWatermarkImage(imageId: String): IO[DomainError, File]
 }
 
 /**
@@ -102,6 +147,11 @@ case class TempFileInfo(
 case class TempFileManagementServiceLive(config: TempFileConfig) extends TempFileManagementService {
   
   private val tempDirPath = config.baseDirPath
+  private val partialUploadPrefix = "partial-"
+  private val watermarkImagePrefix = "watermark-image-"
+  
+  // One lock per partial upload, so the offset check and the append of a chunk cannot interleave
+  private[services] val partialUploadLocks = scala.collection.concurrent.TrieMap[String, Semaphore]()
   
   def initialize(): IO[DomainError, Unit] = {
     for {
@@ -215,6 +265,7 @@ case class TempFileManagementServiceLive(config: TempFileConfig) extends TempFil
       deleteCount <- ZIO.foreach(filesToDelete) { file =>
         ZIO.attempt {
           Files.deleteIfExists(file.toPath)
+          forgetPartialUploadLock(file)
           1
         }.orElse(ZIO.succeed(0))
       }.map(_.sum)
@@ -292,6 +343,117 @@ case class TempFileManagementServiceLive(config: TempFileConfig) extends TempFil
       isOverSizeLimit = currentSize > config.maxTotalSizeBytes
     } yield hasOldFiles || isOverSizeLimit
   }
+  
+  def expiryOf(file: File): UIO[Option[Instant]] = {
+    ZIO.attempt {
+      Option.when(file.isFile)(Instant.ofEpochMilli(file.lastModified()).plus(config.maxAgeDuration))
+    }.orElse(ZIO.succeed(None))
+  }
+  
+  def createPartialUpload(): IO[DomainError, String] = {
+    for {
+      uploadId <- ZIO.succeed(UUID.randomUUID().toString)
+      _ <- ZIO.attempt {
+        Files.createFile(tempDirPath.resolve(s"${partialUploadPrefix}${uploadId}.part"))
+      }.mapError(err => DomainError.InternalError(s"Failed to create partial upload: ${err.getMessage}"))
+      _ <- ZIO.logDebug(s"Created partial upload: $uploadId")
+    } yield uploadId
+  }
+  
+  def appendToPartialUpload(uploadId: String, offset: Long, content: Array[Byte]): IO[DomainError, Long] =
+    withPartialUploadLock(uploadId) {
+      for {
+        file <- partialUploadFile(uploadId)
+        receivedBytes = file.length()
+        _ <- ZIO.cond(
+          offset == receivedBytes,
+          (),
+          DomainError.InvalidConfiguration(List(s"Chunk offset $offset does not match $receivedBytes bytes received"))
+        )
+        totalBytes = receivedBytes + content.length
+        _ <- ZIO.when(totalBytes > ConfigConstraints.MaxFileSizeBytes) {
+          discardPartialUpload(uploadId) *>
+          ZIO.fail(DomainError.FileSizeExceeded(totalBytes, ConfigConstraints.MaxFileSizeBytes))
+        }
+        _ <- ZIO.attemptBlocking {
+          Files.write(file.toPath, content, StandardOpenOption.APPEND)
+        }.mapError(err => DomainError.InternalError(s"Failed to write upload chunk: ${err.getMessage}"))
+      } yield totalBytes
+    }
+  
+  def getPartialUploadSize(uploadId: String): IO[DomainError, Long] =
+    partialUploadFile(uploadId).map(_.length())
+  
+  def completePartialUpload(uploadId: String, originalFilename: String): IO[DomainError, File] =
+    withPartialUploadLock(uploadId) {
+      for {
+        file <- partialUploadFile(uploadId)
+        uploadFile <- createUploadTempFile(originalFilename)
+        _ <- ZIO.attempt {
+          Files.move(file.toPath, uploadFile.toPath, StandardCopyOption.REPLACE_EXISTING)
+        }.mapError(err => DomainError.InternalError(s"Failed to complete partial upload: ${err.getMessage}"))
+        _ <- ZIO.succeed(partialUploadLocks.remove(uploadId))
+        _ <- ZIO.logDebug(s"Completed partial upload $uploadId as ${uploadFile.getAbsolutePath}")
+      } yield uploadFile
+    }
+  
+  def discardPartialUpload(uploadId: String): UIO[Unit] = {
+    partialUploadFile(uploadId).foldZIO(
+      _ => ZIO.unit,
+      file => cleanupFile(file) *> ZIO.succeed(partialUploadLocks.remove(uploadId)) *> ZIO.logInfo(s"Discarded partial upload: $uploadId")
+    )
+  }
+  
+  def storeWatermarkImage(content: Array[Byte]): IO[DomainError, String] = {
+    for {
+      imageId <- ZIO.succeed(UUID.randomUUID().toString)
+      _ <- ZIO.attempt {
+        Files.write(tempDirPath.resolve(s"${watermarkImagePrefix}${imageId}.img"), content)
+      }.mapError(err => DomainError.InternalError(s"Failed to store watermark image: ${err.getMessage}"))
+      _ <- ZIO.logDebug(s"Stored watermark image $imageId (${content.length} bytes)")
+    } yield imageId
+  }
+  
+  def getWatermarkImage(imageId: String): IO[DomainError, File] = {
+    for {
+      id <- ZIO.attempt(UUID.fromString(imageId))
+        .orElseFail(DomainError.DocumentNotFound(s"Watermark image $imageId"))
+      file = tempDirPath.resolve(s"${watermarkImagePrefix}${id}.img").toFile
+      _ <- ZIO.cond(file.isFile, (), DomainError.DocumentNotFound(s"Watermark image $imageId"))
+    } yield file
+  }
+  
+  /**
+   * Run an operation on a partial upload while holding the upload's lock. Locks are only
+   * made for existing uploads, so unknown ids cannot fill the lock table.
+   */
+  private def withPartialUploadLock[A](uploadId: String)(operation: IO[DomainError, A]): IO[DomainError, A] =
+    partialUploadFile(uploadId) *>
+    Semaphore.make(1)
+      .map(lock => partialUploadLocks.putIfAbsent(uploadId, lock).getOrElse(lock))
+      .flatMap(_.withPermit(operation))
+  
+  /**
+   * Drop the lock of an abandoned partial upload once its file is removed.
+   */
+  private def forgetPartialUploadLock(file: File): Unit = {
+    val name = file.getName
+    if (name.startsWith(partialUploadPrefix) && name.endsWith(".part"))
+      partialUploadLocks.remove(name.stripPrefix(partialUploadPrefix).stripSuffix(".part"))
+  }
+  
+  /**
+   * Resolve the file holding a partial upload. Only well-formed ids are accepted,
+   * so an upload id can never point outside the temp directory.
+   */
+  private def partialUploadFile(uploadId: String): IO[DomainError, File] = {
+    for {
+      id <- ZIO.attempt(UUID.fromString(uploadId))
+        .orElseFail(DomainError.DocumentNotFound(s"Upload $uploadId"))
+      file = tempDirPath.resolve(s"${partialUploadPrefix}${id}.part").toFile
+      _ <- ZIO.cond(file.isFile, (), DomainError.DocumentNotFound(s"Upload $uploadId"))
+    } yield file
+  }
 }
 
 object TempFileManagementService {
@@ -326,6 +488,13 @@ object TempFileManagementService {
   def cleanupOldFiles(): ZIO[TempFileManagementService, Nothing, Int] =
     ZIO.serviceWithZIO[TempFileManagementService](_.cleanupOldFiles())
     
+  /**
+   * Clean up old files now and again after every interval, until interrupted.
+   * Files nothing else removes, such as outputs kept for the job history, expire this way.
+   */
+  def cleanupPeriodically(interval: Duration): ZIO[TempFileManagementService, Nothing, Long] =
+    cleanupOldFiles().repeat(Schedule.spaced(interval))
+    
   def cleanupFile(file: File): ZIO[TempFileManagementService, Nothing, Unit] =
     ZIO.serviceWithZIO[TempFileManagementService](_.cleanupFile(file))
     
@@ -340,4 +509,28 @@ object TempFileManagementService {
     
   def isCleanupNeeded(): ZIO[TempFileManagementService, Nothing, Boolean] =
     ZIO.serviceWithZIO[TempFileManagementService](_.isCleanupNeeded())
+    
+  def expiryOf(file: File): ZIO[TempFileManagementService, Nothing, Option[Instant]] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.expiryOf(file))
+    
+  def createPartialUpload(): ZIO[TempFileManagementService, DomainError, String] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.createPartialUpload())
+    
+  def appendToPartialUpload(uploadId: String, offset: Long, content: Array[Byte]): ZIO[TempFileManagementService, DomainError, Long] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.appendToPartialUpload(uploadId, offset, content))
+    
+  def getPartialUploadSize(uploadId: String): ZIO[TempFileManagementService, DomainError, Long] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.getPartialUploadSize(uploadId))
+    
+  def completePartialUpload(uploadId: String, originalFilename: String): ZIO[TempFileManagementService, DomainError, File] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.completePartialUpload(uploadId, originalFilename))
+    
+  def discardPartialUpload(uploadId: String): ZIO[TempFileManagementService, Nothing, Unit] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.discardPartialUpload(uploadId))
+    
+  def storeWatermarkImage(content: Array[Byte]): ZIO[TempFileManagementService, DomainError, String] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.storeWatermarkImage(content))
+    
+  def getWatermarkImage(imageId: String): ZIO[TempFileManagementService, DomainError, File] =
+    ZIO.serviceWithZIO[TempFileManagementService](_.getWatermarkImage(imageId))
 }
\ No newline at end of file
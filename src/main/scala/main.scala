@@ -32,7 +32,11 @@ object PdfWatermarkApp extends ZIOAppDefault {
         ZIO.succeed(config)
       }.provide(Layers.appLayer)
       httpConfig = appConfig.http
-      serverHttpConfig = HttpServer.ServerConfig(port = httpConfig.port, host = httpConfig.host)
+      serverHttpConfig = HttpServer.ServerConfig(
+        port = httpConfig.port,
+        host = httpConfig.host,
+        tempFileCleanupInterval = appConfig.tempFiles.cleanupInterval
+      )
       _ <- ZIO.logInfo(s"Configuring HTTP server on ${httpConfig.host}:${httpConfig.port}")
       _ <- ZIO.logInfo(s"Max request size: ${httpConfig.maxRequestSizeBytes} bytes")
       
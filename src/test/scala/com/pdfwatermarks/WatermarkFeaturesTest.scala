@@ -94,6 +94,32 @@ object WatermarkFeaturesTest extends ZIOSpecDefault {
       assert(instances.head.fontSize)(isGreaterThan(0.0))
     },
 
+    test("should scale recommended and dynamic font sizes with the page") {
+      val letter = PageDimensions(612.0, 792.0)
+      val a0Poster = PageDimensions(2384.0, 3370.0)
+      
+      def fontSizeOn(pageDimensions: PageDimensions, fontSize: FontSizeConfig): Double = {
+        val config = WatermarkConfig(
+          text = "SCALED",
+          position = PositionConfig.Fixed(100.0, 100.0),
+          orientation = OrientationConfig.Fixed(0.0),
+          fontSize = fontSize,
+          color = ColorConfig.Fixed(Color.GRAY),
+          quantity = 1
+        )
+        WatermarkRenderer.generateWatermarkInstances(pageDimensions, config).head.fontSize
+      }
+      
+      val recommended = FontSizeConfig.Recommended(DocumentType.Business)
+      val dynamic = FontSizeConfig.DynamicScale(24.0, 1.5)
+      
+      assert(fontSizeOn(letter, recommended))(approximatelyEquals(24.0, 0.01)) &&
+      assert(fontSizeOn(a0Poster, recommended))(isGreaterThan(72.0)) &&
+      assert(fontSizeOn(letter, dynamic))(approximatelyEquals(36.0, 0.01)) &&
+      assert(fontSizeOn(a0Poster, dynamic))(isLessThanEqualTo(ConfigConstraints.MaxFontSize)) &&
+      assert(FontScaling.resolveFontSize(FontSizeConfig.Random(12.0, 48.0), letter))(isNone)
+    },
+
     test("should handle ColorConfig.RandomPerLetter correctly") {
       val config = WatermarkConfig(
         text = "TEST",
@@ -130,6 +156,91 @@ object WatermarkFeaturesTest extends ZIOSpecDefault {
       assert(instances.length)(equalTo(50)) &&
       assert(instances.forall(_.text == "LIMIT_TEST"))(isTrue) &&
       assert(ConfigConstraints.isValidQuantity(config.quantity))(isTrue)
+    },
+
+    test("should parse page selections and resolve them against the page count") {
+      val ranges = PageSelections.parse("1-3, 7, 10-")
+      
+      assert(ranges.map(PageSelections.selectedPages(_, 12)))(isRight(equalTo(List(1, 2, 3, 7, 10, 11, 12)))) &&
+      assert(ranges.map(PageSelections.format))(isRight(equalTo("1-3,7,10-"))) &&
+      assert(PageSelections.parse("All but first").map(PageSelections.selectedPages(_, 4)))(isRight(equalTo(List(2, 3, 4)))) &&
+      assert(PageSelections.parse("odd").map(PageSelections.selectedPages(_, 5)))(isRight(equalTo(List(1, 3, 5)))) &&
+      assert(PageSelections.parse("last").map(PageSelections.selectedPages(_, 5)))(isRight(equalTo(List(5)))) &&
+      assert(PageSelections.parse("3-1"))(isLeft) &&
+      assert(PageSelections.parse("0"))(isLeft) &&
+      assert(PageSelections.validate(PageSelection.Ranges(List(PageRange(8, None))), 5))(
+        equalTo(List("Page 8 is beyond the last page of the document (5)"))
+      )
+    },
+
+    test("should resolve text tokens per page and reject unknown tokens") {
+      val config = WatermarkConfig(
+        text = "{recipient} | {filename} | {date:dd.MM.yyyy} | {page}/{pages} | {sessionId}",
+        position = PositionConfig.Random,
+        orientation = OrientationConfig.Fixed(0.0),
+        fontSize = FontSizeConfig.Fixed(20.0),
+        color = ColorConfig.Fixed(Color.BLUE),
+        quantity = 1,
+        recipient = Some("Jane Doe")
+      )
+      val context = TokenContext(
+        fileName = "report.pdf",
+        sessionId = "session-1",
+        timestamp = java.time.ZonedDateTime.parse("2024-03-05T10:15:00Z")
+      )
+      
+      assert(WatermarkTokens.resolve(config, context, 2, 7))(equalTo("Jane Doe | report.pdf | 05.03.2024 | 2/7 | session-1")) &&
+      assert(WatermarkTokens.validate(config))(isEmpty) &&
+      assert(WatermarkTokens.validate(config.copy(text = "Copy {owner}")).head)(startsWithString("Unknown token {owner}")) &&
+      assert(WatermarkTokens.validate(config.copy(text = "{page:00}")))(equalTo(List("The {page} token does not take a format"))) &&
+      assert(WatermarkTokens.validate(config.copy(recipient = None)))(equalTo(List("The {recipient} token needs a recipient")))
+    },
+
+    test("should build download file names from a pattern") {
+      val timestamp = java.time.ZonedDateTime.parse("2024-03-05T10:15:00Z")
+      def resolve(pattern: String) = OutputFilenames.resolve(pattern, "Q1 report.PDF", "session-1", timestamp)
+      
+      assert(resolve("{name}_watermarked_{date}"))(isRight(equalTo("Q1 report_watermarked_2024-03-05.pdf"))) &&
+      assert(resolve(OutputFilenames.DefaultPattern))(isRight(equalTo("Q1 report_watermark.pdf"))) &&
+      assert(resolve("{datetime:dd/MM HH:mm} {sessionId}.pdf"))(isRight(equalTo("05_03 10_15 session-1.pdf"))) &&
+      assert(resolve("{owner}"))(isLeft(equalTo(List("Unknown token {owner}. Available tokens: {name}, {date}, {datetime}, {sessionId}")))) &&
+      assert(resolve(" .pdf"))(isLeft)
+    },
+
+    test("should report schema violations against the field they belong to") {
+      val config = WatermarkConfig(
+        text = "DRAFT {page}",
+        position = PositionConfig.Template(PositionTemplate.Grid(3, 3)),
+        orientation = OrientationConfig.Fixed(45.0),
+        fontSize = FontSizeConfig.Fixed(24.0),
+        color = ColorConfig.Fixed(Color.RED),
+        quantity = 5
+      )
+      val invalid = config.copy(
+        position = PositionConfig.Template(PositionTemplate.Grid(0, 3)),
+        fontSize = FontSizeConfig.Random(40.0, 20.0),
+        quantity = ConfigConstraints.MaxWatermarkQuantity + 1
+      )
+      val longText = "x" * ConfigConstraints.MaxWatermarkTextLength
+      val schemaFields = WatermarkSchema.schema.fields.map(_.name)
+
+      assert(WatermarkSchema.validate(config))(isEmpty) &&
+      assert(WatermarkSchema.validate(invalid).map(_.field))(equalTo(List("position", "fontSize", "quantity"))) &&
+      assert(WatermarkSchema.validate(config.copy(text = s"$longText {page}")))(isEmpty) &&
+      assert(WatermarkSchema.validate(config.copy(text = s"${longText}x")).map(_.field))(equalTo(List("text"))) &&
+      assert(schemaFields)(equalTo(List("text", "image", "position", "fontSize", "color", "opacity", "orientation", "quantity", "pages")))
+    },
+
+    test("should publish the contrast minimum that colors are checked against") {
+      val colorRanges = WatermarkSchema.schema.fields.find(_.name == "color").map(_.ranges).getOrElse(Map.empty)
+      val darkGray = new Color(0x66, 0x66, 0x66)
+      val lightGray = new Color(0x99, 0x99, 0x99)
+
+      assert(WatermarkSchema.schema.minContrastRatio)(equalTo(ColorContrast.MinimumContrastRatio)) &&
+      assert(colorRanges.keySet)(equalTo(Set("colors"))) &&
+      assert(ColorContrast.meetsAccessibilityStandard(darkGray, Color.WHITE))(isTrue) &&
+      assert(ColorContrast.meetsAccessibilityStandard(lightGray, Color.WHITE))(isFalse) &&
+      assert(ColorContrast.suggestAccessibleColor(lightGray, Color.WHITE))(equalTo(new Color(0x35, 0x35, 0x35)))
     }
   )
 }
\ No newline at end of file
@@ -5,6 +5,7 @@ import zio.test.*
 import zio.test.Assertion.*
 import zio.http.*
 import zio.json.*
+import zio.stream.*
 import com.pdfwatermarks.http.HttpServer.*
 import com.pdfwatermarks.domain.*
 import com.pdfwatermarks.domain.given
@@ -29,6 +30,7 @@ object HttpServerTest extends ZIOSpecDefault {
   val mockSessionManagementService: ULayer[SessionManagementService] = ZLayer.succeed(
     new SessionManagementService {
       private val sessions = scala.collection.mutable.Map[String, UserSession]()
+      private val batches = scala.collection.mutable.Map[String, BatchSession]()
       
       def createSession(): UIO[UserSession] = {
         val sessionId = UUID.randomUUID().toString
@@ -48,10 +50,10 @@ object HttpServerTest extends ZIOSpecDefault {
           _ = sessions.put(sessionId, updatedSession)
         } yield updatedSession
       
-      def updateSessionWithConfig(sessionId: String, config: WatermarkConfig): IO[DomainError, UserSession] =
+      def updateSessionWithConfig(sessionId: String, config: WatermarkConfig, layers: List[WatermarkConfig]): IO[DomainError, UserSession] =
         for {
           session <- getSession(sessionId)
-          updatedSession = session.copy(watermarkConfig = Some(config), lastActivity = Instant.now())
+          updatedSession = session.copy(watermarkConfig = Some(config), watermarkLayers = layers, lastActivity = Instant.now())
           _ = sessions.put(sessionId, updatedSession)
         } yield updatedSession
       
@@ -75,6 +77,41 @@ object HttpServerTest extends ZIOSpecDefault {
           _ = sessions.put(sessionId, updatedSession)
         } yield updatedSession
       
+      def markProcessing(sessionId: String): IO[DomainError, Option[UserSession]] =
+        getSession(sessionId).flatMap { session =>
+          if (session.uploadedDocument.exists(_.status == DocumentStatus.Processing)) ZIO.none
+          else updateDocumentStatus(sessionId, DocumentStatus.Processing).asSome
+        }
+      
+      def createBatch(sessionIds: List[String]): IO[DomainError, BatchSession] =
+        for {
+          _ <- ZIO.foreachDiscard(sessionIds)(getSession)
+          batch = BatchSession(UUID.randomUUID().toString, sessionIds, None, Instant.now())
+          _ = batches.put(batch.batchId, batch)
+        } yield batch
+      
+      def getBatch(batchId: String): IO[DomainError, BatchSession] =
+        ZIO.fromOption(batches.get(batchId))
+          .orElseFail(DomainError.SessionNotFound(batchId))
+      
+      def updateBatchConfig(batchId: String, config: WatermarkConfig, layers: List[WatermarkConfig]): IO[DomainError, BatchSession] =
+        for {
+          batch <- getBatch(batchId)
+          updatedBatch = batch.copy(watermarkConfig = Some(config), watermarkLayers = layers)
+          _ = batches.put(batchId, updatedBatch)
+        } yield updatedBatch
+      
+      def removeSession(sessionId: String): IO[DomainError, UserSession] =
+        ZIO.fromOption(sessions.remove(sessionId))
+          .orElseFail(DomainError.SessionNotFound(sessionId))
+      
+      def removeSessionUnlessProcessing(sessionId: String): IO[DomainError, UserSession] =
+        getSession(sessionId).flatMap { session =>
+          if (session.uploadedDocument.exists(_.status == DocumentStatus.Processing))
+            ZIO.fail(DomainError.InvalidConfiguration(List("The document is still being processed")))
+          else removeSession(sessionId)
+        }
+      
       def cleanupExpiredSessions(): UIO[Unit] = ZIO.unit
     }
   )
@@ -109,18 +146,30 @@ object HttpServerTest extends ZIOSpecDefault {
         ZIO.succeed(document)
       }
       
-      def applyWatermarks(document: PdfDocument, config: WatermarkConfig): IO[DomainError, File] =
+      def applyWatermarks(document: PdfDocument, layers: List[WatermarkConfig], tokenContext: TokenContext): IO[DomainError, File] =
         ZIO.succeed(new File(s"watermarked_${document.filename}"))
       
+      def renderPreview(document: PdfDocument, layers: List[WatermarkConfig], pageNumber: Int, tokenContext: TokenContext): IO[DomainError, Array[Byte]] =
+        ZIO.succeed(Array[Byte](0x89.toByte, 'P'.toByte, 'N'.toByte, 'G'.toByte))
+      
+      def renderDocumentPage(document: PdfDocument, pageNumber: Int, watermarked: Boolean, dpi: Float): IO[DomainError, Array[Byte]] =
+        ZIO.succeed(Array[Byte](0x89.toByte, 'P'.toByte, 'N'.toByte, 'G'.toByte))
+      
       def getPageCount(file: File): IO[DomainError, Int] = ZIO.succeed(1)
       
       def getPageDimensions(file: File, pageNumber: Int): IO[DomainError, PageDimensions] =
         ZIO.succeed(PageDimensions(595.0, 842.0)) // A4 dimensions
+      
+      def getDocumentPageDimensions(document: PdfDocument, pageNumber: Int): IO[DomainError, PageDimensions] =
+        ZIO.succeed(PageDimensions(595.0, 842.0)) // A4 dimensions
     }
   )
   
   val mockTempFileManagementService: ULayer[TempFileManagementService] = ZLayer.succeed(
     new TempFileManagementService {
+      private val partialUploads = scala.collection.mutable.Map[String, Array[Byte]]()
+      private val watermarkImages = scala.collection.mutable.Map[String, File]()
+      
       def initialize(): IO[DomainError, Unit] = ZIO.unit
       
       def createTempFile(prefix: String, suffix: String): IO[DomainError, File] = 
@@ -153,6 +202,54 @@ object HttpServerTest extends ZIOSpecDefault {
       def listTempFiles(): UIO[List[TempFileInfo]] = ZIO.succeed(List.empty)
       
       def isCleanupNeeded(): UIO[Boolean] = ZIO.succeed(false)
+      
+      def expiryOf(file: File): UIO[Option[Instant]] =
+        ZIO.succeed(Option.when(file.isFile)(Instant.ofEpochMilli(file.lastModified()).plus(java.time.Duration.ofHours(1))))
+      
+      def createPartialUpload(): IO[DomainError, String] = {
+        val uploadId = UUID.randomUUID().toString
+        partialUploads.put(uploadId, Array.emptyByteArray)
+        ZIO.succeed(uploadId)
+      }
+      
+      def appendToPartialUpload(uploadId: String, offset: Long, content: Array[Byte]): IO[DomainError, Long] =
+        getPartialUploadSize(uploadId).flatMap { receivedBytes =>
+          if (offset != receivedBytes)
+            ZIO.fail(DomainError.InvalidConfiguration(List(s"Chunk offset $offset does not match $receivedBytes bytes received")))
+          else {
+            partialUploads.update(uploadId, partialUploads(uploadId) ++ content)
+            ZIO.succeed(receivedBytes + content.length)
+          }
+        }
+      
+      def getPartialUploadSize(uploadId: String): IO[DomainError, Long] =
+        ZIO.fromOption(partialUploads.get(uploadId).map(_.length.toLong))
+          .orElseFail(DomainError.DocumentNotFound(s"Upload $uploadId"))
+      
+      def completePartialUpload(uploadId: String, originalFilename: String): IO[DomainError, File] =
+        ZIO.fromOption(partialUploads.remove(uploadId))
+          .orElseFail(DomainError.DocumentNotFound(s"Upload $uploadId"))
+          .flatMap { content =>
+            val uploadFile = File.createTempFile("upload-", ".pdf")
+            ZIO.attempt(java.nio.file.Files.write(uploadFile.toPath, content))
+              .mapError(err => DomainError.InternalError(s"Failed to write temp file: ${err.getMessage}"))
+              .as(uploadFile)
+          }
+      
+      def discardPartialUpload(uploadId: String): UIO[Unit] =
+        ZIO.succeed(partialUploads.remove(uploadId)).unit
+      
+      def storeWatermarkImage(content: Array[Byte]): IO[DomainError, String] = {
+        val imageId = UUID.randomUUID().toString
+        val imageFile = File.createTempFile("watermark-image-", ".img")
+        ZIO.attempt(java.nio.file.Files.write(imageFile.toPath, content))
+          .mapError(err => DomainError.InternalError(s"Failed to write temp file: ${err.getMessage}"))
+          .as { watermarkImages.put(imageId, imageFile); imageId }
+      }
+      
+      def getWatermarkImage(imageId: String): IO[DomainError, File] =
+        ZIO.fromOption(watermarkImages.get(imageId))
+          .orElseFail(DomainError.DocumentNotFound(s"Watermark image $imageId"))
     }
   )
   
@@ -176,11 +273,38 @@ object HttpServerTest extends ZIOSpecDefault {
       def getDownloadProgress(sessionId: String): IO[DomainError, DownloadProgressResponse] =
         ZIO.succeed(DownloadProgressResponse(sessionId, "test.pdf", 1024L, 512L, 50, "downloading", Some(128L), Some(4L), "Test download progress"))
       
+      def scheduleCleanup(sessionId: String, cleanupAt: java.time.Instant): IO[DomainError, Option[DownloadSession]] =
+        ZIO.some(DownloadSession(sessionId, "test-doc", "test.pdf", 1024L, 1024L, java.time.Instant.now(), java.time.Instant.now(), DownloadStatus.Completed, Some(cleanupAt)))
+      
       def cleanupDownloadSessions(): UIO[Unit] = ZIO.unit
     }
   )
   
-  val testLayer = mockSessionManagementService ++ mockFileManagementService ++ mockPdfProcessingService ++ mockTempFileManagementService ++ mockDownloadTrackingService
+  // The live implementations double as test services, storing presets and job history in fresh temp directories
+  val presetService: ULayer[PresetService] = ZLayer.fromZIO(
+    ZIO.attempt(java.nio.file.Files.createTempDirectory("presets-test")).orDie
+      .flatMap(dataDir => Layers.PresetServiceLive.make(dataDir).orDie)
+  )
+  val jobHistoryService: ULayer[JobHistoryService] = ZLayer.fromZIO(
+    ZIO.attempt(java.nio.file.Files.createTempDirectory("jobs-test")).orDie
+      .flatMap(dataDir => Layers.JobHistoryServiceLive.make(dataDir).orDie)
+  )
+  
+  val testLayer = mockSessionManagementService ++ mockFileManagementService ++ mockPdfProcessingService ++ mockTempFileManagementService ++ mockDownloadTrackingService ++ presetService ++ jobHistoryService
+  
+  // Download tests follow the bytes sent, which only the live download tracking service records
+  val trackedDownloadLayer = mockSessionManagementService ++ mockFileManagementService ++ mockPdfProcessingService ++ mockTempFileManagementService ++ ZLayer.succeed(Layers.DownloadTrackingServiceLive()) ++ presetService ++ jobHistoryService
+  
+  def completedDocument(filename: String, processedFile: File): PdfDocument =
+    PdfDocument(
+      id = UUID.randomUUID().toString,
+      filename = filename,
+      originalSize = processedFile.length(),
+      pageCount = 1,
+      uploadedAt = Instant.now(),
+      status = DocumentStatus.Completed,
+      processedFilePath = Some(processedFile.getAbsolutePath)
+    )
 
   def spec: Spec[Any, Any] = suite("HttpServerTest")(
     suite("Health Check Endpoints")(
@@ -327,7 +451,883 @@ object HttpServerTest extends ZIOSpecDefault {
           uploadResponse.documentId.isDefined,
           uploadResponse.message.contains("uploaded successfully")
         )
+      },
+
+      test("POST /api/upload refuses files too large for a single request") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("large.pdf")
+          )
+        )
+        val body = Body.fromMultipartForm(form, Boundary("test-boundary"))
+
+        for {
+          request <- ZIO.succeed(
+            Request.post(URL.root / "api" / "upload", body)
+              .addHeader(Header.ContentLength(ConfigConstraints.MaxSingleUploadBytes * 2))
+          )
+          response <- fileUploadRoutes.runZIO(request).provide(testLayer)
+          responseBody <- response.body.asString
+          uploadResponse <- ZIO.fromEither(responseBody.fromJson[UploadResponse])
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          !uploadResponse.success,
+          uploadResponse.message.contains("/api/upload/chunked")
+        )
+      }
+    ),
+
+    suite("Session State Endpoint")(
+      test("GET /api/session/{sessionId} reports uploads whose files were cleaned up as expired") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("report.pdf")
+          )
+        )
+        
+        (for {
+          uploadResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          upload <- uploadResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+          
+          activeResponse <- fileUploadRoutes.runZIO(Request.get(URL.root / "api" / "session" / upload.sessionId))
+          active <- activeResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[SessionStateResponse]))
+          
+          // Simulate temporary file cleanup removing the uploaded document
+          session <- SessionManagementService.getSession(upload.sessionId)
+          _ <- ZIO.succeed(session.uploadedDocument.flatMap(_.sourceFilePath).foreach(path => new File(path).delete()))
+          
+          expiredResponse <- fileUploadRoutes.runZIO(Request.get(URL.root / "api" / "session" / upload.sessionId))
+          expired <- expiredResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[SessionStateResponse]))
+        } yield assertTrue(
+          activeResponse.status == Status.Ok,
+          active.valid,
+          active.status == "uploaded",
+          active.filename.contains("report.pdf"),
+          !expired.valid,
+          expired.status == "expired",
+          expired.message.contains("expired")
+        )).provide(testLayer)
+      },
+
+      test("GET /api/session/{sessionId} returns 404 for unknown sessions") {
+        (for {
+          response <- fileUploadRoutes.runZIO(Request.get(URL.root / "api" / "session" / "missing-session"))
+          state <- response.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[SessionStateResponse]))
+        } yield assertTrue(
+          response.status == Status.NotFound,
+          state.status == "expired"
+        )).provide(testLayer)
+      },
+
+      test("DELETE /api/session/{sessionId} releases the session so it can no longer be used") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("report.pdf")
+          )
+        )
+        
+        (for {
+          uploadResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          upload <- uploadResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+          
+          // A session whose document is being processed is kept
+          _ <- SessionManagementService.updateDocumentStatus(upload.sessionId, DocumentStatus.Processing)
+          busyResponse <- fileUploadRoutes.runZIO(Request.delete(URL.root / "api" / "session" / upload.sessionId))
+          busyState <- fileUploadRoutes.runZIO(Request.get(URL.root / "api" / "session" / upload.sessionId))
+          _ <- SessionManagementService.updateDocumentStatus(upload.sessionId, DocumentStatus.Uploaded)
+          
+          releaseResponse <- fileUploadRoutes.runZIO(Request.delete(URL.root / "api" / "session" / upload.sessionId))
+          released <- releaseResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[SessionStateResponse]))
+          
+          stateResponse <- fileUploadRoutes.runZIO(Request.get(URL.root / "api" / "session" / upload.sessionId))
+          secondRelease <- fileUploadRoutes.runZIO(Request.delete(URL.root / "api" / "session" / upload.sessionId))
+        } yield assertTrue(
+          busyResponse.status == Status.Conflict,
+          busyState.status == Status.Ok,
+          releaseResponse.status == Status.Ok,
+          released.status == "released",
+          stateResponse.status == Status.NotFound,
+          secondRelease.status == Status.NotFound
+        )).provide(testLayer)
+      }
+    ),
+
+    suite("Chunked Upload Endpoints")(
+      test("chunked upload resumes from the received offset and completes into a session") {
+        val content = "fake-pdf-content".getBytes()
+        val (firstChunk, secondChunk) = content.splitAt(8)
+        val uploadRequest = ChunkedUploadRequest("scan.pdf", content.length.toLong).toJson
+        
+        (for {
+          startResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload" / "chunked", Body.fromString(uploadRequest)))
+          started <- startResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[ChunkedUploadResponse]))
+          
+          _ <- fileUploadRoutes.runZIO(Request.put(URL.root / "api" / "upload" / "chunked" / started.uploadId / "0", Body.fromArray(firstChunk)))
+          
+          // A retried chunk at a stale offset is rejected with the bytes actually received
+          staleResponse <- fileUploadRoutes.runZIO(Request.put(URL.root / "api" / "upload" / "chunked" / started.uploadId / "0", Body.fromArray(firstChunk)))
+          stale <- staleResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[ChunkedUploadResponse]))
+          
+          statusResponse <- fileUploadRoutes.runZIO(Request.get(URL.root / "api" / "upload" / "chunked" / started.uploadId))
+          status <- statusResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[ChunkedUploadResponse]))
+          
+          _ <- fileUploadRoutes.runZIO(Request.put(URL.root / "api" / "upload" / "chunked" / started.uploadId / status.receivedBytes.toString, Body.fromArray(secondChunk)))
+          completeResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload" / "chunked" / started.uploadId / "complete", Body.fromString(uploadRequest)))
+          completed <- completeResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+        } yield assertTrue(
+          startResponse.status == Status.Ok,
+          started.uploadId.nonEmpty,
+          staleResponse.status == Status.Conflict,
+          stale.receivedBytes == firstChunk.length.toLong,
+          status.receivedBytes == firstChunk.length.toLong,
+          completeResponse.status == Status.Ok,
+          completed.success,
+          completed.sessionId.nonEmpty
+        )).provide(testLayer)
+      },
+      
+      test("cancelled chunked uploads are discarded") {
+        val uploadRequest = ChunkedUploadRequest("scan.pdf", 1024L).toJson
+        
+        (for {
+          startResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload" / "chunked", Body.fromString(uploadRequest)))
+          started <- startResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[ChunkedUploadResponse]))
+          cancelResponse <- fileUploadRoutes.runZIO(Request.delete(URL.root / "api" / "upload" / "chunked" / started.uploadId))
+          statusResponse <- fileUploadRoutes.runZIO(Request.get(URL.root / "api" / "upload" / "chunked" / started.uploadId))
+        } yield assertTrue(
+          cancelResponse.status == Status.Ok,
+          statusResponse.status == Status.NotFound
+        )).provide(testLayer)
+      },
+      
+      test("PUT /api/upload/chunked/{uploadId}/{offset} refuses oversized chunks and unknown uploads") {
+        val uploadRequest = ChunkedUploadRequest("scan.pdf", ConfigConstraints.MaxFileSizeBytes).toJson
+        val oversizedChunk = new Array[Byte](ConfigConstraints.UploadChunkSizeBytes + 1)
+        
+        (for {
+          startResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload" / "chunked", Body.fromString(uploadRequest)))
+          started <- startResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[ChunkedUploadResponse]))
+          
+          oversizedResponse <- fileUploadRoutes.runZIO(Request.put(URL.root / "api" / "upload" / "chunked" / started.uploadId / "0", Body.fromArray(oversizedChunk)))
+          oversized <- oversizedResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[ChunkedUploadResponse]))
+          
+          unknownResponse <- fileUploadRoutes.runZIO(Request.put(URL.root / "api" / "upload" / "chunked" / UUID.randomUUID().toString / "0", Body.fromArray("chunk".getBytes())))
+        } yield assertTrue(
+          oversizedResponse.status == Status.BadRequest,
+          oversized.message.contains("Upload chunks can be at most"),
+          oversized.receivedBytes == 0L,
+          unknownResponse.status == Status.NotFound
+        )).provide(testLayer)
+      },
+      
+      test("POST /api/upload/chunked rejects files over the size limit") {
+        val uploadRequest = ChunkedUploadRequest("huge.pdf", ConfigConstraints.MaxFileSizeBytes + 1).toJson
+        
+        (for {
+          response <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload" / "chunked", Body.fromString(uploadRequest)))
+          body <- response.body.asString
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          body.contains("File size exceeded")
+        )).provide(testLayer)
+      }
+    ),
+
+    suite("Status Event Stream")(
+      test("GET /api/events/{sessionId} pushes upload and processing events") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("test.pdf")
+          )
+        )
+        
+        (for {
+          uploadResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          upload <- uploadResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+          
+          response <- eventRoutes.runZIO(Request.get(URL.root / "api" / "events" / upload.sessionId))
+          // The first snapshot is pushed immediately; read until it has arrived
+          received <- response.body.asStream
+            .via(ZPipeline.utf8Decode)
+            .scan("")(_ + _)
+            .takeUntil(text => text.contains("event: upload") && text.contains("event: processing"))
+            .runLast
+            .map(_.getOrElse(""))
+        } yield assertTrue(
+          response.status == Status.Ok,
+          response.header(Header.ContentType).exists(_.mediaType == MediaType.text.`event-stream`),
+          received.contains("uploaded successfully"),
+          received.contains("awaiting_config")
+        )).provide(testLayer)
+      },
+      
+      test("GET /api/events/{sessionId} returns 404 for unknown sessions") {
+        (for {
+          response <- eventRoutes.runZIO(Request.get(URL.root / "api" / "events" / "missing-session"))
+        } yield assertTrue(response.status == Status.NotFound)).provide(testLayer)
+      }
+    ),
+
+    suite("Batch Endpoints")(
+      test("POST /api/batch groups uploaded sessions and reports per-file status") {
+        def uploadForm(filename: String) = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some(filename)
+          )
+        )
+        
+        def upload(filename: String) =
+          for {
+            response <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(uploadForm(filename), Boundary("test-boundary"))))
+            body <- response.body.asString
+            upload <- ZIO.fromEither(body.fromJson[UploadResponse])
+          } yield upload.sessionId
+        
+        (for {
+          first <- upload("contract-1.pdf")
+          second <- upload("contract-2.pdf")
+          
+          createBody = BatchCreateRequest(List(first, second)).toJson
+          createResponse <- batchRoutes.runZIO(Request.post(URL.root / "api" / "batch", Body.fromString(createBody)))
+          created <- createResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[BatchResponse]))
+          
+          statusResponse <- batchRoutes.runZIO(Request.get(URL.root / "api" / "batch" / created.batchId / "status"))
+          status <- statusResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[BatchStatusResponse]))
+        } yield assertTrue(
+          createResponse.status == Status.Ok,
+          created.success,
+          created.fileCount == 2,
+          statusResponse.status == Status.Ok,
+          status.status == "ready",
+          status.total == 2,
+          status.files.map(_.filename) == List("contract-1.pdf", "contract-2.pdf"),
+          status.downloadUrl.isEmpty
+        )).provide(testLayer)
+      },
+
+      test("POST /api/batch/{batchId}/apply leaves every file untouched when one of them cannot be processed") {
+        def upload(filename: String) =
+          for {
+            response <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(Form(
+              FormField.binaryField(
+                name = "file",
+                data = Chunk.fromArray("fake-pdf-content".getBytes()),
+                mediaType = MediaType.application.pdf,
+                filename = Some(filename)
+              )
+            ), Boundary("test-boundary"))))
+            upload <- response.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+          } yield upload.sessionId
+        
+        def config(pages: Option[String]) = FrontendWatermarkConfig(
+          text = "BATCH",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("random"),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("randomPerLetter"),
+          quantity = 1,
+          pages = pages
+        )
+        
+        def apply(batchId: String, pages: Option[String]) =
+          batchRoutes.runZIO(Request.post(URL.root / "api" / "batch" / batchId / "apply", Body.fromString(BatchApplyRequest(config(pages)).toJson)))
+        
+        def statusOf(sessionId: String) =
+          SessionManagementService.getSession(sessionId).map(_.uploadedDocument.map(_.status))
+        
+        (for {
+          first <- upload("contract-1.pdf")
+          second <- upload("contract-2.pdf")
+          createResponse <- batchRoutes.runZIO(Request.post(URL.root / "api" / "batch", Body.fromString(BatchCreateRequest(List(first, second)).toJson)))
+          created <- createResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[BatchResponse]))
+          
+          // The documents have a single page
+          beyondResponse <- apply(created.batchId, Some("2"))
+          beyondMessage <- beyondResponse.body.asString
+          afterBeyond <- statusOf(first)
+          
+          _ <- SessionManagementService.removeSession(second)
+          expiredResponse <- apply(created.batchId, None)
+          afterExpired <- statusOf(first)
+        } yield assertTrue(
+          beyondResponse.status == Status.BadRequest,
+          beyondMessage.contains("contract-1.pdf: Page 2 is beyond the last page"),
+          afterBeyond.contains(DocumentStatus.Uploaded),
+          expiredResponse.status == Status.BadRequest,
+          afterExpired.contains(DocumentStatus.Uploaded)
+        )).provide(testLayer)
+      },
+
+      test("POST /api/batch/{batchId}/apply refuses a batch whose files are still being processed") {
+        def upload(filename: String) =
+          for {
+            response <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(Form(
+              FormField.binaryField(
+                name = "file",
+                data = Chunk.fromArray("fake-pdf-content".getBytes()),
+                mediaType = MediaType.application.pdf,
+                filename = Some(filename)
+              )
+            ), Boundary("test-boundary"))))
+            upload <- response.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+          } yield upload.sessionId
+        
+        val applyBody = BatchApplyRequest(FrontendWatermarkConfig(
+          text = "BATCH",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("random"),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("randomPerLetter"),
+          quantity = 1
+        )).toJson
+        
+        (for {
+          first <- upload("contract-1.pdf")
+          second <- upload("contract-2.pdf")
+          createResponse <- batchRoutes.runZIO(Request.post(URL.root / "api" / "batch", Body.fromString(BatchCreateRequest(List(first, second)).toJson)))
+          created <- createResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[BatchResponse]))
+          
+          // An earlier apply is still processing the second file
+          _ <- SessionManagementService.updateDocumentStatus(second, DocumentStatus.Processing)
+          response <- batchRoutes.runZIO(Request.post(URL.root / "api" / "batch" / created.batchId / "apply", Body.fromString(applyBody)))
+          firstStatus <- SessionManagementService.getSession(first).map(_.uploadedDocument.map(_.status))
+        } yield assertTrue(
+          response.status == Status.Conflict,
+          firstStatus.contains(DocumentStatus.Uploaded)
+        )).provide(testLayer)
+      },
+
+      test("markProcessing lets only one of several concurrent callers start processing") {
+        val sessions = Layers.SessionManagementServiceLive()
+        val document = PdfDocument(UUID.randomUUID().toString, "report.pdf", 1024L, 1, Instant.now(), DocumentStatus.Uploaded)
+        
+        for {
+          session <- sessions.createSession()
+          _ <- sessions.updateSessionWithDocument(session.sessionId, document)
+          marked <- ZIO.foreachPar(1 to 5)(_ => sessions.markProcessing(session.sessionId))
+        } yield assertTrue(marked.count(_.isDefined) == 1)
+      },
+
+      test("POST /api/batch rejects unknown sessions") {
+        val createBody = BatchCreateRequest(List("missing-session")).toJson
+        
+        (for {
+          response <- batchRoutes.runZIO(Request.post(URL.root / "api" / "batch", Body.fromString(createBody)))
+          body <- response.body.asString
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          body.contains("Session not found")
+        )).provide(testLayer)
+      },
+
+      test("GET /api/batch/{batchId}/download returns 404 for unknown batches") {
+        (for {
+          response <- batchRoutes.runZIO(Request.get(URL.root / "api" / "batch" / "missing-batch" / "download"))
+        } yield assertTrue(response.status == Status.NotFound)).provide(testLayer)
+      }
+    ),
+
+    suite("Download Endpoints")(
+      test("GET /api/download/{sessionId} names the file after a pattern and resumes from a Range offset") {
+        val processedFile = File.createTempFile("processed-", ".pdf")
+        java.nio.file.Files.write(processedFile.toPath, "0123456789".getBytes())
+        
+        (for {
+          session <- SessionManagementService.createSession()
+          _ <- SessionManagementService.updateSessionWithDocument(session.sessionId, completedDocument("report.pdf", processedFile))
+          downloadUrl = URL.root / "api" / "download" / session.sessionId
+          
+          fullResponse <- downloadRoutes.runZIO(Request.get(downloadUrl.addQueryParam("pattern", "{name}_final_{date:yyyy}")))
+          fullBody <- fullResponse.body.asString
+          resumedResponse <- downloadRoutes.runZIO(Request.get(downloadUrl).addHeader("Range", "bytes=4-"))
+          resumedBody <- resumedResponse.body.asString
+          invalidResponse <- downloadRoutes.runZIO(Request.get(downloadUrl.addQueryParam("pattern", "{owner}")))
+        } yield assertTrue(
+          fullResponse.status == Status.Ok,
+          fullResponse.rawHeader("Content-Disposition").exists(_.contains(s"report_final_${java.time.Year.now()}.pdf")),
+          fullBody == "0123456789",
+          resumedResponse.status == Status.PartialContent,
+          resumedResponse.rawHeader("Content-Range").contains("bytes 4-9/10"),
+          resumedBody == "456789",
+          invalidResponse.status == Status.BadRequest
+        )).provide(trackedDownloadLayer)
+      },
+
+      test("GET /api/download/progress/{sessionId} confirms the cleanup once the download has completed") {
+        def downloadAndCheck(keepMinutes: Int) = {
+          val processedFile = File.createTempFile("processed-", ".pdf")
+          java.nio.file.Files.write(processedFile.toPath, "watermarked".getBytes())
+          
+          for {
+            session <- SessionManagementService.createSession()
+            _ <- SessionManagementService.updateSessionWithDocument(session.sessionId, completedDocument("report.pdf", processedFile))
+            _ <- downloadRoutes.runZIO(Request.get(URL.root / "api" / "download" / session.sessionId)).flatMap(_.body.asString)
+            progressUrl = (URL.root / "api" / "download" / "progress" / session.sessionId).addQueryParam("keepMinutes", keepMinutes.toString)
+            response <- downloadRoutes.runZIO(Request.get(progressUrl))
+            body <- response.body.asString
+          } yield (response.status, body.fromJson[DownloadProgressResponse])
+        }
+        
+        (for {
+          (removedStatus, removed) <- downloadAndCheck(0)
+          (keptStatus, kept) <- downloadAndCheck(10)
+          (tooLongStatus, _) <- downloadAndCheck(ConfigConstraints.MaxDownloadRetentionMinutes + 1)
+        } yield assertTrue(
+          removedStatus == Status.Ok,
+          removed.exists(progress => progress.status == "completed" && progress.cleanup.contains("completed")),
+          keptStatus == Status.Ok,
+          kept.exists(progress => progress.cleanup.contains("scheduled") && progress.availableUntil.isDefined),
+          tooLongStatus == Status.BadRequest
+        )).provide(trackedDownloadLayer)
+      },
+
+      test("concurrent progress checks schedule the cleanup of a download once") {
+        val tracking = Layers.DownloadTrackingServiceLive()
+        
+        for {
+          _ <- tracking.createDownloadSession("session-1", "doc-1", "report.pdf", 10L)
+          scheduled <- ZIO.foreachPar(1 to 5)(minutes => tracking.scheduleCleanup("session-1", Instant.now().plusSeconds(minutes * 60L)))
+          session <- tracking.getDownloadSession("session-1")
+        } yield assertTrue(
+          scheduled.count(_.isDefined) == 1,
+          session.cleanupAt == scheduled.flatten.headOption.flatMap(_.cleanupAt)
+        )
+      }
+    ),
+
+    suite("Preset Endpoints")(
+      test("presets can be saved, listed, renamed and deleted per install") {
+        val presetConfig = FrontendWatermarkConfig(
+          text = "CONFIDENTIAL",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("fixed", Some(45.0)),
+          fontSize = FrontendFontSizeConfig("fixed", Some(36.0)),
+          color = FrontendColorConfig("fixed", Some("#ff0000")),
+          quantity = 3
+        )
+        val presetsUrl = URL.root / "api" / "presets" / "install-1"
+        
+        (for {
+          saveResponse <- presetRoutes.runZIO(Request.post(presetsUrl, Body.fromString(PresetSaveRequest("Legal", presetConfig).toJson)))
+          saved <- saveResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[PresetResponse]))
+          presetId = saved.preset.map(_.id).getOrElse("")
+          
+          renameResponse <- presetRoutes.runZIO(Request.put(presetsUrl / presetId, Body.fromString(PresetRenameRequest("Legal review").toJson)))
+          
+          listResponse <- presetRoutes.runZIO(Request.get(presetsUrl))
+          listed <- listResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[PresetListResponse]))
+          otherInstall <- presetRoutes.runZIO(Request.get(URL.root / "api" / "presets" / "install-2"))
+            .flatMap(_.body.asString)
+            .flatMap(body => ZIO.fromEither(body.fromJson[PresetListResponse]))
+          
+          deleteResponse <- presetRoutes.runZIO(Request.delete(presetsUrl / presetId))
+          secondDelete <- presetRoutes.runZIO(Request.delete(presetsUrl / presetId))
+        } yield assertTrue(
+          saveResponse.status == Status.Created,
+          renameResponse.status == Status.Ok,
+          listed.presets.map(_.name) == List("Legal review"),
+          listed.presets.head.config == presetConfig,
+          otherInstall.presets.isEmpty,
+          deleteResponse.status == Status.Ok,
+          secondDelete.status == Status.NotFound
+        )).provide(testLayer)
+      },
+
+      test("POST /api/presets/{ownerId} rejects configurations that cannot be applied") {
+        val presetBody = """{"name":"Broken","config":{"text":"X","position":{"type":"fixed"},"orientation":{"type":"random"},"fontSize":{"type":"fixed","size":24},"color":{"type":"randomPerLetter"},"quantity":1}}"""
+        
+        (for {
+          response <- presetRoutes.runZIO(Request.post(URL.root / "api" / "presets" / "install-1", Body.fromString(presetBody)))
+          body <- response.body.asString
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          body.contains("Missing x coordinate")
+        )).provide(testLayer)
+      }
+    ),
+
+    suite("Job History Endpoints")(
+      test("POST /api/watermark/apply records the job with its layers in the install's history") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("history.pdf")
+          )
+        )
+        val config = FrontendWatermarkConfig(
+          text = "ARCHIVE",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("fixed", Some(30.0)),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("fixed", Some("#336699")),
+          quantity = 2
+        )
+        val applyUrl = URL.root / "api" / "watermark" / "apply"
+        
+        (for {
+          uploadResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          upload <- uploadResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+          
+          applyBody = WatermarkApplyRequest(upload.sessionId, config, ownerId = Some("install-1")).toJson
+          applyResponse <- watermarkProcessingRoutes.runZIO(Request.post(applyUrl, Body.fromString(applyBody)))
+          invalidOwnerBody = WatermarkApplyRequest(upload.sessionId, config, ownerId = Some("not/an-install")).toJson
+          invalidOwnerResponse <- watermarkProcessingRoutes.runZIO(Request.post(applyUrl, Body.fromString(invalidOwnerBody)))
+          
+          history <- jobHistoryRoutes.runZIO(Request.get(URL.root / "api" / "history" / "install-1"))
+            .flatMap(_.body.asString)
+            .flatMap(body => ZIO.fromEither(body.fromJson[JobListResponse]))
+          otherInstall <- jobHistoryRoutes.runZIO(Request.get(URL.root / "api" / "history" / "install-2"))
+            .flatMap(_.body.asString)
+            .flatMap(body => ZIO.fromEither(body.fromJson[JobListResponse]))
+        } yield assertTrue(
+          applyResponse.status == Status.Ok,
+          invalidOwnerResponse.status == Status.BadRequest,
+          history.jobs.map(_.filename) == List("history.pdf"),
+          history.jobs.head.layers == List(config),
+          otherInstall.jobs.isEmpty
+        )).provide(testLayer)
+      },
+
+      test("GET /api/history/{ownerId}/{jobId}/download serves outputs until the retention rules purge them") {
+        val outputFile = File.createTempFile("processed-", ".pdf")
+        java.nio.file.Files.write(outputFile.toPath, "watermarked".getBytes())
+        val purgedFile = File.createTempFile("processed-", ".pdf")
+        purgedFile.setLastModified(java.lang.System.currentTimeMillis() - 2 * 60 * 60 * 1000) // Older than the 1 hour age limit
+        val historyUrl = URL.root / "api" / "history" / "install-1"
+        
+        (for {
+          _ <- JobHistoryService.recordJob("install-1", "current-job", "no-session", "report.pdf", "[]")
+          _ <- JobHistoryService.completeJob("current-job", outputFile.getAbsolutePath, outputFile.length())
+          _ <- JobHistoryService.recordJob("install-1", "purged-job", "no-session", "old.pdf", "[]")
+          _ <- JobHistoryService.completeJob("purged-job", purgedFile.getAbsolutePath, 0L)
+          
+          history <- jobHistoryRoutes.runZIO(Request.get(historyUrl))
+            .flatMap(_.body.asString)
+            .flatMap(body => ZIO.fromEither(body.fromJson[JobListResponse]))
+          download <- jobHistoryRoutes.runZIO(Request.get(historyUrl / "current-job" / "download"))
+          downloadBody <- download.body.asString
+          purgedDownload <- jobHistoryRoutes.runZIO(Request.get(historyUrl / "purged-job" / "download"))
+          otherInstall <- jobHistoryRoutes.runZIO(Request.get(URL.root / "api" / "history" / "install-2" / "current-job" / "download"))
+        } yield assertTrue(
+          history.jobs.find(_.jobId == "current-job").exists(job =>
+            job.status == "completed" && job.outputSize.contains(11L) && job.expiresAt.isDefined && job.downloadUrl.isDefined),
+          history.jobs.find(_.jobId == "purged-job").exists(job => job.expiresAt.isEmpty && job.downloadUrl.isEmpty),
+          download.status == Status.Ok,
+          download.rawHeader("Content-Disposition").exists(_.contains("processed_report.pdf")),
+          downloadBody == "watermarked",
+          purgedDownload.status == Status.NotFound,
+          otherInstall.status == Status.NotFound
+        )).provide(testLayer)
+      }
+    ),
+
+    suite("Font Size Resolution Endpoint")(
+      test("POST /api/watermark/font-size resolves recommended sizes for the uploaded page") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("poster.pdf")
+          )
+        )
+        
+        (for {
+          uploadResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          uploadBody <- uploadResponse.body.asString
+          upload <- ZIO.fromEither(uploadBody.fromJson[UploadResponse])
+          
+          recommendedBody = FontSizeResolveRequest(upload.sessionId, FrontendFontSizeConfig("recommended", documentType = Some("certificate"))).toJson
+          recommendedResponse <- watermarkProcessingRoutes.runZIO(Request.post(URL.root / "api" / "watermark" / "font-size", Body.fromString(recommendedBody)))
+          recommended <- recommendedResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[FontSizeResolveResponse]))
+          
+          invalidBody = FontSizeResolveRequest(upload.sessionId, FrontendFontSizeConfig("recommended", documentType = Some("receipt"))).toJson
+          invalidResponse <- watermarkProcessingRoutes.runZIO(Request.post(URL.root / "api" / "watermark" / "font-size", Body.fromString(invalidBody)))
+          invalid <- invalidResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[FontSizeResolveResponse]))
+        } yield assertTrue(
+          recommendedResponse.status == Status.Ok,
+          recommended.success,
+          recommended.fontSize.exists(_ > 24.0),
+          recommended.pageWidth.contains(595.0),
+          invalidResponse.status == Status.BadRequest,
+          invalid.message.contains("Invalid document type")
+        )).provide(testLayer)
+      }
+    ),
+
+    suite("Page Image Endpoint")(
+      test("GET /api/session/{sessionId}/pages/{page} renders original pages and waits for the watermarked version") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("compare.pdf")
+          )
+        )
+        
+        (for {
+          uploadResponse <- fileUploadRoutes.runZIO(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          upload <- uploadResponse.body.asString.flatMap(body => ZIO.fromEither(body.fromJson[UploadResponse]))
+          pageUrl = URL.root / "api" / "session" / upload.sessionId / "pages"
+          
+          originalResponse <- fileUploadRoutes.runZIO(Request.get((pageUrl / "1").addQueryParam("dpi", "36")))
+          watermarkedResponse <- fileUploadRoutes.runZIO(Request.get((pageUrl / "1").addQueryParam("version", "watermarked")))
+          outOfRangeResponse <- fileUploadRoutes.runZIO(Request.get(pageUrl / "2"))
+          tooSharpResponse <- fileUploadRoutes.runZIO(Request.get((pageUrl / "1").addQueryParam("dpi", "1000")))
+        } yield assertTrue(
+          originalResponse.status == Status.Ok,
+          originalResponse.header(Header.ContentType).contains(Header.ContentType(MediaType.image.png)),
+          originalResponse.rawHeader("X-Page-Count").contains("1"),
+          watermarkedResponse.status == Status.NotFound,
+          outOfRangeResponse.status == Status.BadRequest,
+          tooSharpResponse.status == Status.BadRequest
+        )).provide(testLayer)
+      }
+    ),
+
+    suite("Watermark Preview Endpoint")(
+      test("POST /api/watermark/preview renders the requested page as PNG") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("preview.pdf")
+          )
+        )
+        val previewConfig = FrontendWatermarkConfig(
+          text = "PREVIEW",
+          position = FrontendPositionConfig("fixed", Some(100.0), Some(200.0)),
+          orientation = FrontendOrientationConfig("fixed", Some(45.0)),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("fixed", Some("#ff0000")),
+          quantity = 1
+        )
+        
+        (for {
+          uploadRequest <- ZIO.succeed(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          uploadResponse <- fileUploadRoutes.runZIO(uploadRequest)
+          uploadBody <- uploadResponse.body.asString
+          upload <- ZIO.fromEither(uploadBody.fromJson[UploadResponse])
+          
+          previewBody = WatermarkPreviewRequest(upload.sessionId, previewConfig, page = 1).toJson
+          previewResponse <- watermarkProcessingRoutes.runZIO(Request.post(URL.root / "api" / "watermark" / "preview", Body.fromString(previewBody)))
+          
+          outOfRangeBody = WatermarkPreviewRequest(upload.sessionId, previewConfig, page = 2).toJson
+          outOfRangeResponse <- watermarkProcessingRoutes.runZIO(Request.post(URL.root / "api" / "watermark" / "preview", Body.fromString(outOfRangeBody)))
+          outOfRangeMessage <- outOfRangeResponse.body.asString
+        } yield assertTrue(
+          previewResponse.status == Status.Ok,
+          previewResponse.header(Header.ContentType).contains(Header.ContentType(MediaType.image.png)),
+          previewResponse.rawHeader("X-Page-Count").contains("1"),
+          outOfRangeResponse.status == Status.BadRequest,
+          outOfRangeMessage.contains("out of range")
+        )).provide(testLayer)
+      },
+
+      test("POST /api/watermark/preview rejects unknown sessions") {
+        val previewBody = """{"sessionId":"missing","config":{"text":"X","position":{"type":"random"},"orientation":{"type":"random"},"fontSize":{"type":"fixed","size":24},"color":{"type":"randomPerLetter"},"quantity":1}}"""
+        
+        for {
+          response <- watermarkProcessingRoutes
+            .runZIO(Request.post(URL.root / "api" / "watermark" / "preview", Body.fromString(previewBody)))
+            .provide(testLayer)
+          body <- response.body.asString
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          body.contains("Session not found")
+        )
+      }
+    ),
+
+    suite("Watermark Apply Endpoint")(
+      test("POST /api/watermark/apply rejects page selections the document cannot satisfy") {
+        val form = Form(
+          FormField.binaryField(
+            name = "file",
+            data = Chunk.fromArray("fake-pdf-content".getBytes()),
+            mediaType = MediaType.application.pdf,
+            filename = Some("pages.pdf")
+          )
+        )
+        def configWithPages(pages: String) = FrontendWatermarkConfig(
+          text = "PAGES",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("random"),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("randomPerLetter"),
+          quantity = 1,
+          pages = Some(pages)
+        )
+        
+        (for {
+          uploadRequest <- ZIO.succeed(Request.post(URL.root / "api" / "upload", Body.fromMultipartForm(form, Boundary("test-boundary"))))
+          uploadResponse <- fileUploadRoutes.runZIO(uploadRequest)
+          uploadBody <- uploadResponse.body.asString
+          upload <- ZIO.fromEither(uploadBody.fromJson[UploadResponse])
+          
+          beyondBody = WatermarkApplyRequest(upload.sessionId, configWithPages("2-3")).toJson
+          beyondResponse <- watermarkProcessingRoutes.runZIO(Request.post(URL.root / "api" / "watermark" / "apply", Body.fromString(beyondBody)))
+          beyondMessage <- beyondResponse.body.asString
+          
+          malformedBody = WatermarkApplyRequest(upload.sessionId, configWithPages("first")).toJson
+          malformedResponse <- watermarkProcessingRoutes.runZIO(Request.post(URL.root / "api" / "watermark" / "apply", Body.fromString(malformedBody)))
+          malformedMessage <- malformedResponse.body.asString
+        } yield assertTrue(
+          beyondResponse.status == Status.BadRequest,
+          beyondMessage.contains("beyond the last page"),
+          malformedResponse.status == Status.BadRequest,
+          malformedMessage.contains("Invalid page selection")
+        )).provide(testLayer)
+      },
+      
+      test("POST /api/watermark/apply rejects unknown text tokens before looking up the session") {
+        val applyBody = WatermarkApplyRequest("missing", FrontendWatermarkConfig(
+          text = "Copy for {owner} on {date}",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("random"),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("randomPerLetter"),
+          quantity = 1
+        )).toJson
+        
+        for {
+          response <- watermarkProcessingRoutes
+            .runZIO(Request.post(URL.root / "api" / "watermark" / "apply", Body.fromString(applyBody)))
+            .provide(testLayer)
+          body <- response.body.asString
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          body.contains("Unknown token {owner}")
+        )
+      },
+
+      test("POST /api/watermark/apply names the layer with an invalid configuration") {
+        val layer = FrontendWatermarkConfig(
+          text = "DRAFT",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("random"),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("randomPerLetter"),
+          quantity = 1
+        )
+        val applyBody = WatermarkApplyRequest("missing", layer, List(layer.copy(text = "Sheet {sheet}"))).toJson
+        val tooManyLayersBody = WatermarkApplyRequest("missing", layer, List.fill(10)(layer)).toJson
+
+        for {
+          response <- watermarkProcessingRoutes
+            .runZIO(Request.post(URL.root / "api" / "watermark" / "apply", Body.fromString(applyBody)))
+            .provide(testLayer)
+          body <- response.body.asString
+          tooManyResponse <- watermarkProcessingRoutes
+            .runZIO(Request.post(URL.root / "api" / "watermark" / "apply", Body.fromString(tooManyLayersBody)))
+            .provide(testLayer)
+          tooManyBody <- tooManyResponse.body.asString
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          body.contains("Layer 2: Unknown token {sheet}"),
+          tooManyResponse.status == Status.BadRequest,
+          tooManyBody.contains("at most 10 layers")
+        )
+      },
+
+      test("GET /api/watermark/schema publishes the limits the server validates against") {
+        for {
+          response <- watermarkProcessingRoutes
+            .runZIO(Request.get(URL.root / "api" / "watermark" / "schema"))
+            .provide(testLayer)
+          body <- response.body.asString
+          schema = body.fromJson[ConfigSchema]
+          quantityRange = schema.toOption.flatMap(_.fields.find(_.name == "quantity")).flatMap(_.ranges.get("quantity"))
+        } yield assertTrue(
+          response.status == Status.Ok,
+          schema.map(_.maxLayers) == Right(ConfigConstraints.MaxWatermarkLayers),
+          quantityRange.map(_.max) == Some(ConfigConstraints.MaxWatermarkQuantity.toDouble)
+        )
+      },
+
+      test("POST /api/watermark/apply reports configuration errors per field and layer") {
+        val layer = FrontendWatermarkConfig(
+          text = "DRAFT",
+          position = FrontendPositionConfig("random"),
+          orientation = FrontendOrientationConfig("fixed", angle = Some(45.0)),
+          fontSize = FrontendFontSizeConfig("fixed", Some(24.0)),
+          color = FrontendColorConfig("randomPerLetter"),
+          quantity = 1
+        )
+        val applyBody = WatermarkApplyRequest(
+          "missing",
+          layer,
+          List(layer.copy(fontSize = FrontendFontSizeConfig("fixed", Some(500.0)), quantity = 0))
+        ).toJson
+
+        for {
+          response <- watermarkProcessingRoutes
+            .runZIO(Request.post(URL.root / "api" / "watermark" / "apply", Body.fromString(applyBody)))
+            .provide(testLayer)
+          body <- response.body.asString
+          fieldErrors = body.fromJson[ProcessWatermarkResponse].map(_.fieldErrors.map(error => (error.layer, error.field)))
+        } yield assertTrue(
+          response.status == Status.BadRequest,
+          fieldErrors == Right(List((2, "fontSize"), (2, "quantity")))
+        )
+      }
+    ),
+
+    suite("Watermark Image Endpoint")(
+      test("POST /api/watermark/image stores PNG images and reports their size") {
+        val image = new java.awt.image.BufferedImage(40, 20, java.awt.image.BufferedImage.TYPE_INT_ARGB)
+        val pngBytes = {
+          val output = new java.io.ByteArrayOutputStream()
+          javax.imageio.ImageIO.write(image, "png", output)
+          output.toByteArray
+        }
+        def imageForm(data: Array[Byte], filename: String) = Form(
+          FormField.binaryField(
+            name = "image",
+            data = Chunk.fromArray(data),
+            mediaType = MediaType.image.png,
+            filename = Some(filename)
+          )
+        )
+        
+        (for {
+          pngRequest <- ZIO.succeed(Request.post(URL.root / "api" / "watermark" / "image", Body.fromMultipartForm(imageForm(pngBytes, "logo.png"), Boundary("test-boundary"))))
+          pngResponse <- watermarkProcessingRoutes.runZIO(pngRequest)
+          pngBody <- pngResponse.body.asString
+          uploaded <- ZIO.fromEither(pngBody.fromJson[WatermarkImageUploadResponse])
+          
+          textRequest = Request.post(URL.root / "api" / "watermark" / "image", Body.fromMultipartForm(imageForm("not an image".getBytes(), "logo.png"), Boundary("test-boundary")))
+          textResponse <- watermarkProcessingRoutes.runZIO(textRequest)
+          textBody <- textResponse.body.asString
+        } yield assertTrue(
+          pngResponse.status == Status.Ok,
+          uploaded.success,
+          uploaded.imageId.isDefined,
+          uploaded.width.contains(40),
+          uploaded.height.contains(20),
+          textResponse.status == Status.BadRequest,
+          textBody.contains("PNG or JPEG")
+        )).provide(testLayer)
       }
     )
   )
-}
\ No newline at end of file
+}
@@ -1,8 +1,10 @@
 package com.pdfwatermarks.pdf
 
 import com.pdfwatermarks.BaseTestSpec
-import com.pdfwatermarks.domain.{DomainError, DocumentStatus}
+import com.pdfwatermarks.domain.{ConfigConstraints, DomainError, DocumentStatus}
 import zio.*
+import org.apache.pdfbox.pdmodel.{PDDocument, PDPage}
+import org.apache.pdfbox.pdmodel.common.PDRectangle
 import java.io.File
 
 /**
@@ -142,6 +144,46 @@ class PdfProcessorTest extends BaseTestSpec {
     }
   }
 
+  "PdfProcessor.renderPage" should "render a page as PNG at the requested resolution" in {
+    val pdfFile = getTestPdfFile("multi-page.pdf")
+    
+    val result = runSync(PdfProcessor.renderPage(pdfFile, 3, 36f))
+    val image = javax.imageio.ImageIO.read(new java.io.ByteArrayInputStream(result))
+    val dimensions = runSync(PdfProcessor.getPageDimensions(pdfFile, 3))
+    
+    image should not be null
+    image.getWidth shouldBe (dimensions.width / 2).round.toInt +- 1
+    image.getHeight shouldBe (dimensions.height / 2).round.toInt +- 1
+  }
+
+  it should "fail for pages beyond the last page" in {
+    val pdfFile = getTestPdfFile("simple.pdf")
+    
+    val result = runSync(PdfProcessor.renderPage(pdfFile, 2, 72f).either)
+    
+    result.isLeft shouldBe true
+    result.swap.getOrElse(fail("Expected Left")) shouldBe a[DomainError.PdfProcessingError]
+  }
+
+  it should "lower the resolution of pages too large to render at the requested one" in {
+    // A0 is 2384 x 3370 points, about 385 megapixels at 288 dpi
+    val pdfFile = createTempFile("a0-", ".pdf")
+    val document = new PDDocument()
+    try {
+      document.addPage(new PDPage(PDRectangle.A0))
+      document.save(pdfFile)
+    } finally {
+      document.close()
+    }
+    
+    val result = runSync(PdfProcessor.renderPage(pdfFile, 1, 288f))
+    val image = javax.imageio.ImageIO.read(new java.io.ByteArrayInputStream(result))
+    
+    image.getWidth.toLong * image.getHeight should be <= ConfigConstraints.MaxRenderedPagePixels
+    image.getWidth.toLong * image.getHeight should be > ConfigConstraints.MaxRenderedPagePixels * 9 / 10
+    image.getHeight.toDouble / image.getWidth shouldBe (PDRectangle.A0.getHeight / PDRectangle.A0.getWidth).toDouble +- 0.01
+  }
+
   "PdfProcessor.validatePdfIntegrity" should "pass for valid PDF files" in {
     val pdfFile = getTestPdfFile("simple.pdf")
     
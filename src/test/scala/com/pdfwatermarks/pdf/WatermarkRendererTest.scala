@@ -3,8 +3,10 @@ package com.pdfwatermarks.pdf
 import com.pdfwatermarks.BaseTestSpec
 import com.pdfwatermarks.domain.*
 import zio.*
+import org.apache.pdfbox.Loader
 import java.io.File
 import java.awt.Color
+import scala.jdk.CollectionConverters.*
 
 /**
  * Tests for watermark rendering functionality.
@@ -233,4 +235,398 @@ class WatermarkRendererTest extends BaseTestSpec {
     result.isRight shouldBe true
     outputFile.exists() shouldBe true
   }
-}
\ No newline at end of file
+
+  "WatermarkRenderer.renderPreviewPage" should "render a watermarked page as a PNG image" in {
+    val inputFile = getTestPdfFile("simple.pdf")
+    val inputSize = inputFile.length()
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "PREVIEW",
+      position = PositionConfig.Fixed(200.0, 300.0),
+      orientation = OrientationConfig.Fixed(45.0),
+      fontSize = FontSizeConfig.Fixed(36.0),
+      color = ColorConfig.Fixed(Color.RED),
+      quantity = 1
+    )
+    
+    val result = runSync(WatermarkRenderer.renderPreviewPage(inputFile, watermarkConfig, 1))
+    
+    val image = javax.imageio.ImageIO.read(new java.io.ByteArrayInputStream(result))
+    image should not be null
+    image.getWidth should be > 0
+    inputFile.length() shouldBe inputSize // Source document must not be modified
+  }
+
+  it should "render a later page of a multi-page document" in {
+    val inputFile = getTestPdfFile("multi-page.pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "PAGE",
+      position = PositionConfig.Random,
+      orientation = OrientationConfig.Random,
+      fontSize = FontSizeConfig.Fixed(24.0),
+      color = ColorConfig.RandomPerLetter,
+      quantity = 3
+    )
+    
+    val result = runSync(WatermarkRenderer.renderPreviewPage(inputFile, watermarkConfig, 2).either)
+    
+    result.isRight shouldBe true
+  }
+
+  it should "fail for a page outside the document" in {
+    val inputFile = getTestPdfFile("simple.pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "TEST",
+      position = PositionConfig.Fixed(200.0, 300.0),
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(12.0),
+      color = ColorConfig.Fixed(Color.BLACK),
+      quantity = 1
+    )
+    
+    val result = runSync(WatermarkRenderer.renderPreviewPage(inputFile, watermarkConfig, 99).either)
+    
+    result.isLeft shouldBe true
+    result.swap.getOrElse(fail("Expected Left")) shouldBe a[DomainError.PdfProcessingError]
+  }
+
+  "WatermarkRenderer.templateAnchors" should "place one anchor per grid cell inside the page" in {
+    val page = PageDimensions(612.0, 792.0)
+    
+    val anchors = WatermarkRenderer.templateAnchors(page, PositionTemplate.Grid(3, 4), quantity = 1)
+    
+    anchors should have length 12
+    all(anchors.map(_.x)) should (be > 0.0 and be < page.width)
+    all(anchors.map(_.y)) should (be > 0.0 and be < page.height)
+    anchors.head.y should be > anchors.last.y // First row is at the top of the page
+  }
+
+  it should "spread the requested quantity along the diagonal" in {
+    val page = PageDimensions(612.0, 792.0)
+    
+    val anchors = WatermarkRenderer.templateAnchors(page, PositionTemplate.Diagonal, quantity = 5)
+    
+    anchors should have length 5
+    anchors.zip(anchors.tail).foreach { case (a, b) =>
+      b.x should be > a.x
+      b.y should be > a.y
+    }
+  }
+
+  it should "use four anchors for the four corners template" in {
+    val anchors = WatermarkRenderer.templateAnchors(PageDimensions(612.0, 792.0), PositionTemplate.FourCorners, quantity = 1)
+    
+    anchors.distinct should have length 4
+  }
+
+  "WatermarkRenderer.generateWatermarkInstances" should "let grid templates decide the watermark count" in {
+    val watermarkConfig = WatermarkConfig(
+      text = "GRID",
+      position = PositionConfig.Template(PositionTemplate.Grid(2, 3)),
+      orientation = OrientationConfig.Fixed(45.0),
+      fontSize = FontSizeConfig.Fixed(20.0),
+      color = ColorConfig.Fixed(Color.GRAY),
+      quantity = 1
+    )
+    
+    val instances = WatermarkRenderer.generateWatermarkInstances(PageDimensions(612.0, 792.0), watermarkConfig)
+    
+    instances should have length 6
+  }
+
+  it should "cycle through custom palette colors in order" in {
+    val watermarkConfig = WatermarkConfig(
+      text = "PALETTE",
+      position = PositionConfig.Random,
+      orientation = OrientationConfig.Preset(OrientationPreset.Vertical),
+      fontSize = FontSizeConfig.Fixed(20.0),
+      color = ColorConfig.Palette(ColorPalette.Custom(List(Color.RED, Color.BLUE))),
+      quantity = 3
+    )
+    
+    val instances = WatermarkRenderer.generateWatermarkInstances(PageDimensions(612.0, 792.0), watermarkConfig)
+    
+    instances.map(_.color) shouldBe List(Color.RED, Color.BLUE, Color.RED)
+    instances.map(_.angle).distinct shouldBe List(90.0)
+  }
+
+  "WatermarkRenderer.applyWatermarks" should "apply template layouts to a PDF" in {
+    val inputFile = getTestPdfFile("simple.pdf")
+    val outputFile = createTempFile("template_layout", ".pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "CONFIDENTIAL",
+      position = PositionConfig.Template(PositionTemplate.Diagonal),
+      orientation = OrientationConfig.Fixed(45.0),
+      fontSize = FontSizeConfig.Fixed(24.0),
+      color = ColorConfig.Fixed(Color.RED),
+      quantity = 3
+    )
+    
+    val result = runSync(WatermarkRenderer.applyWatermarks(inputFile, outputFile, watermarkConfig).either)
+    
+    result.isRight shouldBe true
+    outputFile.length() should be > inputFile.length()
+  }
+
+  it should "only watermark the pages in the page selection" in {
+    val inputFile = getTestPdfFile("multi-page.pdf")
+    val outputFile = createTempFile("page_selection", ".pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "SELECTED",
+      position = PositionConfig.Fixed(100.0, 100.0),
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(24.0),
+      color = ColorConfig.Fixed(Color.RED),
+      quantity = 1,
+      pages = PageSelection.Ranges(List(PageRange(2, Some(3))))
+    )
+    
+    runSync(WatermarkRenderer.applyWatermarks(inputFile, outputFile, watermarkConfig))
+    
+    // Watermarking appends a content stream to each page it touches
+    def contentStreamCounts(file: File): List[Int] = {
+      val document = Loader.loadPDF(file)
+      try {
+        (0 until document.getNumberOfPages).map(index => document.getPage(index).getContentStreams.asScala.size).toList
+      } finally {
+        document.close()
+      }
+    }
+    
+    val watermarked = contentStreamCounts(outputFile).zip(contentStreamCounts(inputFile)).map { case (after, before) => after > before }
+    watermarked shouldBe List(false, true, true, false, false)
+  }
+
+  it should "reject page selections beyond the last page" in {
+    val inputFile = getTestPdfFile("multi-page.pdf")
+    val outputFile = createTempFile("page_selection_out_of_range", ".pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "TEST",
+      position = PositionConfig.Random,
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(12.0),
+      color = ColorConfig.Fixed(Color.BLACK),
+      quantity = 1,
+      pages = PageSelection.Ranges(List(PageRange(7, Some(9))))
+    )
+    
+    val result = runSync(WatermarkRenderer.applyWatermarks(inputFile, outputFile, watermarkConfig).either)
+    
+    result shouldBe Left(DomainError.InvalidConfiguration(List("Page 7 is beyond the last page of the document (5)")))
+  }
+
+  it should "reject page selections that match no pages of the document" in {
+    val inputFile = getTestPdfFile("simple.pdf")
+    val outputFile = createTempFile("page_selection_invalid", ".pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "TEST",
+      position = PositionConfig.Random,
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(12.0),
+      color = ColorConfig.Fixed(Color.BLACK),
+      quantity = 1,
+      pages = PageSelection.Even
+    )
+    
+    val result = runSync(WatermarkRenderer.applyWatermarks(inputFile, outputFile, watermarkConfig).either)
+    
+    result shouldBe Left(DomainError.InvalidConfiguration(List("Page selection 'even' matches no pages in a 1-page document")))
+  }
+
+  it should "stamp an image with text beneath it as one combined watermark" in {
+    val inputFile = getTestPdfFile("simple.pdf")
+    val outputFile = createTempFile("image_stamp", ".pdf")
+    val imageFile = createTempFile("logo", ".png")
+    val logo = new java.awt.image.BufferedImage(60, 30, java.awt.image.BufferedImage.TYPE_INT_ARGB)
+    javax.imageio.ImageIO.write(logo, "png", imageFile)
+    
+    val image = WatermarkRenderer.readWatermarkImage(imageFile, scale = 0.25, opacity = 0.8)
+      .getOrElse(fail("Expected a readable image"))
+    val watermarkConfig = WatermarkConfig(
+      text = "APPROVED",
+      position = PositionConfig.Template(PositionTemplate.Center),
+      orientation = OrientationConfig.Fixed(30.0),
+      fontSize = FontSizeConfig.Fixed(18.0),
+      color = ColorConfig.Fixed(Color.RED),
+      quantity = 1,
+      image = Some(image)
+    )
+    
+    runSync(WatermarkRenderer.applyWatermarks(inputFile, outputFile, watermarkConfig))
+    
+    val document = Loader.loadPDF(outputFile)
+    try {
+      val resources = document.getPage(0).getResources
+      val imageCount = resources.getXObjectNames.asScala.count(name => resources.isImageXObject(name))
+      imageCount shouldBe 1
+    } finally {
+      document.close()
+    }
+    (image.pixelWidth, image.pixelHeight) shouldBe ((60, 30))
+  }
+
+  it should "combine opacity with the color alpha and apply the multiply blend mode" in {
+    val inputFile = getTestPdfFile("simple.pdf")
+    val outputFile = createTempFile("multiply_blend", ".pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "DRAFT",
+      position = PositionConfig.Fixed(200.0, 300.0),
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(36.0),
+      color = ColorConfig.Fixed(new Color(255, 0, 0, 128)),
+      quantity = 1,
+      opacity = 0.2,
+      blendMode = BlendMode.Multiply
+    )
+    
+    runSync(WatermarkRenderer.applyWatermarks(inputFile, outputFile, watermarkConfig))
+    
+    val document = Loader.loadPDF(outputFile)
+    try {
+      val resources = document.getPage(0).getResources
+      val states = resources.getExtGStateNames.asScala.map(name => resources.getExtGState(name)).toList
+      val multiplied = states.filter(_.getBlendMode == org.apache.pdfbox.pdmodel.graphics.blend.BlendMode.MULTIPLY)
+      multiplied should have size 1
+      multiplied.head.getNonStrokingAlphaConstant.toDouble shouldBe (0.2 * 128 / 255.0 +- 0.001)
+    } finally {
+      document.close()
+    }
+  }
+
+  "WatermarkRenderer.applyWatermarkLayers" should "draw each layer on the pages of its own selection" in {
+    val inputFile = getTestPdfFile("multi-page.pdf")
+    val outputFile = createTempFile("layers", ".pdf")
+    
+    val draft = WatermarkConfig(
+      text = "DRAFT",
+      position = PositionConfig.Fixed(200.0, 400.0),
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(48.0),
+      color = ColorConfig.Fixed(Color.RED),
+      quantity = 1,
+      pages = PageSelection.Ranges(List(PageRange(1, Some(1))))
+    )
+    val footer = draft.copy(
+      text = "Sheet {page}/{pages}",
+      position = PositionConfig.Fixed(250.0, 20.0),
+      fontSize = FontSizeConfig.Fixed(10.0),
+      pages = PageSelection.All
+    )
+    
+    runSync(WatermarkRenderer.applyWatermarkLayers(inputFile, outputFile, List(draft, footer)))
+    
+    val document = Loader.loadPDF(outputFile)
+    try {
+      val stripper = new org.apache.pdfbox.text.PDFTextStripper()
+      def pageText(page: Int): String = {
+        stripper.setStartPage(page)
+        stripper.setEndPage(page)
+        stripper.getText(document)
+      }
+      
+      pageText(1) should include ("DRAFT")
+      pageText(1) should include ("Sheet 1/5")
+      pageText(3) should not include ("DRAFT")
+      pageText(3) should include ("Sheet 3/5")
+    } finally {
+      document.close()
+    }
+  }
+
+  it should "require at least one layer" in {
+    val outputFile = createTempFile("no_layers", ".pdf")
+    
+    val result = runSync(WatermarkRenderer.applyWatermarkLayers(getTestPdfFile("simple.pdf"), outputFile, Nil).either)
+    
+    result shouldBe Left(DomainError.InvalidConfiguration(List("A watermark job needs between 1 and 10 layers")))
+  }
+
+  it should "embed a Unicode font for watermark text outside the standard fonts" in {
+    assume(WatermarkFonts.unsupportedCharacters("Секретно").isEmpty, "no Cyrillic TrueType font installed")
+    val inputFile = getTestPdfFile("simple.pdf")
+    val outputFile = createTempFile("cyrillic", ".pdf")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = "Секретно",
+      position = PositionConfig.Fixed(200.0, 400.0),
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(36.0),
+      color = ColorConfig.RandomPerLetter,
+      quantity = 1
+    )
+    
+    runSync(WatermarkRenderer.applyWatermarks(inputFile, outputFile, watermarkConfig))
+    
+    val document = Loader.loadPDF(outputFile)
+    try {
+      val resources = document.getPage(0).getResources
+      val fonts = resources.getFontNames.asScala.map(name => resources.getFont(name)).toList
+      fonts.exists(_.isInstanceOf[org.apache.pdfbox.pdmodel.font.PDType0Font]) shouldBe true
+      fonts.forall(_.isEmbedded) shouldBe true
+      new org.apache.pdfbox.text.PDFTextStripper().getText(document) should include ("Секретно")
+    } finally {
+      document.close()
+    }
+  }
+
+  it should "report characters that no installed font can draw" in {
+    val outputFile = createTempFile("unsupported_font", ".pdf")
+    val privateUseText = "\uE000\uE001"
+    assume(WatermarkFonts.unsupportedCharacters(privateUseText).nonEmpty, "an installed font covers the private use area")
+    
+    val watermarkConfig = WatermarkConfig(
+      text = privateUseText,
+      position = PositionConfig.Fixed(200.0, 400.0),
+      orientation = OrientationConfig.Fixed(0.0),
+      fontSize = FontSizeConfig.Fixed(36.0),
+      color = ColorConfig.Fixed(Color.RED),
+      quantity = 1
+    )
+    
+    val result = runSync(WatermarkRenderer.applyWatermarks(getTestPdfFile("simple.pdf"), outputFile, watermarkConfig).either)
+    
+    result match {
+      case Left(DomainError.InvalidConfiguration(List(message))) => message should startWith ("No installed font can draw the characters")
+      case other => fail(s"Expected an invalid configuration, got $other")
+    }
+  }
+
+  "WatermarkFonts.visualText" should "reverse right-to-left text and join Arabic letters" in {
+    WatermarkFonts.visualText("CONFIDENTIAL") shouldBe "CONFIDENTIAL"
+    WatermarkFonts.visualText("סודי") shouldBe "ידוס"
+    WatermarkFonts.visualText("סודי 2024") shouldBe "2024 ידוס"
+    
+    val arabic = WatermarkFonts.visualText("سري")
+    arabic should have length 3
+    arabic.forall(letter => letter >= '\uFE70' && letter <= '\uFEFF') shouldBe true
+  }
+
+  "WatermarkRenderer.readWatermarkImage" should "reject files that are not PNG or JPEG images" in {
+    val notAnImage = createTempFile("logo", ".png")
+    java.nio.file.Files.writeString(notAnImage.toPath, "GIF89a")
+    
+    WatermarkRenderer.readWatermarkImage(notAnImage) shouldBe Left("Watermark images must be PNG or JPEG files")
+  }
+
+  it should "reject small files that declare too many pixels" in {
+    // A PNG header declaring 30000x30000 pixels; decoding it would need gigabytes
+    val header = java.nio.ByteBuffer.allocate(13).putInt(30000).putInt(30000).put(Array[Byte](8, 6, 0, 0, 0)).array()
+    val chunk = "IHDR".getBytes("US-ASCII") ++ header
+    val crc = new java.util.zip.CRC32()
+    crc.update(chunk)
+    val png = Array(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A).map(_.toByte) ++
+      java.nio.ByteBuffer.allocate(4).putInt(header.length).array() ++ chunk ++
+      java.nio.ByteBuffer.allocate(4).putInt(crc.getValue.toInt).array()
+    val imageFile = createTempFile("huge", ".png")
+    java.nio.file.Files.write(imageFile.toPath, png)
+    
+    WatermarkRenderer.readWatermarkImage(imageFile) shouldBe Left("Watermark image is 30000x30000 pixels, more than the 25 megapixels allowed")
+  }
+}
@@ -0,0 +1,59 @@
+package com.pdfwatermarks.services
+
+import zio.*
+import zio.test.*
+import com.pdfwatermarks.domain.*
+import java.nio.file.{Files, Path}
+
+/**
+ * Tests for the job history store.
+ *
+ * Tests cover:
+ * - Job records surviving a restart of the service
+ * - Completed and failed jobs reaching the stored files
+ * - Dropping an owner's oldest jobs beyond the history limit
+ */
+object JobHistoryServiceLiveTest extends ZIOSpecDefault {
+
+  private val ownerId = "install-1"
+  private val config = """[{"text":"CONFIDENTIAL"}]"""
+
+  private def tempDataDir: UIO[Path] =
+    ZIO.attempt(Files.createTempDirectory("job-store-test")).orDie
+
+  def spec: Spec[Any, Any] = suite("JobHistoryServiceLiveTest")(
+    test("jobs and their outcomes are reloaded by a new service instance") {
+      for {
+        dataDir <- tempDataDir
+        service <- Layers.JobHistoryServiceLive.make(dataDir)
+        _ <- service.recordJob(ownerId, "job-1", "session-1", "report.pdf", config)
+        completed <- service.completeJob("job-1", "/tmp/processed-report.pdf", 2048L)
+        _ <- service.recordJob(ownerId, "job-2", "session-2", "broken.pdf", config)
+        failed <- service.failJob("job-2", "Failed to read PDF document")
+        other <- service.recordJob("install-2", "job-3", "session-3", "draft.pdf", config)
+
+        restarted <- Layers.JobHistoryServiceLive.make(dataDir)
+        reloaded <- restarted.listJobs(ownerId)
+        otherReloaded <- restarted.listJobs("install-2")
+      } yield assertTrue(
+        reloaded.toSet == Set(completed, failed),
+        otherReloaded == List(other)
+      )
+    },
+
+    test("only the most recent jobs of an owner are stored") {
+      for {
+        dataDir <- tempDataDir
+        service <- Layers.JobHistoryServiceLive.make(dataDir)
+        // Jobs are ordered by the wall-clock time they were recorded at
+        _ <- ZIO.foreachDiscard(0 to ConfigConstraints.MaxJobHistoryEntries) { n =>
+          service.recordJob(ownerId, s"job-$n", s"session-$n", s"file-$n.pdf", config) *> Live.live(ZIO.sleep(2.millis))
+        }
+        reloaded <- Layers.JobHistoryServiceLive.make(dataDir).flatMap(_.listJobs(ownerId))
+      } yield assertTrue(
+        reloaded.size == ConfigConstraints.MaxJobHistoryEntries,
+        !reloaded.exists(_.jobId == "job-0")
+      )
+    }
+  )
+}
@@ -0,0 +1,62 @@
+package com.pdfwatermarks.services
+
+import zio.*
+import zio.test.*
+import com.pdfwatermarks.domain.*
+import java.nio.file.{Files, Path}
+
+/**
+ * Tests for the preset store.
+ *
+ * Tests cover:
+ * - Presets surviving a restart of the service
+ * - Renames and deletions reaching the stored files
+ * - Keeping the presets of different owners apart
+ */
+object PresetServiceLiveTest extends ZIOSpecDefault {
+
+  private val ownerId = "install-1"
+  private val config = """{"text":"CONFIDENTIAL"}"""
+
+  private def tempDataDir: UIO[Path] =
+    ZIO.attempt(Files.createTempDirectory("preset-store-test")).orDie
+
+  def spec: Spec[Any, Any] = suite("PresetServiceLiveTest")(
+    test("presets are reloaded by a new service instance") {
+      for {
+        dataDir <- tempDataDir
+        service <- Layers.PresetServiceLive.make(dataDir)
+        saved <- service.savePreset(ownerId, "Confidential", config)
+        other <- service.savePreset("install-2", "Draft", config)
+
+        restarted <- Layers.PresetServiceLive.make(dataDir)
+        reloaded <- restarted.listPresets(ownerId)
+        otherReloaded <- restarted.listPresets("install-2")
+      } yield assertTrue(
+        reloaded == List(saved),
+        otherReloaded == List(other)
+      )
+    },
+
+    test("renames and deletions are stored") {
+      for {
+        dataDir <- tempDataDir
+        service <- Layers.PresetServiceLive.make(dataDir)
+        first <- service.savePreset(ownerId, "First", config)
+        second <- service.savePreset(ownerId, "Second", config)
+        renamed <- service.renamePreset(ownerId, first.id, "Renamed")
+        _ <- service.deletePreset(ownerId, second.id)
+
+        restarted <- Layers.PresetServiceLive.make(dataDir)
+        reloaded <- restarted.listPresets(ownerId)
+
+        _ <- restarted.deletePreset(ownerId, first.id)
+        emptied <- Layers.PresetServiceLive.make(dataDir).flatMap(_.listPresets(ownerId))
+      } yield assertTrue(
+        reloaded.map(preset => (preset.id, preset.name, preset.createdAt)) == List((first.id, "Renamed", first.createdAt)),
+        renamed.name == "Renamed",
+        emptied.isEmpty
+      )
+    }
+  )
+}
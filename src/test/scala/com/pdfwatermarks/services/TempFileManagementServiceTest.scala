@@ -227,6 +227,36 @@ object TempFileManagementServiceTest extends ZIOSpecDefault {
         )
       }.provide(serviceLayer),
       
+      test("cleanupPeriodically removes files past their expiry at every interval") {
+        def expiredFile(prefix: String) =
+          TempFileManagementService.createTempFile(prefix, ".pdf").tap { file =>
+            ZIO.attempt(file.setLastModified(java.lang.System.currentTimeMillis() - (2 * 60 * 60 * 1000))).orDie
+          }
+        
+        for {
+          _ <- setupTestDirectory()
+          _ <- TempFileManagementService.initialize()
+          keptOutput <- expiredFile("kept-output-")
+          expiresAt <- TempFileManagementService.expiryOf(keptOutput)
+          recentFile <- TempFileManagementService.createTempFile("recent-", ".pdf")
+          
+          cleanup <- TempFileManagementService.cleanupPeriodically(5.minutes).fork
+          _ <- TestClock.adjust(1.second)
+          keptOutputExists <- ZIO.attempt(keptOutput.exists())
+          
+          laterOutput <- expiredFile("later-output-")
+          _ <- TestClock.adjust(5.minutes)
+          laterOutputExists <- ZIO.attempt(laterOutput.exists())
+          recentExists <- ZIO.attempt(recentFile.exists())
+          _ <- cleanup.interrupt
+        } yield assertTrue(
+          expiresAt.exists(_.isBefore(Instant.now())),
+          !keptOutputExists,
+          !laterOutputExists,
+          recentExists
+        )
+      }.provide(serviceLayer),
+      
       test("isCleanupNeeded detects when cleanup is required") {
         for {
           _ <- setupTestDirectory()
@@ -250,6 +280,21 @@ object TempFileManagementServiceTest extends ZIOSpecDefault {
         )
       }.provide(serviceLayer),
       
+      test("expiryOf reports when age-based cleanup removes a file") {
+        for {
+          _ <- setupTestDirectory()
+          _ <- TempFileManagementService.initialize()
+          file <- TempFileManagementService.createTempFile("expiring-", ".txt")
+          modifiedAt = java.time.Instant.ofEpochMilli(file.lastModified())
+          expiry <- TempFileManagementService.expiryOf(file)
+          _ <- TempFileManagementService.cleanupFile(file)
+          afterCleanup <- TempFileManagementService.expiryOf(file)
+        } yield assertTrue(
+          expiry.contains(modifiedAt.plus(java.time.Duration.ofHours(1))),
+          afterCleanup.isEmpty
+        )
+      }.provide(serviceLayer),
+      
       test("cleanupFile removes specific file") {
         for {
           _ <- setupTestDirectory()
@@ -283,6 +328,85 @@ object TempFileManagementServiceTest extends ZIOSpecDefault {
       }.provide(serviceLayer)
     ),
     
+    suite("Partial Uploads")(
+      test("appendToPartialUpload accumulates chunks and completes into an upload file") {
+        val firstChunk = "%PDF-1.4 first ".getBytes()
+        val secondChunk = "second chunk".getBytes()
+        for {
+          _ <- setupTestDirectory()
+          _ <- TempFileManagementService.initialize()
+          uploadId <- TempFileManagementService.createPartialUpload()
+          afterFirst <- TempFileManagementService.appendToPartialUpload(uploadId, 0L, firstChunk)
+          staleOffset <- TempFileManagementService.appendToPartialUpload(uploadId, 0L, firstChunk).exit
+          afterSecond <- TempFileManagementService.appendToPartialUpload(uploadId, afterFirst, secondChunk)
+          uploadFile <- TempFileManagementService.completePartialUpload(uploadId, "scan.pdf")
+          content <- ZIO.attempt(Files.readAllBytes(uploadFile.toPath))
+          afterComplete <- TempFileManagementService.getPartialUploadSize(uploadId).exit
+        } yield assertTrue(
+          afterFirst == firstChunk.length.toLong,
+          staleOffset.isFailure, // Retried chunks must not be appended twice
+          afterSecond == (firstChunk.length + secondChunk.length).toLong,
+          uploadFile.getName.startsWith("upload-"),
+          uploadFile.getName.endsWith(".pdf"),
+          content.toList == (firstChunk ++ secondChunk).toList,
+          afterComplete.isFailure
+        )
+      }.provide(serviceLayer),
+
+      test("appendToPartialUpload appends a chunk once when a retry overlaps the original") {
+        val chunk = Array.fill[Byte](256 * 1024)(7)
+        for {
+          _ <- setupTestDirectory()
+          _ <- TempFileManagementService.initialize()
+          uploadId <- TempFileManagementService.createPartialUpload()
+          results <- ZIO.foreachPar(List(1, 2))(_ => TempFileManagementService.appendToPartialUpload(uploadId, 0L, chunk).exit)
+          size <- TempFileManagementService.getPartialUploadSize(uploadId)
+        } yield assertTrue(
+          results.count(_.isSuccess) == 1,
+          size == chunk.length.toLong
+        )
+      }.provide(serviceLayer),
+
+      test("cleanupOldFiles forgets the lock of an abandoned partial upload") {
+        val service = TempFileManagementServiceLive(testTempConfig)
+        
+        for {
+          _ <- setupTestDirectory()
+          _ <- service.initialize()
+          uploadId <- service.createPartialUpload()
+          _ <- service.appendToPartialUpload(uploadId, 0L, "chunk".getBytes())
+          lockedBefore = service.partialUploadLocks.contains(uploadId)
+          _ <- ZIO.attempt {
+            Paths.get("./test-tmp", s"partial-$uploadId.part").toFile
+              .setLastModified(java.lang.System.currentTimeMillis() - (2 * 60 * 60 * 1000))
+          }.orDie
+          _ <- service.cleanupOldFiles()
+          status <- service.getPartialUploadSize(uploadId).either
+        } yield assertTrue(
+          lockedBefore,
+          !service.partialUploadLocks.contains(uploadId),
+          status.isLeft
+        )
+      },
+      
+      test("discardPartialUpload removes partial data and rejects unknown ids") {
+        for {
+          _ <- setupTestDirectory()
+          _ <- TempFileManagementService.initialize()
+          uploadId <- TempFileManagementService.createPartialUpload()
+          _ <- TempFileManagementService.appendToPartialUpload(uploadId, 0L, "partial".getBytes())
+          _ <- TempFileManagementService.discardPartialUpload(uploadId)
+          sizeAfterDiscard <- TempFileManagementService.getPartialUploadSize(uploadId).exit
+          traversal <- TempFileManagementService.getPartialUploadSize("../outside").exit
+          directorySize <- TempFileManagementService.getTempDirectorySize()
+        } yield assertTrue(
+          sizeAfterDiscard.isFailure,
+          traversal.isFailure,
+          directorySize == 0L
+        )
+      }.provide(serviceLayer)
+    ),
+    
     suite("Configuration Integration")(
       test("service uses configured base directory") {
         for {